@@ -0,0 +1,123 @@
+/**
+ * Inspector Tests
+ * Tests for the debug overlay shown by App.debug()
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { App } from '../../src/App/App.js';
+import { Inspector } from '../../src/App/Inspector.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { ChangeTracker } from '../../src/Core/ChangeTracker.js';
+import { Component } from '../../src/Core/Component.js';
+import { VStack, Text } from '../../src/Core/ViewFactory.js';
+import { State } from '../../src/Data/State.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+const panel = () => document.querySelector('[data-inspector="panel"]');
+const row = (identity) => panel().querySelector(`[data-identity="${identity}"]`);
+
+// The App wraps its content in a component
+const ROOT = '/App[0]';
+
+describe('Inspector', () => {
+  let container;
+  let log;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    // Silence the debug mode render logs
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = log;
+    Reconciler.disableDebug();
+    container.parentNode?.removeChild(container);
+  });
+
+  describe('App.debug()', () => {
+    it('should show the view tree while mounted', () => {
+      const app = App(() => VStack(Text('Hello'), Text('World'))).debug().mount(container);
+
+      expect(panel()).toBeTruthy();
+      expect(row(`${ROOT}/VStack[0]/Text[1]`).textContent).toContain('Text');
+      expect(panel().querySelector('[data-inspector="tree"]').children).toHaveLength(3);
+      expect(container.querySelector('[data-inspector]')).toBeNull();
+
+      app.unmount();
+      expect(panel()).toBeNull();
+      expect(ChangeTracker.enabled).toBe(false);
+    });
+
+    it('should attach when debug() is called after mount', () => {
+      const app = App(() => Text('late')).mount(container).debug();
+
+      expect(app.inspector.panel).toBe(panel());
+      expect(row(`${ROOT}/Text[0]`)).toBeTruthy();
+      app.unmount();
+    });
+  });
+
+  describe('changes', () => {
+    it('should show why a component re-rendered and mark the patched node', () => {
+      const count = new State(0);
+      const Counter = Component(function Counter() {
+        return Text(`Count: ${count.value}`);
+      });
+      const app = App(() => VStack(Counter(), Text('static'))).debug().mount(container);
+
+      count.value = 1;
+      flushSync(); // notification
+      flushSync(); // component re-render
+
+      const identity = `${ROOT}/VStack[0]/Counter[0]/Text[0]`;
+      expect(row(identity).textContent).toContain('Counter › Text');
+      expect(app.inspector.reasonsFor(app.inspector.findNode(identity))).toEqual(['_value', '_content']);
+      expect(row(identity).dataset.patched).toBe('true');
+      expect(row(`${ROOT}/VStack[0]/Text[1]`).dataset.patched).toBe(undefined);
+      app.unmount();
+    });
+
+    it('should follow commits of any reconciled container', () => {
+      const view = (label) => VStack(Text(label).padding(8));
+      Reconciler.mount(view('a'), container);
+      const inspector = new Inspector(container).attach();
+
+      Reconciler.update(view('b'), container);
+
+      expect(inspector.commits).toBe(1);
+      expect(inspector.reasons.get('/VStack[0]/Text[0]')).toEqual(['_content']);
+      inspector.detach();
+      Reconciler.unmount(container);
+    });
+  });
+
+  describe('details', () => {
+    it('should list the props and modifiers of the selected node', () => {
+      Reconciler.mount(VStack(Text('Title').padding(8)), container);
+      const inspector = new Inspector(container).attach();
+
+      row('/VStack[0]/Text[0]').click();
+
+      const details = panel().querySelector('[data-inspector="details"]').textContent;
+      expect(inspector.selected).toBe('/VStack[0]/Text[0]');
+      expect(details).toContain('content: "Title"');
+      expect(details).toContain('.padding(8)');
+      inspector.detach();
+      Reconciler.unmount(container);
+    });
+
+    it('should outline the element of a hovered row', () => {
+      Reconciler.mount(VStack(Text('Hover me')), container);
+      const inspector = new Inspector(container).attach();
+
+      row('/VStack[0]/Text[0]').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+
+      expect(inspector._highlight.style.display).toBe('block');
+      inspector.detach();
+      Reconciler.unmount(container);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Component Tests
+ * Tests for function components and identity-scoped local state
+ */
+
+import { describe, it, expect, beforeEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component, getScopeCount } from '../../src/Core/Component.js';
+import { renderToString } from '../../src/Core/ServerRenderer.js';
+import { VStack, Text, Button, ForEach } from '../../src/Core/ViewFactory.js';
+import { State, useState } from '../../src/Data/State.js';
+import { Observable } from '../../src/Data/Observable.js';
+import { App } from '../../src/App/App.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+/** States handed out by Counter, by label */
+const states = {};
+
+/** Body runs of Counter, by label */
+const renders = {};
+
+const Counter = Component(function Counter(label) {
+  const count = useState(0);
+  states[label] = count;
+  renders[label] = (renders[label] || 0) + 1;
+  return Text(`${label}: ${count.value}`);
+});
+
+const Badge = Component(function Badge(source) {
+  renders.Badge = (renders.Badge || 0) + 1;
+  return Text(`${source.count}`);
+});
+
+describe('Component', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    Reconciler.resetStats();
+  });
+
+  const cleanup = () => {
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+  };
+
+  const rows = () => [...container.firstElementChild.children].map(el => el.textContent);
+
+  describe('expansion', () => {
+    it('should render the body in place of the component', () => {
+      Reconciler.mount(VStack(Counter('A'), Text('after')), container);
+
+      expect(rows()).toEqual(['A: 0', 'after']);
+      cleanup();
+    });
+
+    it('should carry modifiers over to the body', () => {
+      Reconciler.mount(VStack(Counter('A').opacity(0.5)), container);
+
+      expect(container.firstElementChild.firstElementChild.style.opacity).toBe('0.5');
+      cleanup();
+    });
+  });
+
+  describe('local state', () => {
+    it('should keep state across rebuilds of the tree', () => {
+      Reconciler.mount(VStack(Counter('A')), container);
+      const first = states.A;
+
+      first.value = 3;
+      Reconciler.update(VStack(Counter('A')), container);
+
+      expect(states.A).toBe(first);
+      expect(rows()).toEqual(['A: 3']);
+      cleanup();
+    });
+
+    it('should give each position its own state', () => {
+      Reconciler.mount(VStack(Counter('A'), Counter('B')), container);
+
+      states.B.value = 2;
+      Reconciler.update(VStack(Counter('A'), Counter('B')), container);
+
+      expect(states.A === states.B).toBe(false);
+      expect(rows()).toEqual(['A: 0', 'B: 2']);
+      cleanup();
+    });
+
+    it('should follow keyed components when they move', () => {
+      const list = (labels) => ForEach(labels.map(id => ({ id })), { id: 'id' }, item => Counter(item.id));
+      Reconciler.mount(list(['A', 'B']), container);
+      states.A.value = 1;
+      states.B.value = 2;
+
+      Reconciler.update(list(['B', 'A']), container);
+
+      expect(rows()).toEqual(['B: 2', 'A: 1']);
+      cleanup();
+    });
+
+    it('should release state when the component leaves the tree', () => {
+      Reconciler.mount(VStack(Counter('A'), Counter('B')), container);
+      states.B.value = 5;
+
+      Reconciler.update(VStack(Counter('A')), container);
+      expect(getScopeCount(container)).toBe(1);
+
+      Reconciler.update(VStack(Counter('A'), Counter('B')), container);
+      expect(rows()).toEqual(['A: 0', 'B: 0']);
+      cleanup();
+    });
+
+    it('should release all state on unmount', () => {
+      Reconciler.mount(VStack(Counter('A'), Counter('B')), container);
+      expect(getScopeCount(container)).toBe(2);
+
+      cleanup();
+      expect(getScopeCount(container)).toBe(0);
+    });
+
+    it('should throw outside a component body', () => {
+      expect(() => State.local(0)).toThrow();
+    });
+  });
+
+  describe('observation tracking', () => {
+    const flush = () => {
+      flushSync(); // change notification
+      flushSync(); // component re-render
+    };
+
+    it('should re-render only the component whose state changed', () => {
+      Reconciler.mount(VStack(Counter('A'), Counter('B'), Text('static')), container);
+      const [a] = container.firstElementChild.children;
+      const before = { ...renders };
+
+      states.B.value = 1;
+      flush();
+
+      expect(rows()).toEqual(['A: 0', 'B: 1', 'static']);
+      expect(renders.A).toBe(before.A);
+      expect(renders.B).toBe(before.B + 1);
+      expect(container.firstElementChild.firstElementChild).toBe(a);
+      expect(Reconciler.getStats().componentUpdates).toBe(1);
+      expect(Reconciler.getStats().updates).toBe(0);
+      cleanup();
+    });
+
+    it('should follow observable properties read by the body', () => {
+      const model = Observable({ count: 0, title: 'Inbox' });
+      Reconciler.mount(VStack(Text('Mail'), Badge(model)), container);
+      const before = renders.Badge;
+
+      model.title = 'Archive';
+      flushSync();
+      expect(renders.Badge).toBe(before);
+
+      model.count = 3;
+      flushSync();
+      expect(renders.Badge).toBe(before + 1);
+      expect(rows()).toEqual(['Mail', '3']);
+      cleanup();
+    });
+
+    it('should stop following values it no longer reads', () => {
+      const shared = new State(1);
+      const showShared = new State(true);
+      const Panel = Component(function Panel() {
+        return Text(showShared.value ? `${shared.value}` : 'hidden');
+      });
+      Reconciler.mount(VStack(Panel()), container);
+      expect(shared._subscribers.size).toBe(1);
+
+      showShared.value = false;
+      flush();
+
+      expect(rows()).toEqual(['hidden']);
+      expect(shared._subscribers.size).toBe(0);
+      cleanup();
+      expect(showShared._subscribers.size).toBe(0);
+    });
+  });
+
+  describe('integration', () => {
+    it('should refresh the app when local state changes', () => {
+      const app = App(function Root() {
+        const count = State.local(0);
+        return VStack(
+          Text(`Count: ${count.value}`),
+          Button('Add', () => count.value++)
+        );
+      });
+      app.mount(container);
+
+      container.querySelector('button').click();
+      flushSync(); // state notification
+      flushSync(); // scheduled refresh
+
+      expect(container.textContent).toContain('Count: 1');
+      app.unmount();
+      container.parentNode?.removeChild(container);
+    });
+
+    it('should render initial local state on the server', () => {
+      const html = renderToString(() => {
+        const name = useState('Ada');
+        return VStack(Counter('S'), Text(name.value));
+      });
+
+      expect(html).toContain('S: 0');
+      expect(html).toContain('Ada');
+      cleanup();
+    });
+  });
+});
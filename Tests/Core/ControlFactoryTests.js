@@ -0,0 +1,242 @@
+/**
+ * ControlFactory Tests
+ * Tests for descriptor controls and in-place patching
+ */
+
+import { describe, it, expect, beforeEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+import { Binding } from '../../src/Data/Binding.js';
+import { State } from '../../src/Data/State.js';
+import { Text } from '../../src/View/Text.js';
+import { VStack } from '../../src/Layout/Stack/VStack.js';
+import {
+  Toggle,
+  Slider,
+  Stepper,
+  Picker,
+  TextField,
+  Section,
+  TabView
+} from '../../src/Core/ControlFactory.js';
+
+/**
+ * A binding over a local variable, like @State would provide.
+ * @param {*} initial
+ */
+function box(initial) {
+  let value = initial;
+  return new Binding(() => value, (v) => { value = v; });
+}
+
+describe('ControlFactory', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    Reconciler.resetStats();
+  });
+
+  const cleanup = () => {
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+  };
+
+  const root = () => container.firstElementChild.firstElementChild;
+
+  describe('descriptors', () => {
+    it('should snapshot the binding value into props', () => {
+      const toggle = Toggle('Wi-Fi', box(true));
+      expect(toggle.type).toBe('Toggle');
+      expect(toggle.props.label).toBe('Wi-Fi');
+      expect(toggle.props.isOn).toBe(true);
+    });
+
+    it('should read picker options from tagged views', () => {
+      const picker = Picker('Flavor', box('b'),
+        Text('Apple').id('a'),
+        Text('Banana').id('b')
+      );
+      expect(picker.props.options.length).toBe(2);
+      expect(picker.props.options[1].tag).toBe('b');
+      expect(picker.props.options[1].label).toBe('Banana');
+      expect(picker.props.selection).toBe('b');
+    });
+
+    it('should store control modifiers as props', () => {
+      const field = TextField('Name', box('')).disabled().textFieldStyle('plain');
+      expect(field.props.isDisabled).toBe(true);
+      expect(field.props.textFieldStyle).toBe('plain');
+    });
+  });
+
+  describe('bindings', () => {
+    it('should write through the binding when toggled', () => {
+      const isOn = box(false);
+      Reconciler.mount(VStack(Toggle('Wi-Fi', isOn)), container);
+
+      root().click();
+
+      expect(isOn.value).toBe(true);
+      cleanup();
+    });
+
+    it('should write typed text through the binding', () => {
+      const text = box('');
+      Reconciler.mount(VStack(TextField('Name', text)), container);
+
+      const input = root();
+      input.value = 'Ada';
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+
+      expect(text.value).toBe('Ada');
+      cleanup();
+    });
+
+    it('should use the latest setter after a patch', () => {
+      const first = box(0);
+      const second = box(0);
+      Reconciler.mount(VStack(Stepper('Count', first)), container);
+      Reconciler.update(VStack(Stepper('Count', second).disabled(false)), container);
+
+      container.querySelector('[data-control-part="increment"]').click();
+
+      expect(first.value).toBe(0);
+      expect(second.value).toBe(1);
+      cleanup();
+    });
+  });
+
+  describe('in-place patching', () => {
+    it('should keep the input element while typing', () => {
+      const text = box('A');
+      Reconciler.mount(VStack(TextField('Name', text)), container);
+      const input = root();
+      input.focus();
+
+      text.value = 'Ab';
+      Reconciler.update(VStack(TextField('Name', text)), container);
+
+      expect(root()).toBe(input);
+      expect(input.value).toBe('Ab');
+      expect(document.activeElement).toBe(input);
+      expect(Reconciler.getStats().patchesInPlace).toBe(1);
+      cleanup();
+    });
+
+    it('should keep the input of a component that only renders a text field', () => {
+      const name = new State('A');
+      const NameField = Component(function NameField() {
+        return TextField('Name', name.binding);
+      });
+      Reconciler.mount(NameField(), container);
+      const input = container.querySelector('input');
+      input.focus();
+
+      input.value = 'Ab';
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      flushSync(); // notification
+      flushSync(); // component re-render
+
+      expect(name.value).toBe('Ab');
+      expect(container.querySelector('input')).toBe(input);
+      expect(document.activeElement).toBe(input);
+      cleanup();
+    });
+
+    it('should move a slider without replacing it', () => {
+      const value = box(0.2);
+      Reconciler.mount(VStack(Slider(value)), container);
+      const slider = root();
+
+      value.value = 0.7;
+      Reconciler.update(VStack(Slider(value)), container);
+
+      expect(root()).toBe(slider);
+      expect(slider.querySelector('input').value).toBe('0.7');
+      cleanup();
+    });
+
+    it('should patch checked and disabled state', () => {
+      const isOn = box(false);
+      Reconciler.mount(VStack(Toggle('Dark', isOn).toggleStyle('checkbox')), container);
+      const toggle = root();
+
+      isOn.value = true;
+      Reconciler.update(VStack(Toggle('Dark', isOn).toggleStyle('checkbox').disabled()), container);
+
+      const checkbox = toggle.querySelector('input');
+      expect(root()).toBe(toggle);
+      expect(checkbox.checked).toBe(true);
+      expect(checkbox.disabled).toBe(true);
+      cleanup();
+    });
+
+    it('should patch picker options and selection', () => {
+      const selection = box('a');
+      const picker = (...tags) => VStack(Picker('Letter', selection, ...tags.map(t => Text(t.toUpperCase()).id(t))));
+      Reconciler.mount(picker('a', 'b'), container);
+      const element = root();
+
+      selection.value = 'c';
+      Reconciler.update(picker('a', 'b', 'c'), container);
+
+      const select = element.querySelector('select');
+      expect(root()).toBe(element);
+      expect(select.options.length).toBe(3);
+      expect(select.value).toBe('2');
+      cleanup();
+    });
+
+    it('should re-render when the style changes', () => {
+      const isOn = box(false);
+      Reconciler.mount(VStack(Toggle('Dark', isOn)), container);
+      const toggle = root();
+
+      Reconciler.update(VStack(Toggle('Dark', isOn).toggleStyle('button')), container);
+
+      expect(root() === toggle).toBe(false);
+      expect(root().tagName).toBe('BUTTON');
+      cleanup();
+    });
+  });
+
+  describe('containers', () => {
+    it('should diff section rows inside the content area', () => {
+      const rows = (...names) => VStack(Section({ header: 'People' }, ...names.map(n => Text(n).id(n))));
+      Reconciler.mount(rows('Ada', 'Grace'), container);
+      const section = root();
+      const ada = section.querySelector('[data-section-part="content"]').firstElementChild;
+
+      Reconciler.update(rows('Ada', 'Grace', 'Linus'), container);
+
+      const content = root().querySelector('[data-section-part="content"]');
+      expect(root()).toBe(section);
+      expect(content.children.length).toBe(3);
+      expect(content.firstElementChild).toBe(ada);
+      cleanup();
+    });
+
+    it('should switch tabs without re-rendering them', () => {
+      const selection = box(1);
+      const tabs = () => VStack(TabView({ selection },
+        VStack(Text('Home')).tag(1),
+        VStack(Text('Settings')).tag(2)
+      ));
+      Reconciler.mount(tabs(), container);
+      const content = root().querySelector('[data-tabview-part="content"]');
+      const settings = content.children[1];
+
+      root().querySelector('[data-tabview-part="tabbar"]').children[1].click();
+      expect(selection.value).toBe(2);
+
+      Reconciler.update(tabs(), container);
+
+      expect(content.dataset.selected).toBe('1');
+      expect(content.children[1]).toBe(settings);
+      cleanup();
+    });
+  });
+});
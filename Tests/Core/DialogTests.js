@@ -0,0 +1,200 @@
+/**
+ * Dialog Tests
+ * Tests for alerts, confirmation dialogs and button roles
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { showConfirmationDialog } from '../../src/Core/Dialog.js';
+import { getPresentedCount } from '../../src/Core/Presentation.js';
+import { VStack, Text, Button } from '../../src/Core/ViewFactory.js';
+import { Button as RoleButton, ButtonRole } from '../../src/View/Control/Button.js';
+import { Divider } from '../../src/Layout/Divider.js';
+import { State } from '../../src/Data/State.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+import { flushLifecycleCallbacks } from '../../src/Core/LifecycleObserver.js';
+
+describe('Dialog', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+    flushLifecycleCallbacks(); // close dialogs left open
+  });
+
+  const dialog = (view = 'Alert') => document.querySelector(`[data-view="${view}"]`);
+  const buttons = (view = 'Alert') => [...dialog(view).querySelectorAll('button')];
+  const labels = (view) => buttons(view).map(button => button.textContent);
+  const settle = () => {
+    flushSync(); // notification
+    flushSync(); // component re-render
+  };
+  const press = (key) => document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+  function mount(modifier) {
+    const isPresented = new State(true);
+    const Page = Component(function Page() {
+      return modifier(VStack(Text('page')), isPresented.binding);
+    });
+    Reconciler.mount(Page(), container);
+    return isPresented;
+  }
+
+  describe('alert', () => {
+    it('should announce its title and message as an alert dialog', () => {
+      mount((view, isPresented) => view.alert('Saved', isPresented, [], 'Your listing is live.'));
+      const panel = dialog().querySelector('[role="alertdialog"]');
+
+      expect(panel.getAttribute('aria-modal')).toBe('true');
+      expect(document.getElementById(panel.getAttribute('aria-labelledby')).textContent).toBe('Saved');
+      expect(document.getElementById(panel.getAttribute('aria-describedby')).textContent).toBe('Your listing is live.');
+      expect(labels()).toEqual(['OK']);
+      expect(document.activeElement).toBe(buttons()[0]);
+    });
+
+    it('should put cancel first between two buttons and style destructive ones', () => {
+      mount((view, isPresented) => view.alert('Delete listing?', isPresented, () => [
+        Button('Delete', { role: 'destructive' }, () => {}),
+        Button('Cancel', { role: 'cancel' }, () => {})
+      ]));
+
+      const [cancel, destroy] = buttons();
+      expect(labels()).toEqual(['Cancel', 'Delete']);
+      expect(destroy.style.color).toBe('rgb(255, 59, 48)');
+      // Enter never deletes: the cancel button is the default
+      expect(cancel.dataset.defaultAction).toBe('true');
+      expect(destroy.dataset.defaultAction).toBe(undefined);
+    });
+
+    it('should run the default action on Enter and the cancel action on Escape', () => {
+      const log = [];
+      const isPresented = mount((view, binding) => view.alert('Unsaved changes', binding, [
+        Button('Cancel', { role: 'cancel' }, () => log.push('cancel')),
+        Button('Discard', { role: 'destructive' }, () => log.push('discard')),
+        Button('Save', () => log.push('save'))
+      ]));
+      expect(labels()).toEqual(['Discard', 'Save', 'Cancel']);
+
+      document.activeElement.blur();
+      press('Enter');
+      settle();
+      expect(log).toEqual(['save']);
+      expect(isPresented.value).toBe(false);
+      expect(dialog()).toBe(null);
+
+      isPresented.value = true;
+      settle();
+      press('Escape');
+      settle();
+      expect(log).toEqual(['save', 'cancel']);
+      expect(isPresented.value).toBe(false);
+    });
+
+    it('should press the focused button on Enter', () => {
+      const log = [];
+      mount((view, binding) => view.alert('Unsaved changes', binding, [
+        Button('Discard', { role: 'destructive' }, () => log.push('discard')),
+        Button('Save', () => log.push('save'))
+      ]));
+
+      buttons()[0].focus();
+      press('Enter');
+
+      expect(log).toEqual(['discard']);
+    });
+
+    it('should be available on every descriptor view', () => {
+      const isPresented = new State(true);
+      const Page = Component(function Page() {
+        return VStack(Text('page'), Divider().alert('Saved', isPresented.binding));
+      });
+      Reconciler.mount(Page(), container);
+
+      expect(labels()).toEqual(['OK']);
+      buttons()[0].click();
+      settle();
+      expect(isPresented.value).toBe(false);
+    });
+
+    it('should wait for a button instead of closing on a backdrop click', () => {
+      const isPresented = mount((view, binding) => view.alert('Saved', binding));
+
+      dialog().querySelector('[data-presentation-backdrop]').click();
+      settle();
+      expect(isPresented.value).toBe(true);
+
+      buttons()[0].click();
+      settle();
+      expect(isPresented.value).toBe(false);
+      expect(getPresentedCount()).toBe(0);
+    });
+  });
+
+  describe('confirmationDialog', () => {
+    it('should add a Cancel button apart from the others and cancel on a backdrop click', () => {
+      const isPresented = mount((view, binding) => view.confirmationDialog('Share listing', binding, [
+        Button('Copy Link', () => {}),
+        Button('Email', () => {})
+      ]));
+
+      expect(labels('ConfirmationDialog')).toEqual(['Copy Link', 'Email', 'Cancel']);
+      const cancel = buttons('ConfirmationDialog')[2];
+      expect(cancel.parentNode).not.toBe(buttons('ConfirmationDialog')[0].parentNode);
+
+      dialog('ConfirmationDialog').querySelector('[data-presentation-backdrop]').click();
+      settle();
+      expect(isPresented.value).toBe(false);
+    });
+
+    it('should pass the item to its actions and message', () => {
+      const item = new State({ id: 7, title: 'Loft' });
+      const deleted = [];
+      const Page = Component(function Page() {
+        return VStack(Text('page')).confirmationDialog('Delete?', { item: item.binding, titleVisibility: 'hidden' },
+          (listing) => [Button(`Delete ${listing.title}`, { role: 'destructive' }, () => deleted.push(listing.id))],
+          (listing) => `#${listing.id} will be removed.`);
+      });
+      Reconciler.mount(Page(), container);
+
+      expect(dialog('ConfirmationDialog').textContent).toContain('#7 will be removed.');
+      buttons('ConfirmationDialog')[0].click();
+      settle();
+
+      expect(deleted).toEqual([7]);
+      expect(item.value).toBe(null);
+    });
+  });
+
+  describe('showConfirmationDialog', () => {
+    it('should present a dialog outside the view tree until a choice is made', () => {
+      const promise = showConfirmationDialog('Discard changes?', {
+        actions: [{ label: 'Discard', role: ButtonRole.destructive, value: 'discard' }]
+      });
+
+      expect(promise instanceof Promise).toBe(true);
+      expect(labels('ConfirmationDialog')).toEqual(['Discard', 'Cancel']);
+
+      press('Escape');
+      expect(dialog('ConfirmationDialog')).toBe(null);
+      expect(getPresentedCount()).toBe(0);
+    });
+  });
+
+  describe('Button roles', () => {
+    it('should keep the role of a button and mark it when rendered', () => {
+      const button = RoleButton('Delete', { role: ButtonRole.destructive }, () => {});
+      expect(button.props.role).toBe('destructive');
+      expect(typeof button.props.action).toBe('function');
+
+      Reconciler.mount(button, container);
+      expect(container.querySelector('button').dataset.role).toBe('destructive');
+    });
+  });
+});
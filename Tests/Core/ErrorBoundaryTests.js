@@ -0,0 +1,185 @@
+/**
+ * ErrorBoundary Tests
+ * Tests for containing build, render, patch and lifecycle errors
+ */
+
+import { describe, it, expect, beforeEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { ErrorBoundary, onError } from '../../src/Core/ErrorBoundary.js';
+import { Component } from '../../src/Core/Component.js';
+import { registerRenderer } from '../../src/Core/Renderer.js';
+import { createDescriptor } from '../../src/Core/ViewDescriptor.js';
+import { View } from '../../src/Core/View.js';
+import { VStack, Text, Button } from '../../src/Core/ViewFactory.js';
+import { State } from '../../src/Data/State.js';
+import { App } from '../../src/App/App.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+// A view whose renderer throws when asked to
+registerRenderer('Fragile', (props) => {
+  if (props.broken) throw new Error('render failed');
+  const element = document.createElement('span');
+  element.textContent = props.label;
+  return element;
+});
+
+const Fragile = (label, broken = false) => createDescriptor('Fragile', { label, broken });
+
+class BrokenView extends View {
+  body() {
+    throw new Error('legacy body failed');
+  }
+}
+
+const fallback = (error, reset) => VStack(
+  Text(`Failed: ${error.message}`),
+  Button('Retry', reset)
+);
+
+describe('ErrorBoundary', () => {
+  let container;
+  let errors;
+  let unsubscribe;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    errors = [];
+    unsubscribe = onError((error, info) => errors.push({ message: error.message, ...info }));
+  });
+
+  const cleanup = () => {
+    unsubscribe();
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+  };
+
+  const boundaryText = () => container.querySelector('[data-view="ErrorBoundary"]').textContent;
+
+  describe('catching', () => {
+    it('should show the fallback when building the content throws', () => {
+      Reconciler.mount(VStack(
+        Text('header'),
+        ErrorBoundary(fallback, () => [1, 2].map(n => {
+          if (n === 2) throw new Error('row builder failed');
+          return Text(`${n}`);
+        }))
+      ), container);
+
+      expect(boundaryText()).toContain('Failed: row builder failed');
+      expect(container.textContent).toContain('header');
+      expect(errors[0].phase).toBe('build');
+      cleanup();
+    });
+
+    it('should catch errors in component bodies below it', () => {
+      const Row = Component(function Row() {
+        throw new Error('body failed');
+      });
+      Reconciler.mount(VStack(ErrorBoundary(fallback, () => VStack(Row()))), container);
+
+      expect(boundaryText()).toContain('Failed: body failed');
+      cleanup();
+    });
+
+    it('should catch legacy View render errors', () => {
+      Reconciler.mount(VStack(ErrorBoundary(fallback, () => new BrokenView())), container);
+
+      expect(boundaryText()).toContain('Failed: legacy body failed');
+      expect(errors[0].phase).toBe('render');
+      cleanup();
+    });
+
+    it('should contain errors while patching and apply the rest of the update', () => {
+      const tree = (label, broken) => VStack(
+        Text(label),
+        ErrorBoundary(fallback, () => VStack(Fragile('ok', broken)))
+      );
+      Reconciler.mount(tree('before', false), container);
+
+      Reconciler.update(tree('after', true), container);
+
+      expect(container.textContent).toContain('after');
+      expect(boundaryText()).toContain('Failed: render failed');
+      expect(errors[0].phase).toBe('update');
+      cleanup();
+    });
+
+    it('should switch to the fallback when onAppear throws', () => {
+      Reconciler.mount(VStack(ErrorBoundary(fallback, () =>
+        Text('content').onAppear(() => { throw new Error('appear failed'); })
+      )), container);
+      flushSync();
+
+      expect(boundaryText()).toContain('Failed: appear failed');
+      expect(errors[0].phase).toBe('lifecycle');
+      cleanup();
+    });
+  });
+
+  describe('reset()', () => {
+    it('should retry the content', () => {
+      const broken = new State(true);
+      Reconciler.mount(VStack(ErrorBoundary(fallback, () => {
+        if (broken.value) throw new Error('not ready');
+        return Text('ready');
+      })), container);
+      expect(boundaryText()).toContain('not ready');
+
+      broken.value = false;
+      container.querySelector('button').click();
+      flushSync();
+
+      expect(boundaryText()).toBe('ready');
+      cleanup();
+    });
+  });
+
+  describe('App.onError()', () => {
+    it('should report refresh errors outside any boundary and keep the DOM', () => {
+      unsubscribe();
+      const reported = [];
+      let fail = false;
+      const app = App(() => {
+        if (fail) throw new Error('refresh failed');
+        return Text('stable');
+      }).onError((error, info) => reported.push(info.phase));
+      app.mount(container);
+
+      fail = true;
+      app.refresh();
+      flushSync();
+
+      expect(reported).toEqual(['update']);
+      expect(container.textContent).toBe('stable');
+      app.unmount();
+      container.parentNode?.removeChild(container);
+    });
+
+    it('should only receive errors from its own app', () => {
+      unsubscribe();
+      const other = document.createElement('div');
+      document.body.appendChild(other);
+      const reported = [];
+      const broken = new State(false);
+      const content = () => ErrorBoundary(fallback, () => {
+        if (broken.value) throw new Error('build failed');
+        return Text('fine');
+      });
+      const first = App(content).onError(() => reported.push('first')).mount(container);
+      const second = App(() => Text('other')).mount(other).onError(() => reported.push('second'));
+
+      broken.value = true;
+      flushSync();
+      flushSync();
+
+      expect(reported).toEqual(['first']);
+      expect(boundaryText()).toBe('Failed: build failedRetry');
+
+      first.unmount();
+      second.unmount();
+      other.parentNode?.removeChild(other);
+      container.parentNode?.removeChild(container);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Portal Tests
+ * Tests for rendering content outside the mounted container
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Portal } from '../../src/Core/Portal.js';
+import { Component } from '../../src/Core/Component.js';
+import { VStack, Text, Button } from '../../src/Core/ViewFactory.js';
+import { State } from '../../src/Data/State.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+describe('Portal', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+  });
+
+  const hosts = () => document.querySelectorAll('[data-portal-host]');
+
+  describe('rendering', () => {
+    it('should render the content into document.body', () => {
+      Reconciler.mount(VStack(Text('inline'), Portal(Text('overlay'))), container);
+
+      expect(container.textContent).toBe('inline');
+      expect(hosts()).toHaveLength(1);
+      expect(hosts()[0].parentNode).toBe(document.body);
+      expect(hosts()[0].textContent).toBe('overlay');
+    });
+
+    it('should render into a target given by selector', () => {
+      const target = document.createElement('div');
+      target.id = 'portal-target';
+      document.body.appendChild(target);
+
+      Reconciler.mount(VStack(Portal('#portal-target', () => [Text('a'), Text('b')])), container);
+
+      expect(target.textContent).toBe('ab');
+      Reconciler.unmount(container);
+      expect(target.textContent).toBe('');
+      target.remove();
+    });
+
+    it('should patch the content in place', () => {
+      const view = (label) => VStack(Portal(Text(label)));
+      Reconciler.mount(view('first'), container);
+      const span = hosts()[0].querySelector('span');
+
+      Reconciler.update(view('second'), container);
+
+      expect(hosts()[0].querySelector('span')).toBe(span);
+      expect(span.textContent).toBe('second');
+    });
+
+    it('should re-render components inside it on their own', () => {
+      const count = new State(0);
+      const Counter = Component(function Counter() {
+        return Text(`Count: ${count.value}`);
+      });
+      Reconciler.mount(VStack(Portal(Counter())), container);
+
+      count.value = 1;
+      flushSync(); // notification
+      flushSync(); // component re-render
+
+      expect(hosts()[0].textContent).toBe('Count: 1');
+    });
+  });
+
+  describe('cleanup', () => {
+    it('should remove the content when the portal is removed or unmounted', () => {
+      const view = (open) => VStack(Text('page'), open ? Portal(Text('toast')) : null);
+      Reconciler.mount(view(true), container);
+
+      Reconciler.update(view(false), container);
+      expect(hosts()).toHaveLength(0);
+
+      Reconciler.update(view(true), container);
+      expect(hosts()).toHaveLength(1);
+      Reconciler.unmount(container);
+      expect(hosts()).toHaveLength(0);
+    });
+  });
+
+  describe('lifecycle and events', () => {
+    it('should fire onAppear and onDisappear of the content', () => {
+      const events = [];
+      const view = (open) => VStack(open ? Portal(
+        Text('menu')
+          .onAppear(() => events.push(`appear:${document.body.contains(hosts()[0])}`))
+          .onDisappear(() => events.push('disappear'))
+      ) : null);
+
+      Reconciler.mount(view(true), container);
+      expect(events).toEqual(['appear:true']);
+
+      Reconciler.update(view(false), container);
+      expect(events).toEqual(['appear:true', 'disappear']);
+    });
+
+    it('should handle events in the content and bubble them to the views around it', () => {
+      const taps = [];
+      Reconciler.mount(VStack(
+        Portal(Button('Close', () => taps.push('button')))
+      ).onTapGesture(() => taps.push('stack')), container);
+
+      hosts()[0].querySelector('button').click();
+
+      expect(taps).toEqual(['button', 'stack']);
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Presentation Tests
+ * Tests for sheets, full screen covers and popovers
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { PresentationDetent, getPresentedCount } from '../../src/Core/Presentation.js';
+import { VStack, Text, Button } from '../../src/Core/ViewFactory.js';
+import { ForEach } from '../../src/View/List/ForEach.js';
+import { Divider } from '../../src/Layout/Divider.js';
+import { Spacer } from '../../src/Layout/Spacer.js';
+import { State } from '../../src/Data/State.js';
+import { Environment, EnvironmentValues } from '../../src/Data/Environment.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+describe('Presentation', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+  });
+
+  const presented = (view = 'Sheet') => document.querySelectorAll(`[data-view="${view}"]`);
+  const settle = () => {
+    flushSync(); // notification
+    flushSync(); // component re-render
+  };
+  const press = (key, options = {}) =>
+    document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+
+  const DoneButton = Component(function DoneButton() {
+    const dismiss = Environment.get(EnvironmentValues.dismiss);
+    return Button('Done', () => dismiss());
+  });
+
+  function mountSheet(options = {}, content = () => VStack(Text('Filters'), DoneButton())) {
+    const isPresented = new State(false);
+    const Page = Component(function Page() {
+      return VStack(Text('page')).sheet({ isPresented: isPresented.binding, ...options }, content);
+    });
+    Reconciler.mount(Page(), container);
+    return isPresented;
+  }
+
+  describe('sheet', () => {
+    it('should present its content above the page while the binding is true', () => {
+      const isPresented = mountSheet();
+      expect(presented()).toHaveLength(0);
+
+      isPresented.value = true;
+      settle();
+
+      expect(container.textContent).toBe('page');
+      expect(presented()).toHaveLength(1);
+      expect(presented()[0].textContent).toContain('Filters');
+      expect(presented()[0].querySelector('[role="dialog"]').getAttribute('aria-modal')).toBe('true');
+
+      isPresented.value = false;
+      settle();
+      expect(presented()).toHaveLength(0);
+    });
+
+    it('should give its content a dismiss action', () => {
+      const isPresented = mountSheet();
+      isPresented.value = true;
+      settle();
+
+      presented()[0].querySelector('button').click();
+      settle();
+
+      expect(isPresented.value).toBe(false);
+      expect(presented()).toHaveLength(0);
+    });
+
+    it('should dismiss on Escape and on a backdrop click', () => {
+      const isPresented = mountSheet();
+      isPresented.value = true;
+      settle();
+
+      press('Escape');
+      settle();
+      expect(isPresented.value).toBe(false);
+
+      isPresented.value = true;
+      settle();
+      presented()[0].querySelector('[data-presentation-backdrop]').click();
+      settle();
+      expect(isPresented.value).toBe(false);
+    });
+
+    it('should stay up with interactiveDismissDisabled', () => {
+      const isPresented = mountSheet({ interactiveDismissDisabled: true });
+      isPresented.value = true;
+      settle();
+
+      press('Escape');
+      presented()[0].querySelector('[data-presentation-backdrop]').click();
+      settle();
+
+      expect(isPresented.value).toBe(true);
+      presented()[0].querySelector('button').click();
+      settle();
+      expect(isPresented.value).toBe(false);
+    });
+
+    it('should lock page scrolling while presented', () => {
+      const isPresented = mountSheet();
+      document.body.style.overflow = 'scroll';
+
+      isPresented.value = true;
+      settle();
+      expect(document.body.style.overflow).toBe('hidden');
+
+      isPresented.value = false;
+      settle();
+      expect(document.body.style.overflow).toBe('scroll');
+      document.body.style.overflow = '';
+    });
+
+    it('should keep focus inside and restore it on close', () => {
+      const trigger = document.createElement('button');
+      container.parentNode.appendChild(trigger);
+      trigger.focus();
+      const isPresented = mountSheet({}, () => VStack(Button('Reset', () => {}), DoneButton()));
+
+      isPresented.value = true;
+      settle();
+      const [reset, done] = presented()[0].querySelectorAll('button');
+      expect(document.activeElement).toBe(reset);
+
+      done.focus();
+      press('Tab');
+      expect(document.activeElement).toBe(reset);
+      press('Tab', { shiftKey: true });
+      expect(document.activeElement).toBe(done);
+
+      isPresented.value = false;
+      settle();
+      expect(document.activeElement).toBe(trigger);
+      trigger.remove();
+    });
+
+    it('should move between detents and dismiss when dragged down', () => {
+      const isPresented = mountSheet({ detents: [PresentationDetent.large, PresentationDetent.medium] });
+      isPresented.value = true;
+      settle();
+      const panel = presented()[0].querySelector('[role="dialog"]');
+      const grabber = presented()[0].querySelector('[data-presentation-grabber]');
+      const available = window.innerHeight - 24;
+      const drag = (from, to) => {
+        grabber.dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, clientY: from }));
+        window.dispatchEvent(new MouseEvent('pointermove', { clientY: to }));
+        window.dispatchEvent(new MouseEvent('pointerup', { clientY: to }));
+      };
+
+      expect(panel.style.height).toBe(`${Math.round(available / 2)}px`);
+
+      drag(400, 100);
+      expect(panel.style.height).toBe(`${available}px`);
+
+      drag(100, 100 + available);
+      settle();
+      expect(isPresented.value).toBe(false);
+    });
+  });
+
+  describe('item', () => {
+    it('should build the content from the item and call onDismiss', () => {
+      const item = new State(null);
+      const dismissed = [];
+      const Page = Component(function Page() {
+        return VStack(Text('page')).fullScreenCover(
+          { item: item.binding, onDismiss: () => dismissed.push(true) },
+          (photo) => VStack(Text(`Photo ${photo.id}`), DoneButton())
+        );
+      });
+      Reconciler.mount(Page(), container);
+
+      item.value = { id: 3 };
+      settle();
+      expect(presented('FullScreenCover')[0].textContent).toContain('Photo 3');
+
+      presented('FullScreenCover')[0].querySelector('button').click();
+      settle();
+      expect(item.value).toBe(null);
+      expect(presented('FullScreenCover')).toHaveLength(0);
+      expect(dismissed).toEqual([true]);
+    });
+  });
+
+  describe('nesting', () => {
+    it('should stack nested presentations and dismiss the topmost first', () => {
+      const outer = new State(true);
+      const inner = new State(true);
+      const Page = Component(function Page() {
+        return VStack(Text('page')).sheet({ isPresented: outer.binding }, () =>
+          VStack(Text('outer')).popover({ isPresented: inner.binding }, () => Text('inner'))
+        );
+      });
+      Reconciler.mount(Page(), container);
+
+      const [sheet] = presented('Sheet');
+      const [popover] = presented('Popover');
+      expect(getPresentedCount()).toBe(2);
+      expect(Number(popover.style.zIndex)).toBeGreaterThan(Number(sheet.style.zIndex));
+
+      press('Escape');
+      settle();
+      expect(inner.value).toBe(false);
+      expect(outer.value).toBe(true);
+      expect(presented('Popover')).toHaveLength(0);
+
+      press('Escape');
+      settle();
+      expect(outer.value).toBe(false);
+      expect(getPresentedCount()).toBe(0);
+    });
+  });
+
+  describe('modifiers', () => {
+    it('should be available on ForEach, Divider and Spacer', () => {
+      const isPresented = new State(true);
+      const Page = Component(function Page() {
+        return VStack(
+          ForEach(['a', 'b'], { id: item => item }, item => Text(item))
+            .sheet({ isPresented: isPresented.binding }, () => Text('rows')),
+          Divider().fullScreenCover({ isPresented: isPresented.binding }, () => Text('cover')),
+          Spacer().popover({ isPresented: isPresented.binding }, () => Text('popover'))
+        );
+      });
+      Reconciler.mount(Page(), container);
+
+      expect(container.textContent).toBe('ab');
+      expect(getPresentedCount()).toBe(3);
+
+      isPresented.value = false;
+      settle();
+      expect(getPresentedCount()).toBe(0);
+    });
+  });
+});
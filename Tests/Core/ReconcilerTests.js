@@ -0,0 +1,150 @@
+/**
+ * Reconciler Tests
+ * Tests for keyed child diffing and patch application
+ */
+
+import { describe, it, expect, beforeEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { VStack, Text, ForEach } from '../../src/Core/ViewFactory.js';
+
+/**
+ * Build a keyed list of rows.
+ * @param {Array<{id: number, name: string}>} items
+ */
+function List(items) {
+  return VStack(ForEach(items, { id: 'id' }, item => Text(item.name)));
+}
+
+function makeItems(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: i, name: `Row ${i}` }));
+}
+
+function rowElements(container) {
+  return [...container.firstElementChild.firstElementChild.children];
+}
+
+describe('Reconciler', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    Reconciler.resetStats();
+  });
+
+  const cleanup = () => {
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+  };
+
+  describe('keyed moves', () => {
+    it('should reorder existing elements instead of re-creating them', () => {
+      const items = makeItems(3);
+      Reconciler.mount(List(items), container);
+      const [a, b, c] = rowElements(container);
+
+      Reconciler.update(List([items[2], items[0], items[1]]), container);
+
+      const rows = rowElements(container);
+      expect(rows[0]).toBe(c);
+      expect(rows[1]).toBe(a);
+      expect(rows[2]).toBe(b);
+      expect(Reconciler.getStats().moves).toBe(1);
+      expect(Reconciler.getStats().fullRerenders).toBe(0);
+      cleanup();
+    });
+
+    it('should only move the rows that changed position', () => {
+      const items = makeItems(500);
+      Reconciler.mount(List(items), container);
+      const before = rowElements(container);
+
+      const swapped = [...items];
+      [swapped[0], swapped[499]] = [swapped[499], swapped[0]];
+      Reconciler.update(List(swapped), container);
+
+      const rows = rowElements(container);
+      expect(rows[0]).toBe(before[499]);
+      expect(rows[499]).toBe(before[0]);
+      expect(rows[250]).toBe(before[250]);
+      expect(Reconciler.getStats().moves).toBe(2);
+      expect(Reconciler.getStats().fullRerenders).toBe(0);
+      cleanup();
+    });
+
+    it('should reverse a large list without a full re-render', () => {
+      const items = makeItems(500);
+      Reconciler.mount(List(items), container);
+      const before = rowElements(container);
+
+      Reconciler.update(List([...items].reverse()), container);
+
+      const rows = rowElements(container);
+      expect(rows[0]).toBe(before[499]);
+      expect(rows[499]).toBe(before[0]);
+      expect(rows.map(el => el.textContent)[1]).toBe('Row 498');
+      expect(Reconciler.getStats().fullRerenders).toBe(0);
+      cleanup();
+    });
+
+    it('should insert new rows at their position', () => {
+      const items = makeItems(3);
+      Reconciler.mount(List(items), container);
+      const [a, b, c] = rowElements(container);
+
+      Reconciler.update(List([items[0], { id: 9, name: 'New' }, items[1], items[2]]), container);
+
+      const rows = rowElements(container);
+      expect(rows.length).toBe(4);
+      expect(rows[0]).toBe(a);
+      expect(rows[1].textContent).toBe('New');
+      expect(rows[2]).toBe(b);
+      expect(rows[3]).toBe(c);
+      cleanup();
+    });
+
+    it('should remove and move in the same update', () => {
+      const items = makeItems(4);
+      Reconciler.mount(List(items), container);
+      const [a, , c, d] = rowElements(container);
+
+      Reconciler.update(List([items[3], items[0], items[2]]), container);
+
+      const rows = rowElements(container);
+      expect(rows.length).toBe(3);
+      expect(rows[0]).toBe(d);
+      expect(rows[1]).toBe(a);
+      expect(rows[2]).toBe(c);
+      cleanup();
+    });
+  });
+
+  describe('full re-render heuristic', () => {
+    it('should re-render when most of the tree is new', () => {
+      Reconciler.mount(List(makeItems(40)), container);
+
+      const replaced = makeItems(40).map(item => ({ id: item.id + 100, name: item.name }));
+      Reconciler.update(List(replaced), container);
+
+      expect(Reconciler.getStats().fullRerenders).toBe(1);
+      expect(rowElements(container).length).toBe(40);
+      cleanup();
+    });
+
+    it('should patch many small changes without re-rendering', () => {
+      const items = makeItems(100);
+      Reconciler.mount(List(items), container);
+      const before = rowElements(container);
+
+      // 40 text changes used to exceed the fixed 30-patch threshold
+      const edited = items.map(item => (item.id < 40 ? { ...item, name: `${item.name}!` } : item));
+      Reconciler.update(List(edited), container);
+
+      const rows = rowElements(container);
+      expect(Reconciler.getStats().fullRerenders).toBe(0);
+      expect(rows[0].textContent).toBe('Row 0!');
+      expect(rows[99]).toBe(before[99]);
+      cleanup();
+    });
+  });
+});
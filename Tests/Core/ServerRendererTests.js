@@ -0,0 +1,176 @@
+/**
+ * ServerRenderer Tests
+ * Tests for renderToString and App hydration
+ */
+
+import { describe, it, expect, beforeEach } from '../TestUtils.js';
+import { renderToString } from '../../src/Core/ServerRenderer.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { setPoolingEnabled, isPoolingEnabled } from '../../src/Core/ElementPool.js';
+import { View } from '../../src/Core/View.js';
+import { App } from '../../src/App/App.js';
+import { Text } from '../../src/View/Text.js';
+import { Button } from '../../src/View/Control/Button.js';
+import { VStack } from '../../src/Layout/Stack/VStack.js';
+
+describe('ServerRenderer', () => {
+  describe('renderToString()', () => {
+    it('should render a descriptor to markup', () => {
+      const html = renderToString(VStack(Text('Hello')));
+      expect(html.startsWith('<div')).toBe(true);
+      expect(html).toContain('<span');
+      expect(html).toContain('Hello');
+    });
+
+    it('should escape text content', () => {
+      const html = renderToString(Text('<b>&</b>'));
+      expect(html).toContain('&lt;b&gt;&amp;&lt;/b&gt;');
+    });
+
+    it('should serialize inline styles', () => {
+      const html = renderToString(Text('Styled').padding(10));
+      expect(html).toContain('padding: 10px');
+    });
+
+    it('should accept a factory function', () => {
+      const html = renderToString(() => Text('From factory'));
+      expect(html).toContain('From factory');
+    });
+
+    it('should render legacy View subclasses', () => {
+      class Legacy extends View {
+        _render() {
+          const el = document.createElement('section');
+          el.textContent = 'Legacy';
+          return el;
+        }
+      }
+      expect(renderToString(Legacy)).toBe('<section>Legacy</section>');
+    });
+
+    it('should leave the global document untouched', () => {
+      const before = document;
+      renderToString(Text('x'));
+      expect(document).toBe(before);
+    });
+
+    it('should leave element pooling as the caller had it', () => {
+      setPoolingEnabled(false);
+      renderToString(Text('x'));
+      expect(isPoolingEnabled()).toBe(false);
+
+      setPoolingEnabled(true);
+      renderToString(Text('x'));
+      expect(isPoolingEnabled()).toBe(true);
+    });
+
+    it('should drop event handlers from the output', () => {
+      const html = renderToString(Button('Go', () => {}));
+      expect(html).toContain('Go');
+      expect(html.includes('onclick')).toBe(false);
+    });
+  });
+
+  describe('App.hydrate()', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      Reconciler.resetStats();
+    });
+
+    const cleanup = () => {
+      container.parentNode?.removeChild(container);
+    };
+
+    it('should keep the server-rendered elements', () => {
+      const content = () => VStack(Text('Server'));
+      container.innerHTML = renderToString(content);
+      const serverRoot = container.firstElementChild;
+
+      App(content).hydrate(container);
+
+      expect(container.firstElementChild).toBe(serverRoot);
+      expect(container.textContent).toBe('Server');
+      expect(Reconciler.getStats().hydrationMismatches).toBe(0);
+      cleanup();
+    });
+
+    it('should attach event handlers to adopted elements', () => {
+      let taps = 0;
+      const content = () => VStack(Button('Tap', () => taps++));
+      container.innerHTML = renderToString(content);
+      const serverButton = container.querySelector('button');
+
+      App(content).hydrate(container);
+      serverButton.click();
+
+      expect(container.querySelector('button')).toBe(serverButton);
+      expect(taps > 0).toBe(true);
+      cleanup();
+    });
+
+    it('should patch mismatched text', () => {
+      container.innerHTML = renderToString(VStack(Text('Old')));
+
+      App(() => VStack(Text('New'))).hydrate(container);
+
+      expect(container.textContent).toBe('New');
+      expect(Reconciler.getStats().hydrationMismatches).toBe(1);
+      cleanup();
+    });
+
+    it('should render legacy View subtrees afresh instead of adopting them', () => {
+      let taps = 0;
+      class Legacy extends View {
+        _render() {
+          const el = document.createElement('section');
+          el.textContent = 'Legacy';
+          el.addEventListener('click', () => taps++);
+          return el;
+        }
+      }
+      const content = () => VStack(Text('Server'), new Legacy());
+      container.innerHTML = renderToString(content);
+      const serverRoot = container.firstElementChild;
+      const serverSection = container.querySelector('section');
+
+      App(content).hydrate(container);
+
+      // The descriptor root is adopted; the legacy element is replaced
+      expect(container.firstElementChild).toBe(serverRoot);
+      expect(container.querySelector('section') === serverSection).toBe(false);
+      container.querySelector('section').click();
+      expect(taps).toBe(1);
+      expect(Reconciler.getStats().hydrationMismatches).toBe(0);
+      cleanup();
+    });
+
+    it('should render a legacy root afresh', () => {
+      class LegacyRoot extends View {
+        _render() {
+          const el = document.createElement('main');
+          el.textContent = 'Legacy root';
+          return el;
+        }
+      }
+      container.innerHTML = renderToString(LegacyRoot);
+      const serverRoot = container.firstElementChild;
+
+      App(LegacyRoot).hydrate(container);
+
+      expect(container.firstElementChild === serverRoot).toBe(false);
+      expect(container.innerHTML).toBe('<main>Legacy root</main>');
+      cleanup();
+    });
+
+    it('should mount when there is no markup', () => {
+      App(() => Text('Fresh')).hydrate(container);
+
+      expect(container.textContent).toBe('Fresh');
+      expect(container.dataset.swiftuiMounted).toBe('true');
+      cleanup();
+    });
+  });
+});
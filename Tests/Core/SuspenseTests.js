@@ -0,0 +1,182 @@
+/**
+ * Suspense Tests
+ * Tests for AsyncView loading states and Suspense coordination
+ */
+
+import { describe, it, expect, beforeEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { AsyncView, Suspense } from '../../src/Core/Suspense.js';
+import { ErrorBoundary } from '../../src/Core/ErrorBoundary.js';
+import { VStack, Text, Button } from '../../src/Core/ViewFactory.js';
+import { State } from '../../src/Data/State.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+/**
+ * A thenable settled by hand, so loads resolve synchronously in tests.
+ */
+function deferred() {
+  const callbacks = [];
+  return {
+    promise: { then: (onResolve, onReject) => callbacks.push([onResolve, onReject]) },
+    resolve: (value) => callbacks.forEach(([onResolve]) => onResolve(value)),
+    reject: (error) => callbacks.forEach(([, onReject]) => onReject(error))
+  };
+}
+
+describe('Suspense', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    Reconciler.resetStats();
+  });
+
+  const cleanup = () => {
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+  };
+
+  const visible = (view) => container.querySelector(`[data-view="${view}"]`).style.display !== 'none';
+
+  describe('AsyncView', () => {
+    it('should show the fallback until the promise resolves', () => {
+      const load = deferred();
+      Reconciler.mount(VStack(AsyncView(() => load.promise, {
+        fallback: Text('Loading'),
+        content: user => Text(`Hello ${user.name}`)
+      })), container);
+      expect(container.textContent).toBe('Loading');
+
+      load.resolve({ name: 'Ada' });
+      flushSync();
+
+      expect(container.textContent).toBe('Hello Ada');
+      cleanup();
+    });
+
+    it('should show the error view and retry', () => {
+      let attempt = 0;
+      const loads = [deferred(), deferred()];
+      Reconciler.mount(VStack(AsyncView(() => loads[attempt++].promise, {
+        fallback: Text('Loading'),
+        error: (error, retry) => Button(`Failed: ${error.message}`, retry)
+      })), container);
+
+      loads[0].reject(new Error('offline'));
+      flushSync();
+      expect(container.textContent).toBe('Failed: offline');
+
+      container.querySelector('button').click();
+      flushSync();
+      expect(container.textContent).toBe('Loading');
+
+      loads[1].resolve(Text('Loaded'));
+      flushSync();
+      expect(container.textContent).toBe('Loaded');
+      cleanup();
+    });
+
+    it('should throw rejections without an error view to the nearest ErrorBoundary', () => {
+      const load = deferred();
+      Reconciler.mount(VStack(ErrorBoundary(
+        error => Text(`Boundary: ${error.message}`),
+        () => AsyncView(() => load.promise, { fallback: Text('Loading') })
+      )), container);
+
+      load.reject(new Error('not found'));
+      flushSync(); // AsyncView re-render fails
+      flushSync(); // boundary shows its fallback
+
+      expect(container.textContent).toBe('Boundary: not found');
+      cleanup();
+    });
+
+    it('should load again when a value read by the loader changes', () => {
+      const userId = new State(1);
+      const loads = {};
+      Reconciler.mount(VStack(AsyncView(() => {
+        loads[userId.value] = deferred();
+        return loads[userId.value].promise;
+      }, { fallback: Text('Loading') })), container);
+      loads[1].resolve(Text('User 1'));
+      flushSync();
+
+      userId.value = 2;
+      flushSync(); // notification starts the new load
+      flushSync(); // re-render
+      expect(container.textContent).toBe('Loading');
+
+      // A late result of the previous load is ignored
+      loads[1].resolve(Text('stale'));
+      loads[2].resolve(Text('User 2'));
+      flushSync();
+      expect(container.textContent).toBe('User 2');
+      cleanup();
+    });
+
+    it('should load again when deps change', () => {
+      let calls = 0;
+      const view = (id) => VStack(AsyncView(() => {
+        calls++;
+        return Text(`Item ${id}`);
+      }, { deps: [id] }));
+      Reconciler.mount(view(1), container);
+
+      Reconciler.update(view(1), container);
+      expect(calls).toBe(1);
+
+      Reconciler.update(view(2), container);
+      expect(calls).toBe(2);
+      expect(container.textContent).toBe('Item 2');
+      cleanup();
+    });
+  });
+
+  describe('Suspense()', () => {
+    it('should show one fallback until every child has settled', () => {
+      const profile = deferred();
+      const posts = deferred();
+      Reconciler.mount(Suspense(Text('Loading page'), () => VStack(
+        AsyncView(() => profile.promise, { fallback: Text('profile…') }),
+        AsyncView(() => posts.promise, { fallback: Text('posts…') })
+      )), container);
+      expect(visible('SuspenseFallback')).toBe(true);
+      expect(visible('SuspenseContent')).toBe(false);
+
+      profile.resolve(Text('Ada'));
+      flushSync();
+      expect(visible('SuspenseContent')).toBe(false);
+
+      posts.resolve(Text('3 posts'));
+      flushSync();
+      expect(visible('SuspenseFallback')).toBe(false);
+      expect(visible('SuspenseContent')).toBe(true);
+      expect(container.querySelector('[data-view="SuspenseContent"]').textContent).toBe('Ada3 posts');
+      expect(Reconciler.getStats().componentUpdates).toBe(1);
+      cleanup();
+    });
+
+    it('should suspend again when a child reloads', () => {
+      const query = new State('a');
+      const loads = {};
+      Reconciler.mount(Suspense(Text('Loading'), () => AsyncView(() => {
+        loads[query.value] = deferred();
+        return loads[query.value].promise;
+      })), container);
+      loads.a.resolve(Text('results for a'));
+      flushSync();
+      expect(visible('SuspenseContent')).toBe(true);
+
+      query.value = 'b';
+      flushSync();
+      expect(visible('SuspenseContent')).toBe(false);
+
+      loads.b.resolve(Text('results for b'));
+      flushSync();
+      expect(visible('SuspenseContent')).toBe(true);
+      expect(container.querySelector('[data-view="SuspenseContent"]').textContent).toBe('results for b');
+      cleanup();
+    });
+  });
+});
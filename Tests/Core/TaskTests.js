@@ -0,0 +1,178 @@
+/**
+ * Task Tests
+ * Tests for the task() modifier running async work while a view is shown
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { View } from '../../src/Core/View.js';
+import { VStack, Text } from '../../src/Core/ViewFactory.js';
+import { flushLifecycleCallbacks } from '../../src/Core/LifecycleObserver.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+import { State } from '../../src/Data/State.js';
+import * as SwiftUI from '../../src/index.js';
+
+describe('task()', () => {
+  let container;
+  let runs;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    runs = [];
+  });
+
+  afterEach(() => {
+    Reconciler.unmount(container);
+    container.remove();
+  });
+
+  const record = (name) => (signal) => {
+    runs.push({ name, signal });
+  };
+
+  describe('descriptors', () => {
+    it('should run on appear and abort when the view disappears', () => {
+      const show = new State(true);
+      const Screen = Component(function Screen() {
+        return VStack(show.value ? Text('Profile').task(record('load')) : Text('Empty'));
+      });
+      Reconciler.mount(Screen(), container);
+
+      expect(runs.length).toBe(1);
+      expect(runs[0].signal.aborted).toBe(false);
+
+      show.value = false;
+      flushSync(); // notification
+      flushSync(); // component re-render
+      flushLifecycleCallbacks();
+
+      expect(runs[0].signal.aborted).toBe(true);
+      expect(runs.length).toBe(1);
+    });
+
+    it('should re-run when the id changes, aborting the previous run', () => {
+      const userId = new State(1);
+      const title = new State('User');
+      const Profile = Component(function Profile() {
+        const id = userId.value;
+        return Text(title.value).task(record(`user ${id}`), { id });
+      });
+      Reconciler.mount(Profile(), container);
+
+      title.value = 'Profile';
+      flushSync();
+      flushSync();
+      flushLifecycleCallbacks();
+      expect(runs.map(run => run.name)).toEqual(['user 1']);
+      expect(runs[0].signal.aborted).toBe(false);
+
+      userId.value = 2;
+      flushSync();
+      flushSync();
+      flushLifecycleCallbacks();
+
+      expect(runs.map(run => run.name)).toEqual(['user 1', 'user 2']);
+      expect(runs[0].signal.aborted).toBe(true);
+      expect(runs[1].signal.aborted).toBe(false);
+      expect(container.textContent).toBe('Profile');
+    });
+
+    it('should compare ids with Object.is', () => {
+      const circular = { name: 'circular' };
+      circular.self = circular;
+      const id = new State(circular);
+      const title = new State('Feed');
+      const Feed = Component(function Feed() {
+        return Text(title.value).task(record('feed'), { id: id.value });
+      });
+      Reconciler.mount(Feed(), container);
+
+      title.value = 'Feed 2';
+      flushSync();
+      flushSync();
+      flushLifecycleCallbacks();
+      expect(runs.length).toBe(1);
+
+      id.value = () => 'first';
+      flushSync();
+      flushSync();
+      id.value = () => 'second';
+      flushSync();
+      flushSync();
+      flushLifecycleCallbacks();
+      expect(runs.length).toBe(3);
+      expect(runs.map(run => run.signal.aborted)).toEqual([true, true, false]);
+    });
+
+    it('should batch state changes made before the first await', () => {
+      const first = new State('');
+      const last = new State('');
+      let renders = 0;
+      const Name = Component(function Name() {
+        renders++;
+        return Text(`${first.value} ${last.value}`).task(() => {
+          first.value = 'Ada';
+          last.value = 'Lovelace';
+        });
+      });
+      Reconciler.mount(Name(), container);
+      flushSync();
+
+      expect(container.textContent).toBe('Ada Lovelace');
+      expect(renders).toBe(2);
+    });
+
+    it('should run alongside onAppear', () => {
+      const appeared = [];
+      Reconciler.mount(
+        Text('Feed').onAppear(() => appeared.push('appear')).task(() => { appeared.push('task'); }),
+        container
+      );
+
+      expect(appeared).toEqual(['appear', 'task']);
+    });
+
+    it('should be available on every view exported from the package', () => {
+      const views = {
+        VStack: SwiftUI.VStack(SwiftUI.Text('a')),
+        HStack: SwiftUI.HStack(SwiftUI.Text('b')),
+        ZStack: SwiftUI.ZStack(SwiftUI.Text('c')),
+        Text: SwiftUI.Text('d').bold(),
+        Button: SwiftUI.Button('e', () => {}).disabled(),
+        Spacer: SwiftUI.Spacer(),
+        Divider: SwiftUI.Divider(),
+        ForEach: SwiftUI.ForEach(['f'], item => SwiftUI.Text(item))
+      };
+
+      Reconciler.mount(SwiftUI.VStack(
+        ...Object.entries(views).map(([name, view]) => view.task(record(name)))
+      ), container);
+
+      expect(runs.map(run => run.name)).toEqual(Object.keys(views));
+    });
+  });
+
+  describe('legacy views', () => {
+    class Badge extends View {
+      _render() {
+        return this._applyModifiers(document.createElement('span'));
+      }
+    }
+
+    it('should run while the element is in the document', () => {
+      const element = new Badge().task(record('badge'), { id: 1 })._render();
+      flushLifecycleCallbacks();
+      expect(runs.length).toBe(0);
+
+      container.appendChild(element);
+      flushLifecycleCallbacks();
+      expect(runs.length).toBe(1);
+
+      element.remove();
+      flushLifecycleCallbacks();
+      expect(runs[0].signal.aborted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Transition Tests
+ * Tests for startTransition and time-sliced, interruptible reconciliation
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { VStack, Text, ForEach } from '../../src/Core/ViewFactory.js';
+import { State } from '../../src/Data/State.js';
+import {
+  startTransition,
+  isTransitionPending,
+  shouldYield,
+  setFrameBudget,
+  flushTransitions,
+  flushSync,
+  scheduleWork,
+  TransitionLane
+} from '../../src/Core/Scheduler.js';
+
+const ITEMS = Array.from({ length: 20 }, (_, i) => ({ id: i, name: `Item ${i}` }));
+
+const list = (filter) => VStack(
+  ForEach(ITEMS.filter(item => item.name.includes(filter)), { id: 'id' }, item => Text(item.name))
+);
+
+/** Run transition slices until none is left; returns the number of slices */
+const drain = () => {
+  let slices = 1;
+  while (flushTransitions()) slices++;
+  return slices;
+};
+
+describe('Transitions', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    Reconciler.resetStats();
+    // One unit of work per slice, so tests can stop between any two
+    setFrameBudget(0);
+  });
+
+  afterEach(() => {
+    drain();
+    setFrameBudget();
+    Reconciler.unmount(container);
+    container.parentNode?.removeChild(container);
+  });
+
+  const rowCount = () => container.querySelectorAll('span').length;
+
+  describe('startTransition()', () => {
+    it('should defer state changes to the transition lane', () => {
+      const filter = new State('');
+      const FilteredList = Component(function FilteredList() {
+        return list(filter.value);
+      });
+      Reconciler.mount(FilteredList(), container);
+      expect(rowCount()).toBe(20);
+
+      startTransition(() => { filter.value = 'Item 1'; });
+      flushSync();
+      expect(rowCount()).toBe(20);
+
+      drain();
+      expect(rowCount()).toBe(11);
+      expect(Reconciler.getStats().transitions).toBe(1);
+    });
+
+    it('should expose whether a transition is pending', () => {
+      const filter = new State('');
+      const Spinner = Component(function Spinner() {
+        return Text(isTransitionPending() ? 'loading' : 'idle');
+      });
+      const FilteredList = Component(function FilteredList() {
+        return list(filter.value);
+      });
+      Reconciler.mount(VStack(Spinner(), FilteredList()), container);
+
+      startTransition(() => { filter.value = 'Item 2'; });
+      expect(isTransitionPending()).toBe(true);
+      flushSync();
+      expect(container.querySelector('span').textContent).toBe('loading');
+
+      drain();
+      flushSync();
+      expect(isTransitionPending()).toBe(false);
+      expect(container.querySelector('span').textContent).toBe('idle');
+    });
+
+    it('should stop pending when an urgent update takes over the transition work', () => {
+      const filter = new State('');
+      const Spinner = Component(function Spinner() {
+        return Text(isTransitionPending() ? 'loading' : 'idle');
+      });
+      const FilteredList = Component(function FilteredList() {
+        return list(filter.value);
+      });
+      Reconciler.mount(VStack(Spinner(), FilteredList()), container);
+
+      startTransition(() => { filter.value = 'Item 2'; });
+      expect(isTransitionPending()).toBe(true);
+      filter.value = 'Item 3';
+      expect(isTransitionPending()).toBe(false);
+
+      flushSync(); // notification
+      flushSync(); // urgent re-render
+      drain();
+      expect(isTransitionPending()).toBe(false);
+      expect(container.querySelector('span').textContent).toBe('idle');
+      expect(rowCount()).toBe(2);
+    });
+  });
+
+  describe('time slicing', () => {
+    it('should render across slices and patch the DOM only on commit', () => {
+      Reconciler.mount(list(''), container);
+      const kept = container.querySelectorAll('span')[1];
+
+      Reconciler.updateConcurrent(list('Item 1'), container);
+      flushTransitions();
+      expect(rowCount()).toBe(20);
+
+      expect(drain()).toBeGreaterThan(1);
+      expect(rowCount()).toBe(11);
+      expect(container.querySelector('span')).toBe(kept);
+    });
+
+    it('should yield when urgent work is waiting', () => {
+      flushSync();
+      const yields = [];
+      scheduleWork(() => {
+        yields.push(shouldYield());
+        scheduleWork(() => {}, 2);
+        yields.push(shouldYield());
+      }, TransitionLane);
+      setFrameBudget(1000);
+
+      flushTransitions();
+      flushSync();
+
+      expect(yields).toEqual([false, true]);
+      expect(shouldYield()).toBe(false);
+    });
+  });
+
+  describe('interruption', () => {
+    it('should let an urgent update commit first, then restart the transition', () => {
+      const title = new State('Title');
+      const filter = new State('');
+      const Header = Component(function Header() {
+        return Text(title.value);
+      });
+      const FilteredList = Component(function FilteredList() {
+        return list(filter.value);
+      });
+      Reconciler.mount(VStack(Header(), FilteredList()), container);
+
+      startTransition(() => { filter.value = 'Item 1'; });
+      flushTransitions(); // notification
+      flushTransitions(); // schedules the component render
+      flushTransitions(); // first slice of the render
+
+      title.value = 'Typing';
+      flushSync(); // notification
+      flushSync(); // urgent re-render
+      expect(container.querySelector('span').textContent).toBe('Typing');
+      expect(rowCount()).toBe(21);
+
+      drain();
+      expect(rowCount()).toBe(12);
+      expect(container.querySelector('span').textContent).toBe('Typing');
+      expect(Reconciler.getStats().transitionRestarts).toBe(1);
+    });
+
+    it('should let a newer transition replace an unfinished one', () => {
+      Reconciler.mount(list(''), container);
+
+      Reconciler.updateConcurrent(list('Item 1'), container);
+      flushTransitions();
+      Reconciler.updateConcurrent(list('Item 2'), container);
+      drain();
+
+      expect(rowCount()).toBe(1);
+      expect(Reconciler.getStats().transitions).toBe(1);
+    });
+  });
+});
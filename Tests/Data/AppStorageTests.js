@@ -0,0 +1,166 @@
+/**
+ * AppStorage and SceneStorage Tests
+ * Tests for State persisted in Web Storage
+ */
+
+import { describe, it, expect, beforeEach } from '../TestUtils.js';
+import { AppStorage, SceneStorage, StorageCodec } from '../../src/Data/AppStorage.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+}
+
+const pointCodec = {
+  encode: point => JSON.stringify([point.x, point.y]),
+  decode: text => new Point(...JSON.parse(text))
+};
+
+/** States are shared per key, so every test uses keys of its own */
+let counter = 0;
+const uniqueKey = (name) => `test.${name}.${++counter}`;
+
+/** Simulate a write made by another tab */
+const otherTab = (key, newValue) => {
+  window.dispatchEvent(new StorageEvent('storage', { key, newValue, storageArea: localStorage }));
+};
+
+describe('AppStorage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  describe('reading and writing', () => {
+    it('should use the default until a value is stored', () => {
+      const key = uniqueKey('theme');
+      const theme = AppStorage(key, 'light');
+      expect(theme.value).toBe('light');
+      expect(localStorage.getItem(key)).toBeNull();
+
+      theme.value = 'dark';
+      expect(localStorage.getItem(key)).toBe('"dark"');
+    });
+
+    it('should read the stored value and share one State per key', () => {
+      const key = uniqueKey('count');
+      localStorage.setItem(key, '3');
+
+      const count = AppStorage(key, 0);
+      expect(count.value).toBe(3);
+      expect(AppStorage(key, 0)).toBe(count);
+    });
+
+    it('should batch notifications and work through its binding', () => {
+      const volume = AppStorage(uniqueKey('volume'), 5);
+      const received = [];
+      volume.subscribe(value => received.push(value));
+
+      volume.binding.value = 6;
+      volume.value = 7;
+      flushSync();
+
+      expect(received).toEqual([7]);
+    });
+
+    it('should remove the key on reset()', () => {
+      const key = uniqueKey('name');
+      const name = AppStorage(key, 'guest');
+      name.value = 'Ada';
+
+      name.reset();
+
+      expect(name.value).toBe('guest');
+      expect(localStorage.getItem(key)).toBeNull();
+    });
+  });
+
+  describe('other tabs', () => {
+    it('should follow values written by other tabs', () => {
+      const key = uniqueKey('sync');
+      const mode = AppStorage(key, 'list');
+      const received = [];
+      mode.subscribe(value => received.push(value));
+
+      otherTab(key, '"grid"');
+      flushSync();
+      expect(mode.value).toBe('grid');
+      expect(received).toEqual(['grid']);
+
+      otherTab(null, null);
+      expect(mode.value).toBe('list');
+    });
+  });
+
+  describe('codecs', () => {
+    it('should store Dates, Maps and classes with codecs', () => {
+      const dateKey = uniqueKey('date');
+      const seen = AppStorage(dateKey, new Date(0), { codec: StorageCodec.date });
+      seen.value = new Date('2024-05-01T10:00:00.000Z');
+      expect(localStorage.getItem(dateKey)).toBe('2024-05-01T10:00:00.000Z');
+
+      const mapKey = uniqueKey('map');
+      localStorage.setItem(mapKey, '[["a",1]]');
+      expect(AppStorage(mapKey, new Map(), { codec: StorageCodec.map }).value.get('a')).toBe(1);
+
+      const pointKey = uniqueKey('point');
+      localStorage.setItem(pointKey, '[2,3]');
+      const origin = AppStorage(pointKey, new Point(0, 0), { codec: pointCodec });
+      expect(origin.value instanceof Point).toBe(true);
+      expect(origin.value.y).toBe(3);
+    });
+
+    it('should use the default when the stored value cannot be decoded', () => {
+      const key = uniqueKey('broken');
+      localStorage.setItem(key, '{not json');
+      const warn = console.warn;
+      console.warn = () => {};
+
+      const settings = AppStorage(key, { compact: false });
+
+      console.warn = warn;
+      expect(settings.value).toEqual({ compact: false });
+    });
+  });
+
+  describe('SceneStorage', () => {
+    it('should persist in sessionStorage', () => {
+      const key = uniqueKey('draft');
+      const draft = SceneStorage(key, '');
+      draft.value = 'Hello';
+
+      expect(sessionStorage.getItem(key)).toBe('"Hello"');
+      expect(localStorage.getItem(key)).toBeNull();
+    });
+  });
+
+  // Last: once in memory, a storage area stays there
+  describe('memory fallback', () => {
+    it('should keep values in memory when storage rejects writes', () => {
+      const key = uniqueKey('quota');
+      const kept = AppStorage(uniqueKey('kept'), 'before');
+      kept.value = 'saved';
+      const quota = AppStorage(key, 0);
+
+      const proto = Object.getPrototypeOf(localStorage);
+      const setItem = proto.setItem;
+      const warn = console.warn;
+      proto.setItem = () => { throw new Error('QuotaExceededError'); };
+      console.warn = () => {};
+      try {
+        quota.value = 1;
+      } finally {
+        proto.setItem = setItem;
+        console.warn = warn;
+      }
+
+      expect(quota.value).toBe(1);
+      expect(kept.value).toBe('saved');
+      quota.value = 2;
+      expect(localStorage.getItem(key)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Computed Tests
+ * Tests for derived state with automatic dependency tracking
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { Computed } from '../../src/Data/Computed.js';
+import { State } from '../../src/Data/State.js';
+import { ObservableObject } from '../../src/Data/ObservableObject.js';
+import { Observable } from '../../src/Data/Observable.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { Text } from '../../src/Core/ViewFactory.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+describe('Computed', () => {
+  describe('tracking', () => {
+    it('should memoize and recompute lazily after a State changes', () => {
+      const price = new State(10);
+      const quantity = new State(2);
+      let runs = 0;
+      const total = Computed(() => {
+        runs++;
+        return price.value * quantity.value;
+      });
+      expect(runs).toBe(0);
+      total.subscribe(() => {});
+
+      expect(total.value).toBe(20);
+      expect(total.value).toBe(20);
+      expect(runs).toBe(1);
+
+      quantity.value = 3;
+      price.value = 5;
+      flushSync();
+      expect(total.isStale).toBe(true);
+      expect(runs).toBe(1);
+
+      expect(total.value).toBe(15);
+      expect(runs).toBe(2);
+    });
+
+    it('should follow ObservableObject and Observable properties', () => {
+      const cart = new ObservableObject().published('items', [3, 4]).published('note', '');
+      const settings = Observable({ tax: 0.5 });
+      const total = Computed(() => cart.items.reduce((sum, n) => sum + n, 0) * (1 + settings.tax));
+      total.subscribe(() => {});
+      expect(total.value).toBe(10.5);
+
+      cart.note = 'gift';
+      expect(total.isStale).toBe(false);
+
+      cart.items = [2];
+      expect(total.value).toBe(3);
+      settings.tax = 0;
+      expect(total.value).toBe(2);
+    });
+
+    it('should only follow what the last run read', () => {
+      const useMetric = new State(true);
+      const meters = new State(1);
+      const feet = new State(3);
+      const length = Computed(() => useMetric.value ? `${meters.value} m` : `${feet.value} ft`);
+      length.subscribe(() => {});
+      expect(length.value).toBe('1 m');
+
+      feet.value = 6;
+      flushSync();
+      expect(length.isStale).toBe(false);
+
+      useMetric.value = false;
+      flushSync();
+      expect(length.value).toBe('6 ft');
+    });
+
+    it('should chain through other Computed values', () => {
+      const items = new State([1, 2, 3]);
+      const evens = Computed(() => items.value.filter(n => n % 2 === 0));
+      const count = Computed(() => evens.value.length);
+      expect(count.value).toBe(1);
+
+      items.value = [2, 4];
+      flushSync();
+      expect(count.isStale).toBe(true);
+      expect(count.value).toBe(2);
+    });
+  });
+
+  describe('subscribe()', () => {
+    it('should notify once per batch and only when the value changed', () => {
+      const count = new State(1);
+      const isEven = Computed(() => count.value % 2 === 0);
+      const received = [];
+      isEven.subscribe(value => received.push(value));
+
+      count.value = 3;
+      flushSync(); // State notification
+      flushSync(); // Computed notification
+      expect(received).toEqual([]);
+
+      count.value = 4;
+      count.value = 6;
+      flushSync();
+      flushSync();
+      expect(received).toEqual([true]);
+    });
+
+    it('should stop following its dependencies once unsubscribed', () => {
+      const name = new State('a');
+      const upper = Computed(() => name.value.toUpperCase());
+      const unsubscribe = upper.subscribe(() => {});
+      expect(name._subscribers.size).toBe(1);
+
+      unsubscribe();
+      expect(name._subscribers.size).toBe(0);
+      expect(upper.value).toBe('A');
+    });
+
+    it('should not subscribe to its dependencies when read without observers', () => {
+      const name = new State('a');
+      const upper = Computed(() => name.value.toUpperCase());
+      const initials = Computed(() => upper.value[0]);
+
+      expect(initials.value).toBe('A');
+      expect(name._subscribers.size).toBe(0);
+      expect(upper._dependents.size).toBe(0);
+
+      name.value = 'b';
+      expect(initials.value).toBe('B');
+    });
+  });
+
+  describe('binding', () => {
+    it('should be read-only', () => {
+      const first = new State('Ada');
+      const greeting = Computed(() => `Hello, ${first.value}`);
+
+      expect(greeting.binding.wrappedValue).toBe('Hello, Ada');
+      expect(() => { greeting.binding.wrappedValue = 'Hi'; }).toThrow('read-only');
+      expect(() => { greeting.value = 'Hi'; }).toThrow("can't be set");
+    });
+  });
+
+  describe('cycles', () => {
+    it('should throw an error naming the cycle', () => {
+      const a = Computed(() => b.value + 1, { name: 'a' });
+      const b = Computed(() => a.value + 1, { name: 'b' });
+
+      expect(() => a.value).toThrow('Computed cycle detected: a → b → a');
+      expect(a.isStale).toBe(true);
+    });
+  });
+
+  describe('in components', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+    });
+
+    afterEach(() => {
+      Reconciler.unmount(container);
+    });
+
+    it('should re-render components reading it', () => {
+      const items = new State(['a']);
+      const summary = Computed(() => `${items.value.length} items`);
+      const Summary = Component(function Summary() {
+        return Text(summary.value);
+      });
+      Reconciler.mount(Summary(), container);
+
+      items.value = ['a', 'b'];
+      flushSync(); // notification
+      flushSync(); // component re-render
+
+      expect(container.textContent).toBe('2 items');
+    });
+  });
+});
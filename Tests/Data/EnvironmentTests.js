@@ -0,0 +1,201 @@
+/**
+ * Environment Tests
+ * Tests for environment values scoped to view subtrees
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import {
+  Environment,
+  EnvironmentKey,
+  EnvironmentValues,
+  EnvironmentObject,
+  extendViewWithEnvironment
+} from '../../src/Data/Environment.js';
+import { State } from '../../src/Data/State.js';
+import { ObservableObject } from '../../src/Data/ObservableObject.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { render } from '../../src/Core/Renderer.js';
+import { Component } from '../../src/Core/Component.js';
+import { View } from '../../src/Core/View.js';
+import { VStack, HStack, Text } from '../../src/Core/ViewFactory.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+import * as SwiftUI from '../../src/index.js';
+
+extendViewWithEnvironment(View);
+
+const AccentKey = new EnvironmentKey('accent', 'blue');
+
+const Accent = Component(function Accent() {
+  return Text(Environment.get(AccentKey));
+});
+
+class Settings extends ObservableObject {
+  constructor(name) {
+    super();
+    this.published('name', name);
+  }
+}
+
+describe('Environment', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  afterEach(() => {
+    Reconciler.unmount(container);
+  });
+
+  const texts = () => [...container.querySelectorAll('span')].map(span => span.textContent);
+
+  describe('scoped values', () => {
+    it('should apply values to the subtree that sets them', () => {
+      Reconciler.mount(HStack(
+        Accent(),
+        VStack(Accent(), VStack(Accent()).environment(AccentKey, 'red')).environment(AccentKey, 'orange')
+      ), container);
+
+      expect(texts()).toEqual(['blue', 'orange', 'red']);
+    });
+
+    it('should let the innermost value win and apply to components directly', () => {
+      Reconciler.mount(VStack(
+        Accent().environment(AccentKey, 'inner').environment(AccentKey, 'outer'),
+        Accent().environment(EnvironmentValues.colorScheme, 'dark')
+      ), container);
+
+      expect(texts()).toEqual(['inner', 'blue']);
+    });
+
+    it('should fall back to the global value, then the key default', () => {
+      const SizeKey = new EnvironmentKey('size', 'medium');
+      const Size = Component(function Size() {
+        return Text(Environment.get(SizeKey));
+      });
+
+      Reconciler.mount(Size(), container);
+      expect(texts()).toEqual(['medium']);
+
+      Environment.set(SizeKey, 'large');
+      Reconciler.update(VStack(Size(), Size().environment(SizeKey, 'small')), container);
+      expect(texts()).toEqual(['large', 'small']);
+    });
+
+    it('should scope environment objects', () => {
+      const global = new Settings('global');
+      const preview = new Settings('preview');
+      Environment.setObject(Settings, global);
+      const Name = Component(function Name() {
+        return Text(EnvironmentObject(Settings).name);
+      });
+
+      Reconciler.mount(VStack(Name(), VStack(Name()).environmentObject(preview)), container);
+
+      expect(texts()).toEqual(['global', 'preview']);
+      Environment.removeObject(Settings);
+    });
+
+    it('should keep the values when a component re-renders on its own', () => {
+      const count = new State(0);
+      const Counter = Component(function Counter() {
+        return Text(`${Environment.get(AccentKey)} ${count.value}`);
+      });
+      Reconciler.mount(VStack(VStack(Counter()).environment(AccentKey, 'green')), container);
+
+      count.value = 1;
+      flushSync(); // notification
+      flushSync(); // component re-render
+
+      expect(texts()).toEqual(['green 1']);
+    });
+
+    it('should reach components when rendering without the Reconciler', () => {
+      const element = render(VStack(Accent()).environment(AccentKey, 'plain'));
+
+      expect(element.textContent).toBe('plain');
+    });
+
+    it('should set values on every view exported from the package', () => {
+      const preview = new Settings('preview');
+      const Name = Component(function Name() {
+        return SwiftUI.Text(`${Environment.get(AccentKey)} ${EnvironmentObject(Settings).name}`);
+      });
+      const views = [
+        SwiftUI.VStack(Name()),
+        SwiftUI.HStack(Name()),
+        SwiftUI.ZStack(Name()),
+        SwiftUI.Text('text'),
+        SwiftUI.Button('button', () => {}),
+        SwiftUI.Spacer(),
+        SwiftUI.Divider(),
+        SwiftUI.ForEach(['row'], () => Name())
+      ];
+
+      Reconciler.mount(SwiftUI.VStack(
+        ...views.map(view => view.environment(AccentKey, 'teal').environmentObject(preview))
+      ), container);
+
+      expect(texts().filter(text => text.startsWith('teal'))).toEqual([
+        'teal preview', 'teal preview', 'teal preview', 'teal preview'
+      ]);
+    });
+  });
+
+  describe('updates', () => {
+    it('should re-render only the components reading a changed global value', () => {
+      const ModeKey = new EnvironmentKey('mode', 'view');
+      const renders = { reader: 0, other: 0 };
+      const Reader = Component(function Reader() {
+        renders.reader++;
+        return Text(Environment.get(ModeKey));
+      });
+      const Other = Component(function Other() {
+        renders.other++;
+        return Text('other');
+      });
+      Reconciler.mount(VStack(Reader(), Other()), container);
+
+      Environment.set(ModeKey, 'edit');
+      flushSync();
+
+      expect(texts()).toEqual(['edit', 'other']);
+      expect(renders).toEqual({ reader: 2, other: 1 });
+    });
+
+    it('should pass new values down when the view setting them re-renders', () => {
+      const accent = new State('blue');
+      const Picker = Component(function Picker() {
+        return VStack(Text('Accent:'), Accent()).environment(AccentKey, accent.value);
+      });
+      Reconciler.mount(Picker(), container);
+
+      accent.value = 'red';
+      flushSync(); // notification
+      flushSync(); // component re-render
+
+      expect(texts()).toEqual(['Accent:', 'red']);
+    });
+  });
+
+  describe('legacy views', () => {
+    class Swatch extends View {
+      _render() {
+        const element = document.createElement('span');
+        element.textContent = Environment.get(AccentKey);
+        return element;
+      }
+    }
+
+    class Panel extends View {
+      body() {
+        return new Swatch();
+      }
+    }
+
+    it('should apply values while rendering the view and its body', () => {
+      expect(new Panel().environment(AccentKey, 'teal')._render().textContent).toBe('teal');
+      expect(new Panel()._render().textContent).toBe('blue');
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Observable Tests
+ * Tests for deep observation of nested objects, arrays, Maps and Sets
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { Observable, ObservationIgnored, observeChanges } from '../../src/Data/Observable.js';
+import { Computed } from '../../src/Data/Computed.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { VStack, Text } from '../../src/Core/ViewFactory.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+describe('Observable', () => {
+  describe('nested objects', () => {
+    it('should notify changes keyed by path', () => {
+      const model = Observable({ filters: { price: { min: 0, max: 10 } } });
+      const changes = [];
+      model._subscribe((path, value, oldValue) => changes.push([path, value, oldValue]));
+
+      model.filters.price.max = 3;
+
+      expect(changes).toEqual([['filters.price.max', 3, 10]]);
+    });
+
+    it('should pass every change to observeChanges() until unsubscribed', () => {
+      const model = Observable({ filters: { price: { max: 10 } }, tags: [] });
+      const changes = [];
+      const stop = observeChanges(model, (path, value) => changes.push([path, value]));
+
+      model.filters.price.max = 3;
+      model.tags.push('sale');
+      stop();
+      model.filters.price.max = 4;
+
+      expect(changes[0]).toEqual(['filters.price.max', 3]);
+      expect(changes.some(([path]) => path.startsWith('tags'))).toBe(true);
+      expect(changes.some(([, value]) => value === 4)).toBe(false);
+      expect(() => observeChanges({}, () => {})).toThrow('Observable()');
+    });
+
+    it('should only notify readers of what changed', () => {
+      const model = Observable({ filters: { price: { min: 0, max: 10 }, text: '' } });
+      const maxPrice = Computed(() => model.filters.price.max);
+      maxPrice.subscribe(() => {});
+      expect(maxPrice.value).toBe(10);
+
+      model.filters.text = 'shoes';
+      model.filters.price.min = 1;
+      expect(maxPrice.isStale).toBe(false);
+
+      model.filters.price.max = 3;
+      expect(maxPrice.value).toBe(3);
+    });
+
+    it('should follow objects assigned in place of nested ones', () => {
+      const model = Observable({ filters: { price: { max: 10 } } });
+      const previous = model.filters;
+      const maxPrice = Computed(() => model.filters.price.max);
+      expect(maxPrice.value).toBe(10);
+
+      model.filters = { price: { max: 20 } };
+      expect(maxPrice.value).toBe(20);
+
+      const changes = [];
+      model._subscribe(path => changes.push(path));
+      previous.price.max = 1;
+      model.filters.price.max = 5;
+      expect(changes).toEqual(['filters.price.max']);
+      expect(maxPrice.value).toBe(5);
+    });
+
+    it('should keep proxies out of the raw data', () => {
+      const raw = { a: { n: 1 }, b: null };
+      const model = Observable(raw);
+
+      model.b = model.a;
+
+      expect(raw.b).toBe(raw.a);
+      expect(model.b).toBe(model.b);
+    });
+  });
+
+  describe('arrays', () => {
+    it('should notify on mutator methods', () => {
+      const model = Observable({ items: ['b', 'c'] });
+      const count = Computed(() => model.items.length);
+      const joined = Computed(() => model.items.join());
+      expect(count.value).toBe(2);
+      expect(joined.value).toBe('b,c');
+
+      model.items.push('a');
+      expect(count.value).toBe(3);
+      model.items.sort();
+      expect(joined.value).toBe('a,b,c');
+      model.items.splice(0, 2);
+      expect(joined.value).toBe('c');
+      expect(count.value).toBe(1);
+    });
+
+    it('should notify changes inside elements and find them by raw value', () => {
+      const first = { title: 'Write', done: false };
+      const model = Observable({ todos: [first] });
+      const changes = [];
+      model._subscribe(path => changes.push(path));
+
+      model.todos[0].done = true;
+
+      expect(changes).toEqual(['todos.0.done']);
+      expect(model.todos.includes(first)).toBe(true);
+      expect(model.todos.indexOf(model.todos[0])).toBe(0);
+    });
+  });
+
+  describe('Maps and Sets', () => {
+    it('should track Map keys and contents', () => {
+      const model = Observable({ scores: new Map([['ada', 1]]) });
+      const ada = Computed(() => model.scores.get('ada'));
+      const total = Computed(() => [...model.scores.values()].reduce((sum, n) => sum + n, 0));
+      ada.subscribe(() => {});
+      expect(ada.value).toBe(1);
+      expect(total.value).toBe(1);
+
+      model.scores.set('alan', 2);
+      expect(ada.isStale).toBe(false);
+      expect(total.value).toBe(3);
+
+      model.scores.set('ada', 5);
+      expect(ada.value).toBe(5);
+      model.scores.delete('alan');
+      expect(total.value).toBe(5);
+    });
+
+    it('should track Set membership and size', () => {
+      const model = Observable({ tags: new Set(['a']) });
+      const hasB = Computed(() => model.tags.has('b'));
+      const size = Computed(() => model.tags.size);
+      const changes = [];
+      model._subscribe(path => changes.push(path));
+      expect(hasB.value).toBe(false);
+      expect(size.value).toBe(1);
+
+      model.tags.add('b');
+      model.tags.add('b');
+      expect(hasB.value).toBe(true);
+      expect(size.value).toBe(2);
+
+      model.tags.clear();
+      expect(size.value).toBe(0);
+      expect(changes).toEqual(['tags.b', 'tags.a', 'tags.b']);
+    });
+
+    it('should make Map values observable', () => {
+      const model = Observable({ users: new Map([[1, { name: 'Ada' }]]) });
+      const changes = [];
+      model._subscribe((path, value) => changes.push([path, value]));
+
+      model.users.get(1).name = 'Grace';
+
+      expect(changes).toEqual([['users.1.name', 'Grace']]);
+    });
+  });
+
+  describe('ObservationIgnored()', () => {
+    it('should keep marked values raw', () => {
+      const rows = ObservationIgnored([{ id: 1 }]);
+      const model = Observable({ rows });
+      const changes = [];
+      model._subscribe(path => changes.push(path));
+
+      expect(model.rows).toBe(rows);
+      model.rows.push({ id: 2 });
+      model.rows[0].id = 3;
+      expect(changes).toEqual([]);
+
+      model.rows = ObservationIgnored([]);
+      expect(changes).toEqual(['rows']);
+    });
+  });
+
+  describe('in components', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+    });
+
+    afterEach(() => {
+      Reconciler.unmount(container);
+    });
+
+    it('should re-render components reading a nested array', () => {
+      const model = Observable({ list: { items: ['a'] }, title: 'List' });
+      let renders = 0;
+      const Items = Component(function Items() {
+        renders++;
+        return VStack(model.list.items.map(item => Text(item)));
+      });
+      Reconciler.mount(Items(), container);
+
+      model.list.items.push('b');
+      flushSync();
+
+      expect(container.textContent).toBe('ab');
+      expect(renders).toBe(2);
+
+      model.title = 'Other';
+      flushSync();
+      expect(renders).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Query Tests
+ * Tests for cached data fetching and mutations
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { Query, QueryClient, Mutation } from '../../src/Data/Query.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { Text } from '../../src/Core/ViewFactory.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+describe('Query', () => {
+  let client;
+  let calls;
+  const listings = { paris: ['Loft'], rome: ['Villa'] };
+
+  beforeEach(() => {
+    calls = [];
+    client = new QueryClient({
+      retryDelay: () => 0,
+      fetcher: (key) => {
+        calls.push(key);
+        return listings[key[1]];
+      }
+    });
+  });
+
+  afterEach(() => {
+    client.remove();
+  });
+
+  describe('fetching', () => {
+    it('should fetch with the client fetcher and cache the result per key', () => {
+      const paris = Query(['listings', 'paris'], { client });
+
+      expect(paris.status).toBe('success');
+      expect(paris.data).toEqual(['Loft']);
+      expect(Query(['listings', 'paris'], { client, staleTime: 60000 })).toBe(paris);
+      expect(Query(['listings', 'rome'], { client }).data).toEqual(['Villa']);
+      expect(calls.length).toBe(2);
+    });
+
+    it('should share one request in flight per key', () => {
+      const fetcher = () => {
+        calls.push('fetch');
+        return new Promise(() => {});
+      };
+      const first = Query('profile', fetcher, { client });
+      const second = Query('profile', fetcher, { client });
+
+      expect(second).toBe(first);
+      expect(first.isLoading).toBe(true);
+      expect(first.isFetching).toBe(true);
+      expect(calls.length).toBe(1);
+    });
+
+    it('should only refetch stale data nobody is using yet', () => {
+      const paris = Query(['listings', 'paris'], { client });
+      const unsubscribe = paris.subscribe(() => {});
+
+      Query(['listings', 'paris'], { client });
+      expect(calls.length).toBe(1);
+
+      unsubscribe();
+      Query(['listings', 'paris'], { client, staleTime: 60000 });
+      expect(calls.length).toBe(1);
+      Query(['listings', 'paris'], { client, staleTime: 0 });
+      expect(calls.length).toBe(2);
+    });
+
+    it('should not fetch while disabled', () => {
+      const query = Query(['listings', 'paris'], { client, enabled: false });
+      expect(query.status).toBe('loading');
+      expect(calls.length).toBe(0);
+    });
+
+    it('should retry failed fetches, then report the error', () => {
+      let failures = 2;
+      const flaky = Query('flaky', () => {
+        if (failures-- > 0) throw new Error('offline');
+        return 'ok';
+      }, { client });
+      expect(flaky.data).toBe('ok');
+      expect(flaky.failureCount).toBe(2);
+
+      let attempts = 0;
+      const down = Query('down', () => {
+        attempts++;
+        throw new Error('offline');
+      }, { client, retry: 1 });
+      expect(attempts).toBe(2);
+      expect(down.isError).toBe(true);
+      expect(down.error.message).toBe('offline');
+      expect(down.isFetching).toBe(false);
+    });
+
+    it('should wait longer before each retry by default', () => {
+      const delays = [0, 1, 2, 3, 10].map(attempt => QueryClient.shared._option('retryDelay')(attempt));
+      expect(delays).toEqual([1000, 2000, 4000, 8000, 30000]);
+    });
+  });
+
+  describe('invalidation', () => {
+    it('should refetch the results in use under a key prefix', () => {
+      const paris = Query(['listings', 'paris'], { client, staleTime: 60000 });
+      Query(['listings', 'rome'], { client, staleTime: 60000 });
+      const profile = Query(['profile'], () => 'Ada', { client, staleTime: 60000 });
+      paris.subscribe(() => {});
+      profile.subscribe(() => {});
+      calls.length = 0;
+
+      client.invalidate('listings');
+
+      expect(calls).toEqual([['listings', 'paris']]);
+      expect(client.findQueries('listings').map(query => query.isStale)).toEqual([false, true]);
+      expect(profile.isStale).toBe(false);
+    });
+
+    it('should treat object key parts with the same properties as one key', () => {
+      const first = Query(['search', { city: 'Paris', guests: 2 }], () => 1, { client });
+      expect(Query(['search', { guests: 2, city: 'Paris' }], () => 2, { client, staleTime: 60000 }))
+        .toBe(first);
+    });
+
+    it('should refetch stale results in use when the window regains focus', () => {
+      const paris = Query(['listings', 'paris'], { client });
+      Query(['listings', 'rome'], { client });
+      paris.subscribe(() => {});
+      calls.length = 0;
+
+      window.dispatchEvent(new Event('focus'));
+
+      expect(calls).toEqual([['listings', 'paris']]);
+    });
+  });
+
+  describe('components', () => {
+    it('should render the data and not refetch on re-render', () => {
+      const container = document.createElement('div');
+      const Listings = Component(function Listings(city) {
+        const query = Query(['listings', city], { client });
+        return Text(query.isLoading ? 'Loading' : query.data.join(', '));
+      });
+      Reconciler.mount(Listings('paris'), container);
+      expect(container.textContent).toBe('Loft');
+
+      client.setData(['listings', 'paris'], data => [...data, 'Studio']);
+      flushSync();
+      flushSync();
+
+      expect(container.textContent).toBe('Loft, Studio');
+      expect(calls.length).toBe(1);
+      Reconciler.unmount(container);
+    });
+  });
+
+  describe('Mutation', () => {
+    it('should update data optimistically and refetch it once done', () => {
+      const favorites = Query('favorites', () => ['a'], { client });
+      favorites.subscribe(() => {});
+      let seen;
+      const add = Mutation((id) => {
+        seen = favorites.data;
+        return id;
+      }, {
+        client,
+        optimistic: { key: 'favorites', update: (data, id) => [...data, id] }
+      });
+
+      add.mutate('b');
+
+      expect(seen).toEqual(['a', 'b']);
+      expect(add.isSuccess).toBe(true);
+      expect(add.data).toBe('b');
+      expect(favorites.data).toEqual(['a']); // refetched from the server
+    });
+
+    it('should roll back the optimistic update when the mutation fails', () => {
+      const favorites = client.getQuery('favorites');
+      favorites.setData(['a']);
+      const errors = [];
+      const add = Mutation(() => { throw new Error('rejected'); }, {
+        client,
+        optimistic: { key: 'favorites', update: (data, id) => [...data, id] },
+        onMutate: (id) => `adding ${id}`,
+        onError: (error, id, context) => errors.push([error.message, id, context])
+      });
+
+      add.mutate('b');
+
+      expect(favorites.data).toEqual(['a']);
+      expect(add.isError).toBe(true);
+      expect(errors).toEqual([['rejected', 'b', 'adding b']]);
+    });
+
+    it('should invalidate the keys it affects', () => {
+      const paris = Query(['listings', 'paris'], { client });
+      paris.subscribe(() => {});
+      const book = Mutation(() => 'booked', { client, invalidates: ['listings'] });
+      calls.length = 0;
+
+      book.mutate();
+
+      expect(calls).toEqual([['listings', 'paris']]);
+    });
+  });
+});
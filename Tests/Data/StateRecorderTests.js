@@ -0,0 +1,182 @@
+/**
+ * StateRecorder Tests
+ * Tests for recording state changes and stepping through them
+ */
+
+import { describe, it, expect, afterEach } from '../TestUtils.js';
+import { StateRecorder } from '../../src/Data/StateRecorder.js';
+import { State } from '../../src/Data/State.js';
+import { ObservableObject } from '../../src/Data/ObservableObject.js';
+import { UndoManager } from '../../src/Data/UndoManager.js';
+import { NavigationPath } from '../../src/View/Navigation/NavigationPath.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { Text } from '../../src/Core/ViewFactory.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+class Filters extends ObservableObject {
+  constructor() {
+    super();
+    this.published('maxPrice', 500);
+    this.published('guests', 1);
+  }
+}
+
+describe('StateRecorder', () => {
+  let recorder;
+
+  afterEach(() => {
+    recorder?.stop();
+  });
+
+  describe('recording', () => {
+    it('should log State, ObservableObject and NavigationPath changes', () => {
+      recorder = new StateRecorder().start();
+      const query = new State('');
+      const filters = new Filters();
+      const path = new NavigationPath();
+
+      query.value = 'Paris';
+      filters.maxPrice = 300;
+      path.append('listing');
+
+      const entries = recorder.entries.map(({ timestamp, ...entry }) => entry);
+      expect(entries).toEqual([
+        { source: 'State#1', kind: 'State', property: 'value', oldValue: '', newValue: 'Paris' },
+        { source: 'Filters#1', kind: 'ObservableObject', property: 'maxPrice', oldValue: 500, newValue: 300 },
+        { source: 'NavigationPath#1', kind: 'NavigationPath', property: 'path', oldValue: [], newValue: ['listing'] }
+      ]);
+      expect(typeof recorder.entries[0].timestamp).toBe('number');
+    });
+
+    it('should only log while recording, and leave out the UndoManager', () => {
+      recorder = new StateRecorder();
+      const count = new State(0);
+      count.value = 1;
+      expect(recorder.count).toBe(0);
+
+      recorder.start();
+      new UndoManager().registerUndo(() => {}, () => {});
+      count.value = 2;
+      recorder.stop();
+      count.value = 3;
+
+      expect(recorder.entries.map(entry => entry.newValue)).toEqual([2]);
+    });
+  });
+
+  describe('time travel', () => {
+    it('should step backward and forward through the changes', () => {
+      recorder = new StateRecorder().start();
+      const filters = new Filters();
+      const path = new NavigationPath();
+      filters.maxPrice = 300;
+      filters.guests = 2;
+      path.append('listing');
+
+      recorder.stepBackward();
+      expect(path.path).toEqual([]);
+      recorder.goTo(0);
+      expect(filters.maxPrice).toBe(500);
+      expect(filters.guests).toBe(1);
+      expect(recorder.canStepBackward).toBe(false);
+
+      recorder.stepForward();
+      expect(filters.maxPrice).toBe(300);
+      expect(filters.guests).toBe(1);
+      expect(recorder.cursor).toBe(1);
+      expect(recorder.count).toBe(3);
+    });
+
+    it('should drop the changes ahead when changing state after stepping back', () => {
+      recorder = new StateRecorder().start();
+      const guests = new State(1);
+      guests.value = 2;
+      guests.value = 3;
+
+      recorder.stepBackward();
+      guests.value = 4;
+
+      expect(recorder.entries.map(entry => entry.newValue)).toEqual([2, 4]);
+      expect(recorder.canStepForward).toBe(false);
+    });
+
+    it('should restore arrays and objects as they were when recorded', () => {
+      recorder = new StateRecorder().start();
+      const first = { tags: ['pool'] };
+      const filters = new State(first);
+      filters.value = { tags: ['pool', 'wifi'] };
+
+      // Changed in place after the fact
+      first.tags.push('parking');
+      filters.value.tags.length = 0;
+
+      recorder.stepBackward();
+      expect(filters.value).toEqual({ tags: ['pool'] });
+
+      filters.value.tags.push('sauna');
+      recorder.stepForward();
+      recorder.stepBackward();
+      expect(filters.value).toEqual({ tags: ['pool'] });
+
+      recorder.stepForward();
+      expect(filters.value).toEqual({ tags: ['pool', 'wifi'] });
+    });
+
+    it('should re-render the views reading restored values', () => {
+      const container = document.createElement('div');
+      recorder = new StateRecorder().start();
+      const city = new State('Paris');
+      const City = Component(function City() {
+        return Text(city.value);
+      });
+      Reconciler.mount(City(), container);
+      city.value = 'Rome';
+      flushSync();
+      flushSync();
+
+      recorder.stepBackward();
+      flushSync(); // component re-render
+
+      expect(container.textContent).toBe('Paris');
+      Reconciler.unmount(container);
+    });
+
+    it('should keep only maxEntries changes', () => {
+      recorder = new StateRecorder({ maxEntries: 2 }).start();
+      const page = new State(0);
+      for (let i = 1; i <= 3; i++) page.value = i;
+
+      expect(recorder.entries.map(entry => entry.newValue)).toEqual([2, 3]);
+      recorder.goTo(0);
+      expect(page.value).toBe(1);
+    });
+  });
+
+  describe('export and import', () => {
+    it('should replay an exported log on a new session', () => {
+      recorder = new StateRecorder().start();
+      const first = { query: new State(''), filters: new Filters() };
+      first.query.value = 'Lisbon';
+      first.filters.guests = 4;
+      const json = recorder.exportJSON();
+
+      // Same app, created again in the same order
+      const replay = new StateRecorder().start();
+      const second = { query: new State(''), filters: new Filters() };
+      replay.importJSON(json);
+      expect(replay.cursor).toBe(0);
+
+      replay.goTo(replay.count);
+      expect(second.query.value).toBe('Lisbon');
+      expect(second.filters.guests).toBe(4);
+      expect(first.filters.guests).toBe(4);
+      replay.stop();
+    });
+
+    it('should reject logs in another format', () => {
+      recorder = new StateRecorder();
+      expect(() => recorder.importJSON('{"entries":[]}')).toThrow('format version 1');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Store Tests
+ * Tests for reducers, effects, scoped stores and the TestStore
+ */
+
+import { describe, it, expect } from '../TestUtils.js';
+import { Store, TestStore, Effect, withEffects } from '../../src/Data/Store.js';
+import { Reconciler } from '../../src/Core/Reconciler.js';
+import { Component } from '../../src/Core/Component.js';
+import { Text } from '../../src/Core/ViewFactory.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+function counterReducer(state, action, environment) {
+  switch (action.type) {
+    case 'increment':
+      return { ...state, count: state.count + 1 };
+    case 'incrementTwice':
+      return withEffects(state, Effect.send({ type: 'increment' }), Effect.send({ type: 'increment' }));
+    case 'fetchFact':
+      return withEffects({ ...state, loading: true },
+        Effect.run(() => ({ type: 'factLoaded', fact: environment.fact(state.count) })));
+    case 'factLoaded':
+      return { ...state, loading: false, fact: action.fact };
+    default:
+      return state;
+  }
+}
+
+const initialState = { count: 0, loading: false, fact: null };
+
+describe('Store', () => {
+  describe('reducing', () => {
+    it('should reduce sent actions and run their effects in order', () => {
+      const store = Store(initialState, counterReducer, { fact: n => `${n} is a number` });
+
+      store.send({ type: 'incrementTwice' });
+      store.send({ type: 'fetchFact' });
+
+      expect(store.state).toEqual({ count: 2, loading: false, fact: '2 is a number' });
+    });
+
+    it('should re-render the views reading the state', () => {
+      const container = document.createElement('div');
+      const store = Store(initialState, counterReducer);
+      const Count = Component(function Count() {
+        return Text(`Count: ${store.state.count}`);
+      });
+      Reconciler.mount(Count(), container);
+
+      store.send({ type: 'increment' });
+      flushSync();
+      flushSync();
+
+      expect(container.textContent).toBe('Count: 1');
+      Reconciler.unmount(container);
+    });
+
+    it('should require a reducer', () => {
+      expect(() => Store(initialState)).toThrow('reducer function');
+    });
+  });
+
+  describe('effects', () => {
+    it('should cancel effects by id', () => {
+      const signals = [];
+      const store = Store({}, (state, action) => {
+        if (action.type === 'search') {
+          return withEffects(state, Effect.run((signal) => {
+            signals.push(signal);
+            return new Promise(() => {});
+          }).cancellable('search', { cancelInFlight: true }));
+        }
+        if (action.type === 'stop') return withEffects(state, Effect.cancel('search'));
+        return state;
+      });
+
+      store.send({ type: 'search' });
+      store.send({ type: 'search' });
+      expect(signals.map(signal => signal.aborted)).toEqual([true, false]);
+      expect(store.runningEffects).toBe(1);
+
+      store.send({ type: 'stop' });
+      expect(signals[1].aborted).toBe(true);
+      expect(store.runningEffects).toBe(0);
+    });
+
+    it('should cancel the effects of a cancellable merge', () => {
+      const signals = [];
+      const pending = () => Effect.run((signal) => {
+        signals.push(signal);
+        return new Promise(() => {});
+      });
+      const store = Store({}, (state, action) => {
+        if (action.type === 'load') {
+          return withEffects(state, Effect.merge(pending(), pending().cancellable('photos'))
+            .cancellable('listing', { cancelInFlight: true }));
+        }
+        if (action.type === 'stop') return withEffects(state, Effect.cancel('listing'));
+        return state;
+      });
+
+      store.send({ type: 'load' });
+      store.send({ type: 'load' });
+      expect(signals.map(signal => signal.aborted)).toEqual([true, true, false, false]);
+      expect(store.runningEffects).toBe(2);
+
+      store.send({ type: 'stop' });
+      expect(signals.map(signal => signal.aborted)).toEqual([true, true, true, true]);
+      expect(store.runningEffects).toBe(0);
+    });
+  });
+
+  describe('scope', () => {
+    it('should read a slice of the state and wrap child actions', () => {
+      const store = Store({ filters: { guests: 1 } }, (state, action) => {
+        if (action.type === 'filters' && action.action.type === 'setGuests') {
+          return { ...state, filters: { guests: action.action.guests } };
+        }
+        return state;
+      });
+      const filters = store.scope(state => state.filters, action => ({ type: 'filters', action }));
+      const guests = filters.scope(state => state.guests);
+
+      filters.send({ type: 'setGuests', guests: 3 });
+      expect(guests.state).toBe(3);
+
+      filters.binding(state => state.guests, value => ({ type: 'setGuests', guests: value })).value = 4;
+      expect(store.state.filters.guests).toBe(4);
+    });
+  });
+
+  describe('TestStore', () => {
+    it('should assert each state change of an action and its effects', () => {
+      const store = new TestStore(initialState, counterReducer, { fact: n => `${n} is odd` });
+
+      store.send({ type: 'increment' }, state => ({ ...state, count: 1 }));
+      store.send({ type: 'fetchFact' }, { count: 1, loading: true, fact: null });
+      store.receive({ type: 'factLoaded', fact: '1 is odd' }, state => ({ ...state, loading: false, fact: '1 is odd' }));
+      store.finish();
+
+      expect(store.changes.map(change => change.action.type)).toEqual(['increment', 'fetchFact', 'factLoaded']);
+    });
+
+    it('should report an unexpected state', () => {
+      const store = new TestStore(initialState, counterReducer);
+      expect(() => store.send({ type: 'increment' }, { ...initialState, count: 2 }))
+        .toThrow('state after {"type":"increment"} was {"count":1');
+    });
+
+    it('should require receiving effect actions before sending again', () => {
+      const store = new TestStore(initialState, counterReducer);
+      store.send({ type: 'incrementTwice' });
+
+      expect(() => store.send({ type: 'increment' })).toThrow('must receive {"type":"increment"}');
+      expect(() => store.finish()).toThrow('2 action(s) not received');
+      expect(() => store.receive({ type: 'decrement' })).toThrow('expected {"type":"decrement"}');
+      store.receive(action => action.type === 'increment', state => ({ ...state, count: 1 }));
+      store.receive({ type: 'increment' }, state => ({ ...state, count: 2 }));
+      store.finish();
+    });
+  });
+});
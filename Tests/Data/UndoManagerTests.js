@@ -0,0 +1,199 @@
+/**
+ * UndoManager Tests
+ * Tests for undo and redo of Binding and ObservableObject changes
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../TestUtils.js';
+import { UndoManager } from '../../src/Data/UndoManager.js';
+import { Environment, EnvironmentValues } from '../../src/Data/Environment.js';
+import { State } from '../../src/Data/State.js';
+import { ObservableObject } from '../../src/Data/ObservableObject.js';
+import { App } from '../../src/App/App.js';
+import { Text } from '../../src/Core/ViewFactory.js';
+import { flushSync } from '../../src/Core/Scheduler.js';
+
+describe('UndoManager', () => {
+  let shared;
+  let undoManager;
+
+  beforeEach(() => {
+    shared = Environment.get(EnvironmentValues.undoManager);
+    undoManager = new UndoManager();
+    Environment.set(EnvironmentValues.undoManager, undoManager);
+  });
+
+  afterEach(() => {
+    Environment.set(EnvironmentValues.undoManager, shared);
+  });
+
+  describe('recording', () => {
+    it('should undo and redo Binding changes grouped per flush', () => {
+      const name = new State('a');
+      const size = new State(1);
+
+      name.binding.value = 'b';
+      size.binding.value = 2;
+      flushSync();
+      name.binding.value = 'c';
+      flushSync();
+
+      undoManager.undo();
+      expect(name.value).toBe('b');
+      expect(size.value).toBe(2);
+
+      undoManager.undo();
+      expect(name.value).toBe('a');
+      expect(size.value).toBe(1);
+      expect(undoManager.canUndo).toBe(false);
+
+      undoManager.redo();
+      expect(name.value).toBe('b');
+      expect(size.value).toBe(2);
+    });
+
+    it('should record ObservableObject.batch() as one change', () => {
+      const document = new ObservableObject().published('title', 'Draft').published('pages', 1);
+
+      document.batch(() => {
+        document.title = 'Report';
+        document.pages = 3;
+      });
+      flushSync();
+
+      undoManager.undo();
+      expect(document.title).toBe('Draft');
+      expect(document.pages).toBe(1);
+
+      undoManager.redo();
+      expect(document.title).toBe('Report');
+      expect(document.pages).toBe(3);
+    });
+
+    it('should not record changes made without a Binding or batch()', () => {
+      const count = new State(0);
+      count.value = 1;
+      flushSync();
+
+      expect(undoManager.canUndo).toBe(false);
+    });
+  });
+
+  describe('actions', () => {
+    it('should name actions and group their changes', () => {
+      const items = new State(['a', 'b']);
+      const selection = new State('a');
+
+      undoManager.perform('Delete', () => {
+        items.binding.value = ['b'];
+        selection.binding.value = null;
+      });
+
+      expect(undoManager.undoActionName).toBe('Delete');
+      undoManager.undo();
+      expect(items.value).toEqual(['a', 'b']);
+      expect(selection.value).toBe('a');
+      expect(undoManager.redoActionName).toBe('Delete');
+    });
+
+    it('should record custom changes and forget redo after a new change', () => {
+      const log = [];
+      undoManager.registerUndo(() => log.push('undo'), () => log.push('redo'));
+      undoManager.undo();
+      expect(undoManager.canRedo).toBe(true);
+
+      new State(0).binding.value = 1;
+
+      expect(undoManager.canRedo).toBe(false);
+      expect(log).toEqual(['undo']);
+    });
+
+    it('should keep only levelsOfUndo groups', () => {
+      const limited = new UndoManager({ levelsOfUndo: 2 });
+      Environment.set(EnvironmentValues.undoManager, limited);
+      const value = new State(0);
+
+      for (let i = 1; i <= 3; i++) {
+        value.binding.value = i;
+        flushSync();
+      }
+
+      expect(limited.undo()).toBe(true);
+      expect(limited.undo()).toBe(true);
+      expect(limited.undo()).toBe(false);
+      expect(value.value).toBe(1);
+    });
+  });
+
+  describe('flags', () => {
+    it('should publish canUndo and canRedo', () => {
+      const changes = [];
+      undoManager.subscribeToProperty('canUndo', value => changes.push(value));
+
+      new State('x').binding.value = 'y';
+      undoManager.undo();
+
+      expect(changes).toEqual([true, false]);
+      expect(undoManager.canRedo).toBe(true);
+    });
+  });
+
+  describe('keyboard shortcuts', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+      container.parentNode?.removeChild(container);
+    });
+
+    const press = (key, options = {}) => {
+      const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+      container.dispatchEvent(event);
+      return event;
+    };
+
+    it('should undo with Ctrl+Z and redo with Ctrl+Shift+Z at the App root', () => {
+      const text = new State('before');
+      const app = App(() => Text(text.value)).mount(container);
+      text.binding.value = 'after';
+      flushSync();
+
+      const event = press('z', { ctrlKey: true });
+      expect(event.defaultPrevented).toBe(true);
+      expect(text.value).toBe('before');
+
+      press('Z', { metaKey: true, shiftKey: true });
+      expect(text.value).toBe('after');
+
+      app.unmount();
+      press('z', { ctrlKey: true });
+      expect(text.value).toBe('after');
+    });
+
+    it('should leave the shortcut to text fields', () => {
+      const text = new State('before');
+      const app = App(() => Text(text.value)).mount(container);
+      const input = document.createElement('input');
+      container.appendChild(input);
+      text.binding.value = 'after';
+      flushSync();
+
+      const event = new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true, cancelable: true });
+      input.dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(text.value).toBe('after');
+      app.unmount();
+    });
+
+    it('should leave the shortcut alone when there is nothing to undo', () => {
+      const app = App(() => Text('idle')).mount(container);
+
+      expect(press('z', { ctrlKey: true }).defaultPrevented).toBe(false);
+      app.unmount();
+    });
+  });
+});
@@ -8,6 +8,8 @@ import { ForEach, Range } from '../../../src/View/List/ForEach.js';
 import { Text } from '../../../src/View/Text.js';
 import { VStack } from '../../../src/Layout/Stack/VStack.js';
 import { render } from '../../../src/Core/Renderer.js';
+import { State } from '../../../src/Data/State.js';
+import { Reconciler } from '../../../src/Core/Reconciler.js';
 
 describe('ForEach', () => {
   describe('Factory Function', () => {
@@ -179,4 +181,154 @@ describe('ForEach', () => {
       expect(element.style.backgroundColor).toBe('red');
     });
   });
+
+  describe('Binding', () => {
+    const todos = () => new State([
+      { id: 1, title: 'Milk', done: false },
+      { id: 2, title: 'Eggs', done: false },
+      { id: 3, title: 'Bread', done: false }
+    ]);
+
+    const rowBindings = (state) => {
+      const rows = [];
+      ForEach(state.binding, todo => {
+        rows.push(todo);
+        return Text(todo.value.title);
+      });
+      return rows;
+    };
+
+    it('should give each row a binding to its element, keyed by id', () => {
+      const state = todos();
+      const forEach = ForEach(state.binding, todo => Text(todo.value.title));
+      expect(forEach.children.map(child => child.key)).toEqual([1, 2, 3]);
+
+      const rows = rowBindings(state);
+      rows[1].property('done').value = true;
+      expect(state.value[1]).toEqual({ id: 2, title: 'Eggs', done: true });
+      expect(state.value[0].done).toBe(false);
+    });
+
+    it('should keep editing the same element after inserts and removals', () => {
+      const state = todos();
+      const rows = rowBindings(state);
+
+      state.value = [{ id: 0, title: 'Tea', done: false }, ...state.value.filter(todo => todo.id !== 1)];
+      rows[2].property('title').value = 'Rye bread';
+
+      expect(state.value.map(todo => todo.title)).toEqual(['Tea', 'Eggs', 'Rye bread']);
+      expect(rows[0].value).toBe(undefined);
+      rows[0].property('done').value = true;
+      expect(state.value.length).toBe(3);
+    });
+
+    it('should delete and move rows in the bound array', () => {
+      const state = todos();
+
+      ForEach(state.binding, todo => Text(todo.value.title)).onDelete().props.onDelete([0, 2]);
+      expect(state.value.map(todo => todo.id)).toEqual([2]);
+
+      state.value = todos().value;
+      ForEach(state.binding, todo => Text(todo.value.title)).onMove().props.onMove([0], 3);
+      expect(state.value.map(todo => todo.id)).toEqual([2, 3, 1]);
+      ForEach(state.binding, todo => Text(todo.value.title)).onMove().props.onMove([2], 0);
+      expect(state.value.map(todo => todo.id)).toEqual([1, 2, 3]);
+    });
+
+    it('should call the given actions instead', () => {
+      const calls = [];
+      const forEach = ForEach(['a', 'b'], item => Text(item))
+        .onDelete(offsets => calls.push(['delete', offsets]))
+        .onMove((offsets, destination) => calls.push(['move', offsets, destination]));
+      forEach.props.onDelete([1]);
+      forEach.props.onMove([0], 2);
+      expect(calls).toEqual([['delete', [1]], ['move', [0], 2]]);
+    });
+
+    it('should require an action when not iterating a Binding', () => {
+      expect(() => ForEach(['a'], item => Text(item)).onDelete()).toThrow('needs an action');
+    });
+
+    it('should delete a focused row with the Delete key and move dragged rows', () => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const mount = (state) => {
+        container.textContent = '';
+        container.appendChild(render(
+          ForEach(state.binding, todo => Text(todo.value.title)).onDelete().onMove()
+        ));
+        return container.firstChild.children;
+      };
+
+      const deleting = todos();
+      let rows = mount(deleting);
+      rows[1].dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', bubbles: true }));
+      expect(deleting.value.map(todo => todo.id)).toEqual([1, 3]);
+
+      const moving = todos();
+      rows = mount(moving);
+      rows[0].dispatchEvent(new Event('dragstart', { bubbles: true }));
+      rows[2].dispatchEvent(new Event('dragover', { bubbles: true, cancelable: true }));
+      rows[2].dispatchEvent(new Event('drop', { bubbles: true, cancelable: true }));
+      expect(moving.value.map(todo => todo.id)).toEqual([2, 1, 3]);
+
+      container.remove();
+    });
+
+    it('should make rows focusable as they render, including inserted ones', () => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const state = todos();
+      const list = () => VStack(ForEach(state.binding, todo => Text(todo.value.title)).onDelete());
+      Reconciler.mount(list(), container);
+      const rows = () => [...container.querySelectorAll('span')];
+
+      expect(rows().map(row => row.tabIndex)).toEqual([0, 0, 0]);
+
+      state.value = [...state.value, { id: 4, title: 'Jam', done: false }];
+      Reconciler.update(list(), container);
+      expect(rows().map(row => row.tabIndex)).toEqual([0, 0, 0, 0]);
+
+      rows()[3].focus();
+      rows()[3].dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', bubbles: true }));
+      expect(state.value.map(todo => todo.id)).toEqual([1, 2, 3]);
+
+      Reconciler.unmount(container);
+      container.remove();
+    });
+
+    it('should pass offsets in the data when the builder skips elements', () => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const mount = (state) => {
+        container.textContent = '';
+        container.appendChild(render(
+          ForEach(state.binding, todo => todo.value.id === 1 ? null : Text(todo.value.title)).onDelete().onMove()
+        ));
+        return container.firstChild.children;
+      };
+
+      const deleting = todos();
+      let rows = mount(deleting);
+      rows[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', bubbles: true }));
+      expect(deleting.value.map(todo => todo.id)).toEqual([1, 3]);
+
+      const moving = todos();
+      rows = mount(moving);
+      rows[1].dispatchEvent(new Event('dragstart', { bubbles: true }));
+      rows[0].dispatchEvent(new Event('dragover', { bubbles: true, cancelable: true }));
+      rows[0].dispatchEvent(new Event('drop', { bubbles: true, cancelable: true }));
+      expect(moving.value.map(todo => todo.id)).toEqual([1, 3, 2]);
+
+      const calls = [];
+      container.textContent = '';
+      container.appendChild(render(
+        ForEach(['a', '', 'c'], item => item ? Text(item) : null).onDelete(offsets => calls.push(offsets))
+      ));
+      container.firstChild.children[1].dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', bubbles: true }));
+      expect(calls).toEqual([[2]]);
+
+      container.remove();
+    });
+  });
 });
@@ -0,0 +1,93 @@
+/**
+ * NavigationLink Tests
+ * Tests for value-based navigation through navigationDestination
+ */
+
+import { describe, it, expect } from '../../TestUtils.js';
+import { NavigationStack, NavigationLink } from '../../../src/View/Navigation/NavigationStack.js';
+import { NavigationPath } from '../../../src/View/Navigation/NavigationPath.js';
+import { VStack } from '../../../src/Layout/Stack/VStack.js';
+import { Text } from '../../../src/View/Text.js';
+
+class Listing {
+  constructor(id) {
+    this.id = id;
+  }
+}
+
+function listingsStack(options, built) {
+  const listings = [1, 2, 3].map(id => new Listing(id));
+  return NavigationStack(
+    VStack(...listings.map(listing => NavigationLink(`Listing ${listing.id}`, { value: listing }))),
+    { transitionStyle: 'none', ...options }
+  ).navigationDestination(Listing, (listing) => {
+    built.push(listing.id);
+    return Text(`Details ${listing.id}`);
+  });
+}
+
+function links(element) {
+  return element.querySelectorAll('[data-view="NavigationLink"]');
+}
+
+describe('NavigationLink', () => {
+  describe('value', () => {
+    it('should build the destination only when the link is used', () => {
+      const built = [];
+      const element = listingsStack({}, built)._render();
+      expect(built).toEqual([]);
+
+      links(element)[1].click();
+
+      expect(built).toEqual([2]);
+      expect(element.textContent).toBe('Details 2');
+    });
+
+    it('should append the value to the stack path', () => {
+      const built = [];
+      const path = new NavigationPath();
+      const view = listingsStack({ path }, built);
+      const element = view._render();
+
+      links(element)[2].click();
+
+      expect(path.count).toBe(1);
+      expect(path.last instanceof Listing).toBe(true);
+      expect(path.last.id).toBe(3);
+      expect(view.depth).toBe(1);
+      expect(element.textContent).toBe('Details 3');
+    });
+
+    it('should warn and stay put when no destination matches', () => {
+      const path = new NavigationPath();
+      const element = NavigationStack(
+        NavigationLink('Settings', { value: 'settings' }),
+        { path, transitionStyle: 'none' }
+      )._render();
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = (...args) => warnings.push(args.join(' '));
+      try {
+        links(element)[0].click();
+      } finally {
+        console.warn = warn;
+      }
+
+      expect(path.isEmpty).toBe(true);
+      expect(warnings[0]).toContain('no navigationDestination matches settings');
+    });
+  });
+
+  describe('destination', () => {
+    it('should push a destination given as an option', () => {
+      const element = NavigationStack(
+        NavigationLink('About', { destination: () => Text('About us') }),
+        { transitionStyle: 'none' }
+      )._render();
+
+      links(element)[0].click();
+
+      expect(element.textContent).toBe('About us');
+    });
+  });
+});
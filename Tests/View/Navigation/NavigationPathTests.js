@@ -0,0 +1,109 @@
+/**
+ * NavigationPath Tests
+ * Tests for saving and restoring navigation paths with codable types
+ */
+
+import { describe, it, expect } from '../../TestUtils.js';
+import {
+  NavigationPath,
+  CodableRepresentation,
+  NavigationDestination,
+  registerCodableType
+} from '../../../src/View/Navigation/NavigationPath.js';
+
+class Listing {
+  constructor(id, title) {
+    this.id = id;
+    this.title = title;
+  }
+
+  get label() {
+    return `#${this.id} ${this.title}`;
+  }
+}
+
+class Booking {
+  constructor(listing, nights) {
+    this.listing = listing;
+    this.nights = nights;
+  }
+}
+
+class Draft {}
+
+registerCodableType('Listing', Listing);
+registerCodableType('Booking', Booking, {
+  encode: booking => ({ listing: booking.listing.id, nights: booking.nights }),
+  decode: data => new Booking(new Listing(data.listing, 'Loft'), data.nights)
+});
+
+function roundTrip(path) {
+  return NavigationPath.fromCodable(CodableRepresentation.fromJSON(path.codable.toJSON()));
+}
+
+describe('NavigationPath', () => {
+  describe('codable', () => {
+    it('should save values as tagged entries', () => {
+      const path = new NavigationPath(['detail', { type: 'listing', id: 1 }, new Listing(2, 'Villa')]);
+
+      expect(path.codable.path).toEqual([
+        { $type: 'json', value: 'detail' },
+        { $type: 'json', value: { type: 'listing', id: 1 } },
+        { $type: 'Listing', value: { id: 2, title: 'Villa' } }
+      ]);
+    });
+
+    it('should restore class instances that navigation destinations match', () => {
+      const restored = roundTrip(new NavigationPath(['detail', new Listing(2, 'Villa')]));
+      const listing = restored.get(1);
+
+      expect(restored.get(0)).toBe('detail');
+      expect(listing instanceof Listing).toBe(true);
+      expect(listing.label).toBe('#2 Villa');
+      expect(new NavigationDestination(Listing, () => null).matches(listing)).toBe(true);
+    });
+
+    it('should use the encode and decode functions of a type', () => {
+      const path = new NavigationPath([new Booking(new Listing(7, 'Loft'), 3), new Date(0)]);
+      expect(path.codable.path[0]).toEqual({ $type: 'Booking', value: { listing: 7, nights: 3 } });
+
+      const restored = roundTrip(path);
+      expect(restored.get(0).listing.label).toBe('#7 Loft');
+      expect(restored.get(1).getTime()).toBe(0);
+    });
+
+    it('should restore class instances nested in values', () => {
+      const path = new NavigationPath([
+        { type: 'compare', listings: [new Listing(1, 'Loft'), new Listing(2, 'Villa')], since: new Date(0) },
+        { $type: 'note', text: 'kept as is' }
+      ]);
+      expect(path.codable.path[0].value.listings[0]).toEqual({ $type: 'Listing', value: { id: 1, title: 'Loft' } });
+
+      const restored = roundTrip(path);
+      const [compare, note] = restored.path;
+      expect(compare.listings.map(listing => listing instanceof Listing)).toEqual([true, true]);
+      expect(compare.listings[1].label).toBe('#2 Villa');
+      expect(compare.since.getTime()).toBe(0);
+      expect(note).toEqual({ $type: 'note', text: 'kept as is' });
+    });
+
+    it('should report types that are not registered', () => {
+      const path = new NavigationPath([new Draft()]);
+      expect(() => path.codable.toJSON()).toThrow('Draft is not a codable type');
+      expect(() => new NavigationPath([{ draft: new Draft() }]).codable.path)
+        .toThrow('Draft is not a codable type');
+      expect(() => NavigationPath.fromCodable(CodableRepresentation.fromJSON('[{"$type":"Draft","value":{}}]')))
+        .toThrow('no codable type registered for "Draft"');
+    });
+
+    it('should not register a tag twice for different types', () => {
+      expect(() => registerCodableType('Listing', Draft)).toThrow('already registered for Listing');
+      expect(() => registerCodableType('json', Draft)).toThrow("can't be used as a type tag");
+    });
+
+    it('should read paths saved as plain values', () => {
+      const restored = NavigationPath.fromCodable(CodableRepresentation.fromJSON('["detail",{"id":1}]'));
+      expect(restored.path).toEqual(['detail', { id: 1 }]);
+    });
+  });
+});
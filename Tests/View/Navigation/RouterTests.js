@@ -0,0 +1,203 @@
+/**
+ * Router Tests
+ * Tests for URL routing of NavigationStack and NavigationPath
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '../../TestUtils.js';
+import { Router } from '../../../src/View/Navigation/Router.js';
+import { NavigationStack } from '../../../src/View/Navigation/NavigationStack.js';
+import { NavigationPath } from '../../../src/View/Navigation/NavigationPath.js';
+import { Text } from '../../../src/View/Text.js';
+import { VStack } from '../../../src/Layout/Stack/VStack.js';
+import { Reconciler } from '../../../src/Core/Reconciler.js';
+import { Component } from '../../../src/Core/Component.js';
+import { State } from '../../../src/Data/State.js';
+import { flushSync } from '../../../src/Core/Scheduler.js';
+import { flushLifecycleCallbacks } from '../../../src/Core/LifecycleObserver.js';
+
+describe('Router', () => {
+  let router;
+
+  const routes = [
+    { path: '/listing/:id', for: 'listing', decode: ({ id }) => ({ type: 'listing', id: Number(id) }) },
+    { path: '/listing/:id/photos', for: 'photos', decode: ({ id }) => ({ type: 'photos', id: Number(id) }) },
+    { path: '/reviews', for: 'reviews' }
+  ];
+
+  function stack(options = {}) {
+    return NavigationStack(Text('Home'), { router, transitionStyle: 'none', ...options })
+      .navigationDestination('listing', listing => Text(`Listing ${listing.id}`))
+      .navigationDestination('photos', photos => Text(`Photos ${photos.id}`))
+      .navigationDestination('reviews', () => Text('Reviews'));
+  }
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    router = new Router(routes);
+  });
+
+  afterEach(() => {
+    router.detach();
+    window.history.replaceState(null, '', '/');
+  });
+
+  describe('URLs', () => {
+    it('should join the segments of each path value', () => {
+      const values = [{ type: 'listing', id: 42 }, { type: 'reviews' }];
+      expect(router.url(values)).toBe('/listing/42/reviews');
+      expect(router.url([])).toBe('/');
+      expect(router.parse('/listing/42/reviews')).toEqual(values);
+    });
+
+    it('should prefer the longest matching pattern and stop at unknown segments', () => {
+      expect(router.parse('/listing/7/photos/reviews')).toEqual([{ type: 'photos', id: 7 }, { type: 'reviews' }]);
+      expect(router.parse('/listing/7/unknown/reviews')).toEqual([{ type: 'listing', id: 7 }]);
+    });
+
+    it('should treat a malformed escape as an unknown segment', () => {
+      expect(router.parse('/listing/%E0%A4%A')).toEqual([]);
+      expect(router.parse('/reviews/listing/%E0%A4%A')).toEqual([{ type: 'reviews' }]);
+    });
+
+    it('should read and write URLs under a base path', () => {
+      const based = new Router(routes, { base: '/app/' });
+      expect(based.url([{ type: 'reviews' }])).toBe('/app/reviews');
+      expect(based.parse('/app/listing/3?tab=1')).toEqual([{ type: 'listing', id: 3 }]);
+    });
+
+    it('should require the parameters of a pattern', () => {
+      expect(() => router.url([{ type: 'listing' }])).toThrow('needs a value for "id"');
+    });
+  });
+
+  describe('NavigationStack', () => {
+    it('should rebuild the stack from a deep link', () => {
+      window.history.replaceState(null, '', '/listing/5/reviews');
+      const view = stack();
+      const element = view._render();
+
+      expect(view.path.path).toEqual([{ type: 'listing', id: 5 }, { type: 'reviews' }]);
+      expect(view.depth).toBe(2);
+      expect(element.textContent).toBe('Reviews');
+    });
+
+    it('should open a malformed deep link at the matching part', () => {
+      window.history.replaceState(null, '', '/reviews/listing/%E0%A4%A');
+      const view = stack();
+      const element = view._render();
+
+      expect(view.path.path).toEqual([{ type: 'reviews' }]);
+      expect(element.textContent).toBe('Reviews');
+    });
+
+    it('should push a history entry for each appended value', () => {
+      const path = new NavigationPath();
+      const element = stack({ path })._render();
+      const length = window.history.length;
+
+      path.append({ type: 'listing', id: 1 });
+      expect(window.location.pathname).toBe('/listing/1');
+      expect(element.textContent).toBe('Listing 1');
+
+      path.append({ type: 'reviews' });
+      expect(window.location.pathname).toBe('/listing/1/reviews');
+      expect(window.history.state).toEqual({ navigationDepth: 2, navigationIndex: 2 });
+      expect(window.history.length).toBe(length + 2);
+    });
+
+    it('should pop the stack with a pop transition on browser back', () => {
+      const path = new NavigationPath();
+      const view = stack({ path, transitionStyle: 'slide' });
+      const element = view._render();
+      view._animateTransition = (direction) => { view.lastTransition = direction; };
+      path.append({ type: 'listing', id: 1 });
+      path.append({ type: 'reviews' });
+
+      window.history.replaceState({ navigationDepth: 1, navigationIndex: 1 }, '', '/listing/1');
+      window.dispatchEvent(new PopStateEvent('popstate', { state: window.history.state }));
+
+      expect(path.path).toEqual([{ type: 'listing', id: 1 }]);
+      expect(view.depth).toBe(1);
+      expect(view.lastTransition).toBe('pop');
+      expect(element.dataset.view).toBe('NavigationStack');
+    });
+
+    it('should go back in history when the app pops entries it pushed', () => {
+      const path = new NavigationPath();
+      const view = stack({ path });
+      const element = view._render();
+      const history = window.history;
+      const steps = [];
+      history.go = (delta) => steps.push(delta);
+      try {
+        path.append({ type: 'listing', id: 1 });
+        path.append({ type: 'reviews' });
+        view.pop();
+        path.removeLast();
+      } finally {
+        delete history.go;
+      }
+
+      expect(steps).toEqual([-1, -1]);
+      expect(element.textContent).toBe('Home');
+
+      // The browser lands on the pushed entries; the path is already there
+      history.replaceState(null, '', '/listing/1');
+      window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
+      window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
+      expect(window.location.pathname).toBe('/');
+      expect(path.isEmpty).toBe(true);
+    });
+
+    it('should replace the URL when the path is not a push or a pop', () => {
+      const path = new NavigationPath([{ type: 'listing', id: 1 }]);
+      stack({ path })._render();
+      expect(window.location.pathname).toBe('/listing/1');
+      const length = window.history.length;
+
+      path.clear();
+      path.append({ type: 'listing', id: 2 });
+      expect(window.history.length).toBe(length + 1);
+
+      path._assign([{ type: 'listing', id: 3 }]);
+      expect(window.location.pathname).toBe('/listing/3');
+      expect(window.history.length).toBe(length + 1);
+    });
+
+    it('should keep following the router path when rebuilt by a re-render', () => {
+      const container = document.createElement('div');
+      document.body.appendChild(container);
+      const count = new State(0);
+      const Page = Component(function Page() {
+        return VStack(Text(`Count ${count.value}`), stack());
+      });
+      Reconciler.mount(Page(), container);
+      const path = router.navigationPath;
+      const errors = [];
+      const consoleError = console.error;
+      console.error = (...args) => errors.push(args);
+      try {
+        count.value = 1;
+        flushSync();
+        flushSync();
+        flushLifecycleCallbacks();
+      } finally {
+        console.error = consoleError;
+      }
+
+      expect(errors).toEqual([]);
+      expect(container.textContent).toBe('Count 1Home');
+      expect(router.navigationPath).toBe(path);
+      expect(path._subscribers.size).toBe(2); // the router and the mounted stack
+
+      path.append({ type: 'listing', id: 4 });
+      expect(window.location.pathname).toBe('/listing/4');
+      expect(container.textContent).toBe('Count 1Listing 4');
+
+      Reconciler.unmount(container);
+      container.parentNode.removeChild(container);
+      flushLifecycleCallbacks();
+      expect(router.navigationPath).toBe(null);
+    });
+  });
+});
@@ -8,6 +8,12 @@
  * - Event delegation (single root listener per event type)
  * - Partial updates via Reconciler with element pooling
  * - Lifecycle callback batching
+ * - Local state (useState / State.local) in the content function, kept
+ *   across refreshes and refreshing the app when it changes
+ * - Error reporting: errors caught by ErrorBoundary views in this app, or
+ *   thrown by its scheduled refreshes, go to its onError() handlers
+ * - Cmd/Ctrl+Z and Cmd/Ctrl+Shift+Z (or Ctrl+Y) undo and redo with the
+ *   Environment's UndoManager
  *
  * @example
  * App(() =>
@@ -22,8 +28,17 @@ import { View } from '../Core/View.js';
 import { Reconciler } from '../Core/Reconciler.js';
 import { ChangeTracker } from '../Core/ChangeTracker.js';
 import { isDescriptor } from '../Core/ViewDescriptor.js';
-import { scheduleWork, DefaultLane } from '../Core/Scheduler.js';
+import {
+  scheduleWork,
+  requestUpdateLane,
+  getCurrentLane,
+  TransitionLane
+} from '../Core/Scheduler.js';
 import { initDelegation, teardownDelegation } from '../Core/EventDelegate.js';
+import { Component, setRefreshHandler } from '../Core/Component.js';
+import { onError, reportError } from '../Core/ErrorBoundary.js';
+import { Inspector } from './Inspector.js';
+import { handleUndoShortcut } from '../Data/UndoManager.js';
 
 /**
  * App class implementation for mounting views to the DOM.
@@ -42,25 +57,46 @@ class AppInstance {
     this._debugMode = false;
     this._renderCount = 0;
     this._refreshScheduled = false;
+    this._refreshLane = null;
+    this._rootComponent = null;
+    /** @type {Function[]} Handlers passed to onError() */
+    this._errorHandlers = [];
+    this._errorUnsubscribers = [];
+    /** @type {Inspector|null} Overlay shown in debug mode */
+    this._inspector = null;
 
     // Bound function for scheduler deduplication
     this._boundRefresh = () => {
       this._refreshScheduled = false;
       this._doRefresh();
     };
+    this._boundRequestRefresh = () => this.refresh();
   }
 
   /**
-   * Enable debug mode - logs render information and enables change tracking.
+   * Enable debug mode - logs render information, enables change tracking
+   * and shows the inspector overlay (view tree, props and modifiers, why
+   * each view re-rendered, patched elements flash) while mounted.
    *
    * @returns {AppInstance} Returns this for chaining
    */
   debug() {
     this._debugMode = true;
     Reconciler.enableDebug();
+    if (this._rootElement?.dataset.swiftuiMounted) this._showInspector();
     return this;
   }
 
+  /**
+   * Attach the inspector overlay to the root element.
+   * @private
+   */
+  _showInspector() {
+    if (!this._useReconciler) return;
+    if (!this._inspector) this._inspector = new Inspector(this._rootElement);
+    this._inspector.attach();
+  }
+
   /**
    * Disable partial updates (use full re-render).
    *
@@ -81,6 +117,39 @@ class AppInstance {
     return this;
   }
 
+  /**
+   * Register a handler for view errors, e.g. to forward them to logging.
+   * Receives errors caught by the ErrorBoundary views of this app and errors
+   * thrown while refreshing it, not those of other apps on the page.
+   * Handlers are active while the app is mounted.
+   *
+   * @example
+   * App(ContentView)
+   *   .onError((error, { phase }) => logger.report(error, { phase }))
+   *   .mount('#root');
+   *
+   * @param {Function} handler - (error, info) => void
+   * @returns {AppInstance} Returns this for chaining
+   */
+  onError(handler) {
+    this._errorHandlers.push(handler);
+    if (this._rootElement) {
+      this._errorUnsubscribers.push(onError(handler, this._rootElement));
+    }
+    return this;
+  }
+
+  /**
+   * Register the onError() handlers for the root element.
+   * @private
+   */
+  _attachErrorHandlers() {
+    for (const unsubscribe of this._errorUnsubscribers) unsubscribe();
+    this._errorUnsubscribers = this._errorHandlers.map(
+      handler => onError(handler, this._rootElement)
+    );
+  }
+
   /**
    * Mounts the app to a DOM element.
    *
@@ -102,6 +171,8 @@ class AppInstance {
 
     // Initialize event delegation on the root element
     initDelegation(this._rootElement);
+    this._attachErrorHandlers();
+    this._rootElement.addEventListener('keydown', handleUndoShortcut);
 
     // Clear existing content
     this._rootElement.textContent = '';
@@ -117,7 +188,9 @@ class AppInstance {
       }
 
       if (this._useReconciler) {
-        Reconciler.mount(this._mountedView, this._rootElement);
+        if (this._debugMode) this._showInspector();
+        setRefreshHandler(this._rootElement, this._boundRequestRefresh);
+        this._mountedView = Reconciler.mount(this._mountedView, this._rootElement).view;
       } else {
         const element = this._mountedView._render();
         this._rootElement.appendChild(element);
@@ -130,6 +203,65 @@ class AppInstance {
     return this;
   }
 
+  /**
+   * Hydrates server-rendered markup produced by renderToString.
+   *
+   * Unlike mount(), the existing DOM under the root element is kept and
+   * adopted: event handlers and lifecycle callbacks are attached to it
+   * without re-creating the elements.
+   *
+   * @example
+   * // Server
+   * const html = renderToString(ContentView);
+   *
+   * // Client
+   * App(ContentView).hydrate('#root');
+   *
+   * @param {string|HTMLElement} selector - CSS selector or DOM element
+   * @returns {AppInstance} Returns this for chaining
+   */
+  hydrate(selector) {
+    if (typeof selector === 'string') {
+      this._rootElement = document.querySelector(selector);
+    } else if (selector instanceof HTMLElement) {
+      this._rootElement = selector;
+    }
+
+    if (!this._rootElement) {
+      console.error(`SwiftUI-For-Web: Could not find element "${selector}"`);
+      return this;
+    }
+
+    initDelegation(this._rootElement);
+    this._attachErrorHandlers();
+    this._rootElement.addEventListener('keydown', handleUndoShortcut);
+
+    this._mountedView = this._createView();
+
+    if (this._mountedView) {
+      this._renderCount++;
+
+      if (this._debugMode) {
+        console.log(`[App] Hydrate #${this._renderCount}`);
+      }
+
+      if (this._useReconciler) {
+        if (this._debugMode) this._showInspector();
+        setRefreshHandler(this._rootElement, this._boundRequestRefresh);
+        this._mountedView = Reconciler.hydrate(this._mountedView, this._rootElement).view;
+      } else {
+        // Without the reconciler there is no tree to adopt into; render fresh
+        this._rootElement.textContent = '';
+        const element = this._mountedView._render();
+        this._rootElement.appendChild(element);
+      }
+
+      this._rootElement.dataset.swiftuiMounted = 'true';
+    }
+
+    return this;
+  }
+
   /**
    * Creates the view from the content.
    *
@@ -143,6 +275,16 @@ class AppInstance {
       if (content.prototype instanceof View) {
         return new content();
       }
+
+      // Run the content function as the root component so it can hold
+      // local state; the reconciler expands it while building the tree
+      if (this._useReconciler) {
+        if (!this._rootComponent) {
+          this._rootComponent = Component(content, content.name || 'App');
+        }
+        return this._rootComponent();
+      }
+
       const result = content();
 
       if (result instanceof View || isDescriptor(result)) {
@@ -169,14 +311,24 @@ class AppInstance {
     if (this._rootElement) {
       // Tear down event delegation
       teardownDelegation(this._rootElement);
+      this._rootElement.removeEventListener('keydown', handleUndoShortcut);
 
       if (this._useReconciler) {
+        setRefreshHandler(this._rootElement, null);
         Reconciler.unmount(this._rootElement);
       } else {
         this._rootElement.textContent = '';
       }
       delete this._rootElement.dataset.swiftuiMounted;
       this._mountedView = null;
+
+      for (const unsubscribe of this._errorUnsubscribers) unsubscribe();
+      this._errorUnsubscribers = [];
+
+      if (this._inspector) {
+        this._inspector.detach();
+        this._inspector = null;
+      }
     }
     return this;
   }
@@ -184,16 +336,20 @@ class AppInstance {
   /**
    * Schedule a re-render via the Scheduler.
    * Multiple calls within the same microtask are coalesced into a single re-render.
-   * This is the primary way state changes trigger UI updates.
+   * This is the primary way state changes trigger UI updates. Inside
+   * startTransition() the re-render is scheduled as a time-sliced transition;
+   * an urgent refresh() takes over a pending transition refresh.
    *
    * @returns {AppInstance} Returns this for chaining
    */
   refresh() {
     if (!this._rootElement) return this;
 
-    if (!this._refreshScheduled) {
+    const lane = requestUpdateLane();
+    if (!this._refreshScheduled || lane < this._refreshLane) {
       this._refreshScheduled = true;
-      scheduleWork(this._boundRefresh, DefaultLane);
+      this._refreshLane = lane;
+      scheduleWork(this._boundRefresh, lane);
     }
 
     return this;
@@ -215,15 +371,25 @@ class AppInstance {
       console.log(`[App] Refresh #${this._renderCount}`);
     }
 
-    if (this._useReconciler) {
-      Reconciler.update(newView, this._rootElement);
+    if (this._useReconciler && getCurrentLane() === TransitionLane) {
+      // Rendered in slices; the DOM changes when the whole update commits
+      Reconciler.updateConcurrent(newView, this._rootElement, (tree) => {
+        this._mountedView = tree.view;
+      });
+    } else if (this._useReconciler) {
+      try {
+        this._mountedView = Reconciler.update(newView, this._rootElement).view;
+      } catch (error) {
+        // Not contained by an ErrorBoundary: report it rather than breaking
+        // the scheduler flush. Build errors leave the previous DOM untouched
+        reportError(error, { phase: 'update', node: this._rootElement });
+      }
     } else {
       this._rootElement.textContent = '';
       const element = newView._render();
       this._rootElement.appendChild(element);
+      this._mountedView = newView;
     }
-
-    this._mountedView = newView;
   }
 
   /**
@@ -243,8 +409,14 @@ class AppInstance {
       this._mountedView = this._createView();
 
       if (this._mountedView) {
-        const element = this._mountedView._render();
-        this._rootElement.appendChild(element);
+        if (this._useReconciler) {
+          // Re-mount so the reconciler's tree matches the fresh DOM;
+          // local state of components still in the tree is kept
+          this._mountedView = Reconciler.mount(this._mountedView, this._rootElement).view;
+        } else {
+          const element = this._mountedView._render();
+          this._rootElement.appendChild(element);
+        }
       }
     }
     return this;
@@ -266,6 +438,14 @@ class AppInstance {
     return this._rootElement;
   }
 
+  /**
+   * Gets the inspector overlay shown in debug mode.
+   * @returns {Inspector|null}
+   */
+  get inspector() {
+    return this._inspector;
+  }
+
   /**
    * Gets the render count.
    * @returns {number}
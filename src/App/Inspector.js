@@ -0,0 +1,437 @@
+/**
+ * Inspector - In-page overlay for debugging a mounted view tree
+ *
+ * Shows the live VNode tree of a container next to the page:
+ * - hovering a row outlines its DOM element
+ * - clicking a row lists the node's props and modifiers
+ * - each row shows why it last changed, from ChangeTracker (`_title` for a
+ *   prop, `_value` for a State read by a component, `@identity`, ...)
+ * - elements patched by a commit flash, and their rows are marked until
+ *   the next commit
+ * - the footer sums up the reconciler, scheduler, pool and lifecycle stats
+ *
+ * The overlay is plain DOM appended to document.body, outside the
+ * container, so it never shows up in the tree it inspects.
+ *
+ * @example
+ * App(ContentView).debug().mount('#root');
+ *
+ * @example
+ * // Any container mounted through the Reconciler
+ * const inspector = new Inspector(container).attach();
+ * inspector.detach();
+ */
+
+import { Reconciler } from '../Core/Reconciler.js';
+import { ChangeTracker } from '../Core/ChangeTracker.js';
+import { isDescriptor } from '../Core/ViewDescriptor.js';
+import { getSchedulerStats } from '../Core/Scheduler.js';
+import { getPoolStats } from '../Core/ElementPool.js';
+import { getLifecycleStats } from '../Core/LifecycleObserver.js';
+
+/** How long a patched element stays highlighted (ms) */
+const FLASH_DURATION = 600;
+
+/** Longest formatted value shown in the details pane */
+const MAX_VALUE_LENGTH = 80;
+
+/** Change reason shown for a patch ChangeTracker has no reason for */
+const PATCH_REASONS = { INSERT: '@inserted', MOVE: '@moved', REPLACE: '@identity' };
+
+/** Legacy view fields that are bookkeeping rather than props */
+const INTERNAL_FIELDS = new Set(['_viewId', '_children', '_element', '_modifiers']);
+
+const PANEL_STYLE = 'position:fixed;right:12px;bottom:12px;z-index:2147483647;' +
+  'width:340px;max-height:70vh;display:flex;flex-direction:column;' +
+  'font:11px/1.5 ui-monospace,Menlo,monospace;color:#e6e6e6;background:#1e1e1e;' +
+  'border-radius:8px;box-shadow:0 4px 24px rgba(0,0,0,.35);overflow:hidden;';
+
+const BOX_STYLE = 'position:fixed;pointer-events:none;z-index:2147483646;box-sizing:border-box;';
+
+/**
+ * Format a prop or modifier value for display.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (typeof value === 'function') return 'ƒ';
+  if (isDescriptor(value)) return `<${value.type}>`;
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (value && typeof value === 'object') {
+    if (typeof value.rgba === 'function') return value.rgba();
+    try {
+      value = JSON.stringify(value);
+    } catch (error) {
+      value = Object.prototype.toString.call(value);
+    }
+  }
+  const text = String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Props of a node: descriptor props, or the fields of a legacy view.
+ * @param {Object} node - VNode
+ * @returns {Array<[string, *]>}
+ */
+function nodeProps(node) {
+  const view = node.view;
+  if (node.isDescriptor) return Object.entries(view.props);
+  if (!view) return [];
+  return Object.keys(view)
+    .filter(key => key.startsWith('_') && !INTERNAL_FIELDS.has(key) && typeof view[key] !== 'object')
+    .map(key => [key.slice(1), view[key]]);
+}
+
+/**
+ * Identities of the components whose body is a node, outermost first.
+ * Component bodies are identified under the component
+ * (`/VStack[0]/Row[2]/HStack[0]`), so they are the path segments between
+ * the parent node and the node.
+ * @param {Object} node - VNode
+ * @returns {string[]}
+ */
+function componentIdentities(node) {
+  const base = node.parent ? node.parent.identity : '';
+  const rest = node.identity.slice(base.length).split('/').slice(1, -1);
+  const identities = [];
+  let identity = base;
+  for (const segment of rest) {
+    identity += `/${segment}`;
+    identities.push(identity);
+  }
+  return identities;
+}
+
+/**
+ * Name of a component or node from its identity segment.
+ * @param {string} identity
+ * @returns {string}
+ */
+function segmentName(identity) {
+  const segment = identity.slice(identity.lastIndexOf('/') + 1);
+  return segment.replace(/\[\d+\]$/, '');
+}
+
+/**
+ * In-page inspector for one mounted container.
+ */
+export class Inspector {
+  /**
+   * @param {HTMLElement} container - Container mounted through the Reconciler
+   */
+  constructor(container) {
+    this.container = container;
+
+    /** @type {HTMLElement|null} */
+    this.panel = null;
+
+    /** @type {string|null} Identity of the selected node */
+    this.selected = null;
+
+    /** @type {Map<string, string[]>} Identity -> reasons of its last change */
+    this.reasons = new Map();
+
+    /** @type {Set<string>} Identities patched by the last commit */
+    this.patched = new Set();
+
+    /** @type {number} Commits seen since attach() */
+    this.commits = 0;
+
+    /** @type {Map<HTMLElement, Object>} Tree row -> VNode */
+    this._rows = new Map();
+    this._highlight = null;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Show the overlay and start following commits.
+   * @returns {Inspector} Returns this for chaining
+   */
+  attach() {
+    if (this.panel) return this;
+
+    ChangeTracker.enable();
+    this._unsubscribe = Reconciler.onCommit((container, patches) => {
+      if (container === this.container) this._onCommit(patches);
+    });
+
+    this.panel = this._createPanel();
+    this._highlight = document.createElement('div');
+    this._highlight.style.cssText = `${BOX_STYLE}display:none;` +
+      'background:rgba(10,132,255,.15);outline:2px solid #0a84ff;';
+    document.body.appendChild(this.panel);
+    document.body.appendChild(this._highlight);
+
+    this.refresh();
+    return this;
+  }
+
+  /**
+   * Remove the overlay and stop following commits.
+   */
+  detach() {
+    if (!this.panel) return;
+
+    this._unsubscribe();
+    this._unsubscribe = null;
+    ChangeTracker.disable();
+
+    this.panel.remove();
+    this._highlight.remove();
+    this.panel = null;
+    this._highlight = null;
+    this._rows.clear();
+  }
+
+  /**
+   * Re-render the tree, details and stats.
+   */
+  refresh() {
+    if (!this.panel) return;
+
+    const tree = Reconciler.getTree(this.container);
+    const list = this.panel.querySelector('[data-inspector="tree"]');
+    list.textContent = '';
+    this._rows.clear();
+    if (tree) this._renderRow(list, tree, 0);
+
+    this._renderDetails(tree);
+    this._renderStats();
+  }
+
+  /**
+   * Select a node by identity and show its details.
+   * @param {string|null} identity
+   */
+  select(identity) {
+    this.selected = identity;
+    this.refresh();
+  }
+
+  /**
+   * Outline the element of a node, or hide the outline.
+   * @param {Object|null} node - VNode
+   */
+  highlight(node) {
+    const box = this._highlight;
+    if (!box) return;
+    const element = node?.element;
+    if (!element || !element.isConnected) {
+      box.style.display = 'none';
+      return;
+    }
+    const rect = element.getBoundingClientRect();
+    box.style.left = `${rect.left}px`;
+    box.style.top = `${rect.top}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    box.style.display = 'block';
+  }
+
+  /**
+   * Find a node of the mounted tree by identity.
+   * @param {string} identity
+   * @returns {Object|null} VNode
+   */
+  findNode(identity) {
+    const visit = (node) => {
+      if (node.identity === identity) return node;
+      for (const child of node.children) {
+        const found = visit(child);
+        if (found) return found;
+      }
+      return null;
+    };
+    const tree = Reconciler.getTree(this.container);
+    return tree ? visit(tree) : null;
+  }
+
+  /**
+   * Why a node last changed: its own reasons and those of the components
+   * it is the body of.
+   * @param {Object} node - VNode
+   * @returns {string[]}
+   */
+  reasonsFor(node) {
+    const reasons = [];
+    for (const identity of [...componentIdentities(node), node.identity]) {
+      for (const reason of this.reasons.get(identity) || []) {
+        if (!reasons.includes(reason)) reasons.push(reason);
+      }
+    }
+    return reasons;
+  }
+
+  /**
+   * @param {Array} patches - Patches of the commit
+   */
+  _onCommit(patches) {
+    this.commits++;
+    const changes = ChangeTracker.takeAllChanges();
+    for (const [identity, reasons] of changes) this.reasons.set(identity, reasons);
+
+    this.patched.clear();
+    for (const patch of patches) {
+      if (patch.type === 'REMOVE') continue;
+      const node = patch.newNode || patch.node;
+      this.patched.add(node.identity);
+      // Patches with no recorded change explain themselves
+      if (!changes.has(node.identity)) {
+        this.reasons.set(node.identity, [PATCH_REASONS[patch.type] || '@self']);
+      }
+      this._flash(node.element);
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Briefly outline a patched element.
+   * @param {HTMLElement|null} element
+   */
+  _flash(element) {
+    if (!element || !element.isConnected) return;
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return;
+
+    const box = document.createElement('div');
+    box.style.cssText = `${BOX_STYLE}left:${rect.left}px;top:${rect.top}px;` +
+      `width:${rect.width}px;height:${rect.height}px;outline:2px solid #ff9f0a;` +
+      `transition:opacity ${FLASH_DURATION}ms ease-out;`;
+    document.body.appendChild(box);
+    requestAnimationFrame(() => { box.style.opacity = '0'; });
+    setTimeout(() => box.remove(), FLASH_DURATION);
+  }
+
+  /**
+   * @returns {HTMLElement}
+   */
+  _createPanel() {
+    const panel = document.createElement('div');
+    panel.dataset.inspector = 'panel';
+    panel.style.cssText = PANEL_STYLE;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display:flex;justify-content:space-between;padding:6px 10px;' +
+      'background:#2d2d2d;font-weight:bold;';
+    header.textContent = 'Inspector';
+    const close = document.createElement('button');
+    close.textContent = '×';
+    close.title = 'Close inspector';
+    close.style.cssText = 'border:0;background:none;color:inherit;cursor:pointer;font:inherit;';
+    close.addEventListener('click', () => this.detach());
+    header.appendChild(close);
+
+    const tree = document.createElement('div');
+    tree.dataset.inspector = 'tree';
+    tree.style.cssText = 'flex:1;overflow:auto;padding:4px 0;min-height:60px;';
+    tree.addEventListener('mouseover', (event) => {
+      this.highlight(this._rows.get(event.target.closest('[data-identity]')) || null);
+    });
+    tree.addEventListener('mouseleave', () => this.highlight(null));
+    tree.addEventListener('click', (event) => {
+      const node = this._rows.get(event.target.closest('[data-identity]'));
+      if (node) this.select(node.identity);
+    });
+
+    const details = document.createElement('div');
+    details.dataset.inspector = 'details';
+    details.style.cssText = 'max-height:35%;overflow:auto;padding:6px 10px;border-top:1px solid #333;';
+
+    const stats = document.createElement('div');
+    stats.dataset.inspector = 'stats';
+    stats.style.cssText = 'padding:4px 10px;border-top:1px solid #333;color:#999;';
+
+    panel.append(header, tree, details, stats);
+    return panel;
+  }
+
+  /**
+   * @param {HTMLElement} list
+   * @param {Object} node - VNode
+   * @param {number} depth
+   */
+  _renderRow(list, node, depth) {
+    const row = document.createElement('div');
+    row.dataset.identity = node.identity;
+    row.style.cssText = `padding:0 10px 0 ${10 + depth * 12}px;cursor:pointer;white-space:nowrap;`;
+    if (node.identity === this.selected) row.style.background = '#094771';
+    if (this.patched.has(node.identity)) {
+      row.dataset.patched = 'true';
+      row.style.color = '#ff9f0a';
+    }
+
+    const components = componentIdentities(node).map(segmentName);
+    let label = [...components, node.type].join(' › ');
+    if (node.key != null) label += ` [${node.key}]`;
+    row.textContent = label;
+
+    const reasons = this.reasonsFor(node);
+    if (reasons.length > 0) {
+      const badge = document.createElement('span');
+      badge.dataset.inspector = 'reasons';
+      badge.style.cssText = 'margin-left:8px;color:#888;';
+      badge.textContent = reasons.join(', ');
+      row.appendChild(badge);
+    }
+
+    list.appendChild(row);
+    this._rows.set(row, node);
+    for (const child of node.children) this._renderRow(list, child, depth + 1);
+  }
+
+  /**
+   * @param {Object|null} tree - VNode
+   */
+  _renderDetails(tree) {
+    const details = this.panel.querySelector('[data-inspector="details"]');
+    details.textContent = '';
+
+    const node = tree && this.selected ? this.findNode(this.selected) : null;
+    if (!node) {
+      details.textContent = 'Select a view';
+      return;
+    }
+
+    const line = (text, color) => {
+      const element = document.createElement('div');
+      element.textContent = text;
+      if (color) element.style.color = color;
+      details.appendChild(element);
+    };
+
+    line(node.identity, '#888');
+    const reasons = this.reasonsFor(node);
+    line(`changed: ${reasons.length > 0 ? reasons.join(', ') : '—'}`, '#ff9f0a');
+
+    const props = nodeProps(node);
+    if (props.length > 0) line('props', '#0a84ff');
+    for (const [key, value] of props) line(`  ${key}: ${formatValue(value)}`);
+
+    const modifiers = node.isDescriptor ? node.view.modifiers : [];
+    if (modifiers.length > 0) line('modifiers', '#0a84ff');
+    for (const modifier of modifiers) line(`  .${modifier.type}(${formatValue(modifier.value)})`);
+  }
+
+  _renderStats() {
+    const stats = this.panel.querySelector('[data-inspector="stats"]');
+    const reconciler = Reconciler.getStats();
+    const scheduler = getSchedulerStats();
+    const pool = getPoolStats();
+    const lifecycle = getLifecycleStats();
+
+    stats.textContent = [
+      `commits ${this.commits}`,
+      `patches ${reconciler.patchesApplied}`,
+      `component updates ${reconciler.componentUpdates}`,
+      `flushes ${scheduler.totalFlushes}`,
+      `pool hits ${pool.hitRate}`,
+      `pending appear ${lifecycle.pendingAppear}`
+    ].join(' · ');
+  }
+}
+
+export default {
+  Inspector
+};
@@ -4,3 +4,4 @@
  */
 
 export { App, AppInstance } from './App.js';
+export { Inspector } from './Inspector.js';
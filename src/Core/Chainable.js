@@ -11,44 +11,62 @@ import {
   createModifier,
   ModifierType
 } from './ViewDescriptor.js';
+import { addPresentationModifiers } from './Presentation.js';
 
 /**
  * Create a chainable descriptor with modifier methods
  * Each modifier returns a new chainable with the modifier added.
  *
+ * Views with modifiers of their own pass `extend`, which is called as
+ * `extend(chain, descriptor, next)` to add them; `next` wraps a new
+ * descriptor with the same extension so chaining keeps both sets.
+ *
  * @param {Object} descriptor - Base descriptor
+ * @param {Function} [extend] - Adds view-specific modifier methods
  * @returns {Object} Frozen descriptor with modifier methods
  */
-export function chainable(descriptor) {
+export function chainable(descriptor, extend = null) {
+  const next = (view) => chainable(view, extend);
   const chain = Object.create(null);
 
   // Copy all descriptor properties
   Object.assign(chain, descriptor);
 
   // Layout modifiers
-  chain.padding = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.PADDING, value)));
-  chain.frame = (options) => chainable(addModifier(descriptor, createModifier(ModifierType.FRAME, options)));
+  chain.padding = (value) => next(addModifier(descriptor, createModifier(ModifierType.PADDING, value)));
+  chain.frame = (options) => next(addModifier(descriptor, createModifier(ModifierType.FRAME, options)));
 
   // Style modifiers
-  chain.foregroundColor = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.FOREGROUND_COLOR, color)));
-  chain.background = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.BACKGROUND, color)));
-  chain.font = (font) => chainable(addModifier(descriptor, createModifier(ModifierType.FONT, font)));
-  chain.opacity = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.OPACITY, value)));
-  chain.cornerRadius = (radius) => chainable(addModifier(descriptor, createModifier(ModifierType.CORNER_RADIUS, radius)));
-  chain.border = (color, width = 1) => chainable(addModifier(descriptor, createModifier(ModifierType.BORDER, { color, width })));
-  chain.shadow = (options) => chainable(addModifier(descriptor, createModifier(ModifierType.SHADOW, options)));
-  chain.clipShape = (shape) => chainable(addModifier(descriptor, createModifier(ModifierType.CLIP_SHAPE, shape)));
+  chain.foregroundColor = (color) => next(addModifier(descriptor, createModifier(ModifierType.FOREGROUND_COLOR, color)));
+  chain.background = (color) => next(addModifier(descriptor, createModifier(ModifierType.BACKGROUND, color)));
+  chain.font = (font) => next(addModifier(descriptor, createModifier(ModifierType.FONT, font)));
+  chain.opacity = (value) => next(addModifier(descriptor, createModifier(ModifierType.OPACITY, value)));
+  chain.cornerRadius = (radius) => next(addModifier(descriptor, createModifier(ModifierType.CORNER_RADIUS, radius)));
+  chain.border = (color, width = 1) => next(addModifier(descriptor, createModifier(ModifierType.BORDER, { color, width })));
+  chain.shadow = (options) => next(addModifier(descriptor, createModifier(ModifierType.SHADOW, options)));
+  chain.clipShape = (shape) => next(addModifier(descriptor, createModifier(ModifierType.CLIP_SHAPE, shape)));
 
   // Event modifiers
-  chain.onTapGesture = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_TAP, handler)));
-  chain.onAppear = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_APPEAR, handler)));
-  chain.onDisappear = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_DISAPPEAR, handler)));
+  chain.onTapGesture = (handler) => next(addModifier(descriptor, createModifier(ModifierType.ON_TAP, handler)));
+  chain.onAppear = (handler) => next(addModifier(descriptor, createModifier(ModifierType.ON_APPEAR, handler)));
+  chain.onDisappear = (handler) => next(addModifier(descriptor, createModifier(ModifierType.ON_DISAPPEAR, handler)));
+  chain.task = (action, options = {}) => next(addModifier(descriptor, createModifier(ModifierType.TASK, { action, id: options.id })));
 
   // Identity
-  chain.id = (key) => chainable(setKey(descriptor, key));
+  chain.id = (key) => next(setKey(descriptor, key));
 
   // Custom modifier support (for backward compatibility)
-  chain.modifier = (mod) => chainable(addModifier(descriptor, createModifier(ModifierType.CUSTOM, mod)));
+  chain.modifier = (mod) => next(addModifier(descriptor, createModifier(ModifierType.CUSTOM, mod)));
+
+  // Environment values for this view and its descendants
+  chain.environment = (key, value) => next(addModifier(descriptor, createModifier(ModifierType.ENVIRONMENT, { key, value })));
+  chain.environmentObject = (object) => next(addModifier(descriptor, createModifier(ModifierType.ENVIRONMENT, { key: object.constructor, value: object })));
+
+  addPresentationModifiers(chain);
+
+  if (extend) {
+    extend(chain, descriptor, next);
+  }
 
   return Object.freeze(chain);
 }
@@ -29,6 +29,9 @@ class ChangeTrackerClass {
     /** @type {Set<string>} Views that have _printChanges enabled */
     this._trackedViews = new Set();
 
+    /** @type {boolean} Whether every view is tracked (see enable()) */
+    this._trackAll = false;
+
     /** @type {string|null} Current property being set (for tracking) */
     this._currentProperty = null;
 
@@ -51,11 +54,36 @@ class ChangeTrackerClass {
    */
   disableForView(viewId) {
     this._trackedViews.delete(viewId);
-    if (this._trackedViews.size === 0) {
+    if (this._trackedViews.size === 0 && !this._trackAll) {
       this._enabled = false;
     }
   }
 
+  /**
+   * Track changes of every view and component, keyed by identity.
+   * Used by the inspector overlay.
+   */
+  enable() {
+    this._trackAll = true;
+    this._enabled = true;
+  }
+
+  /**
+   * Stop tracking every view; views with _printChanges stay tracked.
+   */
+  disable() {
+    this._trackAll = false;
+    this._enabled = this._trackedViews.size > 0;
+  }
+
+  /**
+   * Whether any changes are being recorded.
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this._enabled;
+  }
+
   /**
    * Check if tracking is enabled for a view
    * @param {string} viewId - View identifier
@@ -140,6 +168,19 @@ class ChangeTrackerClass {
     return changes;
   }
 
+  /**
+   * Get and clear the pending changes of every view.
+   * @returns {Map<string, string[]>} View ID -> change reasons
+   */
+  takeAllChanges() {
+    const result = new Map();
+    for (const [viewId, changes] of this._pendingChanges) {
+      if (changes.length > 0) result.set(viewId, changes);
+    }
+    this._pendingChanges.clear();
+    return result;
+  }
+
   /**
    * Print changes for a view (SwiftUI's _printChanges() equivalent)
    * @param {string} viewName - Name of the view class
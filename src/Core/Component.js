@@ -0,0 +1,436 @@
+/**
+ * Component - Function components with identity-scoped local state
+ *
+ * A component wraps a function that returns a view. Calling the component
+ * produces a lightweight 'Component' descriptor; the Reconciler expands it
+ * while building the virtual tree, running the function inside a scope tied
+ * to the component's structural identity (parent path + name + key/index).
+ *
+ * Local state created with `useState` / `State.local` lives in that scope,
+ * so it survives `App.refresh()` re-creating the whole descriptor tree and
+ * is released once the component disappears from the tree.
+ *
+ * The body runs under observation tracking: every State value and
+ * Observable property it reads is subscribed to, and a change re-renders
+ * only that component's subtree (via the updater the Reconciler registers)
+ * instead of the whole app. Changes made inside startTransition() re-render
+ * on the Transition lane.
+ *
+ * @example
+ * const Counter = Component(function Counter(label) {
+ *   const count = useState(0);
+ *   return HStack(
+ *     Text(`${label}: ${count.value}`),
+ *     Button('+', () => count.value++)
+ *   );
+ * });
+ *
+ * VStack(Counter('Apples'), Counter('Pears'))
+ */
+
+import {
+  createDescriptor,
+  isDescriptor,
+  addModifier,
+  setKey
+} from './ViewDescriptor.js';
+import { chainable } from './Chainable.js';
+import { registerRenderer, render } from './Renderer.js';
+import { scheduleWork, requestUpdateLane } from './Scheduler.js';
+import { DependencyTracker } from '../Data/Observable.js';
+import { ChangeTracker } from './ChangeTracker.js';
+
+/** Descriptor type produced by component factories */
+export const COMPONENT_TYPE = 'Component';
+
+/**
+ * Storage for one mounted component instance.
+ */
+class ComponentScope {
+  /**
+   * @param {string|null} identity - Structural identity, null when ephemeral
+   * @param {Object|null} root - Root the scope belongs to (a container)
+   */
+  constructor(identity, root) {
+    this.identity = identity;
+    this.root = root;
+    this.slots = [];
+    this.dirty = false;
+    /** @type {number|null} Lane the pending re-render is scheduled on */
+    this.dirtyLane = null;
+    this._released = false;
+    this._cleanups = [];
+
+    this._tracker = new DependencyTracker((source, prop) => {
+      // Why it re-renders, for the inspector and _printChanges()
+      if (identity != null) ChangeTracker.recordChange(identity, String(prop));
+      this.invalidate();
+    });
+  }
+
+  /**
+   * Run the body under tracking, then subscribe to what it read this time
+   * and unsubscribe from what it no longer reads.
+   * @param {Function} body
+   * @returns {*} Whatever the body returns
+   */
+  track(body) {
+    this.dirty = false;
+    this.dirtyLane = null;
+    return this._tracker.track(body);
+  }
+
+  /**
+   * Register a callback to run when the scope is released.
+   * @param {Function} callback
+   */
+  onRelease(callback) {
+    this._cleanups.push(callback);
+  }
+
+  /**
+   * Mark the scope for re-rendering in the next scheduler flush of the
+   * current update lane. A more urgent invalidation moves a pending
+   * re-render to its own lane.
+   */
+  invalidate() {
+    if (this._released || this.root == null) return;
+    const lane = requestUpdateLane();
+    if (this.dirty && this.dirtyLane <= lane) return;
+
+    this.dirty = true;
+    this.dirtyLane = lane;
+    _dirtyScopes.add(this);
+    scheduleWork(getFlusher(lane), lane);
+  }
+
+  /**
+   * Unsubscribe from all reads, run cleanups and drop all slots.
+   */
+  release() {
+    this._released = true;
+    _dirtyScopes.delete(this);
+
+    this._tracker.clear();
+
+    for (const cleanup of this._cleanups) {
+      try {
+        cleanup();
+      } catch (error) {
+        console.error('Component cleanup error:', error);
+      }
+    }
+    this._cleanups.length = 0;
+    this.slots.length = 0;
+  }
+}
+
+/** @type {Map<Object, Map<string, ComponentScope>>} root -> identity -> scope */
+const _scopes = new Map();
+
+/** @type {Map<Object, Function>} root -> refresh handler */
+const _refreshHandlers = new Map();
+
+/** @type {Set<ComponentScope>} Scopes waiting to re-render */
+const _dirtyScopes = new Set();
+
+/** @type {Map<number, Function>} lane -> flush of the scopes dirty on it */
+const _flushers = new Map();
+
+/** Re-renders one component in place: (root, identity, lane) => handled */
+let _updater = null;
+
+/** Current render pass: { root, prefix, visited, parent } */
+let _pass = null;
+
+/** Component body currently running: { scope, cursor, parent } */
+let _frame = null;
+
+/**
+ * Create a component factory from a view function.
+ *
+ * Arguments passed to the factory are forwarded to the function when the
+ * component is expanded. They are not part of the descriptor hash, so the
+ * body is re-run on every build and diffed like any other subtree.
+ *
+ * @param {Function} body - Function returning a view
+ * @param {string} [name] - Name used in the identity, defaults to body.name
+ * @returns {Function} Factory returning a chainable component descriptor
+ */
+export function Component(body, name = body.name || COMPONENT_TYPE) {
+  if (typeof body !== 'function') {
+    throw new TypeError('Component requires a function that returns a view');
+  }
+
+  const factory = (...args) => chainable(
+    createDescriptor(COMPONENT_TYPE, { name, body: () => body(...args) })
+  );
+  factory.isComponent = true;
+  return factory;
+}
+
+/**
+ * Check if a value is a component descriptor.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isComponent(value) {
+  return isDescriptor(value) && value.type === COMPONENT_TYPE;
+}
+
+/**
+ * Start a render pass for a root. Scopes not visited before the matching
+ * endRender() are released. A pass that re-renders a single component
+ * passes its identity as `prefix`, limiting the release to that subtree.
+ *
+ * @param {Object} root - Container the tree is mounted in
+ * @param {string|null} [prefix] - Identity of the component being re-rendered
+ * @returns {Object} The pass, for suspendRender() / resumeRender()
+ */
+export function beginRender(root, prefix = null) {
+  _pass = { root, prefix, visited: new Set(), parent: _pass };
+  return _pass;
+}
+
+/**
+ * Finish the current render pass and release scopes that were not visited.
+ */
+export function endRender() {
+  if (!_pass) return;
+
+  const { root, prefix, visited } = _pass;
+  const scopes = _scopes.get(root);
+  if (scopes) {
+    for (const [identity, scope] of scopes) {
+      if (prefix !== null && identity !== prefix && !identity.startsWith(`${prefix}/`)) {
+        continue;
+      }
+      if (!visited.has(identity)) {
+        scopes.delete(identity);
+        scope.release();
+      }
+    }
+    if (scopes.size === 0) _scopes.delete(root);
+  }
+
+  _pass = _pass.parent;
+}
+
+/**
+ * Take the current render pass off the stack so a time-sliced render can
+ * continue it later with resumeRender().
+ * @returns {Object|null} The suspended pass
+ */
+export function suspendRender() {
+  const pass = _pass;
+  if (pass) _pass = pass.parent;
+  return pass;
+}
+
+/**
+ * Make a suspended pass current again.
+ * @param {Object} pass - Pass returned by beginRender() or suspendRender()
+ */
+export function resumeRender(pass) {
+  pass.parent = _pass;
+  _pass = pass;
+}
+
+/**
+ * Release every scope belonging to a root (on unmount).
+ * @param {Object} root
+ */
+export function releaseRoot(root) {
+  const scopes = _scopes.get(root);
+  if (!scopes) return;
+  _scopes.delete(root);
+  for (const scope of scopes.values()) {
+    scope.release();
+  }
+}
+
+/**
+ * Set the function that re-renders a single component in place.
+ * Called with (root, identity, lane); returns false when it could not, in which
+ * case the root's refresh handler is used instead.
+ * @param {Function|null} updater
+ */
+export function setComponentUpdater(updater) {
+  _updater = updater;
+}
+
+/**
+ * Set the function that refreshes a whole root, used when a component
+ * cannot be re-rendered on its own. Pass null to remove it.
+ * @param {Object} root
+ * @param {Function|null} handler
+ */
+export function setRefreshHandler(root, handler) {
+  if (handler) {
+    _refreshHandlers.set(root, handler);
+  } else {
+    _refreshHandlers.delete(root);
+  }
+}
+
+/**
+ * Expand a component descriptor into the view its body returns.
+ *
+ * Inside a render pass the body runs in the persistent scope for
+ * `identity`; otherwise (plain render(), renderToString) it runs in a
+ * throwaway scope. Modifiers and the key of the component carry over to
+ * the returned descriptor.
+ *
+ * @param {Object} descriptor - Component descriptor
+ * @param {string} identity - Structural identity of the component
+ * @returns {Object|null} The body view
+ */
+export function expandComponent(descriptor, identity) {
+  let scope;
+  if (_pass) {
+    let scopes = _scopes.get(_pass.root);
+    if (!scopes) {
+      scopes = new Map();
+      _scopes.set(_pass.root, scopes);
+    }
+    scope = scopes.get(identity);
+    if (!scope) {
+      scope = new ComponentScope(identity, _pass.root);
+      scopes.set(identity, scope);
+    }
+    _pass.visited.add(identity);
+  } else {
+    scope = new ComponentScope(null, null);
+  }
+
+  let view = scope.root == null
+    ? runBody(scope, descriptor.props.body)
+    : runBody(scope, () => scope.track(descriptor.props.body));
+  if (!isDescriptor(view)) return view || null;
+
+  for (const modifier of descriptor.modifiers) {
+    view = addModifier(view, modifier);
+  }
+  if (descriptor.key != null && view.key == null) {
+    view = setKey(view, descriptor.key);
+  }
+  return view;
+}
+
+/**
+ * Run a component body with `scope` as the current scope.
+ * @param {ComponentScope} scope
+ * @param {Function} body
+ * @returns {*} Whatever the body returns
+ */
+function runBody(scope, body) {
+  _frame = { scope, cursor: 0, parent: _frame };
+  try {
+    return body();
+  } finally {
+    _frame = _frame.parent;
+  }
+}
+
+/**
+ * Get the flush function for one lane, so the Scheduler can deduplicate it.
+ * @param {number} lane
+ * @returns {Function}
+ */
+function getFlusher(lane) {
+  let flusher = _flushers.get(lane);
+  if (!flusher) {
+    flusher = () => flushDirtyScopes(lane);
+    _flushers.set(lane, flusher);
+  }
+  return flusher;
+}
+
+/**
+ * Re-render the components dirty on `lane`, outermost first. Re-rendering
+ * a component also re-renders its descendants, which clears their dirty flag.
+ * @param {number} lane
+ */
+function flushDirtyScopes(lane) {
+  const scopes = [..._dirtyScopes]
+    .filter(scope => scope.dirtyLane === lane)
+    .sort((a, b) => a.identity.length - b.identity.length);
+  for (const scope of scopes) _dirtyScopes.delete(scope);
+
+  const refreshed = new Set();
+  for (const scope of scopes) {
+    if (!scope.dirty || scope._released || refreshed.has(scope.root)) continue;
+
+    if (!_updater || !_updater(scope.root, scope.identity, lane)) {
+      scope.dirty = false;
+      refreshed.add(scope.root);
+      refreshRoot(scope.root);
+    }
+  }
+}
+
+/**
+ * Refresh a whole root through its refresh handler, used when a component
+ * cannot be re-rendered on its own.
+ * @param {Object} root
+ */
+export function refreshRoot(root) {
+  const handler = _refreshHandlers.get(root);
+  if (handler) handler();
+}
+
+/**
+ * Get the next slot of the component body currently running, creating it
+ * on first use. Slots are matched by call order, so hooks must be called
+ * unconditionally and in the same order on every render.
+ *
+ * @param {Function} create - Receives the scope, returns the slot value
+ * @returns {*} The slot value
+ */
+export function useSlot(create) {
+  if (!_frame) {
+    throw new Error('Local state can only be created while a Component body is rendering');
+  }
+
+  const { scope } = _frame;
+  const index = _frame.cursor++;
+  if (index >= scope.slots.length) {
+    scope.slots[index] = create(scope);
+  }
+  return scope.slots[index];
+}
+
+/**
+ * Number of live scopes, for tests and debugging.
+ * @param {Object} [root] - Limit to one root
+ * @returns {number}
+ */
+export function getScopeCount(root) {
+  if (root !== undefined) return _scopes.get(root)?.size || 0;
+  let count = 0;
+  for (const scopes of _scopes.values()) count += scopes.size;
+  return count;
+}
+
+// Components reaching the renderer directly (render(), renderToString) run
+// with throwaway state; render() applies their modifiers to the result
+registerRenderer(COMPONENT_TYPE, (props) => {
+  const view = runBody(new ComponentScope(null, null), props.body);
+  return render(view);
+});
+
+export default {
+  Component,
+  isComponent,
+  useSlot,
+  beginRender,
+  endRender,
+  suspendRender,
+  resumeRender,
+  releaseRoot,
+  setRefreshHandler,
+  refreshRoot,
+  setComponentUpdater,
+  expandComponent,
+  getScopeCount
+};
@@ -0,0 +1,554 @@
+/**
+ * ControlFactory - Descriptor-based controls
+ *
+ * Immutable descriptor versions of the interactive controls (Toggle, Slider,
+ * Stepper, Picker, TextField, DatePicker, ColorPicker, Menu) and containers
+ * (List, Form, Section, TabView). Unlike the legacy View subclasses, these
+ * go through the Renderer and are diffed by the Reconciler, which patches
+ * value, checked, disabled and options in place instead of re-rendering.
+ *
+ * Bindings are read when the descriptor is created: the current value
+ * becomes a prop, and writes go through an `onChange` setter prop.
+ *
+ * Usage:
+ * import { Toggle, TextField, Form, Section } from './ControlFactory.js';
+ *
+ * Form(
+ *   Section({ header: 'Account' },
+ *     TextField('Name', $name),
+ *     Toggle('Notifications', $notify)
+ *   )
+ * )
+ */
+
+import { createDescriptor, setKey, isDescriptor } from './ViewDescriptor.js';
+import { chainable as baseChainable } from './Chainable.js';
+import './ControlRenderers.js';
+
+/**
+ * Create a chainable descriptor with standard and control modifier methods
+ *
+ * @param {Object} descriptor - Base descriptor
+ * @returns {Object} Chainable descriptor
+ */
+function chainable(descriptor) {
+  return baseChainable(descriptor, addControlModifiers);
+}
+
+/**
+ * Add the control modifier methods to a chainable descriptor
+ */
+function addControlModifiers(chain, descriptor, next) {
+  // Control modifiers are props, so the patcher sees them
+  const withProps = (changes) => next(createDescriptor(
+    descriptor.type, { ...descriptor.props, ...changes }, descriptor.children, descriptor.key, descriptor.modifiers
+  ));
+
+  chain.disabled = (isDisabled = true) => withProps({ isDisabled });
+  chain.tint = (color) => withProps({ tint: typeof color === 'string' ? color : color?.rgba?.() ?? color });
+  chain.toggleStyle = (style) => withProps({ toggleStyle: style });
+  chain.pickerStyle = (style) => withProps({ pickerStyle: style });
+  chain.textFieldStyle = (style) => withProps({ textFieldStyle: style });
+  chain.keyboardType = (type) => withProps({ keyboardType: type });
+  chain.autocapitalization = (type) => withProps({ autocapitalization: type });
+  chain.disableAutocorrection = (disabled = true) => withProps({ autocorrectionDisabled: disabled });
+  chain.onCommit = (callback) => withProps({ onCommit: callback });
+  chain.onEditingChanged = (callback) => withProps({ onEditingChanged: callback });
+  chain.primaryAction = (action) => withProps({ primaryAction: action });
+  chain.listStyle = (style) => withProps({ listStyle: style });
+  chain.tabViewStyle = (style) => withProps({ tabViewStyle: style });
+
+  // Picker and TabView support
+  chain.tag = (value) => withProps({ _tag: value });
+  chain.tabItem = (builder) => withProps({ _tabItem: builder });
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Check whether a value is a binding (anything with value or wrappedValue).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isBinding(value) {
+  return value != null && typeof value === 'object' && !isDescriptor(value) &&
+    ('value' in value || 'wrappedValue' in value);
+}
+
+/**
+ * Read a binding's current value.
+ * @param {Object|null} binding
+ * @param {*} fallback - Value when there is no binding
+ * @returns {*}
+ */
+function read(binding, fallback) {
+  if (!binding) return fallback;
+  return ('value' in binding ? binding.value : binding.wrappedValue) ?? fallback;
+}
+
+/**
+ * Create a setter that writes through a binding.
+ * @param {Object|null} binding
+ * @returns {Function}
+ */
+function writer(binding) {
+  return (newValue) => {
+    if (!binding) return;
+    if ('value' in binding) {
+      binding.value = newValue;
+    } else {
+      binding.wrappedValue = newValue;
+    }
+  };
+}
+
+/**
+ * Resolve a label given as a string, descriptor or builder function.
+ * @param {string|Object|Function|null} label
+ * @returns {string|Object|null}
+ */
+function resolveLabel(label) {
+  return typeof label === 'function' ? label() : (label ?? null);
+}
+
+/**
+ * Split a leading options object from child views.
+ * @param {Array} args
+ * @returns {{options: Object, children: Array}}
+ */
+function splitOptions(args) {
+  const first = args[0];
+  if (first && typeof first === 'object' && !Array.isArray(first) && !isDescriptor(first)) {
+    return { options: first, children: args.slice(1).flat().filter(c => c != null) };
+  }
+  return { options: {}, children: args.flat().filter(c => c != null) };
+}
+
+/**
+ * Read a numeric range from `{ in: [min, max] }` or `{ min, max }`.
+ * @param {Object} options
+ * @param {*} min - Default minimum
+ * @param {*} max - Default maximum
+ * @returns {{min: *, max: *}}
+ */
+function readRange(options, min, max) {
+  return {
+    min: options.in?.[0] ?? options.min ?? min,
+    max: options.in?.[1] ?? options.max ?? max
+  };
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format a Date for an input of the given type, in local time.
+ * @param {Date} date
+ * @param {string} type - A DatePickerComponents value
+ * @returns {string}
+ */
+function formatDate(date, type) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+  switch (type) {
+    case 'time': return time;
+    case 'time-seconds': return `${time}:${pad(date.getSeconds())}`;
+    case 'datetime-local': return `${day}T${time}`;
+    default: return day;
+  }
+}
+
+/**
+ * Apply an input value to a Date, keeping the parts the input doesn't show.
+ * @param {string} value - Input value
+ * @param {Date} base - Current date
+ * @returns {Date}
+ */
+function parseDate(value, base) {
+  const result = base instanceof Date ? new Date(base.getTime()) : new Date();
+  const [datePart, timePart] = value.includes('T') ? value.split('T') :
+    (value.includes(':') ? [null, value] : [value, null]);
+
+  if (datePart) {
+    const [y, m, d] = datePart.split('-').map(Number);
+    result.setFullYear(y, m - 1, d);
+  }
+  if (timePart) {
+    const [h, min, sec] = timePart.split(':').map(Number);
+    result.setHours(h, min, sec ?? result.getSeconds());
+  }
+  return result;
+}
+
+/**
+ * Get a picker option's display text.
+ * @param {Object} option - Option descriptor
+ * @param {*} tag - Option tag
+ * @returns {string}
+ */
+function optionLabel(option, tag) {
+  const props = option.props ?? {};
+  if (props.content != null) return String(props.content);
+  if (props.label != null) return String(props.label);
+
+  const text = option.children?.find(child => child?.props?.content != null);
+  return String(text?.props.content ?? tag);
+}
+
+// ============================================================================
+// Controls
+// ============================================================================
+
+/**
+ * Toggle - Boolean switch
+ *
+ * @param {string|Object|Function|Binding} labelOrBinding - Label, or the binding when unlabeled
+ * @param {Binding} [isOn] - Boolean binding
+ * @returns {Object} Chainable descriptor
+ *
+ * @example
+ * Toggle('Wi-Fi', $wifi).toggleStyle('checkbox')
+ */
+export function Toggle(labelOrBinding, isOn) {
+  let label = labelOrBinding;
+  let binding = isOn ?? null;
+
+  if (isBinding(labelOrBinding)) {
+    label = null;
+    binding = labelOrBinding;
+  } else if (labelOrBinding && typeof labelOrBinding === 'object' && !isDescriptor(labelOrBinding)) {
+    label = labelOrBinding.label;
+    binding = labelOrBinding.isOn ?? null;
+  }
+
+  return chainable(createDescriptor('Toggle', {
+    label: resolveLabel(label),
+    isOn: !!read(binding, false),
+    onChange: writer(binding)
+  }));
+}
+
+/**
+ * Slider - Select a value from a continuous range
+ *
+ * @param {Binding} value - Numeric binding
+ * @param {Object} [options] - `{ in: [min, max], step, onEditingChanged }`
+ * @param {Object} [labels] - `{ minimumValueLabel, maximumValueLabel }`
+ * @returns {Object} Chainable descriptor
+ */
+export function Slider(value, options = {}, labels = {}) {
+  const { min, max } = readRange(options, 0, 1);
+
+  return chainable(createDescriptor('Slider', {
+    value: Number(read(value, min)),
+    min,
+    max,
+    step: options.step ?? null,
+    minimumValueLabel: resolveLabel(labels.minimumValueLabel),
+    maximumValueLabel: resolveLabel(labels.maximumValueLabel),
+    onChange: writer(value),
+    onEditingChanged: options.onEditingChanged ?? null
+  }));
+}
+
+/**
+ * Stepper - Increment and decrement a value
+ *
+ * @param {string|Object|Function|Binding} labelOrBinding - Label, or the binding when unlabeled
+ * @param {Binding|Object} [value] - Numeric binding, or options when unlabeled
+ * @param {Object} [options] - `{ in: [min, max], step }`
+ * @returns {Object} Chainable descriptor
+ *
+ * @example
+ * Stepper(`Quantity: ${quantity}`, $quantity, { in: [0, 10] })
+ */
+export function Stepper(labelOrBinding, value, options) {
+  let label = labelOrBinding;
+  let binding = value;
+  let opts = options ?? {};
+
+  if (isBinding(labelOrBinding)) {
+    label = null;
+    binding = labelOrBinding;
+    opts = value ?? {};
+  }
+
+  const { min, max } = readRange(opts, null, null);
+
+  return chainable(createDescriptor('Stepper', {
+    label: resolveLabel(label),
+    value: Number(read(binding, 0)),
+    min,
+    max,
+    step: opts.step ?? 1,
+    onChange: writer(binding)
+  }));
+}
+
+/**
+ * Picker - Select one of several tagged options
+ *
+ * @param {string|Object|Binding} labelOrBinding - Label, or the binding when unlabeled
+ * @param {...Object} options - Binding (when labeled), then tagged option views
+ * @returns {Object} Chainable descriptor
+ *
+ * @example
+ * Picker('Flavor', $flavor,
+ *   Text('Chocolate').tag('chocolate'),
+ *   Text('Vanilla').tag('vanilla')
+ * ).pickerStyle('segmented')
+ */
+export function Picker(labelOrBinding, ...options) {
+  let label = labelOrBinding;
+  let binding;
+
+  if (isBinding(labelOrBinding)) {
+    label = null;
+    binding = labelOrBinding;
+  } else {
+    binding = options.shift();
+  }
+
+  // ForEach descriptors contribute their children
+  const views = options.flat()
+    .flatMap(view => (view?.type === 'ForEach' ? view.children : [view]))
+    .filter(view => view != null);
+
+  return chainable(createDescriptor('Picker', {
+    label: resolveLabel(label),
+    options: views.map((view, index) => {
+      const tag = view.props?._tag ?? view.key ?? index;
+      return { tag, label: optionLabel(view, tag) };
+    }),
+    selection: read(binding, null),
+    onChange: writer(binding),
+    pickerStyle: 'automatic'
+  }));
+}
+
+/**
+ * TextField - Editable single-line text
+ *
+ * @param {string|Object} placeholderOrOptions - Placeholder, or `{ placeholder, text }`
+ * @param {Binding} [text] - String binding
+ * @param {Function} [onEditingChanged] - Called with true/false on focus/blur
+ * @returns {Object} Chainable descriptor
+ */
+export function TextField(placeholderOrOptions, text, onEditingChanged) {
+  let placeholder = placeholderOrOptions;
+  let binding = text ?? null;
+
+  if (placeholderOrOptions && typeof placeholderOrOptions === 'object') {
+    placeholder = placeholderOrOptions.placeholder;
+    binding = placeholderOrOptions.text ?? null;
+  }
+
+  return chainable(createDescriptor('TextField', {
+    placeholder: placeholder ?? '',
+    text: String(read(binding, '')),
+    onChange: writer(binding),
+    onEditingChanged: onEditingChanged ?? null,
+    isSecure: false
+  }));
+}
+
+/**
+ * SecureField - Text field that hides its input
+ *
+ * @param {string|Object} placeholderOrOptions - Placeholder, or `{ placeholder, text }`
+ * @param {Binding} [text] - String binding
+ * @param {Function} [onCommit] - Called when Return is pressed
+ * @returns {Object} Chainable descriptor
+ */
+export function SecureField(placeholderOrOptions, text, onCommit) {
+  const field = TextField(placeholderOrOptions, text);
+  return chainable(createDescriptor('TextField', {
+    ...field.props,
+    isSecure: true,
+    onCommit: onCommit ?? null
+  }));
+}
+
+/**
+ * DatePicker - Select a date and/or time
+ *
+ * @param {string|Object|Binding} labelOrBinding - Label, or the binding when unlabeled
+ * @param {Binding|Object} [selection] - Date binding, or options when unlabeled
+ * @param {Object} [options] - `{ displayedComponents, in: { start, end } }`
+ * @returns {Object} Chainable descriptor
+ */
+export function DatePicker(labelOrBinding, selection, options) {
+  let label = labelOrBinding;
+  let binding = selection;
+  let opts = options ?? {};
+
+  if (isBinding(labelOrBinding)) {
+    label = null;
+    binding = labelOrBinding;
+    opts = selection ?? {};
+  }
+
+  const type = opts.displayedComponents ?? 'date';
+  const current = read(binding, null);
+
+  return chainable(createDescriptor('DatePicker', {
+    label: resolveLabel(label),
+    value: formatDate(current, type),
+    displayedComponents: type,
+    min: opts.in?.start ? formatDate(opts.in.start, type) : null,
+    max: opts.in?.end ? formatDate(opts.in.end, type) : null,
+    onChange: (value) => writer(binding)(parseDate(value, read(binding, null)))
+  }));
+}
+
+/**
+ * ColorPicker - Select a color
+ *
+ * @param {string|Object|Binding} labelOrBinding - Label, or the binding when unlabeled
+ * @param {Binding} [selection] - Binding to a Color or hex string
+ * @returns {Object} Chainable descriptor
+ */
+export function ColorPicker(labelOrBinding, selection) {
+  let label = labelOrBinding;
+  let binding = selection;
+
+  if (isBinding(labelOrBinding)) {
+    label = null;
+    binding = labelOrBinding;
+  }
+
+  const current = read(binding, null);
+  const value = typeof current?.hex === 'function' ? current.hex() : (current ?? '#007aff');
+
+  return chainable(createDescriptor('ColorPicker', {
+    label: resolveLabel(label),
+    value: String(value).toLowerCase(),
+    onChange: (hex) => {
+      // Write back the same kind of value the binding holds
+      const from = read(binding, null)?.constructor?.hex;
+      writer(binding)(typeof from === 'function' ? from(hex) : hex);
+    }
+  }));
+}
+
+/**
+ * Menu - Button that reveals a list of actions
+ *
+ * @param {string|Object} labelOrOptions - Label, or `{ label }`
+ * @param {...Object} items - Menu items (usually Buttons)
+ * @returns {Object} Chainable descriptor
+ */
+export function Menu(labelOrOptions, ...items) {
+  let label = labelOrOptions;
+
+  if (labelOrOptions && typeof labelOrOptions === 'object' && !isDescriptor(labelOrOptions)) {
+    label = labelOrOptions.label;
+  } else if (isDescriptor(labelOrOptions)) {
+    label = null;
+    items = [labelOrOptions, ...items];
+  }
+
+  return chainable(createDescriptor('Menu', {
+    label: resolveLabel(label)
+  }, items.flat().filter(c => c != null)));
+}
+
+// ============================================================================
+// Containers
+// ============================================================================
+
+/**
+ * List - Scrolling column of rows
+ *
+ * @param {Array|Object} dataOrRow - Data array, options or first row
+ * @param {...*} rest - `({ id }, builder)` for data, otherwise rows
+ * @returns {Object} Chainable descriptor
+ *
+ * @example
+ * List(items, { id: 'id' }, item => Text(item.name))
+ * List(Text('One'), Text('Two'))
+ */
+export function List(dataOrRow, ...rest) {
+  let children;
+
+  if (Array.isArray(dataOrRow) && (typeof rest[0] === 'function' || typeof rest[1] === 'function')) {
+    const builder = typeof rest[0] === 'function' ? rest[0] : rest[1];
+    const idKey = typeof rest[0] === 'object' ? rest[0]?.id : null;
+    children = dataOrRow.map((item, index) => setKey(builder(item, index), idKey ? item[idKey] : index));
+  } else {
+    children = [dataOrRow, ...rest].flat().filter(c => c != null);
+  }
+
+  return chainable(createDescriptor('List', { listStyle: 'automatic' }, children));
+}
+
+/**
+ * Form - Container for grouped controls
+ *
+ * @param {...Object} children - Sections or controls
+ * @returns {Object} Chainable descriptor
+ */
+export function Form(...children) {
+  return chainable(createDescriptor('Form', {}, children.flat().filter(c => c != null)));
+}
+
+/**
+ * Section - Group of rows with an optional header and footer
+ *
+ * @param {Object|...Object} optionsOrChild - `{ header, footer }` or first row
+ * @param {...Object} children - Rows
+ * @returns {Object} Chainable descriptor
+ *
+ * @example
+ * Section({ header: 'Profile', footer: () => Text('Visible to everyone') },
+ *   TextField('Name', $name)
+ * )
+ */
+export function Section(...args) {
+  const { options, children } = splitOptions(args);
+
+  return chainable(createDescriptor('Section', {
+    header: resolveLabel(options.header),
+    footer: resolveLabel(options.footer)
+  }, children));
+}
+
+/**
+ * TabView - Switch between tagged child views
+ *
+ * @param {Object|...Object} optionsOrChild - `{ selection }` or first tab
+ * @param {...Object} children - Tabs, configured with `.tabItem()` and `.tag()`
+ * @returns {Object} Chainable descriptor
+ */
+export function TabView(...args) {
+  const { options, children } = splitOptions(args);
+  const binding = options.selection ?? null;
+
+  return chainable(createDescriptor('TabView', {
+    // Tab tags are props so adding or retagging a tab rebuilds the tab bar
+    tags: children.map((child, index) => child.props?._tag ?? index),
+    selection: binding ? read(binding, null) : undefined,
+    onChange: writer(binding),
+    tabViewStyle: 'automatic'
+  }, children));
+}
+
+export default {
+  Toggle,
+  Slider,
+  Stepper,
+  Picker,
+  TextField,
+  SecureField,
+  DatePicker,
+  ColorPicker,
+  Menu,
+  List,
+  Form,
+  Section,
+  TabView
+};
@@ -0,0 +1,1127 @@
+/**
+ * ControlRenderers - Renderers and in-place patchers for descriptor controls
+ *
+ * Registers a renderer for every control type created by ControlFactory,
+ * plus a patcher that updates the rendered element when only its value-like
+ * props change (value, checked, disabled, options, selection). The
+ * Reconciler tries the patcher before re-rendering, so typing into a
+ * TextField or dragging a Slider never replaces the element under the user.
+ *
+ * Handlers always read the props of the element's current descriptor, which
+ * the Renderer updates after each successful patch, so closures captured at
+ * render time never call a stale setter.
+ *
+ * Visuals mirror the legacy View subclasses in View/Control.
+ */
+
+import {
+  render,
+  renderChildren,
+  registerRenderer,
+  registerPatcher
+} from './Renderer.js';
+import { isDescriptor } from './ViewDescriptor.js';
+import { acquireElement } from './ElementPool.js';
+import { delegateEvent } from './EventDelegate.js';
+
+// ============================================================================
+// Shared Helpers
+// ============================================================================
+
+const TINT = 'rgba(0, 122, 255, 1)';
+
+/**
+ * Props of the descriptor an element currently reflects.
+ *
+ * @param {HTMLElement} element - Rendered control
+ * @param {Object} props - Props captured at render time
+ * @returns {Object}
+ */
+function latest(element, props) {
+  return element._descriptor?.props ?? props;
+}
+
+/**
+ * Check that two prop sets only differ in the given keys.
+ * Functions are ignored, descriptors compare by hash, arrays by content.
+ *
+ * @param {Object} prev - Previous props
+ * @param {Object} next - New props
+ * @param {string[]} patchable - Keys a patcher knows how to update
+ * @returns {boolean}
+ */
+function onlyChanged(prev, next, patchable) {
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+
+  for (const key of keys) {
+    if (patchable.includes(key)) continue;
+
+    const a = prev[key];
+    const b = next[key];
+    if (a === b || typeof a === 'function' || typeof b === 'function') continue;
+
+    if (isDescriptor(a) && isDescriptor(b)) {
+      if (a._hash !== b._hash) return false;
+    } else if (Array.isArray(a) && Array.isArray(b)) {
+      if (JSON.stringify(a) !== JSON.stringify(b)) return false;
+    } else {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Render a label given as a string or a descriptor.
+ *
+ * @param {string|Object|null} label
+ * @param {string} [partName] - Marks the element as a control part
+ * @returns {HTMLElement|null}
+ */
+function renderLabel(label, partName) {
+  if (label == null) return null;
+
+  const element = isDescriptor(label) ? render(label) : acquireElement('span');
+  if (!isDescriptor(label)) {
+    element.textContent = String(label);
+  }
+  if (partName) {
+    element.dataset.controlPart = partName;
+  }
+  return element;
+}
+
+/**
+ * Update a control's label in place. String labels are rewritten; label
+ * views can't be patched, so any change to them needs a re-render.
+ *
+ * @param {HTMLElement} element - Control root
+ * @param {Object} prev - Previous props
+ * @param {Object} next - New props
+ * @returns {boolean} False if the label can't be updated in place
+ */
+function patchLabel(element, prev, next) {
+  if (prev.label === next.label) return true;
+  if (isDescriptor(prev.label) && isDescriptor(next.label)) {
+    return prev.label._hash === next.label._hash;
+  }
+  if (typeof prev.label !== 'string' || typeof next.label !== 'string') return false;
+
+  const label = part(element, 'label');
+  if (!label) return false;
+  label.textContent = next.label;
+  return true;
+}
+
+/**
+ * Find a control part by its data attribute.
+ *
+ * @param {HTMLElement} element - Control root
+ * @param {string} name - Part name
+ * @returns {HTMLElement|null}
+ */
+function part(element, name) {
+  if (element.dataset?.controlPart === name) return element;
+
+  // Walk the children directly so this also works in the server DOM shim
+  const children = element.children;
+  for (let i = 0; i < children.length; i++) {
+    const found = part(children[i], name);
+    if (found) return found;
+  }
+  return null;
+}
+
+function applyDisabled(element, isDisabled) {
+  element.style.opacity = isDisabled ? '0.5' : '';
+  element.style.cursor = isDisabled ? 'not-allowed' : '';
+}
+
+function colorValue(color) {
+  if (color == null) return null;
+  return typeof color.rgba === 'function' ? color.rgba() : String(color);
+}
+
+/**
+ * Inject the stylesheet for descriptor list and section rows and slider thumbs.
+ * Rows are rendered without wrappers so the Reconciler can diff them as
+ * direct children; their chrome comes from these rules instead.
+ */
+function injectControlStyles() {
+  if (typeof document === 'undefined' || !document.head) return;
+  if (document.getElementById('swiftui-control-styles')) return;
+
+  const style = document.createElement('style');
+  style.id = 'swiftui-control-styles';
+  style.textContent = `
+[data-control="list"] > *,
+[data-control="list"] > [style*="display: contents"] > *,
+[data-section-part="content"] > *,
+[data-section-part="content"] > [style*="display: contents"] > * {
+  display: flex;
+  align-items: center;
+  padding: 11px 16px;
+  background-color: white;
+  border-bottom: 1px solid rgba(60, 60, 67, 0.1);
+}
+[data-control="list"][data-style="plain"] > *,
+[data-control="list"][data-style="plain"] > [style*="display: contents"] > * {
+  background-color: transparent;
+}
+[data-section-part="content"] > :last-child,
+[data-section-part="content"] > [style*="display: contents"]:last-child > :last-child {
+  border-bottom: none;
+}
+[data-control="slider"] input[type="range"]::-webkit-slider-thumb {
+  appearance: none;
+  width: 28px;
+  height: 28px;
+  background: white;
+  border-radius: 50%;
+  cursor: pointer;
+  box-shadow: 0 2px 4px rgba(0,0,0,0.2), 0 0 0 1px rgba(0,0,0,0.05);
+}
+[data-control="slider"] input[type="range"]::-moz-range-thumb {
+  width: 28px;
+  height: 28px;
+  background: white;
+  border-radius: 50%;
+  cursor: pointer;
+  border: none;
+  box-shadow: 0 2px 4px rgba(0,0,0,0.2), 0 0 0 1px rgba(0,0,0,0.05);
+}
+`;
+  document.head.appendChild(style);
+}
+
+/**
+ * Ensure a stylesheet rule hides every tab except the selected one.
+ * Visibility lives in CSS rather than on the tab elements so it survives
+ * the Reconciler replacing a tab's element.
+ *
+ * @param {number} index - Selected tab index
+ */
+function ensureTabRule(index) {
+  if (typeof document === 'undefined' || !document.head) return;
+
+  let style = document.getElementById('swiftui-tab-styles');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'swiftui-tab-styles';
+    document.head.appendChild(style);
+  }
+
+  const selector = `[data-tabview-part="content"][data-selected="${index}"]`;
+  if (!style.textContent.includes(selector)) {
+    style.textContent += `${selector} > :not(:nth-child(${index + 1})) { display: none !important; }\n`;
+  }
+}
+
+// ============================================================================
+// Toggle
+// ============================================================================
+
+function updateToggle(element, props) {
+  const track = part(element, 'track');
+  const thumb = part(element, 'thumb');
+  const checkbox = part(element, 'checkbox');
+  const tint = colorValue(props.tint);
+
+  if (checkbox) {
+    checkbox.checked = !!props.isOn;
+    checkbox.disabled = !!props.isDisabled;
+    checkbox.style.accentColor = tint || '';
+  } else if (track && thumb) {
+    track.style.backgroundColor = props.isOn ? (tint || 'rgba(52, 199, 89, 1)') : 'rgba(120, 120, 128, 0.16)';
+    thumb.style.left = props.isOn ? '22px' : '2px';
+  } else {
+    element.disabled = !!props.isDisabled;
+    element.style.backgroundColor = props.isOn ? (tint || TINT) : 'rgba(120, 120, 128, 0.16)';
+    element.style.color = props.isOn ? 'white' : 'inherit';
+  }
+
+  applyDisabled(element, props.isDisabled);
+  element.setAttribute('aria-checked', String(!!props.isOn));
+}
+
+registerRenderer('Toggle', (props) => {
+  const style = props.toggleStyle ?? 'switch';
+  let element;
+
+  if (style === 'button') {
+    element = acquireElement('button');
+    element.style.padding = '8px 16px';
+    element.style.borderRadius = '8px';
+    element.style.border = 'none';
+    element.style.fontFamily = 'inherit';
+    element.style.fontSize = 'inherit';
+    element.style.transition = 'background-color 0.2s ease';
+    const label = renderLabel(props.label, 'label');
+    if (label) element.appendChild(label);
+  } else if (style === 'checkbox') {
+    element = acquireElement('label');
+    element.style.display = 'inline-flex';
+    element.style.alignItems = 'center';
+    element.style.gap = '8px';
+
+    const checkbox = acquireElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.controlPart = 'checkbox';
+    checkbox.style.width = '18px';
+    checkbox.style.height = '18px';
+    checkbox.style.cursor = 'inherit';
+    element.appendChild(checkbox);
+
+    const label = renderLabel(props.label, 'label');
+    if (label) element.appendChild(label);
+
+    delegateEvent(checkbox, 'change', () => {
+      const current = latest(element, props);
+      current.onChange?.(checkbox.checked);
+    });
+  } else {
+    element = acquireElement('div');
+    element.style.display = 'inline-flex';
+    element.style.alignItems = 'center';
+    element.style.gap = '8px';
+
+    const label = renderLabel(props.label, 'label');
+    if (label) element.appendChild(label);
+
+    const track = acquireElement('div');
+    track.dataset.controlPart = 'track';
+    track.style.width = '51px';
+    track.style.height = '31px';
+    track.style.borderRadius = '15.5px';
+    track.style.position = 'relative';
+    track.style.transition = 'background-color 0.2s ease';
+
+    const thumb = acquireElement('div');
+    thumb.dataset.controlPart = 'thumb';
+    thumb.style.width = '27px';
+    thumb.style.height = '27px';
+    thumb.style.borderRadius = '50%';
+    thumb.style.backgroundColor = 'white';
+    thumb.style.position = 'absolute';
+    thumb.style.top = '2px';
+    thumb.style.transition = 'left 0.2s ease';
+    thumb.style.boxShadow = '0 2px 4px rgba(0, 0, 0, 0.2)';
+
+    track.appendChild(thumb);
+    element.appendChild(track);
+  }
+
+  element.dataset.view = 'Toggle';
+  element.dataset.control = 'toggle';
+  if (style !== 'checkbox') {
+    element.setAttribute('role', 'switch');
+  }
+
+  if (style !== 'checkbox') {
+    delegateEvent(element, 'click', (event) => {
+      const current = latest(element, props);
+      if (current.isDisabled) return;
+      event.preventDefault();
+
+      // Reflect the change right away; the patch from the re-render confirms it
+      updateToggle(element, { ...current, isOn: !current.isOn });
+      current.onChange?.(!current.isOn);
+    });
+  }
+
+  updateToggle(element, props);
+  return element;
+});
+
+registerPatcher('Toggle', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['isOn', 'isDisabled', 'tint', 'label'])) return false;
+  if (!patchLabel(element, prev, props)) return false;
+  updateToggle(element, props);
+  return true;
+});
+
+// ============================================================================
+// Slider
+// ============================================================================
+
+function updateSlider(element, props) {
+  const input = part(element, 'input');
+  const tint = colorValue(props.tint) || TINT;
+
+  input.min = String(props.min);
+  input.max = String(props.max);
+  input.step = props.step != null ? String(props.step) : 'any';
+  input.disabled = !!props.isDisabled;
+
+  // Only write while the value differs, so a drag in progress isn't disturbed
+  if (parseFloat(input.value) !== props.value) {
+    input.value = String(props.value);
+  }
+
+  const range = props.max - props.min;
+  const percent = range > 0 ? ((props.value - props.min) / range) * 100 : 0;
+  input.style.background = `linear-gradient(to right, ${tint} 0%, ${tint} ${percent}%, rgba(120, 120, 128, 0.2) ${percent}%, rgba(120, 120, 128, 0.2) 100%)`;
+
+  applyDisabled(element, props.isDisabled);
+}
+
+registerRenderer('Slider', (props) => {
+  injectControlStyles();
+
+  const element = acquireElement('div');
+  element.dataset.view = 'slider';
+  element.dataset.control = 'slider';
+  element.style.display = 'flex';
+  element.style.alignItems = 'center';
+  element.style.gap = '12px';
+  element.style.width = '100%';
+
+  const minLabel = renderLabel(props.minimumValueLabel);
+  if (minLabel) element.appendChild(minLabel);
+
+  const input = acquireElement('input');
+  input.type = 'range';
+  input.dataset.controlPart = 'input';
+  input.style.flex = '1';
+  input.style.height = '4px';
+  input.style.appearance = 'none';
+  input.style.borderRadius = '2px';
+  input.style.outline = 'none';
+  input.style.cursor = 'pointer';
+  element.appendChild(input);
+
+  const maxLabel = renderLabel(props.maximumValueLabel);
+  if (maxLabel) element.appendChild(maxLabel);
+
+  delegateEvent(input, 'input', () => {
+    const current = latest(element, props);
+    const value = parseFloat(input.value);
+    updateSlider(element, { ...current, value });
+    current.onChange?.(value);
+  });
+  delegateEvent(input, 'pointerdown', () => latest(element, props).onEditingChanged?.(true));
+  delegateEvent(input, 'pointerup', () => latest(element, props).onEditingChanged?.(false));
+
+  updateSlider(element, props);
+  return element;
+});
+
+registerPatcher('Slider', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['value', 'min', 'max', 'step', 'isDisabled', 'tint'])) return false;
+  updateSlider(element, props);
+  return true;
+});
+
+// ============================================================================
+// Stepper
+// ============================================================================
+
+function updateStepper(element, props) {
+  const decrement = part(element, 'decrement');
+  const increment = part(element, 'increment');
+
+  // Without a label the stepper shows its value
+  if (props.label == null) {
+    part(element, 'label').textContent = String(props.value);
+  }
+
+  const atMin = props.min != null && props.value <= props.min;
+  const atMax = props.max != null && props.value >= props.max;
+
+  decrement.disabled = !!props.isDisabled || atMin;
+  decrement.style.opacity = atMin ? '0.3' : '1';
+  increment.disabled = !!props.isDisabled || atMax;
+  increment.style.opacity = atMax ? '0.3' : '1';
+
+  applyDisabled(element, props.isDisabled);
+}
+
+function stepperButton(text, name) {
+  const button = acquireElement('button');
+  button.textContent = text;
+  button.dataset.controlPart = name;
+  button.style.width = '44px';
+  button.style.height = '32px';
+  button.style.border = 'none';
+  button.style.background = 'transparent';
+  button.style.fontSize = '20px';
+  button.style.fontWeight = '300';
+  button.style.color = TINT;
+  button.style.cursor = 'pointer';
+  return button;
+}
+
+registerRenderer('Stepper', (props) => {
+  const element = acquireElement('div');
+  element.dataset.view = 'stepper';
+  element.dataset.control = 'stepper';
+  element.style.display = 'flex';
+  element.style.alignItems = 'center';
+  element.style.justifyContent = 'space-between';
+  element.style.gap = '12px';
+
+  const label = renderLabel(props.label ?? '', 'label');
+  label.style.flex = '1';
+  element.appendChild(label);
+
+  const buttons = acquireElement('div');
+  buttons.style.display = 'flex';
+  buttons.style.alignItems = 'center';
+  buttons.style.border = '1px solid rgba(60, 60, 67, 0.2)';
+  buttons.style.borderRadius = '8px';
+  buttons.style.overflow = 'hidden';
+
+  const decrement = stepperButton('−', 'decrement');
+  const divider = acquireElement('div');
+  divider.style.width = '1px';
+  divider.style.height = '20px';
+  divider.style.backgroundColor = 'rgba(60, 60, 67, 0.2)';
+  const increment = stepperButton('+', 'increment');
+
+  buttons.appendChild(decrement);
+  buttons.appendChild(divider);
+  buttons.appendChild(increment);
+  element.appendChild(buttons);
+
+  const step = (direction) => {
+    const current = latest(element, props);
+    if (current.isDisabled) return;
+
+    const next = current.value + direction * (current.step ?? 1);
+    if (current.min != null && next < current.min) return;
+    if (current.max != null && next > current.max) return;
+
+    current.onChange?.(next);
+  };
+
+  delegateEvent(decrement, 'click', () => step(-1));
+  delegateEvent(increment, 'click', () => step(1));
+
+  updateStepper(element, props);
+  return element;
+});
+
+registerPatcher('Stepper', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['value', 'min', 'max', 'step', 'isDisabled', 'label'])) return false;
+  if ((prev.label == null) !== (props.label == null)) return false;
+  if (props.label != null && !patchLabel(element, prev, props)) return false;
+  updateStepper(element, props);
+  return true;
+});
+
+// ============================================================================
+// Picker
+// ============================================================================
+
+function selectedIndex(props) {
+  return props.options.findIndex(option => option.tag === props.selection);
+}
+
+function updatePicker(element, props, prev) {
+  const index = selectedIndex(props);
+  const select = part(element, 'select');
+
+  if (select) {
+    if (!prev || JSON.stringify(prev.options) !== JSON.stringify(props.options)) {
+      select.textContent = '';
+      props.options.forEach((option, i) => {
+        const el = document.createElement('option');
+        el.value = String(i);
+        el.textContent = option.label;
+        select.appendChild(el);
+      });
+    }
+    const options = select.children;
+    for (let i = 0; i < options.length; i++) {
+      options[i].selected = i === index;
+    }
+    select.disabled = !!props.isDisabled;
+  } else {
+    if (prev && JSON.stringify(prev.options) !== JSON.stringify(props.options)) {
+      return false;
+    }
+    const segments = element.children;
+    for (let i = 0; i < segments.length; i++) {
+      const selected = i === index;
+      segments[i].disabled = !!props.isDisabled;
+      segments[i].style.backgroundColor = selected ? 'white' : 'transparent';
+      segments[i].style.color = selected ? 'black' : 'rgba(60, 60, 67, 1)';
+      segments[i].style.boxShadow = selected ? '0 1px 3px rgba(0,0,0,0.1)' : 'none';
+      segments[i].setAttribute('aria-selected', String(selected));
+    }
+  }
+
+  applyDisabled(element, props.isDisabled);
+  return true;
+}
+
+registerRenderer('Picker', (props) => {
+  const element = acquireElement('div');
+  element.dataset.view = 'picker';
+  element.dataset.control = 'picker';
+
+  if (props.pickerStyle === 'segmented') {
+    element.dataset.style = 'segmented';
+    element.style.display = 'inline-flex';
+    element.style.backgroundColor = 'rgba(120, 120, 128, 0.12)';
+    element.style.borderRadius = '8px';
+    element.style.padding = '2px';
+
+    props.options.forEach((option, i) => {
+      const segment = acquireElement('button');
+      segment.textContent = option.label;
+      segment.style.padding = '6px 12px';
+      segment.style.border = 'none';
+      segment.style.borderRadius = '6px';
+      segment.style.fontSize = '13px';
+      segment.style.fontWeight = '500';
+      segment.style.cursor = 'pointer';
+      segment.style.transition = 'all 0.2s ease';
+      element.appendChild(segment);
+
+      delegateEvent(segment, 'click', () => {
+        const current = latest(element, props);
+        if (current.isDisabled) return;
+        updatePicker(element, { ...current, selection: current.options[i].tag });
+        current.onChange?.(current.options[i].tag);
+      });
+    });
+  } else {
+    element.dataset.style = 'menu';
+    element.style.display = 'flex';
+    element.style.alignItems = 'center';
+    element.style.justifyContent = 'space-between';
+    element.style.gap = '8px';
+
+    const label = renderLabel(props.label, 'label');
+    if (label) element.appendChild(label);
+
+    const select = document.createElement('select');
+    select.dataset.controlPart = 'select';
+    select.style.padding = '8px 12px';
+    select.style.fontSize = '16px';
+    select.style.border = '1px solid rgba(60, 60, 67, 0.2)';
+    select.style.borderRadius = '8px';
+    select.style.backgroundColor = 'white';
+    select.style.color = TINT;
+    select.style.cursor = 'pointer';
+    select.style.outline = 'none';
+    select.style.minWidth = '120px';
+    element.appendChild(select);
+
+    delegateEvent(select, 'change', () => {
+      const current = latest(element, props);
+      const option = current.options[parseInt(select.value, 10)];
+      if (option) current.onChange?.(option.tag);
+    });
+  }
+
+  updatePicker(element, props, null);
+  return element;
+});
+
+registerPatcher('Picker', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['selection', 'options', 'isDisabled', 'label'])) return false;
+  if (!patchLabel(element, prev, props)) return false;
+  return updatePicker(element, props, prev);
+});
+
+// ============================================================================
+// TextField / SecureField
+// ============================================================================
+
+const INPUT_TYPES = {
+  email: 'email',
+  number: 'number',
+  phone: 'tel',
+  url: 'url'
+};
+
+function updateTextField(input, props) {
+  // Skip the write while the DOM already holds the text, so the caret stays put
+  if (input.value !== props.text) {
+    input.value = props.text;
+  }
+  input.placeholder = props.placeholder ?? '';
+  input.disabled = !!props.isDisabled;
+  applyDisabled(input, props.isDisabled);
+}
+
+function applyTextFieldStyle(input, style) {
+  input.style.fontFamily = 'inherit';
+  input.style.fontSize = 'inherit';
+
+  switch (style) {
+    case 'roundedBorder':
+      input.style.border = '1px solid rgba(0, 0, 0, 0.2)';
+      input.style.borderRadius = '6px';
+      input.style.padding = '8px 12px';
+      input.style.backgroundColor = 'white';
+      break;
+
+    case 'plain':
+      input.style.border = 'none';
+      input.style.borderRadius = '0';
+      input.style.padding = '8px 0';
+      input.style.backgroundColor = 'transparent';
+      input.style.outline = 'none';
+      break;
+
+    case 'default':
+    default:
+      input.style.border = '1px solid rgba(0, 0, 0, 0.1)';
+      input.style.borderRadius = '4px';
+      input.style.padding = '8px 12px';
+      input.style.backgroundColor = 'rgba(0, 0, 0, 0.02)';
+      break;
+  }
+}
+
+registerRenderer('TextField', (props) => {
+  const input = acquireElement('input');
+  input.type = props.isSecure ? 'password' : (INPUT_TYPES[props.keyboardType] ?? 'text');
+  input.dataset.view = 'TextField';
+  input.dataset.control = 'textfield';
+
+  input.autocapitalize = props.autocapitalization ?? 'sentences';
+  input.autocomplete = props.autocorrectionDisabled ? 'off' : 'on';
+  if (props.autocorrectionDisabled) {
+    input.setAttribute('spellcheck', 'false');
+  }
+
+  applyTextFieldStyle(input, props.textFieldStyle);
+
+  delegateEvent(input, 'input', () => {
+    latest(input, props).onChange?.(input.value);
+  });
+  delegateEvent(input, 'keydown', (event) => {
+    if (event.key === 'Enter') latest(input, props).onCommit?.();
+  });
+  delegateEvent(input, 'focus', () => latest(input, props).onEditingChanged?.(true));
+  delegateEvent(input, 'blur', () => latest(input, props).onEditingChanged?.(false));
+
+  updateTextField(input, props);
+  return input;
+});
+
+registerPatcher('TextField', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['text', 'placeholder', 'isDisabled'])) return false;
+  updateTextField(element, props);
+  return true;
+});
+
+// ============================================================================
+// DatePicker
+// ============================================================================
+
+function updateDatePicker(element, props) {
+  const input = part(element, 'input');
+  if (input.value !== props.value) {
+    input.value = props.value;
+  }
+  for (const bound of ['min', 'max']) {
+    if (props[bound]) {
+      input.setAttribute(bound, props[bound]);
+    } else {
+      input.removeAttribute(bound);
+    }
+  }
+  input.disabled = !!props.isDisabled;
+  applyDisabled(element, props.isDisabled);
+}
+
+registerRenderer('DatePicker', (props) => {
+  const element = acquireElement('div');
+  element.dataset.view = 'date-picker';
+  element.dataset.control = 'datepicker';
+  element.style.display = 'flex';
+  element.style.alignItems = 'center';
+  element.style.justifyContent = 'space-between';
+  element.style.gap = '12px';
+
+  const label = renderLabel(props.label, 'label');
+  if (label) element.appendChild(label);
+
+  const input = acquireElement('input');
+  // displayedComponents values are input types (see DatePickerComponents)
+  if (props.displayedComponents === 'time-seconds') {
+    input.type = 'time';
+    input.step = '1';
+  } else {
+    input.type = props.displayedComponents ?? 'date';
+  }
+  input.dataset.controlPart = 'input';
+  input.style.padding = '6px 10px';
+  input.style.fontSize = '16px';
+  input.style.fontFamily = 'inherit';
+  input.style.border = 'none';
+  input.style.borderRadius = '6px';
+  input.style.backgroundColor = 'rgba(120, 120, 128, 0.12)';
+  input.style.color = TINT;
+  element.appendChild(input);
+
+  delegateEvent(input, 'change', () => {
+    if (input.value) latest(element, props).onChange?.(input.value);
+  });
+
+  updateDatePicker(element, props);
+  return element;
+});
+
+registerPatcher('DatePicker', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['value', 'min', 'max', 'isDisabled', 'label'])) return false;
+  if (!patchLabel(element, prev, props)) return false;
+  updateDatePicker(element, props);
+  return true;
+});
+
+// ============================================================================
+// ColorPicker
+// ============================================================================
+
+function updateColorPicker(element, props) {
+  const input = part(element, 'input');
+  if (input.value !== props.value) {
+    input.value = props.value;
+  }
+  input.disabled = !!props.isDisabled;
+  applyDisabled(element, props.isDisabled);
+}
+
+registerRenderer('ColorPicker', (props) => {
+  const element = acquireElement('div');
+  element.dataset.view = 'color-picker';
+  element.dataset.control = 'colorpicker';
+  element.style.display = 'flex';
+  element.style.alignItems = 'center';
+  element.style.justifyContent = 'space-between';
+  element.style.gap = '12px';
+
+  const label = renderLabel(props.label, 'label');
+  if (label) element.appendChild(label);
+
+  const input = acquireElement('input');
+  input.type = 'color';
+  input.dataset.controlPart = 'input';
+  input.style.width = '28px';
+  input.style.height = '28px';
+  input.style.padding = '0';
+  input.style.border = 'none';
+  input.style.borderRadius = '50%';
+  input.style.cursor = 'pointer';
+  element.appendChild(input);
+
+  delegateEvent(input, 'input', () => {
+    latest(element, props).onChange?.(input.value);
+  });
+
+  updateColorPicker(element, props);
+  return element;
+});
+
+registerPatcher('ColorPicker', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['value', 'isDisabled', 'label'])) return false;
+  if (!patchLabel(element, prev, props)) return false;
+  updateColorPicker(element, props);
+  return true;
+});
+
+// ============================================================================
+// Menu
+// ============================================================================
+
+/** @type {boolean} Whether the document listener that closes menus is installed */
+let _menuListenerInstalled = false;
+
+function setMenuOpen(element, isOpen) {
+  const dropdown = element._childHost;
+  element.dataset.open = String(isOpen);
+  dropdown.style.opacity = isOpen ? '1' : '0';
+  dropdown.style.transform = isOpen ? 'scale(1) translateY(0)' : 'scale(0.95) translateY(-8px)';
+  dropdown.style.pointerEvents = isOpen ? 'auto' : 'none';
+}
+
+/**
+ * Close open menus on any click outside them. One listener for all menus.
+ */
+function installMenuListener() {
+  if (_menuListenerInstalled || typeof document === 'undefined') return;
+  _menuListenerInstalled = true;
+
+  document.addEventListener('click', (event) => {
+    const open = document.querySelectorAll('[data-control="menu"][data-open="true"]');
+    for (const menu of open) {
+      if (!menu.contains(event.target)) setMenuOpen(menu, false);
+    }
+  });
+}
+
+registerRenderer('Menu', (props, children) => {
+  installMenuListener();
+
+  const element = acquireElement('div');
+  element.dataset.view = 'menu';
+  element.dataset.control = 'menu';
+  element.style.position = 'relative';
+  element.style.display = 'inline-block';
+
+  const trigger = acquireElement('button');
+  trigger.dataset.menuPart = 'trigger';
+  trigger.dataset.controlPart = 'trigger';
+  trigger.style.display = 'flex';
+  trigger.style.alignItems = 'center';
+  trigger.style.gap = '4px';
+  trigger.style.padding = '8px 12px';
+  trigger.style.border = 'none';
+  trigger.style.background = 'transparent';
+  trigger.style.cursor = 'pointer';
+  trigger.style.fontSize = '17px';
+  trigger.style.color = TINT;
+  trigger.style.borderRadius = '8px';
+
+  trigger.appendChild(renderLabel(props.label ?? '•••', 'label'));
+
+  const chevron = acquireElement('span');
+  chevron.textContent = '▾';
+  chevron.style.fontSize = '10px';
+  chevron.style.marginLeft = '2px';
+  trigger.appendChild(chevron);
+
+  const dropdown = acquireElement('div');
+  dropdown.dataset.menuPart = 'dropdown';
+  dropdown.style.position = 'absolute';
+  dropdown.style.top = '100%';
+  dropdown.style.left = '0';
+  dropdown.style.marginTop = '4px';
+  dropdown.style.minWidth = '200px';
+  dropdown.style.backgroundColor = 'white';
+  dropdown.style.borderRadius = '12px';
+  dropdown.style.boxShadow = '0 10px 40px rgba(0, 0, 0, 0.15), 0 2px 10px rgba(0, 0, 0, 0.1)';
+  dropdown.style.padding = '6px';
+  dropdown.style.zIndex = '1000';
+  dropdown.style.transformOrigin = 'top left';
+  dropdown.style.transition = 'opacity 0.15s ease, transform 0.15s ease';
+  dropdown.style.display = 'flex';
+  dropdown.style.flexDirection = 'column';
+  dropdown.appendChild(renderChildren(children));
+
+  element.appendChild(trigger);
+  element.appendChild(dropdown);
+  element._childHost = dropdown;
+
+  delegateEvent(trigger, 'click', () => {
+    const current = latest(element, props);
+    if (current.isDisabled) return;
+
+    if (current.primaryAction && element.dataset.open !== 'true') {
+      current.primaryAction();
+      return;
+    }
+    setMenuOpen(element, element.dataset.open !== 'true');
+  });
+
+  // Choosing an item closes the menu
+  delegateEvent(dropdown, 'click', () => setMenuOpen(element, false));
+
+  trigger.disabled = !!props.isDisabled;
+  applyDisabled(element, props.isDisabled);
+  setMenuOpen(element, false);
+  return element;
+});
+
+registerPatcher('Menu', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['label', 'isDisabled'])) return false;
+  if (!patchLabel(element, prev, props)) return false;
+
+  part(element, 'trigger').disabled = !!props.isDisabled;
+  applyDisabled(element, props.isDisabled);
+  if (props.isDisabled) setMenuOpen(element, false);
+  return true;
+});
+
+// ============================================================================
+// List / Form / Section
+// ============================================================================
+
+registerRenderer('List', (props, children) => {
+  injectControlStyles();
+
+  const element = acquireElement('div');
+  element.dataset.view = 'list';
+  element.dataset.control = 'list';
+  element.dataset.style = props.listStyle ?? 'automatic';
+  element.style.display = 'flex';
+  element.style.flexDirection = 'column';
+  element.style.overflow = 'auto';
+  element.style.backgroundColor = props.listStyle === 'plain' ? 'transparent' : 'rgba(242, 242, 247, 1)';
+
+  if (props.listStyle === 'insetGrouped' || props.listStyle === 'inset') {
+    element.style.padding = '16px';
+  }
+
+  element.appendChild(renderChildren(children));
+  return element;
+});
+
+registerRenderer('Form', (props, children) => {
+  const element = acquireElement('div');
+  element.dataset.view = 'form';
+  element.dataset.control = 'form';
+  element.setAttribute('role', 'form');
+  element.style.backgroundColor = 'rgba(242, 242, 247, 1)';
+  element.style.padding = '16px';
+  element.style.minHeight = '100%';
+  element.appendChild(renderChildren(children));
+  return element;
+});
+
+function renderSectionPart(name, content) {
+  const container = acquireElement('div');
+  container.dataset.sectionPart = name;
+  container.style.padding = name === 'header' ? '8px 16px 8px 16px' : '8px 16px';
+  container.style.fontSize = '13px';
+  container.style.color = 'rgba(60, 60, 67, 0.6)';
+
+  if (name === 'header') {
+    container.style.textTransform = 'uppercase';
+    container.style.letterSpacing = '0.5px';
+  }
+
+  container.appendChild(renderLabel(content));
+  return container;
+}
+
+registerRenderer('Section', (props, children) => {
+  injectControlStyles();
+
+  const element = acquireElement('div');
+  element.dataset.view = 'section';
+  element.dataset.control = 'section';
+  element.style.marginBottom = '24px';
+
+  if (props.header != null) {
+    element.appendChild(renderSectionPart('header', props.header));
+  }
+
+  const content = acquireElement('div');
+  content.dataset.sectionPart = 'content';
+  content.style.backgroundColor = 'white';
+  content.style.borderRadius = '10px';
+  content.style.overflow = 'hidden';
+  content.appendChild(renderChildren(children));
+  element.appendChild(content);
+  element._childHost = content;
+
+  if (props.footer != null) {
+    element.appendChild(renderSectionPart('footer', props.footer));
+  }
+
+  return element;
+});
+
+registerPatcher('List', (element, props, prev) => {
+  // Style changes re-render; nothing else on a list is patchable
+  return onlyChanged(prev, props, []);
+});
+
+// ============================================================================
+// TabView
+// ============================================================================
+
+function tabTag(child, index) {
+  return child?.props?._tag ?? index;
+}
+
+function updateTabView(element, props, children) {
+  const tags = children.map(tabTag);
+  let index = tags.indexOf(props.selection ?? element._selection);
+  if (index < 0) index = 0;
+
+  ensureTabRule(index);
+  element._childHost.dataset.selected = String(index);
+
+  const buttons = part(element, 'tabbar').children;
+  for (let i = 0; i < buttons.length; i++) {
+    buttons[i].style.color = i === index ? TINT : 'rgba(153, 153, 153, 1)';
+    buttons[i].setAttribute('aria-selected', String(i === index));
+  }
+}
+
+registerRenderer('TabView', (props, children) => {
+  const element = acquireElement('div');
+  element.dataset.view = 'tabview';
+  element.dataset.control = 'tabview';
+  element.style.display = 'flex';
+  element.style.flexDirection = 'column';
+  element.style.height = '100%';
+
+  const content = acquireElement('div');
+  content.dataset.tabviewPart = 'content';
+  content.style.flex = '1';
+  content.style.overflow = 'auto';
+  content.style.position = 'relative';
+  content.appendChild(renderChildren(children));
+
+  const tabBar = acquireElement('div');
+  tabBar.dataset.tabviewPart = 'tabbar';
+  tabBar.dataset.controlPart = 'tabbar';
+  tabBar.setAttribute('role', 'tablist');
+  tabBar.style.display = 'flex';
+  tabBar.style.justifyContent = 'space-around';
+  tabBar.style.alignItems = 'center';
+  tabBar.style.padding = '8px 0 20px 0';
+  tabBar.style.backgroundColor = 'rgba(249, 249, 249, 0.94)';
+  tabBar.style.borderTop = '1px solid rgba(60, 60, 67, 0.1)';
+
+  children.forEach((child, index) => {
+    const button = acquireElement('button');
+    button.setAttribute('role', 'tab');
+    button.style.display = 'flex';
+    button.style.flexDirection = 'column';
+    button.style.alignItems = 'center';
+    button.style.gap = '4px';
+    button.style.padding = '4px 20px';
+    button.style.border = 'none';
+    button.style.background = 'transparent';
+    button.style.cursor = 'pointer';
+
+    const builder = child?.props?._tabItem;
+    const item = typeof builder === 'function' ? builder() : null;
+    let label;
+    if (isDescriptor(item)) {
+      label = render(item);
+    } else if (item && typeof item._render === 'function') {
+      label = item._render();
+    } else {
+      label = renderLabel(`Tab ${index + 1}`);
+    }
+    label.style.color = 'inherit';
+    label.style.fontSize = '10px';
+    button.appendChild(label);
+    tabBar.appendChild(button);
+
+    delegateEvent(button, 'click', () => {
+      const current = latest(element, props);
+      const tag = tabTag(element._descriptor?.children[index] ?? child, index);
+      element._selection = tag;
+      updateTabView(element, { ...current, selection: tag }, element._descriptor?.children ?? children);
+      current.onChange?.(tag);
+    });
+  });
+
+  element.appendChild(content);
+  element.appendChild(tabBar);
+  element._childHost = content;
+
+  updateTabView(element, props, children);
+  return element;
+});
+
+registerPatcher('TabView', (element, props, prev) => {
+  if (!onlyChanged(prev, props, ['selection'])) return false;
+  updateTabView(element, props, element._descriptor.children);
+  return true;
+});
+
+export default {};
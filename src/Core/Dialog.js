@@ -0,0 +1,366 @@
+/**
+ * Dialog - Alerts and confirmation dialogs
+ *
+ * `.alert()` and `.confirmationDialog()` present system-style dialogs while
+ * a Binding says so, like sheets (see Presentation.js):
+ * - title: what the dialog asks or reports
+ * - isPresented: a Binding<boolean>, or { isPresented } / { item } options;
+ *   with an item, actions and message receive it
+ * - actions: Buttons, or a function returning them; their roles order and
+ *   style them (destructive in red, cancel last)
+ * - message: optional text, or a function returning it
+ *
+ * Choosing a button runs its action and dismisses the dialog. Enter runs
+ * the default action (the last button without a role, else the cancel
+ * button), Escape runs the cancel button. Confirmation dialogs get a
+ * Cancel button when none is given, and are also cancelled by a click
+ * outside them; alerts wait for a button.
+ *
+ * `showAlert()` and `showConfirmationDialog()` present the same dialogs
+ * from code outside the view tree and resolve with the chosen action.
+ *
+ * @example
+ * Button('Delete', () => { confirmDelete.value = true; })
+ *   .confirmationDialog('Delete this listing?', confirmDelete.binding, () => [
+ *     Button('Delete', { role: ButtonRole.destructive }, () => store.send({ type: 'delete' }))
+ *   ], 'This can\'t be undone.')
+ *
+ * @example
+ * // In a view model
+ * async close() {
+ *   if (this.hasChanges) {
+ *     const choice = await showConfirmationDialog('Discard changes?', {
+ *       actions: [{ label: 'Discard', role: ButtonRole.destructive, value: 'discard' }]
+ *     });
+ *     if (choice !== 'discard') return;
+ *   }
+ *   this.dismiss();
+ * }
+ */
+
+import { createDescriptor, isDescriptor } from './ViewDescriptor.js';
+import { registerRenderer, render, renderChildren } from './Renderer.js';
+import { acquireElement, releaseTree } from './ElementPool.js';
+import { onAppear, flushLifecycleCallbacks } from './LifecycleObserver.js';
+import { delegateEvent } from './EventDelegate.js';
+import { presentWith, presentedContent } from './Presentation.js';
+
+/** Descriptor type of a dialog's title, message and buttons */
+export const DIALOG_TYPE = 'Dialog';
+
+/** Color of destructive buttons */
+const DESTRUCTIVE_COLOR = 'rgba(255, 59, 48, 1)';
+
+/** Color of the other buttons */
+const TINT_COLOR = 'rgba(0, 122, 255, 1)';
+
+/** Counter for the ids linking a dialog to its title and message */
+let _dialogCount = 0;
+
+/**
+ * Read dialog actions from Buttons or plain { label, role, action, value }
+ * objects, adding the buttons a dialog always has.
+ *
+ * @param {string} kind - 'alert' or 'confirmationDialog'
+ * @param {Array|Object} actions
+ * @returns {Array<Object>} { label, role, action, value }
+ */
+function dialogActions(kind, actions) {
+  const entries = [actions ?? []].flat().filter(Boolean).map((action) => {
+    if (isDescriptor(action)) {
+      const { label, role, action: run } = action.props;
+      const text = label ?? action.children.map(child => child.props?.content ?? '').join('');
+      return { label: text, role: role ?? null, action: run };
+    }
+    return { label: String(action.label), role: action.role ?? null, action: action.action, value: action.value };
+  });
+
+  if (entries.length === 0 && kind === 'alert') {
+    entries.push({ label: 'OK', role: null });
+  }
+  if (kind === 'confirmationDialog' && !entries.some(entry => entry.role === 'cancel')) {
+    entries.push({ label: 'Cancel', role: 'cancel', value: null });
+  }
+  return entries;
+}
+
+/**
+ * Index of the action Enter runs: the last one without a role, else the
+ * cancel action (never a destructive one)
+ * @param {Array<Object>} actions
+ * @returns {number} -1 when there's none
+ */
+function defaultActionIndex(actions) {
+  for (let i = actions.length - 1; i >= 0; i--) {
+    if (!actions[i].role) return i;
+  }
+  return actions.findIndex(action => action.role === 'cancel');
+}
+
+/**
+ * Order in which actions are shown: cancel last, except in an alert with
+ * two buttons side by side, where it comes first
+ * @param {string} kind
+ * @param {Array<Object>} actions
+ * @returns {number[]} Action indices
+ */
+function displayOrder(kind, actions) {
+  const indices = actions.map((_, index) => index);
+  const cancels = indices.filter(index => actions[index].role === 'cancel');
+  const others = indices.filter(index => actions[index].role !== 'cancel');
+  return kind === 'alert' && actions.length === 2 ? [...cancels, ...others] : [...others, ...cancels];
+}
+
+/**
+ * Build a dialog's content and keyboard handling
+ *
+ * @param {string} kind - 'alert' or 'confirmationDialog'
+ * @param {string} title
+ * @param {Array<Object>} actions - From dialogActions()
+ * @param {string|Object|null} message - Text or a view
+ * @param {Function} dismiss
+ * @param {boolean} showTitle
+ * @returns {Object} { children, props } of the presented container
+ */
+function dialog(kind, title, actions, message, dismiss, showTitle) {
+  const choose = (index) => {
+    actions[index].action?.();
+    dismiss();
+  };
+  const cancelIndex = actions.findIndex(action => action.role === 'cancel');
+  const defaultIndex = defaultActionIndex(actions);
+
+  const content = createDescriptor(DIALOG_TYPE, {
+    kind,
+    title: String(title),
+    showTitle,
+    message: typeof message === 'string' ? message : null,
+    actions: actions.map(({ label, role }) => ({ label, role })),
+    defaultIndex,
+    choose
+  }, message && typeof message === 'object' ? [message] : []);
+
+  return {
+    children: [content],
+    props: {
+      onCancel: () => (cancelIndex === -1 ? dismiss() : choose(cancelIndex)),
+      onSubmit: () => {
+        if (defaultIndex !== -1) choose(defaultIndex);
+      }
+    }
+  };
+}
+
+/**
+ * Attach an alert or confirmation dialog to a chainable descriptor (backs
+ * the `.alert()` and `.confirmationDialog()` modifiers).
+ *
+ * @param {Object} view - Chainable descriptor
+ * @param {string} kind - 'alert' or 'confirmationDialog'
+ * @param {string} title
+ * @param {Object|Binding} isPresented - Binding<boolean>, or { isPresented } /
+ *   { item } plus onDismiss and titleVisibility ('visible' or 'hidden')
+ * @param {Array|Function} [actions] - Buttons, or (item) => Buttons
+ * @param {string|Object|Function} [message] - Text, or (item) => text
+ * @returns {Object} Chainable descriptor
+ */
+export function presentDialog(view, kind, title, isPresented, actions, message) {
+  const titleVisibility = isPresented?.titleVisibility ?? 'visible';
+  return presentWith(view, kind, isPresented, (item, dismiss) => dialog(
+    kind,
+    title,
+    dialogActions(kind, typeof actions === 'function' ? actions(item) : actions),
+    typeof message === 'function' ? message(item) : message ?? null,
+    dismiss,
+    titleVisibility !== 'hidden'
+  ));
+}
+
+/**
+ * Present a dialog outside the view tree
+ * @param {string} kind
+ * @param {string} title
+ * @param {Object} options
+ * @returns {Promise<*>}
+ */
+function showDialog(kind, title, { message = null, actions = [], titleVisibility = 'visible' } = {}) {
+  return new Promise((resolve) => {
+    let element = null;
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      element.remove();
+      releaseTree(element);
+      // Close it now (restoring focus), not when the removal is observed
+      flushLifecycleCallbacks();
+      resolve(result);
+    };
+
+    const entries = dialogActions(kind, actions).map(entry => ({
+      ...entry,
+      action: () => {
+        entry.action?.();
+        finish(entry.value !== undefined ? entry.value : entry.label);
+      }
+    }));
+    const dismiss = () => finish(null);
+    const { children, props } = dialog(kind, title, entries, message, dismiss, titleVisibility !== 'hidden');
+    element = render(presentedContent(kind, { dismiss, ...props }, children));
+    document.body.appendChild(element);
+    flushLifecycleCallbacks();
+  });
+}
+
+/**
+ * Show an alert and wait for a button.
+ *
+ * @param {string} title
+ * @param {Object} [options]
+ * @param {string} [options.message]
+ * @param {Array<Object>} [options.actions] - { label, role, value } (default: OK)
+ * @returns {Promise<*>} The chosen action's value (default its label);
+ *   Escape gives the cancel action's, or null without one
+ */
+export function showAlert(title, options) {
+  return showDialog('alert', title, options);
+}
+
+/**
+ * Show a confirmation dialog and wait for a choice.
+ *
+ * @param {string} title
+ * @param {Object} [options]
+ * @param {string} [options.message]
+ * @param {Array<Object>} [options.actions] - { label, role, value }; a Cancel
+ *   action giving null is added when none has the cancel role
+ * @param {string} [options.titleVisibility] - 'visible' or 'hidden'
+ * @returns {Promise<*>} The chosen action's value (default its label),
+ *   or the cancel action's when cancelled
+ */
+export function showConfirmationDialog(title, options) {
+  return showDialog('confirmationDialog', title, options);
+}
+
+// ============================================================================
+// Renderer
+// ============================================================================
+
+/**
+ * Create a dialog button
+ * @param {Object} action - { label, role }
+ * @param {boolean} isDefault
+ * @returns {HTMLButtonElement}
+ */
+function dialogButton(action, isDefault) {
+  const button = acquireElement('button');
+  button.type = 'button';
+  button.textContent = action.label;
+  if (action.role) button.dataset.role = action.role;
+  if (isDefault) button.dataset.defaultAction = 'true';
+  button.style.flex = '1';
+  button.style.padding = '11px 16px';
+  button.style.border = 'none';
+  button.style.background = 'transparent';
+  button.style.font = 'inherit';
+  button.style.fontSize = '17px';
+  button.style.cursor = 'pointer';
+  button.style.color = action.role === 'destructive' ? DESTRUCTIVE_COLOR : TINT_COLOR;
+  button.style.fontWeight = isDefault ? '600' : '400';
+  return button;
+}
+
+registerRenderer(DIALOG_TYPE, (props, children) => {
+  const { kind, actions, defaultIndex } = props;
+  const element = acquireElement('div');
+  const current = () => element._descriptor?.props ?? props;
+  const id = `dialog-${++_dialogCount}`;
+  element.dataset.view = DIALOG_TYPE;
+  element.style.display = 'flex';
+  element.style.flexDirection = 'column';
+
+  // Title and message
+  const header = acquireElement('div');
+  header.style.padding = '19px 16px 16px';
+  header.style.textAlign = 'center';
+  header.style.display = 'flex';
+  header.style.flexDirection = 'column';
+  header.style.gap = '4px';
+  const title = acquireElement('div');
+  title.id = `${id}-title`;
+  title.textContent = props.title;
+  title.style.fontWeight = '600';
+  title.style.fontSize = kind === 'alert' ? '17px' : '13px';
+  if (kind === 'confirmationDialog') title.style.color = 'var(--color-secondary, #8E8E93)';
+  if (!props.showTitle) title.hidden = true;
+  header.appendChild(title);
+  const message = acquireElement('div');
+  message.id = `${id}-message`;
+  message.style.fontSize = '13px';
+  if (props.message != null) message.textContent = props.message;
+  message.appendChild(renderChildren(children));
+  header.appendChild(message);
+  element._childHost = message;
+
+  // Buttons; the cancel button of a confirmation dialog sits apart below
+  const order = displayOrder(kind, actions);
+  const sideBySide = kind === 'alert' && actions.length <= 2;
+  const group = acquireElement('div');
+  group.style.display = 'flex';
+  group.style.flexDirection = sideBySide ? 'row' : 'column';
+  const cancelGroup = acquireElement('div');
+  cancelGroup.style.display = 'flex';
+  cancelGroup.style.marginTop = '8px';
+
+  order.forEach((index) => {
+    const action = actions[index];
+    const button = dialogButton(action, index === defaultIndex);
+    const separated = kind === 'confirmationDialog' && action.role === 'cancel';
+    if (!separated && group.firstChild) {
+      button.style[sideBySide ? 'borderLeft' : 'borderTop'] = '0.5px solid rgba(60, 60, 67, 0.29)';
+    }
+    delegateEvent(button, 'click', (event) => {
+      event.preventDefault();
+      current().choose(index);
+    });
+    (separated ? cancelGroup : group).appendChild(button);
+  });
+
+  if (kind === 'confirmationDialog') {
+    // Stacked cards, like an action sheet
+    const card = acquireElement('div');
+    card.style.background = 'var(--color-background, #FFFFFF)';
+    card.style.borderRadius = '14px';
+    card.style.overflow = 'hidden';
+    card.appendChild(header);
+    group.style.borderTop = '0.5px solid rgba(60, 60, 67, 0.29)';
+    card.appendChild(group);
+    element.appendChild(card);
+    if (cancelGroup.firstChild) {
+      cancelGroup.style.background = 'var(--color-background, #FFFFFF)';
+      cancelGroup.style.borderRadius = '14px';
+      cancelGroup.style.overflow = 'hidden';
+      element.appendChild(cancelGroup);
+    }
+  } else {
+    element.appendChild(header);
+    group.style.borderTop = '0.5px solid rgba(60, 60, 67, 0.29)';
+    element.appendChild(group);
+  }
+
+  // Name the dialog after its title and describe it with its message
+  onAppear(element, () => {
+    const panel = element.closest('[role="alertdialog"]');
+    if (!panel) return;
+    panel.setAttribute('aria-labelledby', title.id);
+    panel.setAttribute('aria-describedby', message.id);
+  });
+
+  return element;
+});
+
+export default {
+  presentDialog,
+  showAlert,
+  showConfirmationDialog
+};
@@ -16,6 +16,9 @@
  * - Cap pool size to prevent memory leaks
  */
 
+import { undelegateAll } from './EventDelegate.js';
+import { cancelTasks } from './Task.js';
+
 /** @type {Map<string, HTMLElement[]>} Tag name -> array of recycled elements */
 const _pools = new Map();
 
@@ -33,6 +36,9 @@ let _hits = 0;
 /** @type {number} Number of elements created fresh */
 let _misses = 0;
 
+/** @type {boolean} Whether acquire/release go through the pool */
+let _poolingEnabled = true;
+
 /**
  * Acquire a DOM element, preferring a recycled one from the pool.
  *
@@ -43,7 +49,7 @@ export function acquireElement(tagName) {
   const tag = tagName.toLowerCase();
   const pool = _pools.get(tag);
 
-  if (pool && pool.length > 0) {
+  if (_poolingEnabled && pool && pool.length > 0) {
     _hits++;
     const element = pool.pop();
     return element;
@@ -60,7 +66,7 @@ export function acquireElement(tagName) {
  * @param {HTMLElement} element - Element to recycle
  */
 export function releaseElement(element) {
-  if (!element || !element.tagName) return;
+  if (!_poolingEnabled || !element || !element.tagName) return;
 
   const tag = element.tagName.toLowerCase();
   if (!POOLABLE_TAGS.has(tag)) return;
@@ -92,6 +98,13 @@ export function releaseTree(root) {
     releaseTree(children[i]);
   }
 
+  // Children rendered elsewhere in the document (Portal) go with the element
+  const host = root._childHost;
+  if (host && host._portalOwner === root) {
+    host.remove();
+    releaseTree(host);
+  }
+
   releaseElement(root);
 }
 
@@ -120,6 +133,17 @@ function cleanElement(element) {
   element._matchedGeometry = undefined;
   element._lazyObserver = undefined;
   element._delegatedEvents = undefined;
+  element._childHost = undefined;
+  element._portalOwner = undefined;
+  element._boundary = undefined;
+  element._fallbackView = undefined;
+  element._dragIndex = undefined;
+
+  // Drop delegated handlers so a recycled control doesn't keep its old listeners
+  undelegateAll(element);
+
+  // Abort running tasks now rather than when the disappearance is noticed
+  cancelTasks(element);
 
   // Clone node to detach all event listeners
   // This is the most reliable way to remove ALL listeners
@@ -145,6 +169,26 @@ export function getPoolStats() {
   };
 }
 
+/**
+ * Enable or disable pooling.
+ * While disabled, acquireElement always creates a fresh element from the
+ * current `document` and releaseElement is a no-op. Used by the server
+ * renderer so pooled DOM nodes never leak into string output.
+ *
+ * @param {boolean} enabled
+ */
+export function setPoolingEnabled(enabled) {
+  _poolingEnabled = enabled;
+}
+
+/**
+ * Check whether pooling is enabled.
+ * @returns {boolean}
+ */
+export function isPoolingEnabled() {
+  return _poolingEnabled;
+}
+
 /**
  * Clear all pools.
  */
@@ -159,5 +203,7 @@ export default {
   releaseElement,
   releaseTree,
   getPoolStats,
+  setPoolingEnabled,
+  isPoolingEnabled,
   clearPools,
 };
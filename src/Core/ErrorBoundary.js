@@ -0,0 +1,274 @@
+/**
+ * ErrorBoundary - Contain errors thrown below a view
+ *
+ * Errors thrown while building the content (row builders, Component bodies,
+ * legacy body()), rendering it, patching it during an update, or in its
+ * onAppear/onDisappear callbacks are caught by the nearest boundary, which
+ * shows its fallback instead of the content. The rest of the tree keeps
+ * working. `reset()` (passed to the fallback) clears the error and tries
+ * the content again.
+ *
+ * Every caught error, and every error that reaches an App without a
+ * boundary, is passed to the handlers registered with `onError()`, and to
+ * those of the App whose root it happened in (`App(...).onError(handler)`).
+ *
+ * @example
+ * ErrorBoundary(
+ *   (error, reset) => VStack(
+ *     Text(`Something went wrong: ${error.message}`),
+ *     Button('Try again', reset)
+ *   ),
+ *   () => List(rows, row => RowView(row))
+ * )
+ */
+
+import { createDescriptor } from './ViewDescriptor.js';
+import { registerRenderer, render } from './Renderer.js';
+import { acquireElement, releaseTree } from './ElementPool.js';
+import { setLifecycleErrorHandler } from './LifecycleObserver.js';
+import { Component, useSlot } from './Component.js';
+
+/** Descriptor type of the element a boundary renders */
+export const BOUNDARY_TYPE = 'ErrorBoundary';
+
+/** @type {Set<Function>} Global error handlers */
+const _errorHandlers = new Set();
+
+/** @type {Map<Node, Set<Function>>} root element -> handlers for that root */
+const _rootErrorHandlers = new Map();
+
+/**
+ * Register a handler for errors caught by boundaries or apps.
+ *
+ * @param {Function} handler - (error, info) => void; info has `phase`
+ *   ('build' | 'render' | 'update' | 'lifecycle') and `boundary` (or null)
+ * @param {Node} [root] - Only receive errors from below this root element
+ * @returns {Function} Unregister function
+ */
+export function onError(handler, root = null) {
+  if (root == null) {
+    _errorHandlers.add(handler);
+    return () => _errorHandlers.delete(handler);
+  }
+
+  let handlers = _rootErrorHandlers.get(root);
+  if (!handlers) _rootErrorHandlers.set(root, handlers = new Set());
+  handlers.add(handler);
+  return () => {
+    handlers.delete(handler);
+    if (handlers.size === 0 && _rootErrorHandlers.get(root) === handlers) {
+      _rootErrorHandlers.delete(root);
+    }
+  };
+}
+
+/**
+ * Find the handlers registered for the root containing a DOM node.
+ * @param {Node|null} node
+ * @returns {Set<Function>|null}
+ */
+function rootHandlers(node) {
+  if (_rootErrorHandlers.size === 0) return null;
+  for (let current = node; current; current = current._portalOwner || current.parentNode) {
+    const handlers = _rootErrorHandlers.get(current);
+    if (handlers) return handlers;
+  }
+  return null;
+}
+
+/**
+ * Pass an error to the registered handlers, or log it if there are none.
+ *
+ * @param {Error} error
+ * @param {Object} [info]
+ * @param {string} [info.phase]
+ * @param {Boundary} [info.boundary]
+ * @param {Node} [info.node] - Where the error happened; selects the root's handlers
+ */
+export function reportError(error, info = {}) {
+  const details = { phase: info.phase || 'render', boundary: info.boundary || null };
+  const handlers = [...(rootHandlers(info.node) || []), ..._errorHandlers];
+
+  if (handlers.length === 0) {
+    console.error(`SwiftUI-For-Web: Error during ${details.phase}:`, error);
+    return;
+  }
+
+  for (const handler of handlers) {
+    try {
+      handler(error, details);
+    } catch (handlerError) {
+      console.error('Error handler failed:', handlerError);
+    }
+  }
+}
+
+/**
+ * State of one mounted boundary, kept in its component scope.
+ */
+class Boundary {
+  /**
+   * @param {Object} scope - Component scope of the boundary
+   */
+  constructor(scope) {
+    this.scope = scope;
+    this.error = null;
+    this.fallback = null;
+    this.content = null;
+
+    /** @type {HTMLElement|null} Element the boundary last rendered */
+    this.element = null;
+
+    this.reset = () => this._reset();
+  }
+
+  /**
+   * Record and report an error. Does not change what is displayed.
+   * @param {Error} error
+   * @param {string} phase
+   */
+  capture(error, phase) {
+    this.error = error;
+    reportError(error, { phase, boundary: this, node: this.scope.root ?? this.element });
+  }
+
+  /**
+   * Record an error raised after rendering (lifecycle callbacks) and
+   * switch to the fallback.
+   * @param {Error} error
+   * @param {string} phase
+   */
+  fail(error, phase) {
+    this.capture(error, phase);
+    this._redisplay(() => this.fallbackView());
+  }
+
+  /** @returns {*} The fallback view for the current error */
+  fallbackView() {
+    return typeof this.fallback === 'function'
+      ? this.fallback(this.error, this.reset)
+      : this.fallback;
+  }
+
+  /** @returns {*} The content view */
+  contentView() {
+    return typeof this.content === 'function' ? this.content() : this.content;
+  }
+
+  _reset() {
+    if (!this.error) return;
+    this.error = null;
+    this._redisplay(() => this.contentView());
+  }
+
+  /**
+   * Show a different view: through the reconciler when the boundary is
+   * mounted in one, otherwise by re-rendering the element's content.
+   * @param {Function} getView
+   */
+  _redisplay(getView) {
+    if (this.scope.root != null) {
+      this.scope.invalidate();
+      return;
+    }
+
+    const element = this.element;
+    if (!element) return;
+
+    for (const child of [...element.children]) releaseTree(child);
+    element.textContent = '';
+    element._fallbackView = undefined;
+    element.appendChild(renderContent(this, element, getView));
+  }
+}
+
+/**
+ * Render a view below a boundary element, falling back on error.
+ * @param {Boundary} boundary
+ * @param {HTMLElement} element
+ * @param {Function} getView
+ * @returns {Node}
+ */
+function renderContent(boundary, element, getView) {
+  try {
+    return render(getView());
+  } catch (error) {
+    boundary.capture(error, 'render');
+    const fallback = boundary.fallbackView();
+    element._fallbackView = fallback;
+    return render(fallback);
+  }
+}
+
+const BoundaryComponent = Component(function ErrorBoundary(fallback, content) {
+  const boundary = useSlot((scope) => new Boundary(scope));
+  boundary.fallback = fallback;
+  boundary.content = content;
+
+  let view;
+  if (boundary.error) {
+    view = boundary.fallbackView();
+  } else {
+    try {
+      view = boundary.contentView();
+    } catch (error) {
+      boundary.capture(error, 'build');
+      view = boundary.fallbackView();
+    }
+  }
+
+  return createDescriptor(BOUNDARY_TYPE, { boundary }, view != null ? [view] : []);
+});
+
+/**
+ * Create an error boundary.
+ *
+ * @param {Function|Object} fallback - View, or (error, reset) => view
+ * @param {Function|Object} content - View, or function returning the view
+ *   (preferred, so errors thrown while creating it are caught too)
+ * @returns {Object} Chainable view descriptor
+ */
+export function ErrorBoundary(fallback, content) {
+  return BoundaryComponent(fallback, content);
+}
+
+/**
+ * Find the boundary containing a DOM node.
+ * @param {Node} node
+ * @returns {Boundary|null}
+ */
+export function findBoundary(node) {
+  for (let current = node; current; current = current._portalOwner || current.parentNode) {
+    if (current._boundary) return current._boundary;
+  }
+  return null;
+}
+
+registerRenderer(BOUNDARY_TYPE, (props, children) => {
+  const { boundary } = props;
+  const element = acquireElement('div');
+  element.dataset.view = BOUNDARY_TYPE;
+  element.style.display = 'contents';
+  element._boundary = boundary;
+  boundary.element = element;
+
+  element.appendChild(renderContent(boundary, element, () => children[0]));
+  return element;
+});
+
+// onAppear / onDisappear errors switch the nearest boundary to its fallback
+setLifecycleErrorHandler((error, element) => {
+  const boundary = findBoundary(element);
+  if (boundary) {
+    boundary.fail(error, 'lifecycle');
+  } else {
+    reportError(error, { phase: 'lifecycle', node: element });
+  }
+});
+
+export default {
+  ErrorBoundary,
+  onError,
+  reportError,
+  findBoundary
+};
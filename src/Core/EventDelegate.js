@@ -37,6 +37,14 @@ const _handlers = new WeakMap();
  */
 const _activeRoots = new Map();
 
+/**
+ * For events already dispatched by an inner root, the element the walk
+ * stopped at. Outer roots resume from there so no handler runs twice
+ * when roots are nested (e.g. an App root inside document.body).
+ * @type {WeakMap<Event, HTMLElement>}
+ */
+const _dispatchedTo = new WeakMap();
+
 /**
  * Events that should be captured (not bubbled).
  * @type {Set<string>}
@@ -106,6 +114,29 @@ export function undelegateAll(element) {
   _handlers.delete(element);
 }
 
+/**
+ * Move all delegated handlers from one element to another.
+ * Used during hydration to adopt server-rendered markup: handlers are
+ * registered on a freshly rendered element, then handed to the existing one.
+ *
+ * @param {HTMLElement} from - Element that currently owns the handlers
+ * @param {HTMLElement} to - Element that should receive them
+ */
+export function transferHandlers(from, to) {
+  const elementHandlers = _handlers.get(from);
+  if (!elementHandlers || from === to) return;
+
+  _handlers.delete(from);
+  const existing = _handlers.get(to);
+  if (existing) {
+    for (const [type, handler] of elementHandlers) {
+      existing.set(type, handler);
+    }
+  } else {
+    _handlers.set(to, elementHandlers);
+  }
+}
+
 /**
  * Initialize event delegation on a root element.
  *
@@ -179,8 +210,9 @@ function ensureRootListener(root, eventType) {
 function rootHandler(event) {
   const type = event.type;
 
-  // Walk up from target to root, looking for handlers
-  let target = event.target;
+  // Walk up from target to root, looking for handlers, skipping the part
+  // of the path an inner root has already handled
+  let target = _dispatchedTo.get(event) || event.target;
 
   // Begin batch - all state changes within this handler are coalesced
   batchUpdates();
@@ -197,8 +229,10 @@ function rootHandler(event) {
           if (event.cancelBubble) break;
         }
       }
-      target = target.parentElement;
+      // Content of a Portal bubbles on to the views around the Portal
+      target = target._portalOwner || target.parentElement;
     }
+    _dispatchedTo.set(event, target);
   } finally {
     // End batch - triggers a single reconciliation pass
     endBatch();
@@ -209,6 +243,7 @@ export default {
   delegateEvent,
   undelegateEvent,
   undelegateAll,
+  transferHandlers,
   initDelegation,
   teardownDelegation,
 };
@@ -13,10 +13,10 @@
  * reconciliation pass completes, avoiding interleaved reads/writes.
  */
 
-/** @type {Map<HTMLElement, Function>} Elements waiting for onAppear */
+/** @type {Map<HTMLElement, Function[]>} Elements waiting for onAppear */
 const _appearCallbacks = new Map();
 
-/** @type {Map<HTMLElement, Function>} Elements being watched for onDisappear */
+/** @type {Map<HTMLElement, Function[]>} Elements being watched for onDisappear */
 const _disappearCallbacks = new Map();
 
 /** @type {MutationObserver|null} Shared observer instance */
@@ -25,9 +25,56 @@ let _observer = null;
 /** @type {boolean} Whether we have pending appear checks */
 let _pendingAppearCheck = false;
 
+/** @type {Function|null} Receives (error, element, kind) for failing callbacks */
+let _errorHandler = null;
+
+/**
+ * Route errors thrown by lifecycle callbacks (used by ErrorBoundary).
+ * Without a handler they are logged.
+ *
+ * @param {Function|null} handler - (error, element, kind) => void
+ */
+export function setLifecycleErrorHandler(handler) {
+  _errorHandler = handler;
+}
+
+/**
+ * Run a lifecycle callback, routing any error it throws.
+ * @param {Function} callback
+ * @param {HTMLElement} element
+ * @param {string} kind - 'onAppear' or 'onDisappear'
+ */
+function runCallback(callback, element, kind) {
+  try {
+    callback();
+  } catch (e) {
+    if (_errorHandler) {
+      _errorHandler(e, element, kind);
+    } else {
+      console.error(`${kind} callback error:`, e);
+    }
+  }
+}
+
+/**
+ * Add a callback to the ones registered for an element.
+ * @param {Map<HTMLElement, Function[]>} callbacks
+ * @param {HTMLElement} element
+ * @param {Function} callback
+ */
+function addCallback(callbacks, element, callback) {
+  const list = callbacks.get(element);
+  if (list) {
+    list.push(callback);
+  } else {
+    callbacks.set(element, [callback]);
+  }
+}
+
 /**
  * Register an onAppear callback for an element.
  * The callback fires once when the element is connected to the document.
+ * An element can have several (onAppear and task modifiers).
  *
  * @param {HTMLElement} element
  * @param {Function} callback
@@ -38,12 +85,12 @@ export function onAppear(element, callback) {
   // Fast path: already in DOM
   if (document.contains(element)) {
     // Defer to next microtask to ensure consistent timing
-    queueMicrotask(() => callback());
+    queueMicrotask(() => runCallback(callback, element, 'onAppear'));
     // Also register for disappear tracking if needed
     return;
   }
 
-  _appearCallbacks.set(element, callback);
+  addCallback(_appearCallbacks, element, callback);
   ensureObserver();
   scheduleAppearCheck();
 }
@@ -58,7 +105,7 @@ export function onAppear(element, callback) {
 export function onDisappear(element, callback) {
   if (!element || !callback) return;
 
-  _disappearCallbacks.set(element, callback);
+  addCallback(_disappearCallbacks, element, callback);
   ensureObserver();
 }
 
@@ -73,32 +120,43 @@ export function removeCallbacks(element) {
   maybeDisconnectObserver();
 }
 
+/**
+ * Move pending callbacks from one element to another.
+ * Used during hydration, where callbacks are registered on a detached
+ * client render and must fire for the adopted server-rendered element.
+ *
+ * @param {HTMLElement} from - Element the callbacks were registered on
+ * @param {HTMLElement} to - Element that should own them
+ */
+export function transferCallbacks(from, to) {
+  if (from === to) return;
+
+  for (const callbacks of [_appearCallbacks, _disappearCallbacks]) {
+    const moved = callbacks.get(from);
+    if (!moved) continue;
+    callbacks.delete(from);
+    for (const callback of moved) addCallback(callbacks, to, callback);
+  }
+}
+
 /**
  * Process any pending appear/disappear callbacks.
  * Called after reconciliation to batch lifecycle events.
  */
 export function flushLifecycleCallbacks() {
   // Check appear callbacks
-  for (const [element, callback] of _appearCallbacks) {
+  for (const [element, callbacks] of _appearCallbacks) {
     if (document.contains(element)) {
       _appearCallbacks.delete(element);
-      try {
-        callback();
-      } catch (e) {
-        console.error('onAppear callback error:', e);
-      }
+      for (const callback of callbacks) runCallback(callback, element, 'onAppear');
     }
   }
 
   // Check disappear callbacks
-  for (const [element, callback] of _disappearCallbacks) {
+  for (const [element, callbacks] of _disappearCallbacks) {
     if (!document.contains(element)) {
       _disappearCallbacks.delete(element);
-      try {
-        callback();
-      } catch (e) {
-        console.error('onDisappear callback error:', e);
-      }
+      for (const callback of callbacks) runCallback(callback, element, 'onDisappear');
     }
   }
 
@@ -158,6 +216,8 @@ export default {
   onAppear,
   onDisappear,
   removeCallbacks,
+  transferCallbacks,
   flushLifecycleCallbacks,
+  setLifecycleErrorHandler,
   getLifecycleStats,
 };
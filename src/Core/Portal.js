@@ -0,0 +1,105 @@
+/**
+ * Portal - Render content into another DOM node
+ *
+ * `Portal(target, content)` renders its content into a host element
+ * appended to `target` (default `document.body`) instead of in place, so
+ * overlays, dropdowns and toasts escape `overflow: hidden` and stacking
+ * contexts of the containers they are declared in.
+ *
+ * The content stays part of the view tree where the Portal is declared:
+ * - it is diffed and patched by the Reconciler like any other children
+ *   (the host is the portal element's child host)
+ * - Environment values and component state work as in place
+ * - onAppear / onDisappear fire when the host enters / leaves the document
+ * - delegated events bubble from the content to the views around the
+ *   Portal, and errors reach the ErrorBoundary around it
+ * - the host is removed with the Portal (update, unmount)
+ *
+ * The host is only attached once the Portal itself is in the document, so
+ * renders that never commit (e.g. an interrupted transition) leave nothing
+ * behind. Inherited CSS from the views around the Portal does not apply to
+ * the content; style it directly.
+ *
+ * @example
+ * ZStack(
+ *   Content(),
+ *   showToast.value ? Portal(Text('Saved').padding(12).background(Color.black)) : null
+ * )
+ *
+ * @example
+ * Portal('#modal-root', () => ModalView())
+ */
+
+import { createDescriptor } from './ViewDescriptor.js';
+import { registerRenderer, renderChildren } from './Renderer.js';
+import { acquireElement } from './ElementPool.js';
+import { onAppear } from './LifecycleObserver.js';
+import { chainable } from './Chainable.js';
+
+/** Descriptor type of a portal */
+export const PORTAL_TYPE = 'Portal';
+
+/**
+ * Resolve the target of a portal.
+ * @param {HTMLElement|string|null} target - Element, selector, or null for body
+ * @returns {HTMLElement|null}
+ */
+function resolveTarget(target) {
+  if (target == null) return document.body;
+  if (typeof target === 'string') return document.querySelector(target);
+  return target;
+}
+
+/**
+ * Render content into another DOM node.
+ *
+ * @param {HTMLElement|string} [target] - Element or CSS selector (default document.body)
+ * @param {Object|Array|Function} content - View, views, or function returning them
+ * @returns {Object} Chainable view descriptor
+ */
+export function Portal(target, content) {
+  if (content === undefined) {
+    content = target;
+    target = null;
+  }
+
+  const views = typeof content === 'function' ? content() : content;
+  const children = [views].flat().filter(c => c != null);
+
+  return chainable(createDescriptor(PORTAL_TYPE, { target }, children));
+}
+
+registerRenderer(PORTAL_TYPE, (props, children) => {
+  // Stays in place, hidden; marks where the portal sits in the document
+  const element = acquireElement('div');
+  element.dataset.view = PORTAL_TYPE;
+  element.style.display = 'none';
+
+  const host = acquireElement('div');
+  host.dataset.portalHost = 'true';
+  host.style.display = 'contents';
+  host._portalOwner = element;
+  element._childHost = host;
+
+  // Registered before the content renders, so content appearing with the
+  // host is handled in the same lifecycle flush
+  const anchor = acquireElement('span');
+  element.appendChild(anchor);
+  onAppear(anchor, () => {
+    if (element._childHost !== host) return; // Released before it appeared
+
+    const target = resolveTarget(props.target);
+    if (!target) {
+      console.error(`SwiftUI-For-Web: Could not find portal target "${props.target}"`);
+      return;
+    }
+    target.appendChild(host);
+  });
+
+  host.appendChild(renderChildren(children));
+  return element;
+});
+
+export default {
+  Portal
+};
@@ -0,0 +1,711 @@
+/**
+ * Presentation - Sheets, full screen covers and popovers
+ *
+ * `.sheet()`, `.fullScreenCover()` and `.popover()` present content above
+ * the page while a Binding says so:
+ * - `{ isPresented }`: a Binding<boolean>, set to false when dismissed
+ * - `{ item }`: a Binding to a value or null; the content is built from the
+ *   value, and a value with another `id` presents anew
+ *
+ * The content renders in a Portal on document.body but stays part of the
+ * view tree where it's declared (state, environment, errors). Inside it,
+ * `Environment.get(EnvironmentValues.dismiss)` is a function closing it.
+ *
+ * While something is presented the page behind doesn't scroll, Tab keeps
+ * focus inside the topmost presentation and Escape dismisses it; focus
+ * goes back to where it was when it closes. Presentations declared inside
+ * presented content stack above it.
+ *
+ * Sheets rise from the bottom to their detents and can be dragged by their
+ * grabber between them or down to dismiss. `interactiveDismissDisabled`
+ * keeps a presentation up until its binding changes (no Escape, backdrop
+ * click or drag). Popovers attach to the view they're declared on, and
+ * show as sheets in compact width. Alerts and confirmation dialogs (see
+ * Dialog.js) are presented the same way.
+ *
+ * Every descriptor view has these modifiers. Legacy `View` subclasses don't;
+ * present from a stack around them instead (`VStack(view).sheet(...)`).
+ *
+ * @example
+ * const showFilters = new State(false);
+ *
+ * Button('Filters', () => { showFilters.value = true; })
+ *   .sheet({ isPresented: showFilters.binding, detents: [PresentationDetent.medium, PresentationDetent.large] },
+ *     () => FiltersView())
+ *
+ * @example
+ * // Inside the presented content
+ * const dismiss = Environment.get(EnvironmentValues.dismiss);
+ * Button('Done', () => dismiss())
+ *
+ * @example
+ * ListingRow(listing)
+ *   .fullScreenCover({ item: selectedPhoto.binding, onDismiss: () => track('closed') },
+ *     (photo) => PhotoViewer(photo))
+ */
+
+import { createDescriptor, setKey, createModifier, ModifierType } from './ViewDescriptor.js';
+import { registerRenderer, renderChildren } from './Renderer.js';
+import { acquireElement } from './ElementPool.js';
+import { onAppear, onDisappear } from './LifecycleObserver.js';
+import { delegateEvent } from './EventDelegate.js';
+import { Portal } from './Portal.js';
+import { presentDialog } from './Dialog.js';
+import { Environment, EnvironmentValues, UserInterfaceSizeClass } from '../Data/Environment.js';
+
+/** Descriptor type of a view with presentations attached */
+export const PRESENTATION_TYPE = 'Presentation';
+
+/** Descriptor type of the presented container (backdrop, panel, content) */
+export const PRESENTED_TYPE = 'PresentedContent';
+
+/** data-view names of the presentation kinds */
+const KIND_NAMES = {
+  sheet: 'Sheet',
+  fullScreenCover: 'FullScreenCover',
+  popover: 'Popover',
+  alert: 'Alert',
+  confirmationDialog: 'ConfirmationDialog'
+};
+
+/** Kinds announced as alert dialogs */
+const DIALOG_KINDS = new Set(['alert', 'confirmationDialog']);
+
+/** Space left above a sheet at its largest detent, in px */
+const TOP_INSET = 24;
+
+/** z-index of the first presentation; nested ones stack 10 higher each */
+const BASE_Z_INDEX = 1000;
+
+/** Elements that take focus with Tab */
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+  'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Heights a sheet can rest at (matches SwiftUI's PresentationDetent)
+ */
+export const PresentationDetent = Object.freeze({
+  /** About half the screen */
+  medium: Object.freeze({ id: 'medium', fraction: 0.5 }),
+  /** The full screen but a small gap at the top */
+  large: Object.freeze({ id: 'large', fraction: 1 }),
+  /**
+   * A fraction of the large height
+   * @param {number} value - 0 to 1
+   */
+  fraction: (value) => Object.freeze({ id: `fraction:${value}`, fraction: value }),
+  /**
+   * A fixed height
+   * @param {number} value - Height in px
+   */
+  height: (value) => Object.freeze({ id: `height:${value}`, height: value })
+});
+
+/**
+ * Dismiss action of each presenting binding. Kept per binding so the
+ * `dismiss` environment value stays the same function across re-renders
+ * and doesn't re-render the presented content.
+ * @type {WeakMap<Object, Function>}
+ */
+const dismissActions = new WeakMap();
+
+/**
+ * Get the dismiss action of a binding
+ * @param {Binding} binding
+ * @param {*} empty - Value meaning "not presented"
+ * @returns {Function}
+ */
+function dismissAction(binding, empty) {
+  let action = dismissActions.get(binding);
+  if (!action) {
+    action = () => { binding.value = empty; };
+    dismissActions.set(binding, action);
+  }
+  return action;
+}
+
+/**
+ * Create the presented container: backdrop, panel and content, with the
+ * `dismiss` environment value set for the content.
+ *
+ * @param {string} kind - Presentation kind
+ * @param {Object} props - dismiss, plus any of detents, arrowEdge,
+ *   onDismiss, isPresented, isDismissDisabled, onCancel (Escape and
+ *   backdrop clicks) and onSubmit (Enter)
+ * @param {Array} children - Content
+ * @returns {Object} Descriptor
+ */
+export function presentedContent(kind, props, children) {
+  return createDescriptor(PRESENTED_TYPE, { kind, ...props }, children, null, [
+    createModifier(ModifierType.ENVIRONMENT, { key: EnvironmentValues.dismiss, value: props.dismiss })
+  ]);
+}
+
+/**
+ * Build what a presentation shows right now.
+ *
+ * @param {string} kind - Presentation kind
+ * @param {Object} options - { isPresented } or { item }, plus presentation options
+ * @param {Function} build - (item, dismiss) => { children, props } of the container
+ * @returns {Object|null} { descriptor, id } of the portal to render, or null when not presented
+ */
+function presentation(kind, options, build) {
+  // .sheet(binding, content) is short for .sheet({ isPresented: binding }, content)
+  const settings = options && ('isPresented' in options || 'item' in options) ? options : { isPresented: options };
+  const isItem = 'item' in settings;
+  const binding = isItem ? settings.item : settings.isPresented;
+  if (!binding || !('value' in binding)) {
+    throw new Error(`${kind}() needs an isPresented or item Binding`);
+  }
+
+  const value = binding.value;
+  if (isItem ? value == null : !value) return null;
+
+  if (kind === 'popover' &&
+      Environment.get(EnvironmentValues.horizontalSizeClass) === UserInterfaceSizeClass.compact) {
+    kind = 'sheet';
+  }
+
+  const dismiss = dismissAction(binding, isItem ? null : false);
+  const { children, props } = build(isItem ? value : undefined, dismiss);
+  // Settings that change while presented are read through functions: function
+  // props don't count as changes, so the presented content isn't rebuilt
+  const container = presentedContent(kind, {
+    detents: kind === 'sheet' ? (settings.detents ?? [PresentationDetent.large]) : null,
+    arrowEdge: settings.arrowEdge ?? 'top',
+    dismiss,
+    onDismiss: settings.onDismiss,
+    isPresented: () => (isItem ? binding.value != null : Boolean(binding.value)),
+    isDismissDisabled: () => Boolean(settings.interactiveDismissDisabled),
+    ...props
+  }, children);
+
+  const id = isItem ? (typeof value === 'object' ? value.id ?? null : value) : null;
+  return { descriptor: Portal(container), id };
+}
+
+/**
+ * Presentation building its content with a function
+ * @param {string} kind
+ * @param {Object} options
+ * @param {Function} content - Builds the content (receives the item)
+ * @returns {Object|null}
+ */
+function contentPresentation(kind, options, content) {
+  if (typeof content !== 'function') {
+    throw new Error(`${kind}() needs a function building its content`);
+  }
+  return presentation(kind, options, (item) => ({ children: [content(item)].flat(), props: {} }));
+}
+
+/**
+ * A view with presentations attached: renders the view, followed by a
+ * portal per presented presentation. Modifiers chained afterwards apply to
+ * the view itself, except id and environment values, which cover the view
+ * and its presentations.
+ *
+ * @param {Object} view - Chainable descriptor presenting
+ * @param {Array} presentations - Results of presentation(), in declaration order
+ * @param {string|number|null} key - Key of the whole
+ * @param {Array} modifiers - Environment modifiers of the whole
+ * @returns {Object} Chainable descriptor
+ */
+function presenting(view, presentations, key, modifiers) {
+  const children = [setKey(view, '$content')];
+  presentations.forEach((presented, index) => {
+    if (!presented) return;
+    const suffix = presented.id != null ? `-${presented.id}` : '';
+    children.push(setKey(presented.descriptor, `$presentation-${index}${suffix}`));
+  });
+  const descriptor = createDescriptor(PRESENTATION_TYPE, {}, children, key, modifiers);
+
+  const chain = Object.create(null);
+  Object.assign(chain, descriptor);
+
+  for (const name of Object.keys(view)) {
+    if (typeof view[name] === 'function') {
+      chain[name] = (...args) => presenting(view[name](...args), presentations, key, modifiers);
+    }
+  }
+
+  chain.id = (newKey) => presenting(view, presentations, newKey, modifiers);
+  chain.environment = (envKey, value) => presenting(view, presentations, key,
+    [...modifiers, createModifier(ModifierType.ENVIRONMENT, { key: envKey, value })]);
+  chain.environmentObject = (object) => chain.environment(object.constructor, object);
+
+  const add = (kind) => (options, content) =>
+    presenting(view, [...presentations, contentPresentation(kind, options, content)], key, modifiers);
+  chain.sheet = add('sheet');
+  chain.fullScreenCover = add('fullScreenCover');
+  chain.popover = add('popover');
+
+  return Object.freeze(chain);
+}
+
+/**
+ * Attach a presentation to a chainable descriptor (backs the `.sheet()`,
+ * `.fullScreenCover()` and `.popover()` modifiers).
+ *
+ * @param {Object} view - Chainable descriptor
+ * @param {string} kind - 'sheet', 'fullScreenCover' or 'popover'
+ * @param {Object|Binding} options - { isPresented } or { item }, plus
+ *   onDismiss, interactiveDismissDisabled, detents (sheets) and
+ *   arrowEdge ('top', 'bottom', 'leading', 'trailing'; popovers)
+ * @param {Function} content - Builds the content
+ * @returns {Object} Chainable descriptor
+ */
+export function present(view, kind, options, content) {
+  return presenting(view, [contentPresentation(kind, options, content)], view.key ?? null, []);
+}
+
+/**
+ * Add the `.sheet()`, `.fullScreenCover()`, `.popover()`, `.alert()` and
+ * `.confirmationDialog()` modifiers to a chainable descriptor while it is
+ * being built (before it is frozen).
+ *
+ * @param {Object} chain - Chainable descriptor
+ * @returns {Object} The same chain
+ */
+export function addPresentationModifiers(chain) {
+  chain.sheet = (options, content) => present(chain, 'sheet', options, content);
+  chain.fullScreenCover = (options, content) => present(chain, 'fullScreenCover', options, content);
+  chain.popover = (options, content) => present(chain, 'popover', options, content);
+  chain.alert = (title, isPresented, actions, message) =>
+    presentDialog(chain, 'alert', title, isPresented, actions, message);
+  chain.confirmationDialog = (title, isPresented, actions, message) =>
+    presentDialog(chain, 'confirmationDialog', title, isPresented, actions, message);
+  return chain;
+}
+
+/**
+ * Attach a presentation whose container is built by the caller (alerts
+ * and confirmation dialogs).
+ *
+ * @param {Object} view - Chainable descriptor
+ * @param {string} kind - Presentation kind
+ * @param {Object|Binding} options - { isPresented } or { item }, plus onDismiss
+ * @param {Function} build - (item, dismiss) => { children, props } of the container
+ * @returns {Object} Chainable descriptor
+ */
+export function presentWith(view, kind, options, build) {
+  return presenting(view, [presentation(kind, options, build)], view.key ?? null, []);
+}
+
+// ============================================================================
+// Open presentations
+// ============================================================================
+
+/**
+ * Open presentations, bottom to top
+ * @type {Array<Object>}
+ */
+const _presented = [];
+
+/** Body styles saved while the page is scroll locked */
+let _scrollLock = null;
+
+/**
+ * Presentations currently open, bottom to top (for tests and debugging)
+ * @returns {number}
+ */
+export function getPresentedCount() {
+  return _presented.length;
+}
+
+function lockScroll() {
+  const body = document.body;
+  const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+  _scrollLock = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+  body.style.overflow = 'hidden';
+  // Keep the page from shifting when its scrollbar goes away
+  if (scrollbar > 0) body.style.paddingRight = `${scrollbar}px`;
+}
+
+function unlockScroll() {
+  if (!_scrollLock) return;
+  document.body.style.overflow = _scrollLock.overflow;
+  document.body.style.paddingRight = _scrollLock.paddingRight;
+  _scrollLock = null;
+}
+
+/**
+ * Escape cancels the topmost presentation, Enter runs its default action
+ * (dialogs) and Tab cycles focus inside it
+ * @param {KeyboardEvent} event
+ */
+function handleKeyDown(event) {
+  const top = _presented[_presented.length - 1];
+  if (!top) return;
+
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    cancel(top.current);
+  } else if (event.key === 'Enter' && top.current().onSubmit) {
+    event.preventDefault();
+    const active = document.activeElement;
+    // A focused button is what Enter presses, as it would natively
+    if (active?.tagName === 'BUTTON' && top.panel.contains(active)) {
+      active.click();
+    } else {
+      top.current().onSubmit();
+    }
+  } else if (event.key === 'Tab') {
+    const focusables = [...top.panel.querySelectorAll(FOCUSABLE)];
+    const active = document.activeElement;
+    if (focusables.length === 0) {
+      event.preventDefault();
+      top.panel.focus();
+      return;
+    }
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    if (!top.panel.contains(active) || (event.shiftKey ? active === first : active === last)) {
+      event.preventDefault();
+      (event.shiftKey ? last : first).focus();
+    }
+  }
+}
+
+/**
+ * Focus moving behind the topmost presentation comes back into it
+ * @param {FocusEvent} event
+ */
+function handleFocusIn(event) {
+  const top = _presented[_presented.length - 1];
+  if (top && !top.element.contains(event.target)) {
+    focusInside(top.panel);
+  }
+}
+
+/**
+ * Focus the default action of a panel, its first focusable element, or the panel
+ * @param {HTMLElement} panel
+ */
+function focusInside(panel) {
+  const target = panel.querySelector('[data-default-action]') ?? panel.querySelector(FOCUSABLE) ?? panel;
+  target.focus();
+}
+
+/**
+ * Cancel (dialogs) or dismiss, unless interactive dismissal is disabled
+ * @param {Function} current - Current props
+ */
+function cancel(current) {
+  const { isDismissDisabled, onCancel, dismiss } = current();
+  if (isDismissDisabled?.()) return;
+  (onCancel ?? dismiss)();
+}
+
+/**
+ * Track a presentation that appeared
+ * @param {Object} entry - { element, panel, current, previousFocus, cleanups }
+ */
+function open(entry) {
+  _presented.push(entry);
+  if (_presented.length === 1) {
+    lockScroll();
+    document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('focusin', handleFocusIn);
+  }
+  entry.element.style.zIndex = String(BASE_Z_INDEX + (_presented.length - 1) * 10);
+  entry.previousFocus = document.activeElement;
+  focusInside(entry.panel);
+}
+
+/**
+ * Stop tracking a presentation that disappeared
+ * @param {Object} entry
+ */
+function close(entry) {
+  const index = _presented.indexOf(entry);
+  if (index === -1) return;
+  _presented.splice(index, 1);
+  if (_presented.length === 0) {
+    unlockScroll();
+    document.removeEventListener('keydown', handleKeyDown);
+    document.removeEventListener('focusin', handleFocusIn);
+  }
+  entry.cleanups.forEach(cleanup => cleanup());
+
+  const previous = entry.previousFocus;
+  if (previous && previous.isConnected && typeof previous.focus === 'function') {
+    previous.focus();
+  }
+  // Not when the container is only rebuilt while still presented
+  const { isPresented, onDismiss } = entry.current();
+  if (!isPresented?.()) onDismiss?.();
+}
+
+// ============================================================================
+// Sheets
+// ============================================================================
+
+/**
+ * Heights of a sheet's detents, smallest first
+ * @param {Array} detents
+ * @returns {number[]}
+ */
+function detentHeights(detents) {
+  const available = window.innerHeight - TOP_INSET;
+  return detents
+    .map(detent => detent.height != null
+      ? Math.min(detent.height, available)
+      : Math.round(available * detent.fraction))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Let a sheet be dragged by its grabber between its detents, and down past
+ * the smallest one to dismiss it
+ *
+ * @param {Object} entry - Presentation entry
+ * @param {HTMLElement} grabber
+ */
+function enableSheetDrag(entry, grabber) {
+  const { panel, current } = entry;
+
+  delegateEvent(grabber, 'pointerdown', (event) => {
+    const heights = detentHeights(current().detents);
+    const startHeight = heights[Math.min(entry.detent, heights.length - 1)];
+    const startY = event.clientY;
+    let target = startHeight;
+    panel.style.transition = 'none';
+
+    const move = (moveEvent) => {
+      target = startHeight - (moveEvent.clientY - startY);
+      const largest = heights[heights.length - 1];
+      if (target >= heights[0]) {
+        panel.style.height = `${Math.min(target, largest)}px`;
+        panel.style.transform = '';
+      } else {
+        // Below the smallest detent the sheet slides down (resisting when it can't close)
+        const offset = heights[0] - target;
+        panel.style.height = `${heights[0]}px`;
+        panel.style.transform = `translateY(${current().isDismissDisabled() ? offset / 4 : offset}px)`;
+      }
+    };
+
+    const end = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', end);
+      window.removeEventListener('pointercancel', end);
+      panel.style.transition = 'height 0.2s ease-out, transform 0.2s ease-out';
+
+      if (target < heights[0] * 0.6 && !current().isDismissDisabled()) {
+        current().dismiss();
+        return;
+      }
+      let nearest = 0;
+      heights.forEach((height, index) => {
+        if (Math.abs(height - target) < Math.abs(heights[nearest] - target)) nearest = index;
+      });
+      entry.detent = nearest;
+      panel.style.height = `${heights[nearest]}px`;
+      panel.style.transform = '';
+    };
+
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', end);
+    window.addEventListener('pointercancel', end);
+  });
+}
+
+// ============================================================================
+// Popovers
+// ============================================================================
+
+/**
+ * The view a popover is declared on: the first child of the Presentation
+ * element holding the Portal that holds the popover (looking through the
+ * Presentation elements of other modifiers on the same view)
+ * @param {HTMLElement} element - Presented container
+ * @returns {HTMLElement|null}
+ */
+function popoverAnchor(element) {
+  const portal = element.parentNode?._portalOwner;
+  let anchor = portal?.parentNode?.firstElementChild ?? null;
+  while (anchor?.dataset.view === PRESENTATION_TYPE) {
+    anchor = anchor.firstElementChild;
+  }
+  return anchor;
+}
+
+/**
+ * Place a popover next to its anchor
+ * @param {HTMLElement} panel
+ * @param {HTMLElement} anchor
+ * @param {string} arrowEdge - Edge of the popover pointing at the anchor
+ */
+function positionPopover(panel, anchor, arrowEdge) {
+  const rect = anchor.getBoundingClientRect();
+  const gap = 8;
+  const centerX = rect.left + rect.width / 2;
+  const centerY = rect.top + rect.height / 2;
+
+  switch (arrowEdge) {
+    case 'bottom':
+      panel.style.left = `${centerX}px`;
+      panel.style.top = `${rect.top - gap}px`;
+      panel.style.transform = 'translate(-50%, -100%)';
+      break;
+    case 'leading':
+      panel.style.left = `${rect.right + gap}px`;
+      panel.style.top = `${centerY}px`;
+      panel.style.transform = 'translateY(-50%)';
+      break;
+    case 'trailing':
+      panel.style.left = `${rect.left - gap}px`;
+      panel.style.top = `${centerY}px`;
+      panel.style.transform = 'translate(-100%, -50%)';
+      break;
+    default:
+      panel.style.left = `${centerX}px`;
+      panel.style.top = `${rect.bottom + gap}px`;
+      panel.style.transform = 'translateX(-50%)';
+  }
+}
+
+// ============================================================================
+// Renderers
+// ============================================================================
+
+registerRenderer(PRESENTATION_TYPE, (props, children) => {
+  // No box of its own, so the presenting view lays out as if alone
+  const element = acquireElement('div');
+  element.dataset.view = PRESENTATION_TYPE;
+  element.style.display = 'contents';
+  element.appendChild(renderChildren(children));
+  return element;
+});
+
+registerRenderer(PRESENTED_TYPE, (props, children) => {
+  const { kind } = props;
+  const element = acquireElement('div');
+  const current = () => element._descriptor?.props ?? props;
+  element.dataset.view = KIND_NAMES[kind];
+  element.style.position = 'fixed';
+  element.style.inset = '0';
+  element.style.zIndex = String(BASE_Z_INDEX);
+
+  const backdrop = acquireElement('div');
+  backdrop.dataset.presentationBackdrop = 'true';
+  backdrop.style.position = 'absolute';
+  backdrop.style.inset = '0';
+  backdrop.style.background = kind === 'sheet' ? 'rgba(0, 0, 0, 0.4)'
+    : DIALOG_KINDS.has(kind) ? 'rgba(0, 0, 0, 0.2)' : 'transparent';
+  // Alerts wait for one of their buttons
+  if (kind !== 'alert') {
+    delegateEvent(backdrop, 'click', () => cancel(current));
+  }
+  element.appendChild(backdrop);
+
+  const panel = acquireElement('div');
+  panel.setAttribute('role', DIALOG_KINDS.has(kind) ? 'alertdialog' : 'dialog');
+  panel.setAttribute('aria-modal', 'true');
+  panel.tabIndex = -1;
+  panel.style.position = 'absolute';
+  panel.style.display = 'flex';
+  panel.style.flexDirection = 'column';
+  panel.style.background = 'var(--color-background, #FFFFFF)';
+  panel.style.outline = 'none';
+  element.appendChild(panel);
+
+  const entry = { element, panel, current, detent: 0, previousFocus: null, cleanups: [] };
+
+  if (kind === 'sheet') {
+    panel.style.left = '0';
+    panel.style.right = '0';
+    panel.style.bottom = '0';
+    panel.style.margin = '0 auto';
+    panel.style.maxWidth = '640px';
+    panel.style.height = `${detentHeights(props.detents)[0]}px`;
+    panel.style.borderRadius = '12px 12px 0 0';
+    panel.style.boxShadow = '0 -4px 24px rgba(0, 0, 0, 0.15)';
+
+    const grabber = acquireElement('div');
+    grabber.dataset.presentationGrabber = 'true';
+    grabber.style.height = '20px';
+    grabber.style.flexShrink = '0';
+    grabber.style.cursor = 'grab';
+    grabber.style.touchAction = 'none';
+    const bar = acquireElement('div');
+    bar.style.width = '36px';
+    bar.style.height = '5px';
+    bar.style.margin = '8px auto 0';
+    bar.style.borderRadius = '3px';
+    bar.style.background = 'var(--color-gray-3, #C7C7CC)';
+    grabber.appendChild(bar);
+    panel.appendChild(grabber);
+    enableSheetDrag(entry, grabber);
+  } else if (kind === 'fullScreenCover') {
+    panel.style.inset = '0';
+  } else if (kind === 'alert') {
+    panel.style.left = '50%';
+    panel.style.top = '50%';
+    panel.style.transform = 'translate(-50%, -50%)';
+    panel.style.width = '270px';
+    panel.style.maxWidth = 'calc(100% - 32px)';
+    panel.style.borderRadius = '14px';
+    panel.style.overflow = 'hidden';
+  } else if (kind === 'confirmationDialog') {
+    panel.style.left = '8px';
+    panel.style.right = '8px';
+    panel.style.bottom = '8px';
+    panel.style.margin = '0 auto';
+    panel.style.maxWidth = '400px';
+    panel.style.background = 'transparent';
+  } else {
+    panel.style.maxWidth = '360px';
+    panel.style.maxHeight = '60vh';
+    panel.style.borderRadius = '12px';
+    panel.style.boxShadow = '0 4px 24px rgba(0, 0, 0, 0.2)';
+  }
+
+  const body = acquireElement('div');
+  body.style.flex = '1';
+  body.style.minHeight = '0';
+  body.style.overflow = 'auto';
+  panel.appendChild(body);
+  element._childHost = body;
+
+  // Registered before the content renders, so presentations nested in it open above this one
+  onAppear(element, () => {
+    if (kind === 'popover') {
+      const place = () => {
+        const anchor = popoverAnchor(element);
+        if (anchor) positionPopover(panel, anchor, current().arrowEdge);
+      };
+      place();
+      window.addEventListener('resize', place);
+      entry.cleanups.push(() => window.removeEventListener('resize', place));
+    } else if (kind === 'sheet') {
+      const resize = () => {
+        const heights = detentHeights(current().detents);
+        panel.style.height = `${heights[Math.min(entry.detent, heights.length - 1)]}px`;
+      };
+      window.addEventListener('resize', resize);
+      entry.cleanups.push(() => window.removeEventListener('resize', resize));
+
+      if (!Environment.get(EnvironmentValues.accessibilityReduceMotion)) {
+        panel.style.transform = 'translateY(100%)';
+        requestAnimationFrame(() => {
+          panel.style.transition = 'transform 0.3s ease-out';
+          panel.style.transform = '';
+        });
+      }
+    }
+    open(entry);
+  });
+  onDisappear(element, () => close(entry));
+
+  body.appendChild(renderChildren(children));
+  return element;
+});
+
+export default {
+  present,
+  presentWith,
+  addPresentationModifiers,
+  presentedContent,
+  PresentationDetent
+};
@@ -11,6 +11,21 @@
  * 5. In-place text updates: Text nodes are updated without replacement
  * 6. Lifecycle batching: onAppear/onDisappear callbacks are batched
  *
+ * Function components are expanded while the virtual tree is built, inside a
+ * scope keyed by their identity, so their local state survives rebuilds and
+ * is released when they leave the tree. When what a component read changes,
+ * only its subtree is rebuilt and diffed (updateComponent).
+ *
+ * Transition-lane updates (startTransition) are reconciled in time slices:
+ * the tree is built and new subtrees are rendered across frames, yielding
+ * to more urgent work, and the DOM is patched in one synchronous commit.
+ * If an urgent update commits to the same container first, the transition
+ * render starts over against the new tree.
+ *
+ * Errors thrown while building, rendering or patching below an
+ * ErrorBoundary are contained there: the boundary's fallback replaces its
+ * content and the rest of the patch list still applies.
+ *
  * Key concepts:
  * - View Identity: Each view has a stable identity based on type + position
  * - Diffing: Compare old and new view trees to find changes
@@ -24,18 +39,102 @@
 import { View } from './View.js';
 import { ChangeTracker } from './ChangeTracker.js';
 import {
+  createDescriptor,
   isDescriptor,
   isLegacyView,
   descriptorsEqual,
+  ownPropsEqual,
+  modifiersEqual,
   isMemoized
 } from './ViewDescriptor.js';
-import { render as renderDescriptor } from './Renderer.js';
+import { render as renderDescriptor, patch as patchDescriptor, canPatch } from './Renderer.js';
 import { releaseTree } from './ElementPool.js';
-import { flushLifecycleCallbacks } from './LifecycleObserver.js';
+import { flushLifecycleCallbacks, transferCallbacks } from './LifecycleObserver.js';
+import { adoptTasks, detachTasks, transferTasks, taskIdsChanged } from './Task.js';
+import { transferHandlers } from './EventDelegate.js';
+import {
+  isComponent,
+  expandComponent,
+  beginRender,
+  endRender,
+  suspendRender,
+  resumeRender,
+  releaseRoot,
+  refreshRoot,
+  setComponentUpdater
+} from './Component.js';
+import { BOUNDARY_TYPE, reportError } from './ErrorBoundary.js';
+import { scheduleWork, shouldYield, TransitionLane } from './Scheduler.js';
+import {
+  environmentEntries,
+  extendEnvironmentScope,
+  getEnvironmentScope,
+  withEnvironmentScope
+} from '../Data/Environment.js';
 
 // Reusable arrays to avoid allocations during diffing
 const _patchBuffer = [];
 
+/**
+ * Relative cost of each patch type, in units of "one node rendered".
+ * INSERT/REPLACE/UPDATE render their whole subtree, so they are weighted by
+ * subtree size instead. A MOVE only repositions an existing element, and an
+ * UPDATE applied in place (text content, registered patchers) only touches
+ * the element's properties.
+ */
+const PATCH_COST = {
+  MOVE: 0.1,
+  REMOVE: 0.25,
+  UPDATE_IN_PLACE: 0.25,
+};
+
+/**
+ * Patching falls back to a full re-render once its estimated cost exceeds
+ * this fraction of rendering the whole new tree. Kept below 1 because a
+ * full re-render also loses focus, scroll and input state.
+ */
+const FULL_RERENDER_COST_RATIO = 0.75;
+
+/**
+ * Compute a longest increasing subsequence of old indices.
+ * Entries of -1 (newly inserted children) are ignored.
+ *
+ * @param {number[]} sources - Old index for each new child, or -1
+ * @returns {Set<number>} Positions in `sources` that belong to the subsequence
+ */
+function longestIncreasingSubsequence(sources) {
+  const predecessors = new Array(sources.length);
+  // tails[k] = position of the smallest tail of an increasing run of length k + 1
+  const tails = [];
+
+  for (let i = 0; i < sources.length; i++) {
+    const value = sources[i];
+    if (value === -1) continue;
+
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sources[tails[mid]] < value) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    predecessors[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+
+  const result = new Set();
+  let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+  while (i !== -1) {
+    result.add(i);
+    i = predecessors[i];
+  }
+  return result;
+}
+
 /**
  * View node in the virtual tree
  */
@@ -65,6 +164,12 @@ class VNode {
     /** @type {number|null} Descriptor hash for fast comparison */
     this.hash = null;
 
+    /** @type {VNode|null} Parent node, used to splice in re-rendered components */
+    this.parent = null;
+
+    /** @type {Object|null} Environment scope of the view (values set by it and above) */
+    this.environment = null;
+
     // Determine type and hash
     if (isDescriptor(view)) {
       this.type = view.type;
@@ -87,6 +192,33 @@ class ReconcilerClass {
     /** @type {Map<HTMLElement, VNode>} Root element -> VNode tree */
     this._trees = new Map();
 
+    /**
+     * Root element -> component identity -> where the component sits
+     * ({ view, parentPath, index, node }), for re-rendering it alone.
+     * @type {Map<HTMLElement, Map<string, Object>>}
+     */
+    this._components = new Map();
+
+    /** @type {Map<string, Object>|null} Component index filled by buildTree */
+    this._componentIndex = null;
+
+    /**
+     * Root element -> number of commits, used by time-sliced renders to
+     * notice that the tree they diff against has changed.
+     * @type {Map<HTMLElement, number>}
+     */
+    this._versions = new Map();
+
+    /**
+     * Root element -> time-sliced renders in progress, keyed by component
+     * identity ('' for the root).
+     * @type {Map<HTMLElement, Map<string, Object>>}
+     */
+    this._tasks = new Map();
+
+    /** @type {Set<Function>} Called after every commit (see onCommit) */
+    this._commitListeners = new Set();
+
     /** @type {number} Counter for generating unique IDs */
     this._idCounter = 0;
 
@@ -102,6 +234,13 @@ class ReconcilerClass {
       elementsRecycled: 0,
       fullRerenders: 0,
       textUpdatesInPlace: 0,
+      patchesInPlace: 0,
+      componentUpdates: 0,
+      transitions: 0,
+      transitionRestarts: 0,
+      moves: 0,
+      hydrations: 0,
+      hydrationMismatches: 0,
     };
   }
 
@@ -134,17 +273,126 @@ class ReconcilerClass {
    * @param {View|Object} view - Root view or descriptor
    * @param {string} parentPath - Path from root
    * @param {number} index - Index among siblings
+   * @param {Object|null} [environment] - Environment scope around the view
    * @returns {VNode}
    */
-  buildTree(view, parentPath = '', index = 0) {
+  buildTree(view, parentPath = '', index = 0, environment = getEnvironmentScope()) {
+    if (!view) return null;
+
+    // Expand function components in place; the body is identified under the
+    // component so its own identity stays stable across rebuilds
+    if (isComponent(view)) {
+      const identity = `${parentPath}/${view.props.name}[${view.key ?? index}]`;
+      const node = this.buildTree(this._expand(view, identity, environment), identity, 0, environment);
+      this._indexComponent(identity, view, parentPath, index, node, environment);
+      return node;
+    }
+
+    const node = this._createNode(view, parentPath, index, environment);
+
+    // Get children
+    const children = this._getViewChildren(view, node.environment);
+    if (children.length > 0) {
+      const childNodes = new Array(children.length);
+      let validCount = 0;
+      let expanded = false;
+      for (let i = 0; i < children.length; i++) {
+        let childNode;
+        try {
+          childNode = this.buildTree(children[i], node.identity, i, node.environment);
+        } catch (error) {
+          childNode = this._buildFallback(node, error, i);
+        }
+        if (childNode) {
+          childNode.parent = node;
+          childNodes[validCount++] = childNode;
+        }
+        if (childNode?.view !== children[i]) expanded = true;
+      }
+      childNodes.length = validCount;
+      this._setChildren(node, childNodes, expanded);
+    }
+
+    return node;
+  }
+
+  /**
+   * buildTree() as a generator that yields before each node, so a
+   * time-sliced render can stop between any two nodes and resume later.
+   * Must run inside a suspended-and-resumed component render pass.
+   *
+   * @param {View|Object} view
+   * @param {string} parentPath
+   * @param {number} index
+   * @param {Object|null} [environment] - Environment scope around the view
+   * @returns {Generator<undefined, VNode|null>}
+   */
+  *_buildTreeSliced(view, parentPath = '', index = 0, environment = null) {
     if (!view) return null;
+    yield;
+
+    if (isComponent(view)) {
+      const identity = `${parentPath}/${view.props.name}[${view.key ?? index}]`;
+      const body = this._expand(view, identity, environment);
+      const node = yield* this._buildTreeSliced(body, identity, 0, environment);
+      this._indexComponent(identity, view, parentPath, index, node, environment);
+      return node;
+    }
+
+    const node = this._createNode(view, parentPath, index, environment);
 
+    const children = this._getViewChildren(view, node.environment);
+    if (children.length > 0) {
+      const childNodes = [];
+      let expanded = false;
+      for (let i = 0; i < children.length; i++) {
+        let childNode;
+        try {
+          childNode = yield* this._buildTreeSliced(children[i], node.identity, i, node.environment);
+        } catch (error) {
+          childNode = this._buildFallback(node, error, i);
+        }
+        if (childNode) {
+          childNode.parent = node;
+          childNodes.push(childNode);
+        }
+        if (childNode?.view !== children[i]) expanded = true;
+      }
+      this._setChildren(node, childNodes, expanded);
+    }
+
+    return node;
+  }
+
+  /**
+   * Run a component body with the environment values set around it and on
+   * the component itself.
+   * @param {Object} view - Component descriptor
+   * @param {string} identity
+   * @param {Object|null} environment - Environment scope around the component
+   * @returns {Object|null} The body view
+   */
+  _expand(view, identity, environment) {
+    const scope = extendEnvironmentScope(environment, environmentEntries(view));
+    return withEnvironmentScope(scope, () => expandComponent(view, identity));
+  }
+
+  /**
+   * Create the node for a (non-component) view and compute its identity.
+   * @param {View|Object} view
+   * @param {string} parentPath
+   * @param {number} index
+   * @param {Object|null} environment - Environment scope around the view
+   * @returns {VNode}
+   */
+  _createNode(view, parentPath, index, environment) {
     // Get key from descriptor or view
     const key = isDescriptor(view)
       ? view.key
       : (view._explicitId || null);
 
     const node = new VNode(view, key);
+    node.environment = extendEnvironmentScope(environment, environmentEntries(view));
 
     // Compute identity
     const pathSegment = key != null ? `[${key}]` : `[${index}]`;
@@ -155,32 +403,85 @@ class ReconcilerClass {
       view._viewId = node.identity;
     }
 
-    // Get children
-    const children = this._getViewChildren(view);
-    if (children.length > 0) {
-      const childNodes = new Array(children.length);
-      let validCount = 0;
-      for (let i = 0; i < children.length; i++) {
-        const childNode = this.buildTree(children[i], node.identity, i);
-        if (childNode) {
-          childNodes[validCount++] = childNode;
-        }
-      }
-      if (validCount > 0) {
-        childNodes.length = validCount;
-        node.children = childNodes;
-      }
+    return node;
+  }
+
+  /**
+   * Record where a component sits, for re-rendering it alone.
+   * @param {string} identity
+   * @param {Object} view - Component descriptor
+   * @param {string} parentPath
+   * @param {number} index
+   * @param {VNode|null} node - Node of its body
+   * @param {Object|null} environment - Environment scope around it
+   */
+  _indexComponent(identity, view, parentPath, index, node, environment) {
+    if (this._componentIndex) {
+      this._componentIndex.set(identity, { view, parentPath, index, node, environment });
     }
+  }
 
-    return node;
+  /**
+   * Build the fallback of a boundary whose child failed to build, or
+   * rethrow if `node` is not a boundary.
+   * @param {VNode} node - Parent of the failed child
+   * @param {Error} error
+   * @param {number} index - Index of the failed child
+   * @returns {VNode|null}
+   */
+  _buildFallback(node, error, index) {
+    if (!node.isDescriptor || node.type !== BOUNDARY_TYPE) throw error;
+    const boundary = node.view.props.boundary;
+    boundary.capture(error, 'build');
+    return this.buildTree(boundary.fallbackView(), node.identity, index, node.environment);
+  }
+
+  /**
+   * Attach built children to a node.
+   * @param {VNode} node
+   * @param {VNode[]} childNodes
+   * @param {boolean} expanded - Whether a child component was expanded
+   */
+  _setChildren(node, childNodes, expanded) {
+    if (childNodes.length > 0) node.children = childNodes;
+
+    // A child component was expanded (possibly to nothing): rebuild this
+    // descriptor around the bodies so renderers and full re-renders never
+    // see components
+    if (expanded && node.isDescriptor) {
+      const view = node.view;
+      node.view = createDescriptor(view.type, view.props,
+        childNodes.map(child => child.view), view.key, view.modifiers);
+      node.hash = node.view._hash;
+    }
+  }
+
+  /**
+   * Build the tree for a root inside a component render pass.
+   * @param {View|Object} view
+   * @param {HTMLElement} container
+   * @returns {VNode}
+   */
+  _buildRoot(view, container) {
+    beginRender(container);
+    this._componentIndex = new Map();
+    try {
+      const tree = this.buildTree(view);
+      this._components.set(container, this._componentIndex);
+      return tree;
+    } finally {
+      this._componentIndex = null;
+      endRender();
+    }
   }
 
   /**
    * Extract children from a view or descriptor
    * @param {View|Object} view
+   * @param {Object|null} [environment] - Environment scope legacy bodies run in
    * @returns {Array}
    */
-  _getViewChildren(view) {
+  _getViewChildren(view, environment = getEnvironmentScope()) {
     if (!view) return _emptyChildren;
 
     // Handle descriptors - fast path
@@ -206,7 +507,7 @@ class ReconcilerClass {
 
     // Try to get body and extract children
     try {
-      const body = view.body();
+      const body = withEnvironmentScope(environment, () => view.body());
       if (body && body !== view) {
         if (Array.isArray(body)) {
           return body.filter(c => c instanceof View || isDescriptor(c));
@@ -225,13 +526,13 @@ class ReconcilerClass {
   /**
    * Render a view or descriptor to DOM
    * @param {View|Object} view
+   * @param {Object|null} [environment] - Environment scope of its node
    * @returns {HTMLElement}
    */
-  _renderView(view) {
-    if (isDescriptor(view)) {
-      return renderDescriptor(view);
-    }
-    return view._render();
+  _renderView(view, environment = getEnvironmentScope()) {
+    return withEnvironmentScope(environment, () => (
+      isDescriptor(view) ? renderDescriptor(view) : view._render()
+    ));
   }
 
   /**
@@ -244,10 +545,10 @@ class ReconcilerClass {
     this._stats.mounts++;
 
     // Build virtual tree
-    const tree = this.buildTree(view);
+    const tree = this._buildRoot(view, container);
 
     // Render to DOM
-    tree.element = this._renderView(view);
+    tree.element = this._renderView(tree.view, tree.environment);
 
     // Recycle old elements before clearing
     const oldChild = container.firstChild;
@@ -262,6 +563,7 @@ class ReconcilerClass {
 
     // Store tree for future reconciliation
     this._trees.set(container, tree);
+    this._commit(container, null);
 
     // Flush lifecycle callbacks
     flushLifecycleCallbacks();
@@ -273,6 +575,183 @@ class ReconcilerClass {
     return tree;
   }
 
+  /**
+   * Hydrate server-rendered markup instead of replacing it.
+   *
+   * The view is rendered into a detached tree, then walked in parallel with
+   * the existing markup in the container. Matching server elements are kept
+   * and receive the delegated handlers, lifecycle callbacks and descriptors
+   * registered on the fresh elements. Mismatched elements are replaced and
+   * counted in `hydrationMismatches`.
+   *
+   * Legacy View subtrees are not hydrated: their `_render()` attaches
+   * listeners and keeps references to the elements it creates, which can't
+   * be moved onto server markup. Each legacy subtree (the whole tree when the
+   * root is a legacy View) is rendered afresh and swapped in for its server
+   * markup, which is not counted as a mismatch. Use descriptor views where
+   * the server markup should be kept.
+   *
+   * @param {View|Object} view - Root view or descriptor
+   * @param {HTMLElement} container - Container holding server-rendered markup
+   * @returns {VNode} The hydrated tree
+   */
+  hydrate(view, container) {
+    const serverRoot = container.firstElementChild;
+
+    if (!serverRoot) {
+      console.warn('[Reconciler] No server-rendered markup to hydrate, mounting instead');
+      return this.mount(view, container);
+    }
+
+    this._stats.hydrations++;
+
+    const tree = this._buildRoot(view, container);
+    const fresh = this._renderView(tree.view, tree.environment);
+
+    // Find elements owned by legacy views so they can be swapped wholesale
+    this._linkElements(tree, fresh);
+    const legacyElements = new Set();
+    this._collectLegacyElements(tree, legacyElements);
+
+    // Drop anything around the root element (whitespace, stray nodes)
+    for (const node of [...container.childNodes]) {
+      if (node !== serverRoot) container.removeChild(node);
+    }
+
+    const root = this._hydrateElement(fresh, serverRoot, legacyElements);
+
+    this._linkElements(tree, root);
+    this._trees.set(container, tree);
+    this._commit(container, null);
+
+    flushLifecycleCallbacks();
+
+    if (this._debug) {
+      console.log('[Reconciler] Hydrated tree:', this._serializeTree(tree),
+        `(${this._stats.hydrationMismatches} mismatches)`);
+    }
+
+    return tree;
+  }
+
+  /**
+   * Collect the topmost elements rendered by legacy (non-descriptor) nodes.
+   * @param {VNode} node
+   * @param {Set<HTMLElement>} result
+   */
+  _collectLegacyElements(node, result) {
+    if (!node) return;
+
+    if (!node.isDescriptor) {
+      if (node.element) result.add(node.element);
+      return;
+    }
+
+    for (let i = 0; i < node.children.length; i++) {
+      this._collectLegacyElements(node.children[i], result);
+    }
+  }
+
+  /**
+   * Adopt a server-rendered element using a freshly rendered counterpart.
+   *
+   * @param {Node} fresh - Freshly rendered (detached) node
+   * @param {Node} server - Existing server-rendered node
+   * @param {Set<HTMLElement>} legacyElements - Elements to swap rather than adopt
+   * @returns {Node} The node now in the document
+   */
+  _hydrateElement(fresh, server, legacyElements) {
+    const parent = server.parentNode;
+
+    if (legacyElements.has(fresh)) {
+      parent.replaceChild(fresh, server);
+      return fresh;
+    }
+
+    if (fresh.nodeType !== server.nodeType ||
+        (fresh.nodeType === 1 && fresh.tagName !== server.tagName)) {
+      this._stats.hydrationMismatches++;
+      if (this._debug) {
+        console.warn('[Reconciler] Hydration mismatch:', server.nodeName, '->', fresh.nodeName);
+      }
+      parent.replaceChild(fresh, server);
+      return fresh;
+    }
+
+    if (fresh.nodeType !== 1) {
+      if (fresh.nodeType === 3 && fresh.textContent !== server.textContent) {
+        this._stats.hydrationMismatches++;
+        server.textContent = fresh.textContent;
+      }
+      return server;
+    }
+
+    transferHandlers(fresh, server);
+    transferCallbacks(fresh, server);
+    transferTasks(fresh, server);
+    if (fresh._descriptor) {
+      server._descriptor = fresh._descriptor;
+    }
+
+    // Client-only attribute values (e.g. input state) come from the fresh render
+    if ('value' in fresh && fresh.value !== server.value) {
+      server.value = fresh.value;
+    }
+    if ('checked' in fresh && fresh.checked !== server.checked) {
+      server.checked = fresh.checked;
+    }
+
+    // Locate the child host by index path before the fresh subtree is taken
+    // apart; a host outside the element (Portal) is kept as rendered
+    const freshHost = fresh._childHost;
+    const hostPath = freshHost && fresh.contains(freshHost) ? this._indexPath(fresh, freshHost) : null;
+    if (freshHost && !hostPath) {
+      server._childHost = freshHost;
+      freshHost._portalOwner = server;
+    }
+
+    const freshChildren = [...fresh.childNodes];
+    const serverChildren = [...server.childNodes];
+
+    for (let i = 0; i < freshChildren.length; i++) {
+      if (i < serverChildren.length) {
+        this._hydrateElement(freshChildren[i], serverChildren[i], legacyElements);
+      } else {
+        this._stats.hydrationMismatches++;
+        server.appendChild(freshChildren[i]);
+      }
+    }
+
+    for (let i = freshChildren.length; i < serverChildren.length; i++) {
+      this._stats.hydrationMismatches++;
+      server.removeChild(serverChildren[i]);
+    }
+
+    if (hostPath) {
+      let host = server;
+      for (let i = 0; i < hostPath.length && host; i++) {
+        host = host.childNodes[hostPath[i]];
+      }
+      server._childHost = host || null;
+    }
+
+    return server;
+  }
+
+  /**
+   * Compute the child-index path from an element down to a descendant.
+   * @param {Node} root
+   * @param {Node} descendant
+   * @returns {number[]}
+   */
+  _indexPath(root, descendant) {
+    const path = [];
+    for (let node = descendant; node && node !== root; node = node.parentNode) {
+      path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+    }
+    return path;
+  }
+
   /**
    * Recursively link DOM elements to VNodes.
    * @param {VNode} node - Current VNode
@@ -283,8 +762,18 @@ class ReconcilerClass {
 
     node.element = element;
 
-    // Get child elements (direct children of this container)
-    const childElements = element.children;
+    // A boundary caught an error while rendering: its element holds the
+    // fallback, so the content nodes are swapped for the fallback's
+    if (element._fallbackView !== undefined && node.type === BOUNDARY_TYPE) {
+      const fallbackNode = this.buildTree(element._fallbackView, node.identity, 0, node.environment);
+      element._fallbackView = undefined;
+      if (fallbackNode) fallbackNode.parent = node;
+      node.children = fallbackNode ? [fallbackNode] : _emptyChildren;
+    }
+
+    // Get child elements (direct children of this container, or of the
+    // inner element a renderer designated as the host for its children)
+    const childElements = (element._childHost || element).children;
     const nodeChildren = node.children;
 
     for (let i = 0, len = Math.min(nodeChildren.length, childElements.length); i < len; i++) {
@@ -308,7 +797,7 @@ class ReconcilerClass {
     }
 
     // Build new virtual tree
-    const newTree = this.buildTree(newView);
+    const newTree = this._buildRoot(newView, container);
 
     // Diff and collect patches into the reusable buffer
     _patchBuffer.length = 0;
@@ -323,6 +812,7 @@ class ReconcilerClass {
 
     // Store updated tree
     this._trees.set(container, newTree);
+    this._commit(container, _patchBuffer);
 
     // Flush lifecycle callbacks after all DOM mutations
     flushLifecycleCallbacks();
@@ -330,6 +820,383 @@ class ReconcilerClass {
     return newTree;
   }
 
+  /**
+   * Re-render a single mounted component and reconcile only its subtree.
+   * The rest of the tree is neither rebuilt nor diffed.
+   *
+   * @param {HTMLElement} container - Container the component is mounted in
+   * @param {string} identity - Component identity
+   * @returns {boolean} False if the component can't be updated on its own
+   *   (not mounted, or its body renders nothing) and the root should refresh
+   */
+  updateComponent(container, identity) {
+    const components = this._components.get(container);
+    const entry = components?.get(identity);
+    const oldNode = entry?.node;
+    if (!oldNode || !oldNode.element || !this._trees.has(container)) return false;
+
+    // Nested components are re-registered by the rebuild
+    const prefix = `${identity}/`;
+    for (const key of components.keys()) {
+      if (key.startsWith(prefix)) components.delete(key);
+    }
+
+    beginRender(container, identity);
+    this._componentIndex = components;
+    let newNode;
+    try {
+      newNode = this.buildTree(entry.view, entry.parentPath, entry.index, entry.environment);
+    } catch (error) {
+      if (!this._failToBoundary(oldNode, error)) throw error;
+      return true;
+    } finally {
+      this._componentIndex = null;
+      endRender();
+    }
+    if (!newNode) return false;
+
+    this._stats.componentUpdates++;
+
+    _patchBuffer.length = 0;
+    this._diff(oldNode, newNode, identity, _patchBuffer);
+
+    if (this._shouldFullRerender(newNode, _patchBuffer)) {
+      _patchBuffer.length = 0;
+      _patchBuffer.push({ type: 'REPLACE', path: identity, oldNode, newNode });
+    }
+    this._applyPatchList(container, _patchBuffer);
+    this._spliceSubtree(container, oldNode, newNode);
+    this._commit(container, _patchBuffer);
+
+    flushLifecycleCallbacks();
+
+    return true;
+  }
+
+  /**
+   * Put a re-rendered component subtree in place of the old one.
+   * @param {HTMLElement} container
+   * @param {VNode} oldNode
+   * @param {VNode} newNode
+   */
+  _spliceSubtree(container, oldNode, newNode) {
+    const parent = oldNode.parent;
+    newNode.parent = parent;
+    if (parent) {
+      parent.children[parent.children.indexOf(oldNode)] = newNode;
+    } else {
+      this._trees.set(container, newNode);
+    }
+
+    // Components whose body is this component share its node
+    for (const other of this._components.get(container).values()) {
+      if (other.node === oldNode) other.node = newNode;
+    }
+  }
+
+  /**
+   * Hand an error thrown while rebuilding a component to the nearest
+   * ErrorBoundary above it, which re-renders with its fallback.
+   * @param {VNode} node - Mounted node of the component
+   * @param {Error} error
+   * @returns {boolean} False if there is no boundary above it
+   */
+  _failToBoundary(node, error) {
+    for (let current = node.parent; current; current = current.parent) {
+      if (current.isDescriptor && current.type === BOUNDARY_TYPE) {
+        current.view.props.boundary.fail(error, 'build');
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Record that the tree of a container changed.
+   * @param {HTMLElement} container
+   * @param {Array|null} patches - Applied patches; null when the whole
+   *   tree was mounted
+   */
+  _commit(container, patches) {
+    this._versions.set(container, (this._versions.get(container) || 0) + 1);
+
+    if (this._commitListeners.size > 0) {
+      const tree = this._trees.get(container);
+      const applied = patches || [{ type: 'INSERT', path: '', node: tree }];
+      for (const listener of this._commitListeners) listener(container, applied, tree);
+    }
+  }
+
+  /**
+   * Listen to every commit, e.g. to inspect what changed. The patch list
+   * is reused by the next update, so read it before returning.
+   *
+   * @param {Function} listener - (container, patches, tree) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onCommit(listener) {
+    this._commitListeners.add(listener);
+    return () => this._commitListeners.delete(listener);
+  }
+
+  /**
+   * Get the mounted virtual tree of a container.
+   * @param {HTMLElement} container
+   * @returns {VNode|null}
+   */
+  getTree(container) {
+    return this._trees.get(container) || null;
+  }
+
+  /**
+   * Update a mounted tree in time slices (TransitionLane). The new tree is
+   * built, diffed and its new subtrees rendered across frames; the DOM is
+   * patched in a single commit at the end. A newer concurrent update of
+   * the same container replaces this one.
+   *
+   * @param {View|Object} newView - New root view or descriptor
+   * @param {HTMLElement} container - Target container
+   * @param {Function} [onCommit] - Called with the new tree once committed
+   */
+  updateConcurrent(newView, container, onCommit = null) {
+    if (!this._trees.has(container)) {
+      const tree = this.mount(newView, container);
+      if (onCommit) onCommit(tree);
+      return;
+    }
+    this._startTask(container, '', newView, onCommit);
+  }
+
+  /**
+   * updateComponent() in time slices.
+   *
+   * @param {HTMLElement} container
+   * @param {string} identity
+   * @returns {boolean} False if the component can't be updated on its own
+   */
+  updateComponentConcurrent(container, identity) {
+    const node = this._components.get(container)?.get(identity)?.node;
+    if (!node || !node.element) return false;
+    this._startTask(container, identity, null, null);
+    return true;
+  }
+
+  /**
+   * Schedule a time-sliced render on the Transition lane.
+   * @param {HTMLElement} container
+   * @param {string} identity - Component identity, '' for the root
+   * @param {View|Object|null} view - New root view (root renders only)
+   * @param {Function|null} onCommit
+   */
+  _startTask(container, identity, view, onCommit) {
+    let tasks = this._tasks.get(container);
+    if (!tasks) {
+      tasks = new Map();
+      this._tasks.set(container, tasks);
+    }
+    const previous = tasks.get(identity);
+    if (previous) this._cancelTask(previous);
+
+    const task = {
+      container, identity, view, onCommit,
+      version: 0, oldNode: null, index: null, pass: null, work: null,
+      done: false, step: null
+    };
+    task.step = () => this._runTask(task);
+    tasks.set(identity, task);
+    scheduleWork(task.step, TransitionLane);
+  }
+
+  /**
+   * Run one slice of a task.
+   * @param {Object} task
+   * @returns {Function|null} The task's step while work remains
+   */
+  _runTask(task) {
+    if (task.done) return null;
+
+    // Something else committed to the container: start over against it
+    if (task.work && task.version !== this._versions.get(task.container)) {
+      this._stats.transitionRestarts++;
+      task.work.return();
+      task.work = null;
+    }
+    if (!task.work && !this._beginTask(task)) {
+      this._endTask(task);
+      return null;
+    }
+
+    let result = null;
+    resumeRender(task.pass);
+    this._componentIndex = task.index;
+    try {
+      do {
+        result = task.work.next();
+      } while (!result.done && !shouldYield());
+    } catch (error) {
+      result = null;
+      if (!this._failToBoundary(task.oldNode, error)) {
+        reportError(error, { phase: 'update', node: task.container });
+      }
+    } finally {
+      this._componentIndex = null;
+      suspendRender();
+    }
+
+    if (result && !result.done) return task.step;
+
+    this._endTask(task);
+    if (!result) return null;
+
+    resumeRender(task.pass);
+    endRender();
+
+    if (!result.value) {
+      // The component renders nothing now; let the root refresh
+      refreshRoot(task.container);
+      return null;
+    }
+
+    try {
+      this._commitTask(task, result.value);
+    } catch (error) {
+      reportError(error, { phase: 'update', node: task.container });
+    }
+    return null;
+  }
+
+  /**
+   * Start (or restart) the work of a task against the current tree.
+   * @param {Object} task
+   * @returns {boolean} False if there is nothing to render into any more
+   */
+  _beginTask(task) {
+    const { container, identity } = task;
+    const tree = this._trees.get(container);
+    if (!tree) return false;
+
+    let build;
+    if (identity === '') {
+      task.oldNode = tree;
+      build = this._buildTreeSliced(task.view);
+    } else {
+      const entry = this._components.get(container)?.get(identity);
+      if (!entry?.node?.element) return false;
+      task.oldNode = entry.node;
+      build = this._buildTreeSliced(entry.view, entry.parentPath, entry.index, entry.environment);
+    }
+
+    task.version = this._versions.get(container);
+    task.index = new Map();
+    task.pass = beginRender(container, identity || null);
+    suspendRender();
+    task.work = this._renderTask(task, build);
+    return true;
+  }
+
+  /**
+   * The work of a task: build the new tree, diff it, and render new
+   * subtrees ahead of the commit, yielding between steps.
+   * @param {Object} task
+   * @param {Generator} build - Sliced build of the new tree
+   * @returns {Generator<undefined, Object|null>} { newNode, patches }
+   */
+  *_renderTask(task, build) {
+    const newNode = yield* build;
+    if (!newNode) return null;
+
+    const patches = [];
+    this._diff(task.oldNode, newNode, task.identity, patches);
+
+    let fullRerender = this._shouldFullRerender(newNode, patches);
+    if (task.identity === '') {
+      fullRerender = fullRerender ||
+        patches.some(patch => patch.type === 'REPLACE' && patch.path === '');
+    } else if (fullRerender) {
+      patches.length = 0;
+      patches.push({ type: 'REPLACE', path: task.identity, oldNode: task.oldNode, newNode });
+      fullRerender = false;
+    }
+
+    // A full re-render renders the whole tree in the commit; otherwise
+    // inserted and replacing subtrees are rendered now, one per slice step
+    if (!fullRerender) {
+      for (const patch of patches) {
+        const node = patch.type === 'REPLACE' ? patch.newNode
+          : patch.type === 'INSERT' && patch.parent ? patch.node
+          : null;
+        if (!node || !node.view) continue;
+
+        yield;
+        try {
+          const element = this._renderView(node.view, node.environment);
+          this._linkElements(node, element);
+        } catch (error) {
+          // Rendered again in the commit, where the error is contained
+          node.element = null;
+        }
+      }
+    }
+
+    return { newNode, patches };
+  }
+
+  /**
+   * Patch the DOM with the result of a finished task.
+   * @param {Object} task
+   * @param {Object} result - { newNode, patches }
+   */
+  _commitTask(task, { newNode, patches }) {
+    const { container, identity } = task;
+    const components = this._components.get(container);
+
+    if (identity === '') {
+      this._components.set(container, task.index);
+      this._applyPatches(container, task.oldNode, newNode, patches);
+      this._trees.set(container, newNode);
+    } else {
+      // Nested components are re-registered by the rebuild
+      const prefix = `${identity}/`;
+      for (const key of components.keys()) {
+        if (key.startsWith(prefix)) components.delete(key);
+      }
+      for (const [key, entry] of task.index) components.set(key, entry);
+
+      this._stats.componentUpdates++;
+      this._applyPatchList(container, patches);
+      this._spliceSubtree(container, task.oldNode, newNode);
+    }
+
+    this._stats.transitions++;
+    this._commit(container, patches);
+    flushLifecycleCallbacks();
+
+    if (task.onCommit) task.onCommit(newNode);
+  }
+
+  /**
+   * Stop a task; it does nothing when its step runs again.
+   * @param {Object} task
+   */
+  _cancelTask(task) {
+    task.done = true;
+    if (task.work) task.work.return();
+    task.work = null;
+  }
+
+  /**
+   * Remove a finished or cancelled task.
+   * @param {Object} task
+   */
+  _endTask(task) {
+    task.done = true;
+    const tasks = this._tasks.get(task.container);
+    if (tasks && tasks.get(task.identity) === task) {
+      tasks.delete(task.identity);
+      if (tasks.size === 0) this._tasks.delete(task.container);
+    }
+  }
+
   /**
    * Diff two virtual trees with keyed child optimization.
    * Pushes patches directly into the output array to avoid allocations.
@@ -365,9 +1232,11 @@ class ReconcilerClass {
     if (oldNode.key !== newNode.key) {
       patches.push({ type: 'REPLACE', path, oldNode, newNode });
 
-      // Track identity change for legacy views
+      // Track identity change
       if (!newNode.isDescriptor && newNode.view?._viewId) {
         ChangeTracker.recordIdentityChange(newNode.view._viewId);
+      } else if (newNode.isDescriptor && ChangeTracker.enabled) {
+        ChangeTracker.recordIdentityChange(newNode.identity);
       }
       return;
     }
@@ -389,9 +1258,11 @@ class ReconcilerClass {
     if (selfChanged) {
       patches.push({ type: 'UPDATE', path, oldNode, newNode });
 
-      // Track self change for legacy views
+      // Track what changed
       if (!newNode.isDescriptor && newNode.view?._viewId) {
         ChangeTracker.recordSelfChange(newNode.view._viewId);
+      } else if (newNode.isDescriptor && ChangeTracker.enabled) {
+        this._recordChanges(oldNode, newNode);
       }
     }
 
@@ -400,20 +1271,49 @@ class ReconcilerClass {
 
     // Skip child diffing if this node will be fully re-rendered by UPDATE
     if (!selfChanged) {
-      this._diffChildren(oldNode.children, newNode.children, path, patches);
+      this._diffChildren(oldNode.children, newNode.children, path, patches, newNode);
     }
   }
 
+  /**
+   * Record which props and modifiers of a descriptor changed.
+   * @param {VNode} oldNode
+   * @param {VNode} newNode
+   */
+  _recordChanges(oldNode, newNode) {
+    const oldProps = oldNode.view.props;
+    const newProps = newNode.view.props;
+    let recorded = false;
+    for (const key of new Set([...Object.keys(oldProps), ...Object.keys(newProps)])) {
+      const oldValue = oldProps[key];
+      const newValue = newProps[key];
+      if (oldValue === newValue || typeof newValue === 'function') continue;
+      if (isDescriptor(oldValue) && isDescriptor(newValue) && descriptorsEqual(oldValue, newValue)) continue;
+      if (Array.isArray(oldValue) && Array.isArray(newValue) &&
+          JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+      ChangeTracker.recordChange(newNode.identity, key, oldValue, newValue);
+      recorded = true;
+    }
+    if (!modifiersEqual(oldNode.view, newNode.view)) {
+      ChangeTracker.recordChange(newNode.identity, 'modifiers', oldNode.view.modifiers, newNode.view.modifiers);
+      recorded = true;
+    }
+    if (!recorded) ChangeTracker.recordSelfChange(newNode.identity);
+  }
+
   /**
    * Diff children with keyed optimization.
-   * Uses a two-pass algorithm for O(n) complexity with keys.
+   * Keyed children are matched in O(n); children that changed position are
+   * emitted as MOVE patches, except for those on the longest increasing
+   * subsequence of old positions, which stay where they are.
    *
    * @param {VNode[]} oldChildren
    * @param {VNode[]} newChildren
    * @param {string} parentPath
    * @param {Array} patches - Output array
+   * @param {VNode} parent - New parent node (owner of the children's DOM)
    */
-  _diffChildren(oldChildren, newChildren, parentPath, patches) {
+  _diffChildren(oldChildren, newChildren, parentPath, patches, parent) {
     const oldLen = oldChildren.length;
     const newLen = newChildren.length;
 
@@ -426,7 +1326,8 @@ class ReconcilerClass {
         patches.push({
           type: 'INSERT',
           path: `${parentPath}/${i}`,
-          node: newChildren[i]
+          node: newChildren[i],
+          parent
         });
       }
       return;
@@ -466,7 +1367,8 @@ class ReconcilerClass {
         patches.push({
           type: 'INSERT',
           path: `${parentPath}/${i}`,
-          node: newChildren[i]
+          node: newChildren[i],
+          parent
         });
       }
       // Handle removed children
@@ -496,32 +1398,43 @@ class ReconcilerClass {
     const matchedOldIndices = new Set();
     let unkeyedIndex = 0;
 
+    // Old index of each new child (-1 when inserted), for move detection
+    const sources = new Array(newLen);
+
     // First pass: match new children to old children
     for (let i = 0; i < newLen; i++) {
       const newChild = newChildren[i];
       const path = `${parentPath}/${i}`;
       let oldChild = null;
+      let oldIndex = -1;
 
       if (newChild.key != null) {
         const oldKeyed = oldKeyedChildren.get(newChild.key);
         if (oldKeyed) {
           oldChild = oldKeyed.node;
-          matchedOldIndices.add(oldKeyed.index);
+          oldIndex = oldKeyed.index;
+          matchedOldIndices.add(oldIndex);
         }
       } else {
         while (unkeyedIndex < oldUnkeyedChildren.length) {
           const candidate = oldUnkeyedChildren[unkeyedIndex];
+          unkeyedIndex++;
           if (!matchedOldIndices.has(candidate.index)) {
             oldChild = candidate.node;
-            matchedOldIndices.add(candidate.index);
-            unkeyedIndex++;
+            oldIndex = candidate.index;
+            matchedOldIndices.add(oldIndex);
             break;
           }
-          unkeyedIndex++;
         }
       }
 
-      this._diff(oldChild, newChild, path, patches);
+      sources[i] = oldIndex;
+
+      if (oldChild) {
+        this._diff(oldChild, newChild, path, patches);
+      } else {
+        patches.push({ type: 'INSERT', path, node: newChild, parent });
+      }
     }
 
     // Second pass: remove unmatched old children
@@ -534,6 +1447,19 @@ class ReconcilerClass {
         });
       }
     }
+
+    // Third pass: move matched children that are out of order
+    const stable = longestIncreasingSubsequence(sources);
+    for (let i = 0; i < newLen; i++) {
+      if (sources[i] !== -1 && !stable.has(i)) {
+        patches.push({
+          type: 'MOVE',
+          path: `${parentPath}/${i}`,
+          node: newChildren[i],
+          parent
+        });
+      }
+    }
   }
 
   /**
@@ -552,8 +1478,16 @@ class ReconcilerClass {
 
     // For descriptors, use fast equality check
     if (oldNode.isDescriptor && newNode.isDescriptor) {
-      // Fast path: hash comparison (numeric, O(1))
-      if (oldNode.hash !== newNode.hash) return true;
+      // Hashes include children, so a mismatch may only mean a descendant
+      // changed. Diff the children in place when the node itself is equal
+      // and its children map one-to-one onto its DOM children.
+      if (oldNode.hash !== newNode.hash) {
+        if (ownPropsEqual(oldView, newView) && this._childrenInPlace(oldNode)) {
+          if (oldNode.element) oldNode.element._descriptor = newView;
+          return false;
+        }
+        return true;
+      }
 
       // Memoized descriptors are considered unchanged
       if (isMemoized(newView)) return false;
@@ -562,6 +1496,9 @@ class ReconcilerClass {
       return !descriptorsEqual(oldView, newView);
     }
 
+    // For legacy views, a new task id renders a new element (restarting the task)
+    if (taskIdsChanged(oldView._modifiers, newView._modifiers)) return true;
+
     // For legacy views, check properties
     if (oldView._content !== undefined && newView._content !== undefined) {
       return oldView._content !== newView._content;
@@ -585,11 +1522,32 @@ class ReconcilerClass {
     return false;
   }
 
+  /**
+   * Check whether each child's element is a direct DOM child of the node's
+   * element, so children can be patched without re-rendering the node.
+   *
+   * @param {VNode} node
+   * @returns {boolean}
+   */
+  _childrenInPlace(node) {
+    const element = node.element;
+    if (!element) return false;
+
+    const host = element._childHost || element;
+    const children = node.children;
+    for (let i = 0; i < children.length; i++) {
+      const childElement = children[i].element;
+      if (!childElement || childElement.parentNode !== host) return false;
+    }
+    return true;
+  }
+
   /**
    * Apply patches to the DOM.
    * Optimized to:
    * - Recycle removed elements into the pool
    * - Use in-place text updates where possible
+   * - Move keyed elements instead of re-creating them
    * - Batch DOM mutations
    *
    * @param {HTMLElement} container
@@ -600,54 +1558,71 @@ class ReconcilerClass {
   _applyPatches(container, oldTree, newTree, patches) {
     if (patches.length === 0) return;
 
-    // Classify patches (single pass, no filter())
     let hasRootReplace = false;
-    let replaceCount = 0;
-    let updateCount = 0;
-    let insertCount = 0;
-    let removeCount = 0;
-
     for (let i = 0; i < patches.length; i++) {
-      const p = patches[i];
-      switch (p.type) {
-        case 'REPLACE': replaceCount++; if (p.path === '') hasRootReplace = true; break;
-        case 'UPDATE': updateCount++; break;
-        case 'INSERT': insertCount++; break;
-        case 'REMOVE': removeCount++; break;
+      if (patches[i].type === 'REPLACE' && patches[i].path === '') {
+        hasRootReplace = true;
+        break;
       }
     }
 
-    // If root needs full replace or too many patches, do full re-render
-    if (hasRootReplace || patches.length > 30) {
+    // If root needs full replace or patching costs more than starting over, do full re-render
+    if (hasRootReplace || this._shouldFullRerender(newTree, patches)) {
       this._stats.fullRerenders++;
 
       if (this._debug) {
-        console.log('[Reconciler] Full re-render:', hasRootReplace ? 'root replaced' : 'too many patches');
+        console.log('[Reconciler] Full re-render:', hasRootReplace ? 'root replaced' : 'patch cost too high');
       }
 
       // Recycle old tree elements
+      const tasks = this._takeTasks(oldTree);
       const oldChild = container.firstChild;
       if (oldChild) {
         releaseTree(oldChild);
       }
 
       // Full re-render
-      const element = this._renderView(newTree.view);
+      const element = this._renderView(newTree.view, newTree.environment);
       container.textContent = '';
       container.appendChild(element);
       newTree.element = element;
 
       this._linkElements(newTree, element);
+      this._adoptTasks(tasks, newTree);
       return;
     }
 
+    this._applyPatchList(container, patches);
+  }
+
+  /**
+   * Apply a list of patches without the full re-render check.
+   * @param {HTMLElement} container
+   * @param {Array} patches
+   */
+  _applyPatchList(container, patches) {
+    // Classify patches (single pass, no filter())
+    let removeCount = 0;
+    let placeCount = 0;
+
+    for (let i = 0; i < patches.length; i++) {
+      const type = patches[i].type;
+      if (type === 'REMOVE') removeCount++;
+      else if (type === 'INSERT' || type === 'MOVE') placeCount++;
+    }
+
     this._stats.patchesApplied += patches.length;
 
-    // Apply patches in optimal order: updates first, then removes (reverse), then inserts, then replaces
+    // Apply patches in optimal order: updates first, then removes (reverse), then replaces,
+    // then inserts and moves (which need every sibling's final element as an anchor)
     for (let i = 0; i < patches.length; i++) {
       const patch = patches[i];
       if (patch.type === 'UPDATE') {
-        this._applyUpdate(patch);
+        try {
+          this._applyUpdate(patch);
+        } catch (error) {
+          this._recover(patch.newNode, error);
+        }
       }
     }
 
@@ -666,22 +1641,206 @@ class ReconcilerClass {
 
     for (let i = 0; i < patches.length; i++) {
       const patch = patches[i];
-      if (patch.type === 'INSERT') {
-        this._applyInsert(patch, container);
+      if (patch.type === 'REPLACE') {
+        try {
+          this._applyReplace(patch);
+        } catch (error) {
+          this._recover(patch.newNode, error);
+        }
+      }
+    }
+
+    if (placeCount > 0) {
+      // Group inserted/moved children by parent
+      const placements = new Map();
+      for (let i = 0; i < patches.length; i++) {
+        const patch = patches[i];
+        if (patch.type !== 'INSERT' && patch.type !== 'MOVE') continue;
+
+        if (!patch.parent) {
+          this._applyInsert(patch, container);
+          continue;
+        }
+
+        let nodes = placements.get(patch.parent);
+        if (!nodes) {
+          nodes = new Set();
+          placements.set(patch.parent, nodes);
+        }
+        nodes.add(patch.node);
+      }
+
+      for (const [parent, nodes] of placements) {
+        try {
+          this._placeChildren(parent, nodes);
+        } catch (error) {
+          this._recover(parent, error);
+        }
       }
     }
+  }
+
+  /**
+   * Contain an error thrown while patching: the nearest ErrorBoundary above
+   * `node` records it and its content is replaced by the fallback. Without
+   * a boundary the error is rethrown.
+   *
+   * @param {VNode} node - Node whose patch failed
+   * @param {Error} error
+   */
+  _recover(node, error) {
+    let boundaryNode = node;
+    while (boundaryNode && !(boundaryNode.type === BOUNDARY_TYPE &&
+                             boundaryNode.isDescriptor && boundaryNode.element)) {
+      boundaryNode = boundaryNode.parent;
+    }
+    if (!boundaryNode) throw error;
+
+    const boundary = boundaryNode.view.props.boundary;
+    boundary.capture(error, 'update');
+
+    // The old content is only detached, not recycled: patches still queued
+    // for nodes inside it may touch its elements
+    const element = boundaryNode.element;
+    element.textContent = '';
+
+    const fallbackNode = this.buildTree(boundary.fallbackView(), boundaryNode.identity, 0, boundaryNode.environment);
+    boundaryNode.children = fallbackNode ? [fallbackNode] : _emptyChildren;
+    if (fallbackNode) {
+      fallbackNode.parent = boundaryNode;
+      const fallbackElement = this._renderView(fallbackNode.view, fallbackNode.environment);
+      element.appendChild(fallbackElement);
+      this._linkElements(fallbackNode, fallbackElement);
+    }
+  }
+
+  /**
+   * Decide whether patching is more expensive than a full re-render.
+   * Estimates both in "nodes rendered": INSERT/REPLACE and most UPDATEs
+   * render their subtree, while REMOVE, MOVE and in-place UPDATEs only
+   * touch an existing element.
+   *
+   * @param {VNode} newTree
+   * @param {Array} patches
+   * @returns {boolean}
+   */
+  _shouldFullRerender(newTree, patches) {
+    const budget = this._countNodes(newTree) * FULL_RERENDER_COST_RATIO;
+    let cost = 0;
 
     for (let i = 0; i < patches.length; i++) {
       const patch = patches[i];
-      if (patch.type === 'REPLACE') {
-        this._applyReplace(patch);
+      switch (patch.type) {
+        case 'MOVE':
+          cost += PATCH_COST.MOVE;
+          break;
+        case 'REMOVE':
+          cost += PATCH_COST.REMOVE;
+          break;
+        case 'INSERT':
+          cost += this._countNodes(patch.node);
+          break;
+        case 'UPDATE':
+          cost += this._updatesInPlace(patch)
+            ? PATCH_COST.UPDATE_IN_PLACE
+            : this._countNodes(patch.newNode);
+          break;
+        default:
+          cost += this._countNodes(patch.newNode);
+      }
+
+      if (cost > budget) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether an UPDATE patch can be applied without rendering its subtree.
+   * @param {Object} patch
+   * @returns {boolean}
+   */
+  _updatesInPlace(patch) {
+    const { oldNode, newNode } = patch;
+    if (oldNode.isDescriptor && newNode.isDescriptor && canPatch(oldNode.view, newNode.view)) {
+      return true;
+    }
+    return this._onlyTextChanged(oldNode, newNode);
+  }
+
+  /**
+   * Count the nodes in a subtree.
+   * @param {VNode} node
+   * @returns {number}
+   */
+  _countNodes(node) {
+    if (!node) return 0;
+
+    let count = 1;
+    for (let i = 0; i < node.children.length; i++) {
+      count += this._countNodes(node.children[i]);
+    }
+    return count;
+  }
+
+  /**
+   * Position inserted and moved children of a parent.
+   * Walks the new children from last to first, inserting each flagged child
+   * before its next sibling. Unflagged children are already in order
+   * relative to each other and are left untouched.
+   *
+   * @param {VNode} parent - Parent node
+   * @param {Set<VNode>} nodes - Children that need to be inserted or moved
+   */
+  _placeChildren(parent, nodes) {
+    const children = parent.children;
+
+    // Children live in the DOM parent of an existing sibling, or directly in the parent's child host
+    let domParent = parent.element && (parent.element._childHost || parent.element);
+    for (let i = 0; i < children.length; i++) {
+      const element = children[i].element;
+      if (!nodes.has(children[i]) && element && element.parentNode) {
+        domParent = element.parentNode;
+        break;
+      }
+    }
+    if (!domParent) return;
+
+    let anchor = null;
+    for (let i = children.length - 1; i >= 0; i--) {
+      const child = children[i];
+
+      if (nodes.has(child)) {
+        if (!child.element) {
+          if (child.view) {
+            child.element = this._renderView(child.view, child.environment);
+            this._linkElements(child, child.element);
+          }
+        } else if (child.element.parentNode) {
+          // Elements rendered ahead of a time-sliced commit are not yet attached
+          this._stats.moves++;
+        }
+
+        if (child.element) {
+          domParent.insertBefore(child.element, anchor);
+
+          if (this._debug) {
+            console.log(`[Reconciler] Placed: ${child.type}${child.key != null ? ` [key=${child.key}]` : ''}`);
+          }
+        }
+      }
+
+      if (child.element && child.element.parentNode === domParent) {
+        anchor = child.element;
       }
     }
   }
 
   /**
    * Apply an UPDATE patch.
-   * Optimized: for text-only changes, updates textContent in-place.
+   * Optimized: for text-only changes, updates textContent in-place, and
+   * types with a registered patcher (controls) are updated without
+   * replacing their element.
    *
    * @param {Object} patch
    */
@@ -689,62 +1848,37 @@ class ReconcilerClass {
     const { oldNode, newNode } = patch;
 
     if (oldNode.element && newNode.view) {
+      // Optimization: patch controls in place so focus and input state survive
+      if (oldNode.isDescriptor && newNode.isDescriptor &&
+          patchDescriptor(oldNode.element, oldNode.view, newNode.view)) {
+        this._adoptElements(oldNode, newNode);
+        this._stats.patchesInPlace++;
+        return;
+      }
+
       // Optimization: in-place text update for Text nodes
-      if (newNode.type === 'Text' && oldNode.type === 'Text') {
-        const oldView = oldNode.view;
-        const newView = newNode.view;
-
-        if (newNode.isDescriptor && oldNode.isDescriptor) {
-          // Descriptor text: check if only content changed
-          if (oldView.props.content !== newView.props.content) {
-            const oldProps = oldView.props;
-            const newProps = newView.props;
-            let onlyContentChanged = true;
-
-            // Check if all other props are the same
-            const keys = Object.keys(newProps);
-            for (let i = 0; i < keys.length; i++) {
-              const k = keys[i];
-              if (k === 'content') continue;
-              if (typeof oldProps[k] === 'function') continue;
-              if (oldProps[k] !== newProps[k]) {
-                onlyContentChanged = false;
-                break;
-              }
-            }
-
-            if (onlyContentChanged && oldView.modifiers.length === newView.modifiers.length) {
-              // Just update the text content - no need to re-render
-              oldNode.element.textContent = String(newProps.content ?? '');
-              newNode.element = oldNode.element;
-              this._stats.textUpdatesInPlace++;
-              return;
-            }
-          }
-        } else if (!newNode.isDescriptor && !oldNode.isDescriptor) {
-          // Legacy Text: check _content
-          if (oldView._content !== newView._content &&
-              oldView._modifiers.length === newView._modifiers.length) {
-            oldNode.element.textContent = String(newView._content);
-            newNode.element = oldNode.element;
-            this._stats.textUpdatesInPlace++;
-            return;
-          }
-        }
+      if (this._onlyTextChanged(oldNode, newNode)) {
+        const view = newNode.view;
+        oldNode.element.textContent = String(newNode.isDescriptor ? view.props.content ?? '' : view._content);
+        newNode.element = oldNode.element;
+        this._stats.textUpdatesInPlace++;
+        return;
       }
 
       // Full re-render of this node
-      const newElement = this._renderView(newNode.view);
+      const newElement = this._renderView(newNode.view, newNode.environment);
 
       if (oldNode.element.parentNode) {
         oldNode.element.parentNode.replaceChild(newElement, oldNode.element);
       }
 
       // Recycle old element
+      const tasks = this._takeTasks(oldNode);
       releaseTree(oldNode.element);
 
       newNode.element = newElement;
       this._linkElements(newNode, newElement);
+      this._adoptTasks(tasks, newNode);
 
       if (this._debug) {
         console.log(`[Reconciler] Updated: ${newNode.type}`);
@@ -752,6 +1886,60 @@ class ReconcilerClass {
     }
   }
 
+  /**
+   * Whether an update between two Text nodes only changes their content,
+   * so it can be applied by setting the element's text.
+   *
+   * @param {VNode} oldNode
+   * @param {VNode} newNode
+   * @returns {boolean}
+   */
+  _onlyTextChanged(oldNode, newNode) {
+    if (newNode.type !== 'Text' || oldNode.type !== 'Text') return false;
+    const oldView = oldNode.view;
+    const newView = newNode.view;
+
+    if (newNode.isDescriptor && oldNode.isDescriptor) {
+      // Descriptor text: check if only content changed
+      const oldProps = oldView.props;
+      const newProps = newView.props;
+      if (oldProps.content === newProps.content) return false;
+
+      // Check if all other props are the same
+      const keys = Object.keys(newProps);
+      for (let i = 0; i < keys.length; i++) {
+        const k = keys[i];
+        if (k === 'content') continue;
+        if (typeof oldProps[k] === 'function') continue;
+        if (oldProps[k] !== newProps[k]) return false;
+      }
+      return modifiersEqual(oldView, newView);
+    }
+
+    if (!newNode.isDescriptor && !oldNode.isDescriptor) {
+      // Legacy Text: check _content
+      return oldView._content !== newView._content &&
+        oldView._modifiers.length === newView._modifiers.length &&
+        !taskIdsChanged(oldView._modifiers, newView._modifiers);
+    }
+
+    return false;
+  }
+
+  /**
+   * Carry elements over from an old subtree to an identical new one.
+   * @param {VNode} oldNode
+   * @param {VNode} newNode
+   */
+  _adoptElements(oldNode, newNode) {
+    newNode.element = oldNode.element;
+
+    const len = Math.min(oldNode.children.length, newNode.children.length);
+    for (let i = 0; i < len; i++) {
+      this._adoptElements(oldNode.children[i], newNode.children[i]);
+    }
+  }
+
   /**
    * Apply a REMOVE patch with element recycling.
    * @param {Object} patch
@@ -781,7 +1969,7 @@ class ReconcilerClass {
     const { node } = patch;
 
     if (node.view) {
-      const element = this._renderView(node.view);
+      const element = this._renderView(node.view, node.environment);
       node.element = element;
 
       container.appendChild(element);
@@ -800,17 +1988,22 @@ class ReconcilerClass {
     const { oldNode, newNode } = patch;
 
     if (oldNode.element && newNode.view) {
-      const newElement = this._renderView(newNode.view);
+      // Time-sliced renders may have rendered the replacement already (a
+      // diffed node that is replaced wholesale still carries the old element)
+      const rendered = newNode.element !== oldNode.element ? newNode.element : null;
+      const newElement = rendered || this._renderView(newNode.view, newNode.environment);
 
       if (oldNode.element.parentNode) {
         oldNode.element.parentNode.replaceChild(newElement, oldNode.element);
       }
 
       // Recycle old element
+      const tasks = this._takeTasks(oldNode);
       releaseTree(oldNode.element);
 
       newNode.element = newElement;
       this._linkElements(newNode, newElement);
+      this._adoptTasks(tasks, newNode);
 
       if (this._debug) {
         console.log(`[Reconciler] Replaced: ${oldNode.type} -> ${newNode.type}`);
@@ -818,6 +2011,53 @@ class ReconcilerClass {
     }
   }
 
+  /**
+   * Take the tasks off the elements of a subtree about to be re-rendered,
+   * keyed by node identity, so recycling the elements doesn't abort them.
+   *
+   * @param {VNode} node
+   * @returns {Map<string, Array>|null} identity -> tasks
+   */
+  _takeTasks(node) {
+    let tasks = null;
+    const collect = (current) => {
+      const runs = current.element ? detachTasks(current.element) : null;
+      if (runs) {
+        if (!tasks) tasks = new Map();
+        tasks.set(current.identity, runs);
+      }
+      for (let i = 0; i < current.children.length; i++) collect(current.children[i]);
+    };
+    collect(node);
+    return tasks;
+  }
+
+  /**
+   * Let the re-rendered elements carry on the tasks taken from the elements
+   * they replace (same identity, same task id) instead of starting again.
+   * The other tasks are aborted.
+   *
+   * @param {Map<string, Array>|null} tasks - From _takeTasks()
+   * @param {VNode} node - Re-rendered subtree
+   */
+  _adoptTasks(tasks, node) {
+    if (!tasks) return;
+
+    const adopt = (current) => {
+      const runs = tasks.get(current.identity);
+      if (runs && current.element) {
+        tasks.delete(current.identity);
+        adoptTasks(runs, current.element);
+      }
+      for (let i = 0; i < current.children.length; i++) adopt(current.children[i]);
+    };
+    adopt(node);
+
+    for (const runs of tasks.values()) {
+      for (const run of runs) run.cancel();
+    }
+  }
+
   /**
    * Serialize tree for debugging
    * @param {VNode} node
@@ -850,6 +2090,14 @@ class ReconcilerClass {
       releaseTree(oldTree.element);
     }
     this._trees.delete(container);
+    this._components.delete(container);
+    this._versions.delete(container);
+    const tasks = this._tasks.get(container);
+    if (tasks) {
+      for (const task of tasks.values()) this._cancelTask(task);
+      this._tasks.delete(container);
+    }
+    releaseRoot(container);
     container.textContent = '';
   }
 
@@ -877,6 +2125,13 @@ class ReconcilerClass {
       elementsRecycled: 0,
       fullRerenders: 0,
       textUpdatesInPlace: 0,
+      patchesInPlace: 0,
+      componentUpdates: 0,
+      transitions: 0,
+      transitionRestarts: 0,
+      moves: 0,
+      hydrations: 0,
+      hydrationMismatches: 0,
     };
   }
 }
@@ -884,4 +2139,18 @@ class ReconcilerClass {
 // Singleton instance
 export const Reconciler = new ReconcilerClass();
 
+// Components whose tracked reads change re-render through the reconciler,
+// in time slices when the change was made in a transition
+setComponentUpdater((root, identity, lane) => {
+  try {
+    return lane === TransitionLane
+      ? Reconciler.updateComponentConcurrent(root, identity)
+      : Reconciler.updateComponent(root, identity);
+  } catch (error) {
+    // Not contained by a boundary; keep the scheduler flush going
+    reportError(error, { phase: 'update', node: root });
+    return true;
+  }
+});
+
 export default Reconciler;
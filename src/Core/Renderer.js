@@ -16,11 +16,19 @@
 import {
   isDescriptor,
   isLegacyView,
+  modifiersEqual,
   ModifierType
 } from './ViewDescriptor.js';
 import { acquireElement } from './ElementPool.js';
 import { onAppear, onDisappear } from './LifecycleObserver.js';
+import { attachTask } from './Task.js';
 import { delegateEvent } from './EventDelegate.js';
+import {
+  environmentEntries,
+  extendEnvironmentScope,
+  getEnvironmentScope,
+  withEnvironmentScope
+} from '../Data/Environment.js';
 
 /**
  * Registry of view type renderers
@@ -29,6 +37,13 @@ import { delegateEvent } from './EventDelegate.js';
  */
 const viewRenderers = new Map();
 
+/**
+ * Registry of in-place patchers
+ * Maps type name to patch function
+ * @type {Map<string, Function>}
+ */
+const viewPatchers = new Map();
+
 /**
  * Register a renderer for a view type
  *
@@ -39,6 +54,64 @@ export function registerRenderer(type, renderer) {
   viewRenderers.set(type, renderer);
 }
 
+/**
+ * Register an in-place patcher for a view type.
+ *
+ * A patcher updates an already rendered element to reflect new props
+ * (value, checked, disabled, options...) instead of replacing it, so
+ * focus, selection and in-progress input survive re-renders.
+ *
+ * @param {string} type - View type name
+ * @param {Function} patcher - Function (element, props, prevProps) => boolean;
+ *   return false when the change can't be applied in place
+ */
+export function registerPatcher(type, patcher) {
+  viewPatchers.set(type, patcher);
+}
+
+/**
+ * Whether `patch()` can update an element rendered from `prev` in place:
+ * a patcher is registered for the type, the modifiers are unchanged and the
+ * children are identical. The patcher itself may still decline.
+ *
+ * @param {Object} prev - Descriptor the element was rendered from
+ * @param {Object} next - New descriptor
+ * @returns {boolean}
+ */
+export function canPatch(prev, next) {
+  if (!isDescriptor(prev) || !isDescriptor(next)) return false;
+  if (prev.type !== next.type) return false;
+  if (!viewPatchers.has(next.type)) return false;
+
+  if (!modifiersEqual(prev, next)) return false;
+
+  if (prev.children.length !== next.children.length) return false;
+  for (let i = 0; i < next.children.length; i++) {
+    if (prev.children[i]?._hash !== next.children[i]?._hash) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Patch a rendered element in place from one descriptor to the next.
+ * Only possible when `canPatch(prev, next)`.
+ *
+ * @param {HTMLElement} element - Element previously rendered from `prev`
+ * @param {Object} prev - Descriptor the element was rendered from
+ * @param {Object} next - New descriptor
+ * @returns {boolean} True if the element now reflects `next`
+ */
+export function patch(element, prev, next) {
+  if (!element || !canPatch(prev, next)) return false;
+
+  const patcher = viewPatchers.get(next.type);
+  if (!patcher(element, next.props, prev.props)) return false;
+
+  element._descriptor = next;
+  return true;
+}
+
 /**
  * Render a view descriptor to a DOM element
  *
@@ -75,8 +148,12 @@ export function render(descriptor) {
     return renderUnknown(descriptor);
   }
 
-  // Render the element
-  const element = renderer(descriptor.props, descriptor.children);
+  // Render the element; its environment values apply to it and its children
+  const environment = environmentEntries(descriptor);
+  const element = environment
+    ? withEnvironmentScope(extendEnvironmentScope(getEnvironmentScope(), environment),
+      () => renderer(descriptor.props, descriptor.children))
+    : renderer(descriptor.props, descriptor.children);
 
   // Apply modifiers in a single pass
   if (descriptor.modifiers.length > 0) {
@@ -198,10 +275,19 @@ function applyModifier(element, modifier) {
       onDisappear(element, value);
       break;
 
+    case ModifierType.TASK:
+      // Runs on appear, aborted on disappear (see Task.js)
+      attachTask(element, value.action, value.id);
+      break;
+
     case ModifierType.CLIP_SHAPE:
       applyClipShape(element, value);
       break;
 
+    case ModifierType.ENVIRONMENT:
+      // Read while building and rendering (see render()), nothing to apply
+      break;
+
     case ModifierType.CUSTOM:
       if (typeof value === 'function') {
         value(element);
@@ -504,6 +590,17 @@ registerRenderer('Button', (props, children) => {
 
   applyButtonStyle(element, props.buttonStyle);
 
+  if (props.role) {
+    element.dataset.role = props.role;
+    if (props.role === 'destructive') {
+      if (props.buttonStyle === 'borderedProminent') {
+        element.style.background = 'rgba(255, 59, 48, 1)';
+      } else {
+        element.style.color = 'rgba(255, 59, 48, 1)';
+      }
+    }
+  }
+
   if (props.action && !props.isDisabled) {
     // Use event delegation for click handling
     delegateEvent(element, 'click', (event) => {
@@ -597,9 +694,90 @@ registerRenderer('ForEach', (props, children) => {
   const element = acquireElement('div');
   element.style.display = 'contents';
   element.appendChild(fragment);
+  if (props.onDelete || props.onMove) enableRowEditing(element, props, children);
   return element;
 });
 
+/**
+ * Offset of the row of a ForEach holding a node.
+ * @param {HTMLElement} container - ForEach element
+ * @param {Node} node
+ * @returns {number} -1 if the node isn't in a row
+ */
+function rowIndex(container, node) {
+  while (node && node.parentNode !== container) node = node.parentNode;
+  return node ? Array.prototype.indexOf.call(container.children, node) : -1;
+}
+
+/**
+ * Let the rows of a ForEach with onDelete / onMove be deleted (Delete or
+ * Backspace on a focused row; ForEach makes those rows focusable) and
+ * reordered (dragging a row). Rows become draggable when pressed, so rows
+ * inserted later by the Reconciler work too. Handlers read the element's
+ * current descriptor, and pass the offsets of the rows in the data, which
+ * differ from their positions when the builder skipped some elements.
+ *
+ * @param {HTMLElement} element - ForEach element
+ * @param {Object} props - Props at render time
+ * @param {Array} children - Row descriptors at render time
+ */
+function enableRowEditing(element, props, children) {
+  const current = () => element._descriptor?.props ?? props;
+  const offsetOf = (index) => {
+    const row = (element._descriptor?.children ?? children)[index];
+    return current()._offsetOf?.(row?.key) ?? index;
+  };
+
+  delegateEvent(element, 'pointerdown', (event) => {
+    const index = rowIndex(element, event.target);
+    if (index === -1) return;
+    if (current().onMove) element.children[index].draggable = true;
+  });
+
+  delegateEvent(element, 'keydown', (event) => {
+    const { onDelete } = current();
+    if (!onDelete || (event.key !== 'Delete' && event.key !== 'Backspace')) return;
+    const target = event.target;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+    const index = rowIndex(element, target);
+    if (index === -1) return;
+    event.preventDefault();
+    onDelete([offsetOf(index)]);
+  });
+
+  delegateEvent(element, 'dragstart', (event) => {
+    if (!current().onMove) return;
+    element._dragIndex = rowIndex(element, event.target);
+    if (event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', '');
+    }
+  });
+
+  delegateEvent(element, 'dragover', (event) => {
+    if (element._dragIndex != null && element._dragIndex !== -1) event.preventDefault();
+  });
+
+  delegateEvent(element, 'drop', (event) => {
+    const from = element._dragIndex;
+    element._dragIndex = null;
+    const { onMove } = current();
+    const index = rowIndex(element, event.target);
+    if (!onMove || from == null || from === -1 || index === -1) return;
+    event.preventDefault();
+
+    // Dropped on the lower half of a row: insert after it
+    const rect = element.children[index].getBoundingClientRect();
+    const offset = offsetOf(from);
+    const destination = event.clientY > rect.top + rect.height / 2 ? offsetOf(index) + 1 : offsetOf(index);
+    if (destination !== offset && destination !== offset + 1) onMove([offset], destination);
+  });
+
+  delegateEvent(element, 'dragend', () => {
+    element._dragIndex = null;
+  });
+}
+
 // ============================================================================
 // Helper Functions
 // ============================================================================
@@ -657,5 +835,8 @@ export default {
   render,
   renderChildren,
   applyModifiers,
-  registerRenderer
+  registerRenderer,
+  registerPatcher,
+  canPatch,
+  patch
 };
@@ -17,8 +17,16 @@
  * Unlike React's fiber scheduler which uses MessageChannel for scheduling,
  * we use a simpler microtask + RAF approach that avoids the overhead of
  * React's cooperative scheduling while achieving the same batching benefits.
+ *
+ * Updates made inside `startTransition()` are scheduled on the Transition
+ * lane. Transition callbacks may return a continuation function to be
+ * resumed in a later frame; the Reconciler uses this to render in slices
+ * that check `shouldYield()`, so Discrete/Default work (typing) runs in
+ * between instead of waiting for a large render to finish.
  */
 
+import { trackAccess } from '../Data/Observable.js';
+
 // ---------------------------------------------------------------------------
 // Priority Lanes (inspired by React lanes, simplified for our use case)
 // ---------------------------------------------------------------------------
@@ -68,6 +76,27 @@ let _postFlushCallbacks = new Set();
 /** @type {number} Frame budget in ms (target 16ms for 60fps, leave room for browser work) */
 const FRAME_BUDGET_MS = 8;
 
+/** @type {number} Budget used by transition slices */
+let _frameBudget = FRAME_BUDGET_MS;
+
+/** @type {number|null} Lane whose callbacks are currently running */
+let _currentLane = null;
+
+/** @type {number} Nesting depth of startTransition() calls */
+let _transitionDepth = 0;
+
+/** @type {number|null} Start time of the running transition slice */
+let _sliceStart = null;
+
+/** @type {boolean} Whether transition work is waiting or in progress */
+let _transitionPending = false;
+
+/** @type {Set<Function>} Listeners for changes of the pending flag */
+const _pendingListeners = new Set();
+
+/** Source object reported to observation tracking for the pending flag */
+const _pendingSource = {};
+
 /** @type {Map<Function, number>} Deduplication map: callback -> lane */
 const _callbackLanes = new Map();
 
@@ -103,6 +132,9 @@ export function scheduleWork(callback, lane = DefaultLane) {
     }
     // Upgrade priority: remove from old lane
     _pendingWork.get(existingLane).delete(callback);
+    if (existingLane === TransitionLane && _pendingWork.get(TransitionLane).size === 0) {
+      setTransitionPending(false);
+    }
   }
 
   _pendingWork.get(lane).add(callback);
@@ -123,6 +155,118 @@ export function scheduleWork(callback, lane = DefaultLane) {
   }
 }
 
+/**
+ * Get the lane a state change made right now should be scheduled on:
+ * TransitionLane inside startTransition() or while transition work is
+ * running, DefaultLane otherwise.
+ *
+ * @returns {number}
+ */
+export function requestUpdateLane() {
+  return _transitionDepth > 0 || _currentLane === TransitionLane
+    ? TransitionLane
+    : DefaultLane;
+}
+
+/**
+ * Get the lane whose callbacks are currently running.
+ * @returns {number|null} null outside a flush
+ */
+export function getCurrentLane() {
+  return _currentLane;
+}
+
+/**
+ * Mark the updates made inside `fn` as non-urgent. The resulting renders
+ * run on the Transition lane in time slices, and are interrupted by more
+ * urgent updates such as typing into a field.
+ *
+ * @example
+ * TextField('Filter', query.binding).onChange(text => {
+ *   startTransition(() => { filter.value = text; });
+ * })
+ *
+ * @param {Function} fn - Function making state changes
+ */
+export function startTransition(fn) {
+  _transitionDepth++;
+  try {
+    fn();
+  } finally {
+    _transitionDepth--;
+  }
+
+  if (_transitionDepth === 0 && _pendingWork.get(TransitionLane).size > 0) {
+    setTransitionPending(true);
+  }
+}
+
+/**
+ * Whether transition work is still waiting to be committed. Reading this
+ * inside a Component body re-renders the component when it changes.
+ *
+ * @returns {boolean}
+ */
+export function isTransitionPending() {
+  trackAccess(_pendingSource, 'isPending', subscribePending);
+  return _transitionPending;
+}
+
+/**
+ * Subscribe function for observation tracking of the pending flag.
+ * @param {Object} source
+ * @param {string} prop
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function subscribePending(source, prop, callback) {
+  _pendingListeners.add(callback);
+  return () => _pendingListeners.delete(callback);
+}
+
+/**
+ * Update the pending flag and notify listeners of a change.
+ * @param {boolean} pending
+ */
+function setTransitionPending(pending) {
+  if (_transitionPending === pending) return;
+  _transitionPending = pending;
+  for (const listener of Array.from(_pendingListeners)) {
+    listener();
+  }
+}
+
+/**
+ * Whether a time-sliced task should stop and continue in a later frame:
+ * the frame budget is used up, or more urgent work is waiting. Always
+ * false outside a transition slice.
+ *
+ * @returns {boolean}
+ */
+export function shouldYield() {
+  if (_sliceStart === null) return false;
+  return hasUrgentWork() || performance.now() - _sliceStart >= _frameBudget;
+}
+
+/**
+ * Whether Sync, Discrete or Default work is waiting.
+ * @returns {boolean}
+ */
+function hasUrgentWork() {
+  for (let lane = SyncLane; lane <= DefaultLane; lane++) {
+    if (_pendingWork.get(lane).size > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Change the time budget of a transition slice.
+ * @param {number} [ms=FRAME_BUDGET_MS]
+ */
+export function setFrameBudget(ms = FRAME_BUDGET_MS) {
+  _frameBudget = ms;
+}
+
 /**
  * Schedule a callback to run after the current flush completes.
  * Useful for effects that depend on the DOM being updated.
@@ -179,12 +323,14 @@ export function batch(fn) {
 export function flushSync() {
   if (_isFlushing) return;
   _isFlushing = true;
+  const previousLane = _currentLane;
 
   try {
     // Process lanes in priority order
     for (let lane = SyncLane; lane <= DefaultLane; lane++) {
       const work = _pendingWork.get(lane);
       if (work.size === 0) continue;
+      _currentLane = lane;
 
       _stats.totalFlushes++;
       _stats.maxBatchSize = Math.max(_stats.maxBatchSize, work.size);
@@ -214,6 +360,7 @@ export function flushSync() {
     }
   } finally {
     _isFlushing = false;
+    _currentLane = previousLane;
   }
 }
 
@@ -265,29 +412,60 @@ function scheduleIdleFlush() {
 
 /**
  * Flush transition-priority work within frame budget.
+ *
+ * A callback that returns a function has more work to do: the returned
+ * continuation is queued behind the other transition callbacks. Work left
+ * when the budget runs out, or when more urgent work arrives, is resumed
+ * in the next frame.
  */
 function flushTransitionWork() {
   const work = _pendingWork.get(TransitionLane);
-  if (work.size === 0) return;
+  if (work.size === 0) {
+    // Urgent updates may have taken over all of it
+    setTransitionPending(false);
+    return;
+  }
 
-  const start = performance.now();
-  const callbacks = Array.from(work);
-  work.clear();
+  const previousLane = _currentLane;
+  _currentLane = TransitionLane;
+  _sliceStart = performance.now();
 
-  for (const cb of callbacks) {
-    _callbackLanes.delete(cb);
-  }
+  try {
+    while (work.size > 0) {
+      const [callback] = work;
+      work.delete(callback);
+      _callbackLanes.delete(callback);
+
+      const continuation = callback();
+      if (typeof continuation === 'function') {
+        scheduleWork(continuation, TransitionLane);
+      }
 
-  for (const callback of callbacks) {
-    callback();
-    // Yield if we've exceeded frame budget
-    if (performance.now() - start > FRAME_BUDGET_MS) {
-      // Re-schedule remaining work
-      break;
+      if (shouldYield()) break;
     }
+  } finally {
+    _currentLane = previousLane;
+    _sliceStart = null;
+  }
+
+  if (work.size > 0) {
+    scheduleRAFFlush();
+  } else {
+    setTransitionPending(false);
   }
 }
 
+/**
+ * Run one slice of transition work now instead of in the next animation
+ * frame (tests, or draining work before a measurement).
+ *
+ * @returns {boolean} Whether transition work remains
+ */
+export function flushTransitions() {
+  flushTransitionWork();
+  return _pendingWork.get(TransitionLane).size > 0;
+}
+
 /**
  * Flush idle-priority work when the browser is idle.
  * @param {IdleDeadline} [deadline]
@@ -388,6 +566,13 @@ export default {
   endBatch,
   batch,
   flushSync,
+  startTransition,
+  isTransitionPending,
+  requestUpdateLane,
+  getCurrentLane,
+  shouldYield,
+  setFrameBudget,
+  flushTransitions,
   enqueueDOMWrite,
   getSchedulerStats,
   resetSchedulerStats,
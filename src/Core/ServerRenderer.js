@@ -0,0 +1,743 @@
+/**
+ * ServerRenderer - Render views to HTML strings without a DOM
+ *
+ * Produces static markup from view descriptors or legacy View instances so
+ * pages can be server-rendered and later adopted on the client with
+ * `App(...).hydrate('#root')`.
+ *
+ * The renderers in this library build DOM elements imperatively, so rather
+ * than maintaining a second string-based code path, renderToString swaps in
+ * a minimal document implementation for the duration of the render and then
+ * serializes the resulting element tree. In a browser (where `document` is
+ * already present and not replaceable) the real DOM is used against a
+ * detached tree instead.
+ *
+ * @example
+ * import { renderToString, VStack, Text } from 'swiftui-for-web';
+ *
+ * const html = renderToString(
+ *   VStack(Text('Hello from the server'))
+ * );
+ * // => '<div ...><span ...>Hello from the server</span></div>'
+ */
+
+import { isDescriptor, isLegacyView } from './ViewDescriptor.js';
+import { View } from './View.js';
+import { render } from './Renderer.js';
+import { setPoolingEnabled, isPoolingEnabled } from './ElementPool.js';
+import { removeCallbacks } from './LifecycleObserver.js';
+import { undelegateAll } from './EventDelegate.js';
+import { Component } from './Component.js';
+
+/** Elements that never have children or a closing tag */
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+/** Properties reflected to attributes (property name -> attribute name) */
+const REFLECTED_PROPS = {
+  id: 'id',
+  className: 'class',
+  src: 'src',
+  alt: 'alt',
+  type: 'type',
+  placeholder: 'placeholder',
+  value: 'value',
+  href: 'href',
+  title: 'title',
+  name: 'name',
+  htmlFor: 'for',
+  tabIndex: 'tabindex',
+  min: 'min',
+  max: 'max',
+  step: 'step',
+  autocapitalize: 'autocapitalize',
+  autocomplete: 'autocomplete',
+  role: 'role',
+  target: 'target',
+  rel: 'rel',
+  dir: 'dir',
+  lang: 'lang'
+};
+
+/** Boolean properties reflected to valueless attributes */
+const BOOLEAN_PROPS = {
+  disabled: 'disabled',
+  checked: 'checked',
+  selected: 'selected',
+  readOnly: 'readonly',
+  multiple: 'multiple',
+  hidden: 'hidden',
+  required: 'required',
+  open: 'open'
+};
+
+// ---------------------------------------------------------------------------
+// Server DOM shim
+// ---------------------------------------------------------------------------
+
+/**
+ * Base node for the server document.
+ * Implements just enough of the Node interface for the renderers.
+ */
+class ServerNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    for (const child of this.childNodes) child.parentNode = null;
+    this.childNodes = [];
+    if (value != null && value !== '') {
+      this.appendChild(new ServerText(String(value)));
+    }
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  append(...nodes) {
+    for (const node of nodes) {
+      this.appendChild(typeof node === 'string' ? new ServerText(node) : node);
+    }
+  }
+
+  insertBefore(child, reference) {
+    // Fragments are flattened into their children
+    if (child.nodeType === 11) {
+      for (const node of [...child.childNodes]) {
+        this.insertBefore(node, reference);
+      }
+      return child;
+    }
+
+    if (child.parentNode) child.parentNode.removeChild(child);
+
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) {
+      this.childNodes.push(child);
+    } else {
+      this.childNodes.splice(index, 0, child);
+    }
+    child.parentNode = this;
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index !== -1) {
+      this.childNodes.splice(index, 1);
+      child.parentNode = null;
+    }
+    return child;
+  }
+
+  replaceChild(newChild, oldChild) {
+    this.insertBefore(newChild, oldChild);
+    return this.removeChild(oldChild);
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  dispatchEvent() {
+    return true;
+  }
+}
+
+/** Text node */
+class ServerText extends ServerNode {
+  constructor(data) {
+    super(3);
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value ?? '');
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
+
+  set nodeValue(value) {
+    this.data = String(value ?? '');
+  }
+}
+
+/** Comment node */
+class ServerComment extends ServerNode {
+  constructor(data) {
+    super(8);
+    this.data = data;
+  }
+
+  get textContent() {
+    return '';
+  }
+
+  set textContent(value) {
+    this.data = String(value ?? '');
+  }
+}
+
+/** Document fragment */
+class ServerFragment extends ServerNode {
+  constructor() {
+    super(11);
+  }
+}
+
+/**
+ * Inline style declaration.
+ * Assigned properties are kept in insertion order and serialized to cssText.
+ */
+function createStyle() {
+  const declarations = new Map();
+
+  const target = {
+    setProperty(name, value) {
+      if (value == null || value === '') {
+        declarations.delete(name);
+      } else {
+        declarations.set(name, String(value));
+      }
+    },
+    removeProperty(name) {
+      const old = declarations.get(name) || '';
+      declarations.delete(name);
+      return old;
+    },
+    getPropertyValue(name) {
+      return declarations.get(name) || '';
+    }
+  };
+
+  return new Proxy(target, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      if (prop === 'cssText') {
+        return [...declarations].map(([name, value]) => `${name}: ${value};`).join(' ');
+      }
+      if (typeof prop !== 'string') return undefined;
+      return declarations.get(cssPropertyName(prop)) || '';
+    },
+    set(obj, prop, value) {
+      if (prop === 'cssText') {
+        declarations.clear();
+        for (const rule of String(value).split(';')) {
+          const colon = rule.indexOf(':');
+          if (colon === -1) continue;
+          const name = rule.slice(0, colon).trim();
+          const val = rule.slice(colon + 1).trim();
+          if (name && val) declarations.set(name, val);
+        }
+        return true;
+      }
+      obj.setProperty(cssPropertyName(prop), value);
+      return true;
+    }
+  });
+}
+
+/**
+ * Convert a camelCase style property to its CSS name.
+ *
+ * @param {string} prop - e.g. 'backgroundColor', 'webkitBackdropFilter'
+ * @returns {string} e.g. 'background-color', '-webkit-backdrop-filter'
+ */
+function cssPropertyName(prop) {
+  if (prop.startsWith('--')) return prop;
+  const name = prop.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+  if (/^(webkit|moz|ms)-/.test(name)) return `-${name}`;
+  return name;
+}
+
+/** Element node */
+class ServerElement extends ServerNode {
+  constructor(tagName, namespaceURI = null) {
+    super(1);
+    this.localName = namespaceURI ? tagName : tagName.toLowerCase();
+    this.namespaceURI = namespaceURI;
+    this._attributes = new Map();
+    this._rawHTML = null;
+    this.style = createStyle();
+
+    const attributes = this._attributes;
+    this.dataset = new Proxy({}, {
+      get(_, key) {
+        return typeof key === 'string' ? attributes.get(datasetAttribute(key)) : undefined;
+      },
+      set(_, key, value) {
+        attributes.set(datasetAttribute(key), String(value));
+        return true;
+      },
+      deleteProperty(_, key) {
+        attributes.delete(datasetAttribute(key));
+        return true;
+      },
+      has(_, key) {
+        return attributes.has(datasetAttribute(key));
+      },
+      ownKeys() {
+        return [...attributes.keys()]
+          .filter(name => name.startsWith('data-'))
+          .map(name => name.slice(5).replace(/-([a-z])/g, (_, ch) => ch.toUpperCase()));
+      },
+      getOwnPropertyDescriptor(_, key) {
+        const value = attributes.get(datasetAttribute(key));
+        return value === undefined ? undefined : { value, enumerable: true, configurable: true };
+      }
+    });
+
+    this.classList = {
+      add: (...names) => this._setClasses([...this._classes(), ...names]),
+      remove: (...names) => this._setClasses(this._classes().filter(n => !names.includes(n))),
+      contains: (name) => this._classes().includes(name),
+      toggle: (name, force) => {
+        const has = this._classes().includes(name);
+        const add = force === undefined ? !has : force;
+        if (add && !has) this.classList.add(name);
+        if (!add && has) this.classList.remove(name);
+        return add;
+      }
+    };
+  }
+
+  get tagName() {
+    return this.namespaceURI ? this.localName : this.localName.toUpperCase();
+  }
+
+  get nodeName() {
+    return this.tagName;
+  }
+
+  get textContent() {
+    if (this._rawHTML !== null) return this._rawHTML.replace(/<[^>]*>/g, '');
+    return super.textContent;
+  }
+
+  set textContent(value) {
+    this._rawHTML = null;
+    super.textContent = value;
+  }
+
+  get innerHTML() {
+    if (this._rawHTML !== null) return this._rawHTML;
+    return this.childNodes.map(serializeNode).join('');
+  }
+
+  set innerHTML(value) {
+    super.textContent = '';
+    this._rawHTML = value ? String(value) : null;
+  }
+
+  get outerHTML() {
+    return serializeNode(this);
+  }
+
+  get attributes() {
+    return [...this._attributes].map(([name, value]) => ({ name, value }));
+  }
+
+  setAttribute(name, value) {
+    this._attributes.set(String(name).toLowerCase(), String(value));
+  }
+
+  setAttributeNS(_ns, name, value) {
+    this._attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    const value = this._attributes.get(String(name).toLowerCase());
+    return value === undefined ? null : value;
+  }
+
+  removeAttribute(name) {
+    this._attributes.delete(String(name).toLowerCase());
+  }
+
+  hasAttribute(name) {
+    return this._attributes.has(String(name).toLowerCase());
+  }
+
+  matches() {
+    return false;
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  getBoundingClientRect() {
+    return { x: 0, y: 0, top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+  }
+
+  focus() {}
+
+  blur() {}
+
+  click() {}
+
+  animate() {
+    return { cancel() {}, finished: Promise.resolve(), onfinish: null };
+  }
+
+  scrollIntoView() {}
+
+  _classes() {
+    return (this._attributes.get('class') || '').split(/\s+/).filter(Boolean);
+  }
+
+  _setClasses(names) {
+    this._attributes.set('class', [...new Set(names)].join(' '));
+  }
+}
+
+// Reflect common properties onto attributes
+for (const [prop, attr] of Object.entries(REFLECTED_PROPS)) {
+  Object.defineProperty(ServerElement.prototype, prop, {
+    get() {
+      return this._attributes.get(attr) ?? '';
+    },
+    set(value) {
+      if (value == null) {
+        this._attributes.delete(attr);
+      } else {
+        this._attributes.set(attr, String(value));
+      }
+    },
+    configurable: true
+  });
+}
+
+for (const [prop, attr] of Object.entries(BOOLEAN_PROPS)) {
+  Object.defineProperty(ServerElement.prototype, prop, {
+    get() {
+      return this._attributes.has(attr);
+    },
+    set(value) {
+      if (value) {
+        this._attributes.set(attr, '');
+      } else {
+        this._attributes.delete(attr);
+      }
+    },
+    configurable: true
+  });
+}
+
+/**
+ * Convert a dataset key to its data-* attribute name.
+ * @param {string} key - e.g. 'swiftuiMounted'
+ * @returns {string} e.g. 'data-swiftui-mounted'
+ */
+function datasetAttribute(key) {
+  return `data-${String(key).replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}`;
+}
+
+/**
+ * Create the minimal document used while rendering on the server.
+ * @returns {Object}
+ */
+function createServerDocument() {
+  const documentElement = new ServerElement('html');
+  const head = new ServerElement('head');
+  const body = new ServerElement('body');
+  documentElement.appendChild(head);
+  documentElement.appendChild(body);
+
+  return {
+    nodeType: 9,
+    documentElement,
+    head,
+    body,
+    readyState: 'complete',
+    title: '',
+    createElement: (tagName) => new ServerElement(tagName),
+    createElementNS: (ns, tagName) => new ServerElement(tagName, ns),
+    createTextNode: (data) => new ServerText(String(data)),
+    createComment: (data) => new ServerComment(String(data)),
+    createDocumentFragment: () => new ServerFragment(),
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    // Rendered trees are never attached, so lifecycle callbacks never fire
+    contains: () => false,
+    addEventListener() {},
+    removeEventListener() {}
+  };
+}
+
+/** Shared server document (created on first use) */
+let _serverDocument = null;
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize a node (server or real DOM) to HTML.
+ *
+ * @param {Object} node - Node to serialize
+ * @returns {string} HTML markup
+ */
+function serializeNode(node) {
+  if (!(node instanceof ServerNode)) {
+    // Real DOM nodes (browser fallback)
+    if (node.nodeType === 1) return node.outerHTML;
+    if (node.nodeType === 3) return escapeText(node.textContent);
+    if (node.nodeType === 8) return `<!--${node.data}-->`;
+    if (node.nodeType === 11) return [...node.childNodes].map(serializeNode).join('');
+    return '';
+  }
+
+  switch (node.nodeType) {
+    case 3:
+      return escapeText(node.data);
+    case 8:
+      return `<!--${node.data}-->`;
+    case 11:
+      return node.childNodes.map(serializeNode).join('');
+  }
+
+  const tag = node.localName;
+  let html = `<${tag}`;
+
+  for (const [name, value] of node._attributes) {
+    html += value === '' && Object.values(BOOLEAN_PROPS).includes(name)
+      ? ` ${name}`
+      : ` ${name}="${escapeAttribute(value)}"`;
+  }
+
+  const cssText = node.style.cssText;
+  if (cssText) {
+    html += ` style="${escapeAttribute(cssText)}"`;
+  }
+
+  if (!node.namespaceURI && VOID_TAGS.has(tag)) {
+    return `${html}>`;
+  }
+
+  return `${html}>${node.innerHTML}</${tag}>`;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/** No-op observer used for ResizeObserver, IntersectionObserver, etc. */
+class NoopObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  takeRecords() {
+    return [];
+  }
+}
+
+/** Globals the renderers touch outside of `document` */
+const SERVER_GLOBALS = {
+  requestAnimationFrame: () => 0,
+  cancelAnimationFrame: () => {},
+  getComputedStyle: () => ({ getPropertyValue: () => '' }),
+  ResizeObserver: NoopObserver,
+  IntersectionObserver: NoopObserver,
+  MutationObserver: NoopObserver
+};
+
+/**
+ * Install a global for the duration of a render, returning a restore function.
+ *
+ * @param {string} name - Global name
+ * @param {*} value - Value to install
+ * @returns {Function|null} Restore function, or null if nothing was installed
+ */
+function installGlobal(name, value) {
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, name);
+  if (descriptor && !descriptor.configurable && !descriptor.writable) return null;
+
+  Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+
+  return () => {
+    if (descriptor) {
+      Object.defineProperty(globalThis, name, descriptor);
+    } else {
+      delete globalThis[name];
+    }
+  };
+}
+
+/**
+ * Resolve the content passed to renderToString into a view.
+ * Accepts the same forms as App(): a descriptor, a View instance,
+ * a View subclass, or a factory function returning either.
+ *
+ * @param {Function|View|Object} content
+ * @returns {View|Object|null}
+ */
+function resolveView(content) {
+  if (isDescriptor(content) || isLegacyView(content)) return content;
+
+  if (typeof content === 'function') {
+    if (content.prototype instanceof View) {
+      return new content();
+    }
+    // As the root component, so local state reads its initial values
+    return Component(content, content.name || 'App')();
+  }
+
+  return null;
+}
+
+/**
+ * Release render-time registrations (delegated handlers, lifecycle
+ * callbacks) for a rendered tree so server renders don't leak.
+ *
+ * @param {Object} node - Root of the rendered tree
+ */
+function releaseRegistrations(node) {
+  if (!node || node.nodeType !== 1) {
+    if (node && node.nodeType === 11) {
+      for (const child of [...node.childNodes]) releaseRegistrations(child);
+    }
+    return;
+  }
+
+  removeCallbacks(node);
+  undelegateAll(node);
+
+  for (const child of [...node.childNodes]) {
+    releaseRegistrations(child);
+  }
+}
+
+/**
+ * Render a view to an HTML string.
+ *
+ * Works without a browser DOM. Event handlers, lifecycle callbacks and
+ * other client-only behavior are dropped from the output; call
+ * `App(...).hydrate()` on the client to attach them to the markup.
+ *
+ * @param {Function|View|Object} content - Descriptor, View, View class, or factory
+ * @returns {string} HTML markup
+ */
+export function renderToString(content) {
+  const restores = [];
+  const hasDocument = typeof document !== 'undefined';
+
+  // Prefer the server document unless a real one is locked in place
+  const docDescriptor = Object.getOwnPropertyDescriptor(globalThis, 'document');
+  if (!hasDocument || !docDescriptor || docDescriptor.configurable || docDescriptor.writable) {
+    _serverDocument = _serverDocument || createServerDocument();
+    const restore = installGlobal('document', _serverDocument);
+    if (restore) restores.push(restore);
+  }
+
+  if (typeof window === 'undefined') {
+    const restore = installGlobal('window', {
+      innerWidth: 1024,
+      innerHeight: 768,
+      addEventListener() {},
+      removeEventListener() {},
+      matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} })
+    });
+    if (restore) restores.push(restore);
+  }
+
+  for (const [name, value] of Object.entries(SERVER_GLOBALS)) {
+    if (typeof globalThis[name] === 'undefined') {
+      const restore = installGlobal(name, value);
+      if (restore) restores.push(restore);
+    }
+  }
+
+  const wasPooling = isPoolingEnabled();
+  setPoolingEnabled(false);
+
+  let root = null;
+  try {
+    const view = resolveView(content);
+    if (view == null) return '';
+
+    root = render(view);
+    return serializeNode(root);
+  } finally {
+    releaseRegistrations(root);
+    setPoolingEnabled(wasPooling);
+    for (let i = restores.length - 1; i >= 0; i--) {
+      restores[i]();
+    }
+  }
+}
+
+export default {
+  renderToString,
+};
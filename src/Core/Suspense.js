@@ -0,0 +1,365 @@
+/**
+ * Suspense - Async views with fallback content
+ *
+ * `AsyncView(load, options)` calls `load()`, which returns a promise of the
+ * view (or of the data `options.content` turns into a view). It shows
+ * `options.fallback` while the promise is pending and `options.error` if it
+ * rejects; without an error view the rejection is thrown to the nearest
+ * ErrorBoundary. State values and Observable properties read by `load`
+ * before its first `await` are followed, as are the values in
+ * `options.deps`: when one changes the view loads again and is pending,
+ * showing its fallback, until the new promise settles.
+ *
+ * `Suspense(fallback, content)` coordinates every AsyncView below it: while
+ * any of them is pending the content is hidden behind the one fallback, and
+ * once all of them have settled the results are committed together in a
+ * single re-render of the Suspense, in one scheduler flush.
+ *
+ * @example
+ * Suspense(
+ *   Text('Loading…'),
+ *   () => VStack(
+ *     AsyncView(() => api.profile(userId.value), { content: profile => ProfileHeader(profile) }),
+ *     AsyncView(() => api.posts(userId.value), { content: posts => PostList(posts) })
+ *   )
+ * )
+ */
+
+import { createDescriptor } from './ViewDescriptor.js';
+import { registerRenderer, renderChildren } from './Renderer.js';
+import { acquireElement } from './ElementPool.js';
+import { schedulePostFlush } from './Scheduler.js';
+import { Component, useSlot } from './Component.js';
+import { DependencyTracker } from '../Data/Observable.js';
+
+/** Descriptor type of the element a Suspense renders */
+export const SUSPENSE_TYPE = 'Suspense';
+
+/** Descriptor type of the fallback and content slots inside it */
+const SLOT_TYPE = 'SuspenseSlot';
+
+/** @type {Map<Object, Map<string, SuspenseBoundary>>} root -> identity -> boundary */
+const _boundaries = new Map();
+
+/**
+ * State of one mounted Suspense, kept in its component scope.
+ */
+class SuspenseBoundary {
+  /**
+   * @param {Object} scope - Component scope of the Suspense
+   */
+  constructor(scope) {
+    this.scope = scope;
+
+    /** @type {Set<AsyncResource>} Async views below it that are pending */
+    this.pending = new Set();
+
+    /** Elements of the fallback and content slots */
+    this.slots = { fallback: null, content: null };
+  }
+
+  /** @returns {boolean} Whether the fallback is shown */
+  get suspended() {
+    return this.pending.size > 0;
+  }
+
+  /**
+   * An async view below started loading: hide the content right away.
+   * @param {AsyncResource} resource
+   */
+  suspend(resource) {
+    const wasSuspended = this.suspended;
+    this.pending.add(resource);
+    if (!wasSuspended) this.applyVisibility();
+  }
+
+  /**
+   * An async view below settled (or left the tree). When it was the last
+   * pending one, re-render the content and reveal it once committed.
+   * @param {AsyncResource} resource
+   */
+  resume(resource) {
+    if (!this.pending.delete(resource) || this.suspended) return;
+    schedulePostFlush(() => this.applyVisibility());
+    this.scope.invalidate();
+  }
+
+  /**
+   * Show either the fallback or the content slot.
+   */
+  applyVisibility() {
+    const { fallback, content } = this.slots;
+    const suspended = this.suspended;
+    if (fallback) fallback.style.display = suspended ? 'contents' : 'none';
+    if (content) content.style.display = suspended ? 'none' : 'contents';
+  }
+}
+
+/**
+ * Register a Suspense so async views below it can find it.
+ * @param {Object} scope
+ * @returns {SuspenseBoundary}
+ */
+function createBoundary(scope) {
+  const boundary = new SuspenseBoundary(scope);
+  if (scope.root == null) return boundary;
+
+  let boundaries = _boundaries.get(scope.root);
+  if (!boundaries) {
+    boundaries = new Map();
+    _boundaries.set(scope.root, boundaries);
+  }
+  boundaries.set(scope.identity, boundary);
+
+  scope.onRelease(() => {
+    boundaries.delete(scope.identity);
+    if (boundaries.size === 0) _boundaries.delete(scope.root);
+  });
+  return boundary;
+}
+
+/**
+ * Find the nearest Suspense above a component, by identity.
+ * @param {Object} scope - Scope of the component
+ * @returns {SuspenseBoundary|null}
+ */
+function findBoundary(scope) {
+  const boundaries = _boundaries.get(scope.root);
+  if (!boundaries) return null;
+
+  let nearest = null;
+  let length = -1;
+  for (const [identity, boundary] of boundaries) {
+    if (identity.length > length && scope.identity.startsWith(`${identity}/`)) {
+      nearest = boundary;
+      length = identity.length;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Load state of one mounted AsyncView, kept in its component scope.
+ */
+class AsyncResource {
+  /**
+   * @param {Object} scope - Component scope of the AsyncView
+   */
+  constructor(scope) {
+    this.scope = scope;
+
+    /** @type {'idle'|'pending'|'resolved'|'rejected'} */
+    this.status = 'idle';
+    this.value = undefined;
+    this.error = null;
+
+    /** @type {Function|null} Latest load function */
+    this.load = null;
+    /** @type {Array|undefined} Dependencies of the current load */
+    this.deps = undefined;
+
+    this.suspense = scope.root == null ? null : findBoundary(scope);
+
+    this._token = 0;
+    this._released = false;
+    this._tracker = new DependencyTracker(() => this.reload());
+
+    this.retry = () => this.reload();
+
+    scope.onRelease(() => this._release());
+  }
+
+  /**
+   * Call the load function and follow what it reads. Synchronous results
+   * (values, or a throw) settle immediately; promises leave the resource
+   * pending until they settle.
+   */
+  start() {
+    const token = ++this._token;
+
+    let result;
+    let failed = false;
+    try {
+      result = this._tracker.track(this.load);
+    } catch (error) {
+      result = error;
+      failed = true;
+    }
+
+    if (!failed && result && typeof result.then === 'function') {
+      this.status = 'pending';
+      if (this.suspense) this.suspense.suspend(this);
+      result.then(
+        value => this._settle(token, 'resolved', value),
+        error => this._settle(token, 'rejected', error)
+      );
+      return;
+    }
+
+    this._finish(failed ? 'rejected' : 'resolved', result);
+    if (this.suspense) this.suspense.resume(this);
+  }
+
+  /**
+   * Load again (a followed value changed, or retry from the error view).
+   */
+  reload() {
+    if (this._released || this.scope.root == null) return;
+    this.start();
+    if (!this.suspense) this.scope.invalidate();
+  }
+
+  /**
+   * @param {number} token - Load the result belongs to
+   * @param {string} status
+   * @param {*} result
+   */
+  _settle(token, status, result) {
+    if (token !== this._token || this._released) return;
+
+    this._finish(status, result);
+    if (this.suspense) {
+      this.suspense.resume(this);
+    } else {
+      this.scope.invalidate();
+    }
+  }
+
+  /**
+   * @param {string} status
+   * @param {*} result - Value or error
+   */
+  _finish(status, result) {
+    this.status = status;
+    if (status === 'resolved') {
+      this.value = result;
+      this.error = null;
+    } else {
+      this.error = result;
+    }
+  }
+
+  _release() {
+    this._released = true;
+    this._token++;
+    this._tracker.clear();
+    if (this.suspense) this.suspense.resume(this);
+  }
+}
+
+/**
+ * Whether two dependency arrays differ.
+ * @param {Array|undefined} prev
+ * @param {Array|undefined} next
+ * @returns {boolean}
+ */
+function depsChanged(prev, next) {
+  if (prev === next) return false;
+  if (!prev || !next || prev.length !== next.length) return true;
+  for (let i = 0; i < next.length; i++) {
+    if (!Object.is(prev[i], next[i])) return true;
+  }
+  return false;
+}
+
+/**
+ * @param {*} view - View, or function returning one
+ * @param {...*} args - Passed to the function
+ * @returns {*}
+ */
+function resolveView(view, ...args) {
+  return typeof view === 'function' ? view(...args) : view;
+}
+
+const AsyncViewComponent = Component(function AsyncView(load, options) {
+  const resource = useSlot((scope) => new AsyncResource(scope));
+  const { fallback = null, error = null, content = null, deps } = options;
+  resource.load = load;
+
+  if (resource.scope.root == null) {
+    // Rendered once (render(), renderToString): nothing can update it later
+    return resolveView(fallback);
+  }
+  if (resource.status === 'idle' || depsChanged(resource.deps, deps)) {
+    resource.deps = deps;
+    resource.start();
+  }
+
+  switch (resource.status) {
+    case 'resolved':
+      return content ? content(resource.value) : resource.value;
+    case 'rejected':
+      if (error == null) throw resource.error;
+      return resolveView(error, resource.error, resource.retry);
+    default:
+      // Below a Suspense the content is hidden while anything is pending
+      return resource.suspense ? null : resolveView(fallback);
+  }
+});
+
+/**
+ * Create a view that loads asynchronously.
+ *
+ * @param {Function} load - Returns a promise of the view, or of the data
+ *   `options.content` builds the view from
+ * @param {Object} [options]
+ * @param {Function|Object} [options.fallback] - View shown while pending
+ * @param {Function|Object} [options.error] - View, or (error, retry) => view,
+ *   shown when the promise rejects
+ * @param {Function} [options.content] - (value) => view
+ * @param {Array} [options.deps] - Values that trigger a reload when changed
+ * @returns {Object} Chainable view descriptor
+ */
+export function AsyncView(load, options = {}) {
+  if (typeof load !== 'function') {
+    throw new TypeError('AsyncView requires a function that returns a promise');
+  }
+  return AsyncViewComponent(load, options);
+}
+
+const SuspenseComponent = Component(function Suspense(fallback, content) {
+  const suspense = useSlot(createBoundary);
+  const fallbackView = resolveView(fallback);
+  const contentView = resolveView(content);
+
+  return createDescriptor(SUSPENSE_TYPE, {}, [
+    createDescriptor(SLOT_TYPE, { suspense, role: 'fallback' },
+      fallbackView != null ? [fallbackView] : []),
+    createDescriptor(SLOT_TYPE, { suspense, role: 'content' },
+      contentView != null ? [contentView] : [])
+  ]);
+});
+
+/**
+ * Show one fallback while any AsyncView below is loading.
+ *
+ * @param {Function|Object} fallback - View, or function returning it
+ * @param {Function|Object} content - View, or function returning it
+ * @returns {Object} Chainable view descriptor
+ */
+export function Suspense(fallback, content) {
+  return SuspenseComponent(fallback, content);
+}
+
+registerRenderer(SUSPENSE_TYPE, (props, children) => {
+  const element = acquireElement('div');
+  element.dataset.view = SUSPENSE_TYPE;
+  element.style.display = 'contents';
+  element.appendChild(renderChildren(children));
+  return element;
+});
+
+registerRenderer(SLOT_TYPE, (props, children) => {
+  const { suspense, role } = props;
+  const element = acquireElement('div');
+  element.dataset.view = role === 'fallback' ? 'SuspenseFallback' : 'SuspenseContent';
+  suspense.slots[role] = element;
+  element.appendChild(renderChildren(children));
+  suspense.applyVisibility();
+  return element;
+});
+
+export default {
+  AsyncView,
+  Suspense
+};
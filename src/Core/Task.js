@@ -0,0 +1,189 @@
+/**
+ * Task - Async work tied to a view's lifetime
+ *
+ * Matches SwiftUI's `.task(id:)` modifier. `view.task(action, { id })`
+ * calls `action(signal)` when the view appears and aborts the
+ * `AbortSignal` when it disappears, so a response arriving for a view that
+ * is gone can be dropped (`fetch(url, { signal })` rejects, or check
+ * `signal.aborted` after each await).
+ *
+ * When `id` changes the previous run is aborted and the action runs again
+ * for the new id; re-renders that keep the id keep the run going. Ids are
+ * compared with `Object.is`, so pass a primitive (or the same object) rather
+ * than an object literal built on each render.
+ *
+ * State changes made before the first `await` are batched into one
+ * Scheduler flush, like an event handler's; changes after it are
+ * scheduled like any other State change. Errors thrown before the first
+ * `await` go to the nearest ErrorBoundary; rejections of a run that wasn't
+ * aborted are logged.
+ *
+ * @example
+ * const UserProfile = Component(function UserProfile(userId) {
+ *   const user = State.local(null);
+ *
+ *   return VStack(Text(user.value ? user.value.name : 'Loading…'))
+ *     .task(async (signal) => {
+ *       const response = await fetch(`/api/users/${userId}`, { signal });
+ *       user.value = await response.json();
+ *     }, { id: userId });
+ * });
+ */
+
+import { onAppear, onDisappear } from './LifecycleObserver.js';
+import { batch } from './Scheduler.js';
+
+/**
+ * One task of an element: its action and the run in progress.
+ */
+class TaskRun {
+  /**
+   * @param {HTMLElement} element - Element the task belongs to
+   * @param {Function} action - (signal) => Promise|void
+   * @param {*} id - Value whose change restarts the task
+   */
+  constructor(element, action, id) {
+    this.element = element;
+    this.action = action;
+    this.id = id;
+    /** @type {AbortController|null} Controller of the current run */
+    this.controller = null;
+  }
+
+  /**
+   * Run the action, aborting it when the element disappears.
+   */
+  start() {
+    if (this.controller) return;
+
+    const controller = new AbortController();
+    this.controller = controller;
+    onDisappear(this.element, () => this.cancel());
+
+    const result = batch(() => this.action(controller.signal));
+    if (result && typeof result.then === 'function') {
+      result.then(undefined, (error) => {
+        if (!controller.signal.aborted) console.error('task error:', error);
+      });
+    }
+  }
+
+  /**
+   * Carry on with the run of the task this one replaces (its element was
+   * rendered again with the same id) instead of starting another.
+   * @param {TaskRun} previous
+   */
+  adopt(previous) {
+    if (this.controller || !previous.controller || !Object.is(this.id, previous.id)) return;
+
+    this.controller = previous.controller;
+    previous.controller = null;
+    onDisappear(this.element, () => this.cancel());
+  }
+
+  /**
+   * Abort the current run.
+   */
+  cancel() {
+    const controller = this.controller;
+    if (!controller) return;
+    this.controller = null;
+    controller.abort();
+  }
+}
+
+/**
+ * Run `action` while an element is in the document. Used by the task
+ * modifier of descriptors and legacy Views.
+ *
+ * @param {HTMLElement} element
+ * @param {Function} action - (signal) => Promise|void
+ * @param {*} [id] - Value whose change restarts the task
+ */
+export function attachTask(element, action, id) {
+  if (!element || typeof action !== 'function') return;
+
+  const run = new TaskRun(element, action, id);
+  if (!element._tasks) element._tasks = [];
+  element._tasks.push(run);
+
+  onAppear(element, () => run.start());
+}
+
+/**
+ * Take the tasks off an element.
+ * @param {HTMLElement} element
+ * @returns {TaskRun[]|null}
+ */
+export function detachTasks(element) {
+  const runs = element._tasks;
+  if (!runs) return null;
+  element._tasks = undefined;
+  return runs;
+}
+
+/**
+ * Abort the tasks of an element (it is being recycled).
+ * @param {HTMLElement} element
+ */
+export function cancelTasks(element) {
+  const runs = detachTasks(element);
+  if (!runs) return;
+  for (const run of runs) run.cancel();
+}
+
+/**
+ * Let the tasks of an element carry on the runs of the tasks it replaces
+ * (matched by position) when their id didn't change; abort the others.
+ *
+ * @param {TaskRun[]} previous - Tasks of the replaced element (detachTasks())
+ * @param {HTMLElement} element - Element rendered in its place
+ */
+export function adoptTasks(previous, element) {
+  const runs = element._tasks || [];
+  for (let i = 0; i < previous.length; i++) {
+    if (runs[i]) runs[i].adopt(previous[i]);
+    previous[i].cancel();
+  }
+}
+
+/**
+ * Move the tasks of a freshly rendered element to the server-rendered
+ * element adopting it (hydration).
+ *
+ * @param {HTMLElement} from
+ * @param {HTMLElement} to
+ */
+export function transferTasks(from, to) {
+  const runs = from._tasks;
+  if (!runs || from === to) return;
+  from._tasks = undefined;
+  for (const run of runs) run.element = to;
+  to._tasks = (to._tasks || []).concat(runs);
+}
+
+/**
+ * Whether the task ids of two legacy Views differ. Their modifiers carry
+ * the id as `taskId`.
+ *
+ * @param {Array} oldModifiers
+ * @param {Array} newModifiers
+ * @returns {boolean}
+ */
+export function taskIdsChanged(oldModifiers, newModifiers) {
+  const ids = (modifiers) => (modifiers || []).filter(modifier => modifier && 'taskId' in modifier)
+    .map(modifier => modifier.taskId);
+  const oldIds = ids(oldModifiers);
+  const newIds = ids(newModifiers);
+  if (oldIds.length !== newIds.length) return true;
+  return oldIds.some((id, index) => !Object.is(id, newIds[index]));
+}
+
+export default {
+  attachTask,
+  detachTasks,
+  cancelTasks,
+  adoptTasks,
+  transferTasks,
+  taskIdsChanged
+};
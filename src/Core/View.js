@@ -26,6 +26,7 @@
 import { ChangeTracker } from './ChangeTracker.js';
 import { onAppear as lifecycleOnAppear, onDisappear as lifecycleOnDisappear } from './LifecycleObserver.js';
 import { delegateEvent } from './EventDelegate.js';
+import { attachTask } from './Task.js';
 
 /** @type {number} Global view counter for generating unique IDs */
 let _viewIdCounter = 0;
@@ -484,6 +485,25 @@ export class View {
     });
   }
 
+  /**
+   * Run async work while the view is shown.
+   * The action gets an AbortSignal that is aborted when the view
+   * disappears; a changed `id` aborts the run and starts a new one.
+   *
+   * @param {Function} action - (signal) => Promise|void
+   * @param {Object} [options]
+   * @param {*} [options.id] - Value whose change restarts the task
+   * @returns {View} Returns `this` for chaining
+   */
+  task(action, options = {}) {
+    return this.modifier({
+      taskId: options.id,
+      apply(element) {
+        attachTask(element, action, options.id);
+      }
+    });
+  }
+
   /**
    * Clip the view to a shape.
    *
@@ -191,6 +191,11 @@ function computeHash(descriptor) {
       hash = hashMix(hash, v | 0);
     } else if (typeof v === 'boolean') {
       hash = hashMix(hash, v ? 1 : 0);
+    } else if (v != null && v._hash != null) {
+      // Descriptor-valued prop (e.g. a label view)
+      hash = hashMix(hash, v._hash);
+    } else if (Array.isArray(v)) {
+      hash = hashMix(hash, fnv1a(JSON.stringify(v)));
     } else if (v != null) {
       hash = hashMix(hash, fnv1a(String(v)));
     }
@@ -237,14 +242,29 @@ export function descriptorsEqual(a, b) {
   // Fast path: different hashes mean definitely different
   if (a._hash !== b._hash) return false;
 
+  // Same number of children
+  if (a.children.length !== b.children.length) return false;
+
+  return ownPropsEqual(a, b);
+}
+
+/**
+ * Check if two descriptors have the same type, key, props and modifiers,
+ * ignoring their children. Used by the reconciler to tell a node whose own
+ * content changed apart from one where only descendants changed.
+ *
+ * @param {Object} a - First descriptor
+ * @param {Object} b - Second descriptor
+ * @returns {boolean} True if the descriptors themselves are equal
+ */
+export function ownPropsEqual(a, b) {
+  if (a === b) return true;
+  if (!isDescriptor(a) || !isDescriptor(b)) return false;
+
   // Same type and key
   if (a.type !== b.type) return false;
   if (a.key !== b.key) return false;
 
-  // Same number of children and modifiers
-  if (a.children.length !== b.children.length) return false;
-  if (a.modifiers.length !== b.modifiers.length) return false;
-
   // Shallow props comparison (skip functions - they change identity each render)
   const aKeys = Object.keys(a.props);
   const bKeys = Object.keys(b.props);
@@ -253,17 +273,49 @@ export function descriptorsEqual(a, b) {
   for (const key of aKeys) {
     const av = a.props[key];
     const bv = b.props[key];
+    if (av === bv) continue;
     if (typeof av === 'function' && typeof bv === 'function') continue;
-    if (av !== bv) return false;
+    if (isDescriptor(av) && isDescriptor(bv)) {
+      if (!descriptorsEqual(av, bv)) return false;
+      continue;
+    }
+    if (Array.isArray(av) && Array.isArray(bv)) {
+      if (JSON.stringify(av) !== JSON.stringify(bv)) return false;
+      continue;
+    }
+    return false;
   }
 
-  // Compare modifier values (not just count)
+  return modifiersEqual(a, b);
+}
+
+/**
+ * Check if two descriptors carry the same modifiers.
+ * Function-valued modifiers (handlers) are compared by position only.
+ *
+ * @param {Object} a - First descriptor
+ * @param {Object} b - Second descriptor
+ * @returns {boolean} True if the modifiers are equal
+ */
+export function modifiersEqual(a, b) {
+  if (a.modifiers.length !== b.modifiers.length) return false;
+
   for (let i = 0; i < a.modifiers.length; i++) {
     const am = a.modifiers[i];
     const bm = b.modifiers[i];
     if (am.type !== bm.type) return false;
     if (typeof am.value !== typeof bm.value) return false;
     if (typeof am.value === 'function') continue;
+    if (am.type === ModifierType.ENVIRONMENT) {
+      // Values can be anything (view models, functions); compare by identity
+      if (am.value.key !== bm.value.key || am.value.value !== bm.value.value) return false;
+      continue;
+    }
+    if (am.type === ModifierType.TASK) {
+      // Actions are new closures each render; a changed id restarts the task
+      if (!Object.is(am.value.id, bm.value.id)) return false;
+      continue;
+    }
     if (typeof am.value === 'object' && am.value !== null) {
       if (typeof am.value.rgba === 'function' && typeof bm.value?.rgba === 'function') {
         if (am.value.rgba() !== bm.value.rgba()) return false;
@@ -343,7 +395,9 @@ export const ModifierType = {
   ON_TAP: 'onTap',
   ON_APPEAR: 'onAppear',
   ON_DISAPPEAR: 'onDisappear',
+  TASK: 'task',
   CLIP_SHAPE: 'clipShape',
+  ENVIRONMENT: 'environment',
   CUSTOM: 'custom'
 };
 
@@ -381,6 +435,8 @@ export default {
   addModifier,
   setKey,
   descriptorsEqual,
+  ownPropsEqual,
+  modifiersEqual,
   memo,
   isMemoized,
   createModifier,
@@ -31,6 +31,7 @@ import {
   ModifierType,
   memo
 } from './ViewDescriptor.js';
+import { addPresentationModifiers } from './Presentation.js';
 
 /**
  * Create a chainable descriptor with modifier methods
@@ -60,12 +61,19 @@ function chainable(descriptor) {
   chain.onTapGesture = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_TAP, handler)));
   chain.onAppear = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_APPEAR, handler)));
   chain.onDisappear = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_DISAPPEAR, handler)));
+  chain.task = (action, options = {}) => chainable(addModifier(descriptor, createModifier(ModifierType.TASK, { action, id: options.id })));
   chain.clipShape = (shape) => chainable(addModifier(descriptor, createModifier(ModifierType.CLIP_SHAPE, shape)));
   chain.id = (key) => chainable(setKey(descriptor, key));
 
   // Custom modifier support
   chain.modifier = (mod) => chainable(addModifier(descriptor, createModifier(ModifierType.CUSTOM, mod)));
 
+  // Environment values for this view and its descendants
+  chain.environment = (key, value) => chainable(addModifier(descriptor, createModifier(ModifierType.ENVIRONMENT, { key, value })));
+  chain.environmentObject = (object) => chainable(addModifier(descriptor, createModifier(ModifierType.ENVIRONMENT, { key: object.constructor, value: object })));
+
+  addPresentationModifiers(chain);
+
   // Freeze the chain to prevent modifications
   return Object.freeze(chain);
 }
@@ -207,16 +215,24 @@ export function Divider() {
  * Button - Clickable control
  *
  * @param {string|Object} labelOrChild - Button label string or child view
- * @param {Function} action - Click handler
+ * @param {Function|Object} action - Click handler, or { role } followed by the handler
+ * @param {Function} [roleAction] - Click handler when a role is given
  * @returns {Object} Chainable descriptor
  *
  * @example
  * Button('Click Me', () => console.log('clicked'))
  * Button(Text('Submit').bold(), onSubmit)
+ * Button('Delete', { role: 'destructive' }, onDelete)
  */
-export function Button(labelOrChild, action) {
+export function Button(labelOrChild, action, roleAction) {
   let children = [];
   let label = null;
+  let role = null;
+
+  if (action && typeof action === 'object') {
+    role = action.role ?? null;
+    action = roleAction;
+  }
 
   if (typeof labelOrChild === 'string') {
     label = labelOrChild;
@@ -224,7 +240,7 @@ export function Button(labelOrChild, action) {
     children = [labelOrChild];
   }
 
-  return chainable(createDescriptor('Button', { label, action }, children));
+  return chainable(createDescriptor('Button', { label, action, role }, children));
 }
 
 /**
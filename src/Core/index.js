@@ -15,6 +15,8 @@ export {
   addModifier,
   setKey,
   descriptorsEqual,
+  ownPropsEqual,
+  modifiersEqual,
   memo,
   isMemoized,
   createModifier,
@@ -27,9 +29,19 @@ export {
   render,
   renderChildren,
   applyModifiers,
-  registerRenderer
+  registerRenderer,
+  registerPatcher,
+  patch
 } from './Renderer.js';
 
+export { renderToString } from './ServerRenderer.js';
+
+// Function components with local state
+export { Component, isComponent } from './Component.js';
+export { ErrorBoundary, onError, reportError } from './ErrorBoundary.js';
+export { AsyncView, Suspense } from './Suspense.js';
+export { Portal } from './Portal.js';
+
 // Descriptor-based view factories (new API)
 export {
   Text as TextD,
@@ -45,3 +57,20 @@ export {
   ForEach as ForEachD,
   Memo
 } from './ViewFactory.js';
+
+// Descriptor-based controls (patched in place by the Reconciler)
+export {
+  Toggle as ToggleD,
+  Slider as SliderD,
+  Stepper as StepperD,
+  Picker as PickerD,
+  TextField as TextFieldD,
+  SecureField as SecureFieldD,
+  DatePicker as DatePickerD,
+  ColorPicker as ColorPickerD,
+  Menu as MenuD,
+  List as ListD,
+  Form as FormD,
+  Section as SectionD,
+  TabView as TabViewD
+} from './ControlFactory.js';
@@ -0,0 +1,335 @@
+/**
+ * AppStorage / SceneStorage - State persisted in Web Storage
+ *
+ * Matches SwiftUI's @AppStorage and @SceneStorage property wrappers.
+ * Both return a State: reads are tracked by components, writes are batched
+ * through the Scheduler, `binding` and `subscribe()` work as usual; every
+ * write is also saved to storage.
+ *
+ * - AppStorage(key, default) uses localStorage and follows changes made in
+ *   other tabs (the `storage` event).
+ * - SceneStorage(key, default) uses sessionStorage: it survives reloads of
+ *   this tab only.
+ *
+ * Values are stored as JSON unless a codec ({ encode, decode }) is given;
+ * StorageCodec has codecs for Dates, Maps and Sets. Calls with the same key
+ * return the same State, so every view reading a key stays in sync. Where
+ * storage is unavailable (private mode, server rendering, quota exceeded)
+ * values are kept in memory for the session.
+ *
+ * @example
+ * const theme = AppStorage('theme', 'light');
+ * Toggle('Dark mode', new Binding(
+ *   () => theme.value === 'dark',
+ *   isOn => { theme.value = isOn ? 'dark' : 'light'; }
+ * ));
+ *
+ * @example
+ * // Custom codec for a class
+ * const origin = AppStorage('origin', new Point(0, 0), {
+ *   codec: {
+ *     encode: point => JSON.stringify([point.x, point.y]),
+ *     decode: text => new Point(...JSON.parse(text))
+ *   }
+ * });
+ *
+ * @example
+ * // In-progress form input survives a reload of the tab
+ * const draft = SceneStorage('compose.draft', '');
+ * TextField('Message', draft.binding);
+ */
+
+import { State } from './State.js';
+
+/**
+ * Built-in codecs turning values into storage strings and back.
+ */
+export const StorageCodec = Object.freeze({
+  /** Any JSON-serializable value (the default) */
+  json: Object.freeze({
+    encode: value => JSON.stringify(value),
+    decode: text => JSON.parse(text)
+  }),
+
+  /** Date, stored as an ISO string */
+  date: Object.freeze({
+    encode: date => date.toISOString(),
+    decode: text => new Date(text)
+  }),
+
+  /** Map with JSON-serializable keys and values */
+  map: Object.freeze({
+    encode: map => JSON.stringify([...map]),
+    decode: text => new Map(JSON.parse(text))
+  }),
+
+  /** Set of JSON-serializable values */
+  set: Object.freeze({
+    encode: set => JSON.stringify([...set]),
+    decode: text => new Set(JSON.parse(text))
+  })
+});
+
+/**
+ * Storage-like object keeping values in memory.
+ */
+class MemoryStorage {
+  constructor() {
+    this._items = new Map();
+  }
+
+  getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this._items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this._items.delete(key);
+  }
+}
+
+/**
+ * One storage area (local or session) and the States stored in it.
+ */
+class StorageArea {
+  /**
+   * @param {string} name - 'localStorage' or 'sessionStorage'
+   */
+  constructor(name) {
+    this.name = name;
+
+    /** @type {Storage|null} Resolved on first use */
+    this._storage = null;
+
+    /** @type {Map<string, StorageState>} key -> state */
+    this.states = new Map();
+  }
+
+  /**
+   * The Web Storage object, or memory when it can't be used.
+   * @returns {Storage|MemoryStorage}
+   */
+  get storage() {
+    if (!this._storage) {
+      this._storage = this._probe() || new MemoryStorage();
+    }
+    return this._storage;
+  }
+
+  /**
+   * Keep values in memory from now on (e.g. the quota was exceeded).
+   */
+  fallBackToMemory() {
+    const memory = new MemoryStorage();
+    for (const [key, state] of this.states) {
+      const text = state._encode(state._value);
+      if (text !== null) memory.setItem(key, text);
+    }
+    this._storage = memory;
+  }
+
+  /**
+   * @returns {Storage|null} The Web Storage object, if it accepts writes
+   */
+  _probe() {
+    try {
+      const storage = typeof window !== 'undefined' ? window[this.name] : null;
+      if (!storage) return null;
+      const probe = '__swiftui_storage_probe__';
+      storage.setItem(probe, probe);
+      storage.removeItem(probe);
+      return storage;
+    } catch (error) {
+      // Disabled (privacy settings, sandboxed iframe) or full
+      return null;
+    }
+  }
+}
+
+const _local = new StorageArea('localStorage');
+const _session = new StorageArea('sessionStorage');
+
+/** @type {boolean} Whether the cross-tab `storage` listener is installed */
+let _storageListenerInstalled = false;
+
+/**
+ * Follow localStorage changes made by other tabs. One listener for all keys.
+ */
+function installStorageListener() {
+  if (_storageListenerInstalled || typeof window === 'undefined') return;
+  _storageListenerInstalled = true;
+
+  window.addEventListener('storage', (event) => {
+    if (event.storageArea !== _local.storage) return;
+
+    if (event.key === null) {
+      // storage.clear() in another tab
+      for (const state of _local.states.values()) state._receive(null);
+      return;
+    }
+    _local.states.get(event.key)?._receive(event.newValue);
+  });
+}
+
+/**
+ * A State whose value is saved to a storage area.
+ */
+export class StorageState extends State {
+  /**
+   * @param {StorageArea} area
+   * @param {string} key - Storage key
+   * @param {*} defaultValue - Value when nothing is stored
+   * @param {Object} codec - { encode(value) => string, decode(string) => value }
+   */
+  constructor(area, key, defaultValue, codec) {
+    super(defaultValue);
+    this.key = key;
+    this.defaultValue = defaultValue;
+    this._area = area;
+    this._codec = codec;
+    this._value = this._decode(area.storage.getItem(key));
+  }
+
+  /**
+   * Gets the current value. Tracked like State's.
+   * @returns {*}
+   */
+  get value() {
+    return super.value;
+  }
+
+  /**
+   * Sets the value, saves it and schedules subscriber notification.
+   * Setting undefined removes the key, going back to the default.
+   * @param {*} newValue
+   */
+  set value(newValue) {
+    if (newValue === undefined) {
+      this.reset();
+      return;
+    }
+    if (this._value === newValue) return;
+    this._save(newValue);
+    super.value = newValue;
+  }
+
+  /**
+   * Remove the stored value and go back to the default.
+   */
+  reset() {
+    try {
+      this._area.storage.removeItem(this.key);
+    } catch (error) {
+      console.warn(`${this._area.name}: could not remove "${this.key}"`, error);
+    }
+    super.value = this.defaultValue;
+  }
+
+  /**
+   * @param {*} value
+   */
+  _save(value) {
+    const text = this._encode(value);
+    if (text === null) return;
+    try {
+      this._area.storage.setItem(this.key, text);
+    } catch (error) {
+      console.warn(`${this._area.name} is unavailable, keeping values in memory`, error);
+      this._area.fallBackToMemory();
+      this._area.storage.setItem(this.key, text);
+    }
+  }
+
+  /**
+   * Apply a value written by another tab.
+   * @param {string|null} text - New stored text, null if removed
+   */
+  _receive(text) {
+    super.value = this._decode(text);
+  }
+
+  /**
+   * @param {*} value
+   * @returns {string|null} Stored text, null if the value can't be encoded
+   */
+  _encode(value) {
+    try {
+      return this._codec.encode(value);
+    } catch (error) {
+      console.warn(`${this._area.name}: could not encode "${this.key}"`, error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string|null} text
+   * @returns {*} Decoded value, or the default
+   */
+  _decode(text) {
+    if (text === null) return this.defaultValue;
+    try {
+      return this._codec.decode(text);
+    } catch (error) {
+      console.warn(`${this._area.name}: could not decode "${this.key}"`, error);
+      return this.defaultValue;
+    }
+  }
+}
+
+/**
+ * Get the State stored under a key, creating it on first use.
+ * @param {StorageArea} area
+ * @param {string} key
+ * @param {*} defaultValue
+ * @param {Object} options
+ * @returns {StorageState}
+ */
+function storageState(area, key, defaultValue, options) {
+  if (typeof key !== 'string' || key === '') {
+    throw new TypeError(`${area.name} key must be a non-empty string`);
+  }
+
+  let state = area.states.get(key);
+  if (!state) {
+    state = new StorageState(area, key, defaultValue, options.codec || StorageCodec.json);
+    area.states.set(key, state);
+  }
+  return state;
+}
+
+/**
+ * State persisted in localStorage and synced across tabs.
+ *
+ * @param {string} key - Storage key
+ * @param {*} defaultValue - Value when nothing is stored
+ * @param {Object} [options]
+ * @param {Object} [options.codec] - { encode, decode }; JSON by default
+ * @returns {StorageState} The same State for every call with this key
+ */
+export function AppStorage(key, defaultValue, options = {}) {
+  installStorageListener();
+  return storageState(_local, key, defaultValue, options);
+}
+
+/**
+ * State persisted in sessionStorage (this tab only).
+ *
+ * @param {string} key - Storage key
+ * @param {*} defaultValue - Value when nothing is stored
+ * @param {Object} [options]
+ * @param {Object} [options.codec] - { encode, decode }; JSON by default
+ * @returns {StorageState} The same State for every call with this key
+ */
+export function SceneStorage(key, defaultValue, options = {}) {
+  return storageState(_session, key, defaultValue, options);
+}
+
+export default {
+  AppStorage,
+  SceneStorage,
+  StorageCodec,
+  StorageState
+};
@@ -20,6 +20,26 @@
  * );
  */
 
+/** @type {Function|null} (undo, redo) => void, installed by UndoManager */
+let _undoRegistrar = null;
+
+/**
+ * Install the function receiving undoable changes (used by UndoManager).
+ * @param {Function|null} registrar - (undo, redo) => void
+ */
+export function setUndoRegistrar(registrar) {
+  _undoRegistrar = registrar;
+}
+
+/**
+ * Report a change that can be undone to the undo registrar, if any.
+ * @param {Function} undo - Reverts the change
+ * @param {Function} redo - Applies it again
+ */
+export function registerUndoableChange(undo, redo) {
+  if (_undoRegistrar) _undoRegistrar(undo, redo);
+}
+
 /**
  * Binding class for two-way data access.
  */
@@ -45,12 +65,16 @@ export class Binding {
   }
 
   /**
-   * Sets a new value.
+   * Sets a new value. The change is registered with the UndoManager.
    *
    * @param {*} newValue - The new value
    */
   set value(newValue) {
+    const oldValue = this._get();
     this._set(newValue);
+    if (oldValue !== newValue) {
+      registerUndoableChange(() => this._set(oldValue), () => this._set(newValue));
+    }
   }
 
   /**
@@ -68,7 +92,7 @@ export class Binding {
    * @param {*} newValue - The new value
    */
   set wrappedValue(newValue) {
-    this._set(newValue);
+    this.value = newValue;
   }
 
   /**
@@ -0,0 +1,309 @@
+/**
+ * Computed - Derived state with automatic dependency tracking
+ *
+ * `Computed(() => ...)` derives a value from other state. It follows the
+ * State values, ObservableObject published properties, Observable proxy
+ * properties and other Computed values its function reads, like a
+ * Component body does:
+ *
+ * - while it is observed (read by a component or another Computed, or
+ *   subscribed to) the result is memoized: reading `value` again returns it
+ *   without running the function, and a change of anything it read only
+ *   marks it stale; the function runs again on the next read (lazily), not
+ *   on every change
+ * - while nothing observes it, it holds no subscriptions to what it reads,
+ *   so each read runs the function
+ * - components and other Computed values reading it re-render / go stale
+ *   with it
+ * - `subscribe()` callbacks are batched through the Scheduler like State's
+ *   and only called when the value actually changed
+ * - `binding` is a read-only Binding, for views that take one
+ *
+ * A Computed reading itself, directly or through other Computed values,
+ * throws an Error naming the cycle.
+ *
+ * Create Computed values next to the state they derive from (module scope,
+ * an ObservableObject), not in a Component body. Once nothing follows it
+ * any more, a Computed stops following its dependencies.
+ *
+ * @example
+ * const todos = new State([]);
+ * const filter = new State('all');
+ *
+ * const visibleTodos = Computed(() => filter.value === 'all'
+ *   ? todos.value
+ *   : todos.value.filter(todo => todo.done === (filter.value === 'done')));
+ * const remaining = Computed(() => todos.value.filter(todo => !todo.done).length);
+ *
+ * const TodoList = Component(function TodoList() {
+ *   return VStack(
+ *     Text(`${remaining.value} left`),
+ *     List(visibleTodos.value, todo => TodoRow(todo))
+ *   );
+ * });
+ *
+ * @example
+ * // On an ObservableObject
+ * class Cart extends ObservableObject {
+ *   constructor() {
+ *     super();
+ *     this.published('items', []);
+ *     this.total = Computed(() => this.items.reduce((sum, item) => sum + item.price, 0));
+ *   }
+ * }
+ */
+
+import { Binding } from './Binding.js';
+import { DependencyTracker, trackAccess } from './Observable.js';
+import { scheduleWork, requestUpdateLane } from '../Core/Scheduler.js';
+
+/** @type {ComputedValue[]} Computed values whose function is running, outermost first */
+const _computing = [];
+
+/**
+ * Subscribe a tracking context to a Computed it read (the subscribe
+ * function of trackAccess(); the property is always 'value').
+ * @param {ComputedValue} computed
+ * @param {string} _ - Property read
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeComputed(computed, _, callback) {
+  return computed._observe(computed._dependents, callback);
+}
+
+/**
+ * A value derived from other state.
+ */
+export class ComputedValue {
+  /**
+   * @param {Function} compute - Derives the value; its reads are tracked
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name used in cycle errors
+   */
+  constructor(compute, options = {}) {
+    if (typeof compute !== 'function') {
+      throw new TypeError('Computed requires a function');
+    }
+
+    this.name = options.name || compute.name || 'Computed';
+    this._compute = compute;
+    this._value = undefined;
+    this._stale = true;
+    this._binding = null;
+
+    /** @type {Set<Function>} Tracking contexts (components, Computed values), called synchronously */
+    this._dependents = new Set();
+    /** @type {Set<Function>} subscribe() callbacks, called with the new value */
+    this._subscribers = new Set();
+
+    this._tracker = new DependencyTracker(() => this._invalidate());
+    this._notificationScheduled = false;
+    this._notificationLane = null;
+    /** Value the subscribers last saw */
+    this._notifiedValue = undefined;
+  }
+
+  /**
+   * Gets the value, running the function first if a dependency changed.
+   * Reads inside a Component body or another Computed are tracked.
+   *
+   * @returns {*} The current value
+   */
+  get value() {
+    const observing = trackAccess(this, 'value', subscribeComputed);
+    if (this._stale) this._recompute();
+    const value = this._value;
+    // Nobody to tell about changes: don't stay subscribed to the dependencies
+    if (!observing && !this._isObserved()) this.dispose();
+    return value;
+  }
+
+  /**
+   * Computed values can't be set.
+   * @param {*} newValue
+   */
+  set value(newValue) {
+    throw new TypeError(`${this.name} is computed and can't be set`);
+  }
+
+  /**
+   * Gets the value (alias for value, matches SwiftUI).
+   * @returns {*}
+   */
+  get wrappedValue() {
+    return this.value;
+  }
+
+  /**
+   * Gets a read-only Binding to the value. Setting it throws.
+   * @returns {Binding}
+   */
+  get binding() {
+    if (!this._binding) {
+      this._binding = new Binding(
+        () => this.value,
+        () => { throw new TypeError(`${this.name} is computed and its binding is read-only`); }
+      );
+    }
+    return this._binding;
+  }
+
+  /**
+   * Whether a dependency changed since the value was last computed
+   * (always true while nothing observes the Computed).
+   * @returns {boolean}
+   */
+  get isStale() {
+    return this._stale;
+  }
+
+  /**
+   * Subscribes to value changes.
+   *
+   * @param {Function} callback - Called with the new value when it changed
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    const first = this._subscribers.size === 0;
+    const unsubscribe = this._observe(this._subscribers, callback);
+    if (first) {
+      // Computed now, while observed, so later changes can be detected
+      try {
+        this._notifiedValue = this.value;
+      } catch (error) {
+        unsubscribe();
+        throw error;
+      }
+    }
+    return unsubscribe;
+  }
+
+  /**
+   * Stop following dependencies. They are followed again the next time
+   * the value is computed while something observes it.
+   */
+  dispose() {
+    this._tracker.clear();
+    this._stale = true;
+    this._value = undefined;
+  }
+
+  /**
+   * Whether a tracking context or subscribe() callback follows the value.
+   * @returns {boolean}
+   */
+  _isObserved() {
+    return this._dependents.size > 0 || this._subscribers.size > 0;
+  }
+
+  /**
+   * Add an observer; the last one leaving disposes the Computed.
+   * @param {Set<Function>} observers
+   * @param {Function} callback
+   * @returns {Function} Unsubscribe function
+   */
+  _observe(observers, callback) {
+    observers.add(callback);
+    return () => {
+      if (!observers.delete(callback)) return;
+      if (!this._isObserved()) this.dispose();
+    };
+  }
+
+  /**
+   * Run the function under tracking and memoize its result.
+   */
+  _recompute() {
+    if (_computing.includes(this)) {
+      const cycle = _computing.slice(_computing.indexOf(this)).concat(this);
+      throw new Error(`Computed cycle detected: ${cycle.map(c => c.name).join(' → ')}`);
+    }
+
+    _computing.push(this);
+    try {
+      this._value = this._tracker.track(this._compute);
+      this._stale = false;
+    } finally {
+      _computing.pop();
+    }
+  }
+
+  /**
+   * A dependency changed: go stale, tell dependents, and schedule a check
+   * for subscribers.
+   */
+  _invalidate() {
+    if (this._stale) return;
+    this._stale = true;
+
+    for (const callback of Array.from(this._dependents)) {
+      callback();
+    }
+
+    if (this._subscribers.size > 0) this._scheduleNotification();
+  }
+
+  /**
+   * Schedule a subscriber notification via the Scheduler.
+   * @private
+   */
+  _scheduleNotification() {
+    const lane = requestUpdateLane();
+    if (this._notificationScheduled && this._notificationLane <= lane) return;
+    this._notificationScheduled = true;
+    this._notificationLane = lane;
+
+    if (!this._boundNotify) {
+      this._boundNotify = () => {
+        this._notificationScheduled = false;
+        this._notifySubscribers();
+      };
+    }
+
+    scheduleWork(this._boundNotify, lane);
+  }
+
+  /**
+   * Recompute and notify subscribers if the value changed.
+   * @private
+   */
+  _notifySubscribers() {
+    if (this._subscribers.size === 0) return;
+
+    let value;
+    try {
+      value = this.value;
+    } catch (error) {
+      console.error(`${this.name} failed to compute:`, error);
+      return;
+    }
+    if (Object.is(value, this._notifiedValue)) return;
+    this._notifiedValue = value;
+
+    for (const callback of this._subscribers) {
+      try {
+        callback(value);
+      } catch (error) {
+        console.error('Computed subscriber error:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Create a value derived from other state.
+ *
+ * @param {Function} compute - Derives the value; its reads are tracked
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name used in cycle errors
+ * @returns {ComputedValue}
+ */
+export function Computed(compute, options) {
+  return new ComputedValue(compute, options);
+}
+
+export default {
+  Computed,
+  ComputedValue
+};
@@ -23,9 +23,33 @@
  *
  * // Access in views
  * const settings = Environment.object(UserSettings);
+ *
+ * @example
+ * // Values for one subtree, and custom keys with defaults
+ * const AccentKey = new EnvironmentKey('accent', 'blue');
+ *
+ * const Badge = Component(function Badge(label) {
+ *   return Text(label).foregroundColor(Environment.get(AccentKey));
+ * });
+ *
+ * HStack(
+ *   Badge('Default'),                                   // 'blue'
+ *   VStack(Badge('Preview')).environment(AccentKey, 'orange')
+ *     .environment(EnvironmentValues.colorScheme, ColorScheme.dark)
+ *     .environmentObject(previewSettings)
+ * )
+ *
+ * Values set with `.environment(key, value)` / `.environmentObject(object)`
+ * apply to the view and its descendants, the innermost value winning. They
+ * are read with Environment.get() / Environment.object() while component
+ * bodies run and views render. Elsewhere (and for keys no ancestor sets)
+ * the global values set with Environment.set() apply; a component reading a
+ * global value re-renders alone when Environment.set() changes it.
  */
 
 import { ObservableObject } from './ObservableObject.js';
+import { trackAccess } from './Observable.js';
+import { isDescriptor, ModifierType } from '../Core/ViewDescriptor.js';
 
 /**
  * Built-in environment key values (matching SwiftUI)
@@ -63,6 +87,9 @@ export const EnvironmentValues = {
   // Edit Mode
   editMode: 'editMode',
 
+  // Undo
+  undoManager: 'undoManager',
+
   // Open URL
   openURL: 'openURL'
 };
@@ -130,6 +157,119 @@ export function currentDeviceIdiom() {
   }
 }
 
+/**
+ * Key for a custom environment value, with the value used when no view
+ * above sets it and no global value is set.
+ *
+ * @example
+ * const ThemeKey = new EnvironmentKey('theme', Theme.standard);
+ * Environment.get(ThemeKey); // Theme.standard
+ */
+export class EnvironmentKey {
+  /**
+   * @param {string} name - Name, used in debugging output
+   * @param {*} [defaultValue] - Value when nothing sets the key
+   */
+  constructor(name, defaultValue) {
+    this.name = name;
+    this.defaultValue = defaultValue;
+    Object.freeze(this);
+  }
+
+  toString() {
+    return this.name;
+  }
+}
+
+/**
+ * Environment values set by the views around the view being built or
+ * rendered: { values: Map<key, value>, parent }, innermost first. null
+ * outside any view that sets values.
+ * @type {Object|null}
+ */
+let _currentScope = null;
+
+/**
+ * Get the environment scope in effect.
+ * @returns {Object|null}
+ */
+export function getEnvironmentScope() {
+  return _currentScope;
+}
+
+/**
+ * Run `fn` with `scope` as the environment scope in effect.
+ * @param {Object|null} scope
+ * @param {Function} fn
+ * @returns {*} Whatever fn returns
+ */
+export function withEnvironmentScope(scope, fn) {
+  const previous = _currentScope;
+  _currentScope = scope;
+  try {
+    return fn();
+  } finally {
+    _currentScope = previous;
+  }
+}
+
+/**
+ * Create the scope of a view setting values inside `scope`.
+ * @param {Object|null} scope - Scope around the view
+ * @param {Array|null} entries - [key, value] pairs from environmentEntries()
+ * @returns {Object|null} The new scope, or `scope` when there are no entries
+ */
+export function extendEnvironmentScope(scope, entries) {
+  if (!entries) return scope;
+  return Object.freeze({ values: new Map(entries), parent: scope });
+}
+
+/**
+ * The environment values a view sets for itself and its descendants.
+ * @param {Object|View} view - Descriptor or legacy View
+ * @returns {Array|null} [key, value] pairs, null if it sets none
+ */
+export function environmentEntries(view) {
+  if (isDescriptor(view)) {
+    let entries = null;
+    // Modifiers are listed innermost first; the innermost value wins
+    for (let i = view.modifiers.length - 1; i >= 0; i--) {
+      const modifier = view.modifiers[i];
+      if (modifier.type === ModifierType.ENVIRONMENT) {
+        (entries || (entries = [])).push([modifier.value.key, modifier.value.value]);
+      }
+    }
+    return entries;
+  }
+  return view?._environmentOverrides?.size > 0 ? [...view._environmentOverrides] : null;
+}
+
+/** Returned by lookupScoped() when no view above sets the key */
+const NOT_SCOPED = Symbol('notScoped');
+
+/**
+ * Look a key up in the scope in effect.
+ * @param {*} key
+ * @returns {*} The value, or NOT_SCOPED
+ */
+function lookupScoped(key) {
+  for (let scope = _currentScope; scope; scope = scope.parent) {
+    if (scope.values.has(key)) return scope.values.get(key);
+  }
+  return NOT_SCOPED;
+}
+
+/**
+ * Subscribe a tracking context to a global environment value it read.
+ * @param {EnvironmentStore} store
+ * @param {*} key
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeEnvironment(store, key, callback) {
+  return store.subscribe(key, callback);
+}
+
 /**
  * Environment - Global environment for storing values
  */
@@ -148,6 +288,16 @@ class EnvironmentStore {
    * @private
    */
   _initializeDefaults() {
+    // Server-side (no window): fall back to static defaults
+    if (typeof window === 'undefined') {
+      this._values.set(EnvironmentValues.colorScheme, ColorScheme.light);
+      this._values.set(EnvironmentValues.locale, 'en-US');
+      this._values.set(EnvironmentValues.layoutDirection, LayoutDirection.leftToRight);
+      this._values.set(EnvironmentValues.horizontalSizeClass, UserInterfaceSizeClass.regular);
+      this._values.set(EnvironmentValues.verticalSizeClass, UserInterfaceSizeClass.regular);
+      return;
+    }
+
     // Color scheme from system preference
     const prefersDark = window.matchMedia?.('(prefers-color-scheme: dark)').matches;
     this._values.set(EnvironmentValues.colorScheme, prefersDark ? ColorScheme.dark : ColorScheme.light);
@@ -242,17 +392,24 @@ class EnvironmentStore {
   }
 
   /**
-   * Get an environment value
-   * @param {string} key - Environment key
+   * Get an environment value: the one set by the nearest view above, else
+   * the global one, else the key's default. Reads of global values inside a
+   * Component body are tracked.
+   * @param {string|EnvironmentKey} key - Environment key
    * @returns {*} The environment value
    */
   get(key) {
-    return this._values.get(key);
+    const scoped = lookupScoped(key);
+    if (scoped !== NOT_SCOPED) return scoped;
+
+    trackAccess(this, key, subscribeEnvironment);
+    if (this._values.has(key)) return this._values.get(key);
+    return key instanceof EnvironmentKey ? key.defaultValue : undefined;
   }
 
   /**
-   * Set an environment value
-   * @param {string} key - Environment key
+   * Set a global environment value
+   * @param {string|EnvironmentKey} key - Environment key
    * @param {*} value - Value to set
    */
   set(key, value) {
@@ -302,11 +459,14 @@ class EnvironmentStore {
   }
 
   /**
-   * Get an environment object
+   * Get an environment object: the one injected by the nearest view above,
+   * else the global one
    * @param {Function} type - Object constructor/class
    * @returns {Object|null} The object instance or null
    */
   object(type) {
+    const scoped = lookupScoped(type);
+    if (scoped !== NOT_SCOPED) return scoped;
     return this._objects.get(type) ?? null;
   }
 
@@ -353,9 +513,15 @@ export function extendViewWithEnvironment(ViewClass) {
    * @param {*} value - Value to set
    */
   ViewClass.prototype.environment = function (keyPath, value) {
-    // Store environment override for this view tree
+    // Store environment override for this view tree, in effect while it
+    // renders (the Reconciler also applies it while building children)
     if (!this._environmentOverrides) {
       this._environmentOverrides = new Map();
+      const render = this._render;
+      this._render = () => withEnvironmentScope(
+        extendEnvironmentScope(_currentScope, environmentEntries(this)),
+        () => render.call(this)
+      );
     }
     this._environmentOverrides.set(keyPath, value);
     return this;
@@ -367,7 +533,7 @@ export function extendViewWithEnvironment(ViewClass) {
    */
   ViewClass.prototype.environmentObject = function (object) {
     if (object && object.constructor) {
-      Environment.setObject(object.constructor, object);
+      this.environment(object.constructor, object);
     }
     return this;
   };
@@ -21,6 +21,12 @@
  * model.count = 5; // Triggers updates
  *
  * @example
+ * // Nested objects, arrays, Maps and Sets are observed too
+ * const store = Observable({ filters: { price: { max: 10 } }, items: [] });
+ * store.filters.price.max = 3; // Notifies readers of filters.price.max
+ * store.items.push('shoes');   // Notifies readers of items
+ *
+ * @example
  * // Using @Observable decorator style
  * @Observable
  * class UserModel {
@@ -48,9 +54,136 @@ export function withTracking(context, fn) {
   }
 }
 
+/**
+ * Record that `prop` of `source` was read inside the current tracking
+ * context. Contexts with an `onAccess` hook (component scopes) receive the
+ * source and a `subscribe(source, prop, callback)` function returning an
+ * unsubscribe function, so they can follow exactly what they read.
+ *
+ * @param {Object} source - Object that was read (State, observable proxy)
+ * @param {string} prop - Property that was read
+ * @param {Function} subscribe - (source, prop, callback) => unsubscribe
+ * @returns {boolean} Whether a context will subscribe to the read
+ */
+export function trackAccess(source, prop, subscribe) {
+  const context = currentTrackingContext;
+  if (!context) return false;
+
+  if (!context.accessedProperties) {
+    context.accessedProperties = new Set();
+  }
+  context.accessedProperties.add(prop);
+
+  if (context.onAccess) {
+    context.onAccess(source, prop, subscribe);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Follows the State values and Observable properties read by a function.
+ * Each track() subscribes to what the function read this time and
+ * unsubscribes from what it no longer reads; unchanged reads keep their
+ * subscription. `onChange(source, prop)` runs when any followed value
+ * changes.
+ */
+export class DependencyTracker {
+  /**
+   * @param {Function} onChange - (source, prop) => void
+   */
+  constructor(onChange) {
+    this._onChange = onChange;
+
+    /** @type {Map<Object, Map<string, Function>>} source -> prop -> unsubscribe */
+    this._dependencies = new Map();
+    /** @type {Map<Object, Map<string, Function>>|null} source -> prop -> subscribe */
+    this._reads = null;
+    this._context = {
+      onAccess: (source, prop, subscribe) => this._record(source, prop, subscribe)
+    };
+  }
+
+  /**
+   * Run `fn` under tracking, then update the subscriptions.
+   * @param {Function} fn
+   * @returns {*} Whatever fn returns
+   */
+  track(fn) {
+    this._reads = new Map();
+    try {
+      return withTracking(this._context, fn);
+    } finally {
+      this._commit();
+    }
+  }
+
+  /**
+   * Unsubscribe from everything.
+   */
+  clear() {
+    for (const props of this._dependencies.values()) {
+      for (const unsubscribe of props.values()) unsubscribe();
+    }
+    this._dependencies.clear();
+  }
+
+  /**
+   * @param {Object} source
+   * @param {string} prop
+   * @param {Function} subscribe
+   */
+  _record(source, prop, subscribe) {
+    let props = this._reads.get(source);
+    if (!props) {
+      props = new Map();
+      this._reads.set(source, props);
+    }
+    if (!props.has(prop)) props.set(prop, subscribe);
+  }
+
+  /**
+   * Turn the reads recorded by track() into subscriptions.
+   */
+  _commit() {
+    const reads = this._reads;
+    this._reads = null;
+
+    for (const [source, props] of this._dependencies) {
+      const kept = reads.get(source);
+      for (const [prop, unsubscribe] of props) {
+        if (!kept || !kept.has(prop)) {
+          unsubscribe();
+          props.delete(prop);
+        }
+      }
+      if (props.size === 0) this._dependencies.delete(source);
+    }
+
+    for (const [source, props] of reads) {
+      let current = this._dependencies.get(source);
+      if (!current) {
+        current = new Map();
+        this._dependencies.set(source, current);
+      }
+      for (const [prop, subscribe] of props) {
+        if (!current.has(prop)) {
+          current.set(prop, subscribe(source, prop, () => this._onChange(source, prop)));
+        }
+      }
+    }
+  }
+}
+
 /**
  * Observable - Creates an observable object using Proxy
  *
+ * Observation is deep and lazy: nested plain objects, arrays, Maps and Sets
+ * are made observable when they are read, so `model.items.push(x)`,
+ * `model.filters.price.max = 3` and `model.tags.add('new')` notify the
+ * components that read what changed. Wrap values with
+ * `ObservationIgnored()` to keep them raw.
+ *
  * @param {Object} target - Object to make observable
  * @returns {Proxy} Observable proxy
  */
@@ -67,34 +200,237 @@ export function Observable(target) {
   return createObservableProxy(target);
 }
 
+/**
+ * Mark a value so Observable keeps it raw: its contents aren't made
+ * observable and changes inside it don't notify. Assigning a new value to
+ * the property holding it still does. Use it for large data that is
+ * replaced rather than edited (rows of a table, parsed files).
+ *
+ * @example
+ * const model = Observable({ query: '', rows: ObservationIgnored(bigArray) });
+ * model.rows = ObservationIgnored(nextRows); // notifies readers of `rows`
+ *
+ * @param {*} value
+ * @returns {*} The same value
+ */
+export function ObservationIgnored(value) {
+  if (value && typeof value === 'object') _ignored.add(value);
+  return value;
+}
+
+/**
+ * Follow every change made through an observable, nested ones included,
+ * outside of components (logging, persisting, syncing). The callback gets
+ * the path of the change from the observable (`'filters.price.max'`), the
+ * new value and the old one.
+ *
+ * @example
+ * const stop = observeChanges(model, (path, value) => console.log(path, value));
+ * model.filters.price.max = 50; // 'filters.price.max' 50
+ *
+ * @param {Proxy} observable - Value returned by Observable() or read from one
+ * @param {Function} callback - (path, value, oldValue) => void
+ * @returns {Function} Unsubscribe function
+ */
+export function observeChanges(observable, callback) {
+  const node = observable && _nodes.get(observable);
+  if (!node) {
+    throw new TypeError('observeChanges() needs a value made with Observable()');
+  }
+  node.globalSubscribers.add(callback);
+  return () => node.globalSubscribers.delete(callback);
+}
+
+/** Key followed by reads of an object's keys or a Map / Set's contents */
+const ITERATE = Symbol('iterate');
+
+/** @type {WeakSet<Object>} Values marked with ObservationIgnored() */
+const _ignored = new WeakSet();
+
+/** @type {WeakMap<Proxy, Object>} Observable proxy -> observation node */
+const _nodes = new WeakMap();
+
+const ARRAY_MUTATORS = new Set(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']);
+const ARRAY_SEARCHES = new Set(['includes', 'indexOf', 'lastIndexOf']);
+
+/**
+ * The object behind an observable proxy (the value itself otherwise).
+ * @param {*} value
+ * @returns {*}
+ */
+function toRaw(value) {
+  return (value && _nodes.get(value)?.target) ?? value;
+}
+
+/**
+ * Whether a nested value is made observable when read.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function shouldObserve(value) {
+  if (!value || typeof value !== 'object') return false;
+  if (_ignored.has(value) || _nodes.has(value) || Object.isFrozen(value)) return false;
+  return Array.isArray(value) || value instanceof Map || value instanceof Set ||
+    Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Subscribe to one property of an observable proxy.
+ * @param {Proxy} proxy
+ * @param {string} prop
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeProperty(proxy, prop, callback) {
+  return proxy._subscribeToProperty(prop, callback);
+}
+
+/**
+ * Call each callback, logging errors.
+ * @param {Set<Function>|undefined} callbacks
+ * @param {Array} args
+ */
+function callEach(callbacks, args) {
+  if (!callbacks) return;
+  for (const callback of Array.from(callbacks)) {
+    try {
+      callback(...args);
+    } catch (e) {
+      console.error('Observable callback error:', e);
+    }
+  }
+}
+
+/**
+ * Record a read of `key` on a node in the current tracking context.
+ * @param {Object} node
+ * @param {*} key
+ */
+function track(node, key) {
+  if (!currentTrackingContext) return;
+
+  // Register for updates
+  if (currentTrackingContext.onUpdate && typeof key === 'string') {
+    if (!node.subscribers.has(key)) {
+      node.subscribers.set(key, new Set());
+    }
+    node.subscribers.get(key).add(currentTrackingContext.onUpdate);
+  }
+
+  trackAccess(node.proxy, key, subscribeProperty);
+}
+
+/**
+ * Notify the subscribers of `key` on a node, then the ancestors it is
+ * still attached to, keyed by the path from each ancestor
+ * (`'filters.price.max'`).
+ *
+ * @param {Object} node
+ * @param {*} key
+ * @param {*} value
+ * @param {*} oldValue
+ */
+function notifyChange(node, key, value, oldValue) {
+  callEach(node.subscribers.get(key), [value, oldValue, key]);
+
+  let current = node;
+  let path = String(key);
+  while (current) {
+    if (current !== node) callEach(current.subscribers.get(path), [value, oldValue, path]);
+    callEach(current.globalSubscribers, [path, value, oldValue]);
+
+    // Stop at nested objects that were replaced in their parent
+    const parent = current.parent;
+    if (!parent || parent.children.get(current.key) !== current) break;
+    path = `${String(current.key)}.${path}`;
+    current = parent;
+  }
+}
+
+/**
+ * Notify the readers of a node's keys or contents (ITERATE).
+ * @param {Object} node
+ */
+function notifyIteration(node) {
+  callEach(node.subscribers.get(ITERATE), [undefined, undefined, ITERATE]);
+}
+
+/**
+ * The observable proxy for a nested value, created on first read.
+ * @param {Object} node - Parent node
+ * @param {*} key - Key of the value in the parent
+ * @param {*} value
+ * @returns {*} Proxy, or the value when it isn't observed
+ */
+function observeChild(node, key, value) {
+  if (!shouldObserve(value)) return value;
+
+  const child = node.children.get(key);
+  if (child && child.target === value) return child.proxy;
+
+  return createObservableProxy(value, node, key);
+}
+
 /**
  * Create an observable proxy for an object
  * @param {Object} target
+ * @param {Object|null} [parent] - Node of the object holding it
+ * @param {*} [key] - Key of the object in its parent
  * @returns {Proxy}
  */
-function createObservableProxy(target) {
-  const subscribers = new Map(); // property -> Set of callbacks
-  const propertyAccessors = new Map(); // For nested observation
-  const globalSubscribers = new Set(); // Subscribe to any change
+function createObservableProxy(target, parent = null, key = undefined) {
+  if (_nodes.has(target)) return target;
+
+  const node = {
+    target,
+    parent,
+    key,
+    proxy: null,
+    subscribers: new Map(), // key or path -> Set of callbacks
+    globalSubscribers: new Set(), // Subscribe to any change
+    children: new Map() // key -> node of the nested observable
+  };
+
+  // Subscription methods (not stored on the target)
+  const subscribe = (callback) => {
+    node.globalSubscribers.add(callback);
+    return () => node.globalSubscribers.delete(callback);
+  };
+  const subscribeToProperty = (prop, callback) => {
+    if (!node.subscribers.has(prop)) {
+      node.subscribers.set(prop, new Set());
+    }
+    node.subscribers.get(prop).add(callback);
+    return () => node.subscribers.get(prop)?.delete(callback);
+  };
+
+  const isCollection = target instanceof Map || target instanceof Set;
+  const isArray = Array.isArray(target);
 
   const proxy = new Proxy(target, {
     get(obj, prop) {
-      // Track property access
-      if (currentTrackingContext && typeof prop === 'string') {
-        if (!currentTrackingContext.accessedProperties) {
-          currentTrackingContext.accessedProperties = new Set();
-        }
-        currentTrackingContext.accessedProperties.add(prop);
-
-        // Register for updates
-        if (currentTrackingContext.onUpdate) {
-          if (!subscribers.has(prop)) {
-            subscribers.set(prop, new Set());
-          }
-          subscribers.get(prop).add(currentTrackingContext.onUpdate);
-        }
+      if (prop === '_subscribe') return subscribe;
+      if (prop === '_subscribeToProperty') return subscribeToProperty;
+
+      if (isCollection) return collectionMember(node, prop);
+
+      if (isArray && ARRAY_MUTATORS.has(prop)) {
+        // Mutators read the array too; those reads aren't dependencies
+        return (...args) => withTracking(null, () => Array.prototype[prop].apply(proxy, args));
+      }
+      if (isArray && ARRAY_SEARCHES.has(prop)) {
+        // Elements read through the proxy are proxies; look for raw values too
+        return (...args) => {
+          const result = Array.prototype[prop].apply(proxy, args);
+          return result === -1 || result === false
+            ? Array.prototype[prop].apply(obj, args.map(toRaw))
+            : result;
+        };
       }
 
+      // Track property access
+      if (typeof prop === 'string') track(node, prop);
+
       const value = obj[prop];
 
       // Return methods bound to the proxy
@@ -103,72 +439,193 @@ function createObservableProxy(target) {
       }
 
       // Make nested objects observable
-      if (value && typeof value === 'object' && !propertyAccessors.has(prop)) {
-        const nestedProxy = createObservableProxy(value);
-        propertyAccessors.set(prop, nestedProxy);
-        return nestedProxy;
-      }
-
-      return propertyAccessors.get(prop) ?? value;
+      return observeChild(node, prop, value);
     },
 
     set(obj, prop, value) {
+      value = toRaw(value);
+      const hadKey = Object.prototype.hasOwnProperty.call(obj, prop);
       const oldValue = obj[prop];
+      const oldLength = isArray ? obj.length : 0;
 
-      if (oldValue !== value) {
-        obj[prop] = value;
-
-        // Clear nested proxy cache
-        propertyAccessors.delete(prop);
-
-        // Notify property subscribers
-        if (subscribers.has(prop)) {
-          subscribers.get(prop).forEach(callback => {
-            try {
-              callback(value, oldValue, prop);
-            } catch (e) {
-              console.error('Observable callback error:', e);
-            }
-          });
-        }
+      if (hadKey && oldValue === value) return true;
+      obj[prop] = value;
 
-        // Notify global subscribers
-        globalSubscribers.forEach(callback => {
-          try {
-            callback(prop, value, oldValue);
-          } catch (e) {
-            console.error('Observable callback error:', e);
-          }
-        });
+      // Clear nested proxy cache
+      node.children.delete(prop);
+
+      notifyChange(node, prop, value, oldValue);
+      if (isArray && prop === 'length') {
+        // Elements cut off by shortening the array
+        for (let index = value; index < oldLength; index++) {
+          node.children.delete(String(index));
+          notifyChange(node, String(index), undefined, undefined);
+        }
+      } else if (isArray && obj.length !== oldLength) {
+        notifyChange(node, 'length', obj.length, oldLength);
       }
+      if (!hadKey) notifyIteration(node);
 
       return true;
-    }
-  });
-
-  // Add subscription methods
-  Object.defineProperty(proxy, '_subscribe', {
-    value: function (callback) {
-      globalSubscribers.add(callback);
-      return () => globalSubscribers.delete(callback);
     },
-    enumerable: false
-  });
 
-  Object.defineProperty(proxy, '_subscribeToProperty', {
-    value: function (prop, callback) {
-      if (!subscribers.has(prop)) {
-        subscribers.set(prop, new Set());
+    deleteProperty(obj, prop) {
+      const hadKey = Object.prototype.hasOwnProperty.call(obj, prop);
+      const oldValue = obj[prop];
+      const deleted = Reflect.deleteProperty(obj, prop);
+
+      if (hadKey && deleted) {
+        node.children.delete(prop);
+        notifyChange(node, prop, undefined, oldValue);
+        notifyIteration(node);
       }
-      subscribers.get(prop).add(callback);
-      return () => subscribers.get(prop)?.delete(callback);
+      return deleted;
     },
-    enumerable: false
+
+    has(obj, prop) {
+      if (typeof prop === 'string') track(node, prop);
+      return Reflect.has(obj, prop);
+    },
+
+    ownKeys(obj) {
+      track(node, isArray ? 'length' : ITERATE);
+      return Reflect.ownKeys(obj);
+    }
   });
 
+  node.proxy = proxy;
+  _nodes.set(proxy, node);
+  if (parent) parent.children.set(key, node);
+
   return proxy;
 }
 
+/**
+ * A member of an observable Map or Set: reads are tracked per key (`get`,
+ * `has`) or on the contents (`size`, iteration); writes notify.
+ *
+ * @param {Object} node - Node of the Map or Set
+ * @param {string|symbol} prop
+ * @returns {*}
+ */
+function collectionMember(node, prop) {
+  const { target, proxy } = node;
+  const isMap = target instanceof Map;
+
+  // Values read from the collection, observable when they are objects
+  const wrap = (value, key) => observeChild(node, key, value);
+  const iterate = (select) => {
+    track(node, ITERATE);
+    const entries = target.entries();
+    return {
+      next() {
+        const { value, done } = entries.next();
+        return done ? { value, done } : { value: select(value[0], value[1]), done };
+      },
+      [Symbol.iterator]() {
+        return this;
+      }
+    };
+  };
+
+  switch (prop) {
+    case 'size':
+      track(node, ITERATE);
+      return target.size;
+
+    case 'get':
+      return (key) => {
+        key = toRaw(key);
+        track(node, key);
+        return wrap(target.get(key), key);
+      };
+
+    case 'has':
+      return (key) => {
+        key = toRaw(key);
+        track(node, key);
+        return target.has(key);
+      };
+
+    case 'set':
+      return (key, value) => {
+        key = toRaw(key);
+        value = toRaw(value);
+        const hadKey = target.has(key);
+        const oldValue = target.get(key);
+        if (hadKey && oldValue === value) return proxy;
+
+        target.set(key, value);
+        node.children.delete(key);
+        notifyChange(node, key, value, oldValue);
+        notifyIteration(node);
+        return proxy;
+      };
+
+    case 'add':
+      return (value) => {
+        value = toRaw(value);
+        if (target.has(value)) return proxy;
+
+        target.add(value);
+        notifyChange(node, value, value, undefined);
+        notifyIteration(node);
+        return proxy;
+      };
+
+    case 'delete':
+      return (key) => {
+        key = toRaw(key);
+        if (!target.has(key)) return false;
+
+        const oldValue = isMap ? target.get(key) : key;
+        target.delete(key);
+        node.children.delete(key);
+        notifyChange(node, key, undefined, oldValue);
+        notifyIteration(node);
+        return true;
+      };
+
+    case 'clear':
+      return () => {
+        const entries = Array.from(target.entries());
+        if (entries.length === 0) return;
+
+        target.clear();
+        node.children.clear();
+        for (const [key, oldValue] of entries) {
+          notifyChange(node, key, undefined, oldValue);
+        }
+        notifyIteration(node);
+      };
+
+    case 'forEach':
+      return (callback, thisArg) => {
+        track(node, ITERATE);
+        target.forEach((value, key) => {
+          callback.call(thisArg, wrap(value, key), isMap ? key : wrap(key, key), proxy);
+        });
+      };
+
+    case 'keys':
+      return () => iterate((key, value) => isMap ? key : wrap(value, key));
+
+    case 'values':
+      return () => iterate((key, value) => wrap(value, key));
+
+    case 'entries':
+      return () => iterate((key, value) => [isMap ? key : wrap(key, key), wrap(value, key)]);
+
+    case Symbol.iterator:
+      return () => iterate((key, value) => isMap ? [key, wrap(value, key)] : wrap(value, key));
+
+    default: {
+      const value = Reflect.get(target, prop, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    }
+  }
+}
+
 /**
  * ObservationTracking - Tracks property access in a block
  *
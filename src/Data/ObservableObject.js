@@ -19,8 +19,21 @@
  *   }
  */
 
-import { Binding } from './Binding.js';
-import { scheduleWork, DefaultLane } from '../Core/Scheduler.js';
+import { Binding, registerUndoableChange } from './Binding.js';
+import { scheduleWork, requestUpdateLane } from '../Core/Scheduler.js';
+import { trackAccess } from './Observable.js';
+import { registerStateSource, recordStateChange } from './StateRecorder.js';
+
+/**
+ * Subscribe a tracking context to a published property it read.
+ * @param {ObservableObject} object
+ * @param {string} prop
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function subscribePublished(object, prop, callback) {
+  return object.subscribeToProperty(prop, callback);
+}
 
 /**
  * ObservableObject base class
@@ -33,9 +46,11 @@ export class ObservableObject {
     this._publishedProperties = new Map();
     this._bindings = new Map();
     this._notificationScheduled = false;
+    this._notificationLane = null;
     this._boundNotify = null;
     this._batchDepth = 0;
     this._batchDirty = false;
+    registerStateSource(this);
   }
 
   /**
@@ -47,13 +62,18 @@ export class ObservableObject {
   published(name, initialValue) {
     this._publishedProperties.set(name, initialValue);
 
-    // Define getter/setter on this object
+    // Define getter/setter on this object. Reads are tracked, so components
+    // and Computed values follow the properties they use
     Object.defineProperty(this, name, {
-      get: () => this._publishedProperties.get(name),
+      get: () => {
+        trackAccess(this, name, subscribePublished);
+        return this._publishedProperties.get(name);
+      },
       set: (newValue) => {
         const oldValue = this._publishedProperties.get(name);
         if (oldValue !== newValue) {
           this._publishedProperties.set(name, newValue);
+          recordStateChange(this, 'ObservableObject', name, oldValue, newValue);
           this._notifyPropertyChange(name, newValue, oldValue);
           this._scheduleNotification();
         }
@@ -117,8 +137,11 @@ export class ObservableObject {
       return;
     }
 
-    if (this._notificationScheduled) return;
+    // An urgent change takes over a notification pending on the transition lane
+    const lane = requestUpdateLane();
+    if (this._notificationScheduled && this._notificationLane <= lane) return;
     this._notificationScheduled = true;
+    this._notificationLane = lane;
 
     if (!this._boundNotify) {
       this._boundNotify = () => {
@@ -127,7 +150,7 @@ export class ObservableObject {
       };
     }
 
-    scheduleWork(this._boundNotify, DefaultLane);
+    scheduleWork(this._boundNotify, lane);
   }
 
   /**
@@ -166,10 +189,12 @@ export class ObservableObject {
    * Batch multiple property updates into a single notification.
    * This is an explicit batching API for cases where you want guaranteed
    * single-notification behavior (the Scheduler also batches automatically).
+   * The changes are registered with the UndoManager as one change.
    *
    * @param {Function} updateFn - Function that performs updates
    */
   batch(updateFn) {
+    const before = this._batchDepth === 0 ? this.snapshot() : null;
     this._batchDepth++;
     this._batchDirty = false;
 
@@ -181,6 +206,28 @@ export class ObservableObject {
         this._batchDirty = false;
         this._scheduleNotification();
       }
+      if (before) this._registerUndo(before);
+    }
+  }
+
+  /**
+   * Register the properties changed since `before` as one undoable change.
+   * @param {Object} before - Snapshot taken before the changes
+   * @private
+   */
+  _registerUndo(before) {
+    const oldValues = {};
+    const newValues = {};
+    let changed = false;
+    for (const [key, value] of this._publishedProperties) {
+      if (before[key] !== value) {
+        oldValues[key] = before[key];
+        newValues[key] = value;
+        changed = true;
+      }
+    }
+    if (changed) {
+      registerUndoableChange(() => this.restore(oldValues), () => this.restore(newValues));
     }
   }
 
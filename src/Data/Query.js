@@ -0,0 +1,716 @@
+/**
+ * Query / Mutation - Cached data fetching with stale-while-revalidate
+ *
+ * `Query(key, fetcher, options)` returns the observable result of fetching
+ * `key`: an ObservableObject with published `data`, `error`, `status`
+ * ('loading' | 'success' | 'error') and `isFetching`. Components reading
+ * them re-render when the fetch settles.
+ *
+ * Results are cached per key in a QueryClient: every Query with the same
+ * key shares one result and one request in flight. Cached data is shown
+ * right away; when it is older than `staleTime` it is fetched again in the
+ * background, the first time a view or model starts using it and when the
+ * window regains focus. Failed fetches are retried with exponential
+ * backoff.
+ *
+ * Keys are strings or arrays (`['listings', { city: 'Paris' }]`).
+ * `invalidate(prefix)` marks every result whose key starts with the prefix
+ * as stale and refetches the ones in use, so `['listings']` covers every
+ * listing search.
+ *
+ * The fetcher is `(key, signal) => data | Promise<data>`, called without
+ * observation tracking. Queries without one use the client's `fetcher`, so
+ * an app can route every key through its API client and tests can swap in
+ * an offline one. A fetcher returning a value (or throwing) settles
+ * immediately, like AsyncView's load functions.
+ *
+ * `Mutation(mutate, options)` runs changes on the server, with optimistic
+ * updates of cached data rolled back when the change fails, and
+ * invalidation of the keys it affects.
+ *
+ * @example
+ * class ListingsViewModel extends ObservableObject {
+ *   constructor(api) {
+ *     super();
+ *     this.published('city', 'Paris');
+ *     this.api = api;
+ *   }
+ *
+ *   get listings() {
+ *     return Query(['listings', this.city], () => this.api.searchListings(this.city),
+ *       { staleTime: 60_000 });
+ *   }
+ * }
+ *
+ * const results = viewModel.listings;
+ * if (results.isLoading) return Text('Loading…');
+ * if (results.isError) return Button('Retry', () => results.refetch());
+ * return List(results.data, listing => ListingRow(listing));
+ *
+ * @example
+ * // Optimistic update, rolled back if the request fails
+ * const toggleFavorite = Mutation(listing => api.setFavorite(listing.id, !listing.favorite), {
+ *   optimistic: {
+ *     key: ['favorites'],
+ *     update: (favorites, listing) => listing.favorite
+ *       ? favorites.filter(id => id !== listing.id)
+ *       : [...favorites, listing.id]
+ *   },
+ *   invalidates: ['listings']
+ * });
+ * Button('♡', () => toggleFavorite.mutate(listing));
+ *
+ * @example
+ * // Tests run offline with an injected fetcher
+ * const client = new QueryClient({ fetcher: (key) => fixtures[key[0]] });
+ * const listings = Query(['listings'], { client });
+ */
+
+import { ObservableObject } from './ObservableObject.js';
+import { withTracking } from './Observable.js';
+
+/**
+ * Default delay before retry `attempt` (0 for the first retry): 1s, 2s,
+ * 4s... up to 30s.
+ * @param {number} attempt
+ * @returns {number} Milliseconds
+ */
+function defaultRetryDelay(attempt) {
+  return Math.min(1000 * 2 ** attempt, 30000);
+}
+
+/** Options used when neither the Query nor its client sets them */
+const DEFAULT_OPTIONS = Object.freeze({
+  staleTime: 0,
+  retry: 3,
+  retryDelay: defaultRetryDelay,
+  refetchOnWindowFocus: true,
+  enabled: true
+});
+
+/**
+ * A key as an array (a string key is a one-element key).
+ * @param {string|Array} key
+ * @returns {Array}
+ */
+function normalizeKey(key) {
+  if (Array.isArray(key)) return key;
+  if (typeof key === 'string' && key !== '') return [key];
+  throw new TypeError('Query key must be a non-empty string or an array');
+}
+
+/**
+ * Cache id of a key part; object properties are sorted so
+ * `{ city, guests }` and `{ guests, city }` are the same key.
+ * @param {*} part
+ * @returns {string}
+ */
+function hashPart(part) {
+  return JSON.stringify(part, (name, value) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const sorted = {};
+      for (const property of Object.keys(value).sort()) sorted[property] = value[property];
+      return sorted;
+    }
+    return value;
+  });
+}
+
+/**
+ * Whether a key starts with a prefix.
+ * @param {Array} key
+ * @param {Array} prefix
+ * @returns {boolean}
+ */
+function matchesPrefix(key, prefix) {
+  if (prefix.length > key.length) return false;
+  return prefix.every((part, index) => hashPart(part) === hashPart(key[index]));
+}
+
+/**
+ * Whether a failed fetch should be tried again.
+ * @param {number|boolean|Function} retry - Retries, or (failureCount, error) => boolean
+ * @param {number} failureCount - Failures so far, this one included
+ * @param {*} error
+ * @returns {boolean}
+ */
+function shouldRetry(retry, failureCount, error) {
+  if (typeof retry === 'function') return retry(failureCount, error);
+  if (retry === true) return true;
+  return failureCount <= (retry || 0);
+}
+
+/**
+ * The cached result of one key.
+ */
+export class QueryResult extends ObservableObject {
+  /**
+   * @param {QueryClient} client
+   * @param {Array} key
+   * @param {string} hash - Cache id of the key
+   */
+  constructor(client, key, hash) {
+    super();
+    this.client = client;
+    this.key = key;
+    this.hash = hash;
+
+    this.published('data', undefined);
+    this.published('error', null);
+    this.published('status', 'loading');
+    this.published('isFetching', false);
+    /** Time of the last successful fetch (0 before) */
+    this.published('updatedAt', 0);
+    /** Failed attempts of the current or last fetch */
+    this.published('failureCount', 0);
+
+    /** @type {Function|null} Latest fetcher given for the key */
+    this._fetcher = null;
+    /** Latest options given for the key */
+    this._options = {};
+    this._invalidated = false;
+    /** @type {Object|null} Fetch in progress */
+    this._run = null;
+  }
+
+  /**
+   * Whether the first fetch hasn't settled yet.
+   * @returns {boolean}
+   */
+  get isLoading() {
+    return this.status === 'loading';
+  }
+
+  /**
+   * Whether the last fetch failed.
+   * @returns {boolean}
+   */
+  get isError() {
+    return this.status === 'error';
+  }
+
+  /**
+   * Whether data was fetched.
+   * @returns {boolean}
+   */
+  get isSuccess() {
+    return this.status === 'success';
+  }
+
+  /**
+   * Whether the data should be fetched again: never fetched, invalidated,
+   * or older than staleTime. Not tracked.
+   * @returns {boolean}
+   */
+  get isStale() {
+    const raw = this._publishedProperties;
+    if (this._invalidated || raw.get('status') !== 'success') return true;
+    return Date.now() - raw.get('updatedAt') >= this._option('staleTime');
+  }
+
+  /**
+   * Whether a view or model follows the result.
+   * @returns {boolean}
+   */
+  get isObserved() {
+    if (this._subscribers.size > 0) return true;
+    for (const subscribers of this._propertySubscribers.values()) {
+      if (subscribers.size > 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Fetch the data, or join the fetch in progress.
+   * @returns {Promise<*>} The data once the fetch settles (the previous data if it failed)
+   */
+  refetch() {
+    if (this._run) return this._run.promise;
+
+    const run = { controller: new AbortController(), attempt: 0, timer: null, resolve: null };
+    run.promise = new Promise(resolve => { run.resolve = resolve; });
+    this._run = run;
+
+    this.failureCount = 0;
+    this.isFetching = true;
+    this._attempt(run);
+    return run.promise;
+  }
+
+  /**
+   * Mark the data stale and fetch it again if it is in use.
+   */
+  invalidate() {
+    this._invalidated = true;
+    if (this.isObserved && this._option('enabled')) {
+      this.cancel();
+      this.refetch();
+    }
+  }
+
+  /**
+   * Abort the fetch in progress, keeping the current data.
+   */
+  cancel() {
+    const run = this._run;
+    if (!run) return;
+    this._run = null;
+    clearTimeout(run.timer);
+    run.controller.abort();
+    this.isFetching = false;
+    run.resolve(this._publishedProperties.get('data'));
+  }
+
+  /**
+   * Replace the cached data (optimistic updates, data from a mutation
+   * response). A fetch in progress is aborted so it can't overwrite it.
+   *
+   * @param {*|Function} updater - New data, or (previous) => new data
+   * @returns {*} The previous data
+   */
+  setData(updater) {
+    const previous = this._publishedProperties.get('data');
+    const data = typeof updater === 'function' ? updater(previous) : updater;
+    this.cancel();
+    this.data = data;
+    this.error = null;
+    this.status = 'success';
+    this.updatedAt = Date.now();
+    return previous;
+  }
+
+  /**
+   * Take the fetcher and options of a Query call.
+   * @param {Function|undefined} fetcher
+   * @param {Object} options
+   * @private
+   */
+  _configure(fetcher, options) {
+    if (fetcher) this._fetcher = fetcher;
+    this._options = options;
+    if ('initialData' in options && this._publishedProperties.get('updatedAt') === 0 && !this._run) {
+      this._publishedProperties.set('data', options.initialData);
+    }
+  }
+
+  /**
+   * An option of the latest Query call, else the client's.
+   * @param {string} name
+   * @returns {*}
+   * @private
+   */
+  _option(name) {
+    return name in this._options ? this._options[name] : this.client._option(name);
+  }
+
+  /**
+   * Call the fetcher once.
+   * @param {Object} run
+   * @private
+   */
+  _attempt(run) {
+    const fetcher = this._fetcher || this.client.fetcher;
+    let result;
+    let failed = false;
+    try {
+      if (!fetcher) throw new Error(`Query ${this.hash} has no fetcher, and its QueryClient has none`);
+      result = withTracking(null, () => fetcher(this.key, run.controller.signal));
+    } catch (error) {
+      result = error;
+      failed = true;
+    }
+
+    if (!failed && result && typeof result.then === 'function') {
+      result.then(
+        data => this._settle(run, false, data),
+        error => this._settle(run, true, error)
+      );
+      return;
+    }
+    this._settle(run, failed, result);
+  }
+
+  /**
+   * Apply the outcome of an attempt, retrying failures.
+   * @param {Object} run
+   * @param {boolean} failed
+   * @param {*} result - Data or error
+   * @private
+   */
+  _settle(run, failed, result) {
+    if (run !== this._run) return; // cancelled or superseded
+
+    if (!failed) {
+      this._run = null;
+      this._invalidated = false;
+      this.data = result;
+      this.error = null;
+      this.status = 'success';
+      this.updatedAt = Date.now();
+      this.isFetching = false;
+      run.resolve(result);
+      return;
+    }
+
+    const failureCount = this._publishedProperties.get('failureCount') + 1;
+    this.failureCount = failureCount;
+    if (!run.controller.signal.aborted && shouldRetry(this._option('retry'), failureCount, result)) {
+      const delay = this._option('retryDelay')(run.attempt++, result);
+      if (delay > 0) {
+        run.timer = setTimeout(() => this._attempt(run), delay);
+      } else {
+        this._attempt(run);
+      }
+      return;
+    }
+
+    this._run = null;
+    this.error = result;
+    this.status = 'error';
+    this.isFetching = false;
+    run.resolve(this._publishedProperties.get('data'));
+  }
+}
+
+/**
+ * Cache of query results, with the defaults of the Queries using it.
+ */
+export class QueryClient {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.fetcher] - (key, signal) => data, for Queries without a fetcher
+   * @param {number} [options.staleTime=0] - Milliseconds fetched data stays fresh
+   * @param {number|boolean|Function} [options.retry=3] - Retries of a failed fetch
+   * @param {Function} [options.retryDelay] - (attempt, error) => milliseconds; 0 retries at once
+   * @param {boolean} [options.refetchOnWindowFocus=true] - Refetch stale data in use on focus
+   */
+  constructor(options = {}) {
+    const { fetcher = null, ...defaults } = options;
+    this.fetcher = fetcher;
+    this.defaults = defaults;
+
+    /** @type {Map<string, QueryResult>} key hash -> result */
+    this._results = new Map();
+    this._focusListenerInstalled = false;
+  }
+
+  /**
+   * The client used by Queries and Mutations without a `client` option.
+   * @returns {QueryClient}
+   */
+  static get shared() {
+    if (!_shared) _shared = new QueryClient();
+    return _shared;
+  }
+
+  /**
+   * Get the result of a key, creating it on first use.
+   * @param {string|Array} key
+   * @returns {QueryResult}
+   */
+  getQuery(key) {
+    const normalized = normalizeKey(key);
+    const hash = hashPart(normalized);
+    let result = this._results.get(hash);
+    if (!result) {
+      result = new QueryResult(this, normalized, hash);
+      this._results.set(hash, result);
+      this._installFocusListener();
+    }
+    return result;
+  }
+
+  /**
+   * The results whose key starts with a prefix (all of them without one).
+   * @param {string|Array} [prefix]
+   * @returns {QueryResult[]}
+   */
+  findQueries(prefix = []) {
+    const normalized = normalizeKey(prefix);
+    return [...this._results.values()].filter(result => matchesPrefix(result.key, normalized));
+  }
+
+  /**
+   * The cached data of a key.
+   * @param {string|Array} key
+   * @returns {*}
+   */
+  getData(key) {
+    return this._results.get(hashPart(normalizeKey(key)))?.data;
+  }
+
+  /**
+   * Replace the cached data of a key.
+   * @param {string|Array} key
+   * @param {*|Function} updater - New data, or (previous) => new data
+   * @returns {*} The previous data
+   */
+  setData(key, updater) {
+    return this.getQuery(key).setData(updater);
+  }
+
+  /**
+   * Mark the results under a prefix stale, refetching the ones in use.
+   * @param {string|Array} [prefix] - Key prefix; everything without one
+   */
+  invalidate(prefix) {
+    for (const result of this.findQueries(prefix)) result.invalidate();
+  }
+
+  /**
+   * Abort the fetches in progress under a prefix.
+   * @param {string|Array} [prefix]
+   */
+  cancel(prefix) {
+    for (const result of this.findQueries(prefix)) result.cancel();
+  }
+
+  /**
+   * Drop the results under a prefix from the cache.
+   * @param {string|Array} [prefix]
+   */
+  remove(prefix) {
+    for (const result of this.findQueries(prefix)) {
+      result.cancel();
+      this._results.delete(result.hash);
+    }
+  }
+
+  /**
+   * Refetch the stale results in use (the window regained focus).
+   */
+  refetchStale() {
+    for (const result of this._results.values()) {
+      if (result.isObserved && result.isStale && result._option('enabled') &&
+          result._option('refetchOnWindowFocus')) {
+        result.refetch();
+      }
+    }
+  }
+
+  /**
+   * Result of a Query call, fetched if stale and nobody was using it yet.
+   * @param {string|Array} key
+   * @param {Function|undefined} fetcher
+   * @param {Object} options
+   * @returns {QueryResult}
+   * @private
+   */
+  _query(key, fetcher, options) {
+    const result = this.getQuery(key);
+    // Reads here must not subscribe the component calling Query()
+    withTracking(null, () => {
+      result._configure(fetcher, options);
+      // Re-renders of the views using it don't refetch: focus and
+      // invalidate() keep data in use fresh
+      if (result._option('enabled') && !result._run && !result.isObserved && result.isStale) {
+        result.refetch();
+      }
+    });
+    return result;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {*} A default option
+   * @private
+   */
+  _option(name) {
+    return name in this.defaults ? this.defaults[name] : DEFAULT_OPTIONS[name];
+  }
+
+  /**
+   * Refetch stale data when the window regains focus.
+   * @private
+   */
+  _installFocusListener() {
+    if (this._focusListenerInstalled || typeof window === 'undefined') return;
+    this._focusListenerInstalled = true;
+
+    window.addEventListener('focus', () => this.refetchStale());
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') this.refetchStale();
+      });
+    }
+  }
+}
+
+/** @type {QueryClient|null} */
+let _shared = null;
+
+/**
+ * Get the cached result of a key, fetching it when stale.
+ *
+ * @param {string|Array} key - Cache key
+ * @param {Function} [fetcher] - (key, signal) => data | Promise<data>; the client's by default
+ * @param {Object} [options] - QueryClient options for this key, and:
+ * @param {QueryClient} [options.client] - Cache to use (QueryClient.shared by default)
+ * @param {boolean} [options.enabled=true] - false to not fetch (e.g. a dependency is missing)
+ * @param {*} [options.initialData] - Data shown until the first fetch
+ * @returns {QueryResult}
+ */
+export function Query(key, fetcher, options = {}) {
+  if (fetcher && typeof fetcher === 'object') {
+    options = fetcher;
+    fetcher = undefined;
+  }
+  const { client = QueryClient.shared, ...queryOptions } = options;
+  return client._query(key, fetcher, queryOptions);
+}
+
+/**
+ * State of a mutation: a change sent to the server.
+ */
+export class MutationResult extends ObservableObject {
+  /**
+   * @param {Function} mutationFn - (variables) => data | Promise<data>
+   * @param {Object} options - See Mutation()
+   */
+  constructor(mutationFn, options) {
+    super();
+    this.mutationFn = mutationFn;
+    this.options = options;
+    this.client = options.client || QueryClient.shared;
+
+    this.published('status', 'idle');
+    this.published('data', undefined);
+    this.published('error', null);
+
+    this._token = 0;
+  }
+
+  /**
+   * Whether a mutation is in progress.
+   * @returns {boolean}
+   */
+  get isPending() {
+    return this.status === 'pending';
+  }
+
+  /**
+   * Whether the last mutation failed.
+   * @returns {boolean}
+   */
+  get isError() {
+    return this.status === 'error';
+  }
+
+  /**
+   * Whether the last mutation succeeded.
+   * @returns {boolean}
+   */
+  get isSuccess() {
+    return this.status === 'success';
+  }
+
+  /**
+   * Run the mutation. Errors are kept in `error` and passed to onError;
+   * the promise doesn't reject.
+   *
+   * @param {*} variables - Passed to the mutation function and callbacks
+   * @returns {Promise<*>} The data, undefined if the mutation failed
+   */
+  mutate(variables) {
+    const token = ++this._token;
+    const { optimistic, onMutate } = this.options;
+
+    this.status = 'pending';
+    this.error = null;
+
+    let context;
+    let rollback = null;
+    let result;
+    let failed = false;
+    try {
+      if (optimistic) {
+        const query = this.client.getQuery(optimistic.key);
+        const previous = query.setData(data => optimistic.update(data, variables));
+        rollback = () => query.setData(previous);
+      }
+      context = onMutate?.(variables);
+      result = this.mutationFn(variables);
+    } catch (error) {
+      result = error;
+      failed = true;
+    }
+
+    const settle = (failed, result) => this._settle(token, variables, context, rollback, failed, result);
+    if (!failed && result && typeof result.then === 'function') {
+      return result.then(data => settle(false, data), error => settle(true, error));
+    }
+    return Promise.resolve(settle(failed, result));
+  }
+
+  /**
+   * Forget the last mutation.
+   */
+  reset() {
+    this._token++;
+    this.status = 'idle';
+    this.data = undefined;
+    this.error = null;
+  }
+
+  /**
+   * @returns {*} The data, undefined if the mutation failed
+   * @private
+   */
+  _settle(token, variables, context, rollback, failed, result) {
+    const { optimistic, onSuccess, onError, onSettled, invalidates = [] } = this.options;
+    const current = token === this._token;
+
+    try {
+      if (failed) {
+        rollback?.();
+        if (current) {
+          this.error = result;
+          this.status = 'error';
+        }
+        onError?.(result, variables, context);
+      } else {
+        if (current) {
+          this.data = result;
+          this.status = 'success';
+        }
+        onSuccess?.(result, variables, context);
+      }
+      onSettled?.(failed ? undefined : result, failed ? result : null, variables, context);
+    } catch (error) {
+      console.error('Mutation callback error:', error);
+    }
+
+    // The server has the change: refetch what it affects, optimistic key included
+    const keys = optimistic ? [...invalidates, optimistic.key] : invalidates;
+    for (const key of keys) this.client.invalidate(key);
+
+    return failed ? undefined : result;
+  }
+}
+
+/**
+ * Create a mutation.
+ *
+ * @param {Function} mutationFn - (variables) => data | Promise<data>
+ * @param {Object} [options]
+ * @param {QueryClient} [options.client] - Cache it updates (QueryClient.shared by default)
+ * @param {{key: string|Array, update: Function}} [options.optimistic] - Set `update(data, variables)`
+ *   as the key's data right away; restored if the mutation fails
+ * @param {Array<string|Array>} [options.invalidates] - Key prefixes to refetch once it settles
+ * @param {Function} [options.onMutate] - (variables) => context, before the mutation runs
+ * @param {Function} [options.onSuccess] - (data, variables, context)
+ * @param {Function} [options.onError] - (error, variables, context)
+ * @param {Function} [options.onSettled] - (data, error, variables, context)
+ * @returns {MutationResult}
+ */
+export function Mutation(mutationFn, options = {}) {
+  return new MutationResult(mutationFn, options);
+}
+
+export default {
+  Query,
+  QueryClient,
+  QueryResult,
+  Mutation,
+  MutationResult
+};
@@ -26,10 +26,30 @@
  *
  * // Get binding for two-way binding
  * const binding = count.binding;
+ *
+ * // Local state inside a function component, kept across refreshes
+ * const Counter = Component(function Counter() {
+ *   const count = useState(0);
+ *   return Button(`${count.value}`, () => count.value++);
+ * });
  */
 
 import { Binding } from './Binding.js';
-import { scheduleWork, DefaultLane, batch as schedulerBatch } from '../Core/Scheduler.js';
+import { scheduleWork, requestUpdateLane, batch as schedulerBatch } from '../Core/Scheduler.js';
+import { useSlot } from '../Core/Component.js';
+import { trackAccess } from './Observable.js';
+import { registerStateSource, recordStateChange } from './StateRecorder.js';
+
+/**
+ * Subscribe a tracking context to a State it read.
+ * @param {State} state
+ * @param {string} prop
+ * @param {Function} callback
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeState(state, prop, callback) {
+  return state.subscribe(callback);
+}
 
 /**
  * State class for reactive state management.
@@ -45,14 +65,19 @@ export class State {
     this._subscribers = new Set();
     this._binding = null;
     this._notificationScheduled = false;
+    this._notificationLane = null;
+    registerStateSource(this);
   }
 
   /**
    * Gets the current value (SwiftUI's wrappedValue).
+   * Reads inside a Component body are tracked, so the component
+   * re-renders when the value changes.
    *
    * @returns {*} The current value
    */
   get value() {
+    trackAccess(this, 'value', subscribeState);
     return this._value;
   }
 
@@ -64,7 +89,9 @@ export class State {
    */
   set value(newValue) {
     if (this._value !== newValue) {
+      const oldValue = this._value;
       this._value = newValue;
+      recordStateChange(this, 'State', 'value', oldValue, newValue);
       this._scheduleNotification();
     }
   }
@@ -75,7 +102,7 @@ export class State {
    * @returns {*} The current value
    */
   get wrappedValue() {
-    return this._value;
+    return this.value;
   }
 
   /**
@@ -95,7 +122,7 @@ export class State {
   get binding() {
     if (!this._binding) {
       this._binding = new Binding(
-        () => this._value,
+        () => this.value,
         (newValue) => { this.value = newValue; }
       );
     }
@@ -129,8 +156,11 @@ export class State {
    * @private
    */
   _scheduleNotification() {
-    if (this._notificationScheduled) return;
+    // An urgent change takes over a notification pending on the transition lane
+    const lane = requestUpdateLane();
+    if (this._notificationScheduled && this._notificationLane <= lane) return;
     this._notificationScheduled = true;
+    this._notificationLane = lane;
 
     // Use a bound reference so the Scheduler can deduplicate
     if (!this._boundNotify) {
@@ -140,7 +170,7 @@ export class State {
       };
     }
 
-    scheduleWork(this._boundNotify, DefaultLane);
+    scheduleWork(this._boundNotify, lane);
   }
 
   /**
@@ -166,6 +196,25 @@ export class State {
   update(updater) {
     this.value = updater(this._value);
   }
+
+  /**
+   * Gets the local State for the calling Component body.
+   *
+   * The same instance is returned on every render of the component at the
+   * same position in the tree; components that read it re-render when it
+   * changes. Must be called unconditionally, in the same order, from
+   * inside a Component body.
+   *
+   * @param {*} initialValue - Value used the first time the component renders
+   * @returns {State} The component's state
+   */
+  static local(initialValue) {
+    return useSlot((scope) => {
+      const state = new State(initialValue);
+      scope.onRelease(() => state._subscribers.clear());
+      return state;
+    });
+  }
 }
 
 /**
@@ -182,4 +231,14 @@ export function createState(initialValue) {
   return new State(initialValue);
 }
 
+/**
+ * Hook-style alias for State.local().
+ *
+ * @param {*} initialValue - Value used the first time the component renders
+ * @returns {State} The component's state
+ */
+export function useState(initialValue) {
+  return State.local(initialValue);
+}
+
 export default State;
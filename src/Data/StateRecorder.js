@@ -0,0 +1,418 @@
+/**
+ * StateRecorder - Development recorder of state changes with time travel
+ *
+ * While a recorder is recording, every change of a State value, an
+ * ObservableObject published property and a NavigationPath is logged with
+ * a timestamp and its source:
+ *
+ *   { timestamp, source: 'FiltersModel#1', kind: 'ObservableObject',
+ *     property: 'maxPrice', oldValue: 500, newValue: 300 }
+ *
+ * Sources are named after their class and creation order (`State#3`,
+ * `NavigationPath#1`), so the same app driven the same way gives the same
+ * names: a log exported with `exportJSON()` can be imported into a fresh
+ * page and replayed there. Start recording before the app creates its
+ * state so every source is named from the start.
+ *
+ * `stepBackward()` / `stepForward()` / `goTo(index)` move through the log by
+ * restoring the recorded values; the views reading them re-render. Restores
+ * are not recorded. A change made after stepping back drops the changes
+ * that were ahead of it, like an undo stack.
+ *
+ * Values are logged as snapshots: arrays, plain objects, Maps, Sets and
+ * Dates are copied, so mutating them in place later doesn't rewrite the
+ * log. Other objects (class instances) are logged by reference.
+ *
+ * This is a development tool: when nothing is recording, the hooks in
+ * State, ObservableObject and NavigationPath only check one variable.
+ *
+ * @example
+ * const recorder = new StateRecorder().start();
+ * App(ContentView).mount('#root');
+ *
+ * // ...click through the flow, then
+ * localStorage.setItem('repro', recorder.exportJSON());
+ *
+ * @example
+ * // Reproduce it after a reload
+ * const recorder = new StateRecorder().start();
+ * App(ContentView).mount('#root');
+ * recorder.importJSON(localStorage.getItem('repro'));
+ * recorder.goTo(recorder.count); // or stepForward() one change at a time
+ */
+
+import { batch } from '../Core/Scheduler.js';
+
+/** Version of the exported log format */
+const FORMAT_VERSION = 1;
+
+/** @type {StateRecorder|null} Recorder receiving changes */
+let _recorder = null;
+
+/** @type {WeakMap<Object, string>} Source -> name */
+let _names = new WeakMap();
+
+/** @type {Map<string, {deref: Function}>} Name -> source, for replaying imported logs */
+let _sources = new Map();
+
+/** @type {Map<string, number>} Class name -> sources named so far */
+let _counters = new Map();
+
+/**
+ * A weak reference to a source. Engines without WeakRef keep the source
+ * alive while it has a name.
+ * @param {Object} source
+ * @returns {{deref: Function}}
+ */
+function sourceRef(source) {
+  return typeof WeakRef === 'function' ? new WeakRef(source) : { deref: () => source };
+}
+
+/**
+ * Forget source names; sources are named again from #1.
+ */
+function resetNames() {
+  _names = new WeakMap();
+  _sources = new Map();
+  _counters = new Map();
+}
+
+/**
+ * The name of a source, giving it one when needed.
+ * @param {Object} source
+ * @returns {string}
+ */
+function nameOf(source) {
+  let name = _names.get(source);
+  if (!name) {
+    const type = source.constructor?.name || 'Object';
+    const count = (_counters.get(type) || 0) + 1;
+    _counters.set(type, count);
+    name = `${type}#${count}`;
+    _names.set(source, name);
+    _sources.set(name, sourceRef(source));
+  }
+  return name;
+}
+
+/**
+ * Name a state source when it is created, if a recorder is recording.
+ * Called by the State, ObservableObject and NavigationPath constructors.
+ *
+ * @param {Object} source
+ */
+export function registerStateSource(source) {
+  if (_recorder && !source._excludeFromHistory) nameOf(source);
+}
+
+/**
+ * Log a change with the recorder, if one is recording.
+ * Called by State, ObservableObject and NavigationPath when they change.
+ *
+ * @param {Object} source - Object that changed
+ * @param {string} kind - 'State', 'ObservableObject' or 'NavigationPath'
+ * @param {string} property - Property that changed
+ * @param {*} oldValue
+ * @param {*} newValue
+ */
+export function recordStateChange(source, kind, property, oldValue, newValue) {
+  if (_recorder && !source._excludeFromHistory) {
+    _recorder._record(source, kind, property, oldValue, newValue);
+  }
+}
+
+/**
+ * Copy a value so later in-place changes don't reach the log: arrays,
+ * plain objects, Maps, Sets and Dates deeply; anything else as is.
+ * @param {*} value
+ * @param {Map} [copies] - Values copied so far (shared and cyclic references)
+ * @returns {*}
+ */
+function snapshot(value, copies = new Map()) {
+  if (value === null || typeof value !== 'object') return value;
+  if (copies.has(value)) return copies.get(value);
+
+  let copy;
+  if (Array.isArray(value)) {
+    copy = [];
+    copies.set(value, copy);
+    for (const item of value) copy.push(snapshot(item, copies));
+  } else if (value instanceof Map) {
+    copy = new Map();
+    copies.set(value, copy);
+    for (const [key, item] of value) copy.set(key, snapshot(item, copies));
+  } else if (value instanceof Set) {
+    copy = new Set();
+    copies.set(value, copy);
+    for (const item of value) copy.add(snapshot(item, copies));
+  } else if (value instanceof Date) {
+    copy = new Date(value.getTime());
+  } else {
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) return value;
+    copy = Object.create(prototype);
+    copies.set(value, copy);
+    for (const key of Object.keys(value)) copy[key] = snapshot(value[key], copies);
+  }
+  return copy;
+}
+
+/**
+ * Set a recorded value on its source without recording it.
+ * @param {Object} source
+ * @param {Object} entry
+ * @param {*} value
+ */
+function restoreValue(source, entry, value) {
+  switch (entry.kind) {
+    case 'NavigationPath':
+      source._replacePath(value);
+      break;
+    case 'State':
+      source.value = value;
+      break;
+    default:
+      source[entry.property] = value;
+  }
+}
+
+/**
+ * Records state changes and moves the app through them.
+ */
+export class StateRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=5000] - Changes kept (0 for no limit); the oldest go first
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 5000;
+
+    /** @type {Object[]} Logged changes, oldest first */
+    this._entries = [];
+    /** Changes applied to the app: entries before it are in effect */
+    this._cursor = 0;
+    this._replaying = false;
+    /** @type {Set<Function>} */
+    this._subscribers = new Set();
+  }
+
+  /**
+   * Start recording. Source names start again from #1, and a recorder
+   * that was recording stops.
+   * @returns {StateRecorder} this
+   */
+  start() {
+    if (_recorder !== this) {
+      if (_recorder) _recorder.stop();
+      resetNames();
+      _recorder = this;
+    }
+    return this;
+  }
+
+  /**
+   * Stop recording. The log is kept.
+   * @returns {StateRecorder} this
+   */
+  stop() {
+    if (_recorder === this) _recorder = null;
+    return this;
+  }
+
+  /**
+   * Whether this recorder is recording.
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return _recorder === this;
+  }
+
+  /**
+   * The logged changes, oldest first.
+   * @returns {Object[]}
+   */
+  get entries() {
+    return this._entries.slice();
+  }
+
+  /**
+   * Number of logged changes.
+   * @returns {number}
+   */
+  get count() {
+    return this._entries.length;
+  }
+
+  /**
+   * Number of changes in effect: 0 is before the first change, `count`
+   * after the last one.
+   * @returns {number}
+   */
+  get cursor() {
+    return this._cursor;
+  }
+
+  /**
+   * Whether there is a change to step back over.
+   * @returns {boolean}
+   */
+  get canStepBackward() {
+    return this._cursor > 0;
+  }
+
+  /**
+   * Whether there is a change to step forward to.
+   * @returns {boolean}
+   */
+  get canStepForward() {
+    return this._cursor < this._entries.length;
+  }
+
+  /**
+   * Undo the last change in effect.
+   * @returns {boolean} Whether there was one
+   */
+  stepBackward() {
+    if (!this.canStepBackward) return false;
+    this.goTo(this._cursor - 1);
+    return true;
+  }
+
+  /**
+   * Apply the next logged change.
+   * @returns {boolean} Whether there was one
+   */
+  stepForward() {
+    if (!this.canStepForward) return false;
+    this.goTo(this._cursor + 1);
+    return true;
+  }
+
+  /**
+   * Restore the values the app had after the first `index` changes, and
+   * re-render.
+   * @param {number} index - 0 to count
+   */
+  goTo(index) {
+    const target = Math.max(0, Math.min(index, this._entries.length));
+    if (target === this._cursor) return;
+
+    this._replaying = true;
+    try {
+      batch(() => {
+        while (this._cursor > target) {
+          const entry = this._entries[--this._cursor];
+          this._restore(entry, entry.oldValue);
+        }
+        while (this._cursor < target) {
+          const entry = this._entries[this._cursor++];
+          this._restore(entry, entry.newValue);
+        }
+      });
+    } finally {
+      this._replaying = false;
+    }
+    this._notify();
+  }
+
+  /**
+   * Forget the logged changes.
+   */
+  clear() {
+    this._entries.length = 0;
+    this._cursor = 0;
+    this._notify();
+  }
+
+  /**
+   * The log as JSON. Values are serialized with JSON.stringify.
+   * @returns {string}
+   */
+  exportJSON() {
+    return JSON.stringify({ version: FORMAT_VERSION, entries: this._entries });
+  }
+
+  /**
+   * Replace the log with an exported one. The app is assumed to be in the
+   * state the log starts from (cursor 0); step forward to replay it.
+   * @param {string|Object} json - exportJSON() output, or its parsed value
+   */
+  importJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || data.version !== FORMAT_VERSION || !Array.isArray(data.entries)) {
+      throw new Error(`StateRecorder can't import this log (expected format version ${FORMAT_VERSION})`);
+    }
+    this._entries = data.entries.slice();
+    this._cursor = 0;
+    this._notify();
+  }
+
+  /**
+   * Subscribe to log and cursor changes (for a history panel).
+   * @param {Function} callback - Called with the recorder
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this._subscribers.add(callback);
+    return () => this._subscribers.delete(callback);
+  }
+
+  /**
+   * Log a change (see recordStateChange()).
+   * @private
+   */
+  _record(source, kind, property, oldValue, newValue) {
+    if (this._replaying) return;
+
+    // A change made at an earlier point replaces the changes ahead of it
+    this._entries.length = this._cursor;
+    this._entries.push({
+      timestamp: Date.now(),
+      source: nameOf(source),
+      kind,
+      property,
+      oldValue: snapshot(oldValue),
+      newValue: snapshot(newValue)
+    });
+    if (this.maxEntries > 0 && this._entries.length > this.maxEntries) {
+      this._entries.shift();
+    }
+    this._cursor = this._entries.length;
+    this._notify();
+  }
+
+  /**
+   * Set a logged value on its source.
+   * @param {Object} entry
+   * @param {*} value
+   * @private
+   */
+  _restore(entry, value) {
+    const source = _sources.get(entry.source)?.deref();
+    if (!source) {
+      console.warn(`StateRecorder: no ${entry.source} to restore`);
+      return;
+    }
+    // A copy, so the restored value can change without changing the log
+    restoreValue(source, entry, snapshot(value));
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    for (const callback of this._subscribers) {
+      try {
+        callback(this);
+      } catch (error) {
+        console.error('StateRecorder subscriber error:', error);
+      }
+    }
+  }
+}
+
+export default {
+  StateRecorder,
+  registerStateSource,
+  recordStateChange
+};
@@ -0,0 +1,609 @@
+/**
+ * Store - Unidirectional data flow with reducers and effects
+ *
+ * For screens whose state has outgrown one ObservableObject. All state
+ * lives in one value; views `send(action)` and a reducer
+ * `(state, action, environment) => newState` computes the next state. Work
+ * with side effects (requests, timers, subscriptions) is returned from the
+ * reducer as Effects, which send actions back as they produce results:
+ *
+ *   return withEffects({ ...state, loading: true },
+ *     Effect.run(() => environment.api.search(state.query).then(listings => ({ type: 'results', listings }))));
+ *
+ * The reducer never awaits, so every state change is an action the store
+ * can log, replay or assert in a TestStore.
+ *
+ * `store.state` is tracked like a State value: components reading it
+ * re-render when it changes. `store.scope(toState, toAction)` gives a child
+ * view a store limited to its slice of the state, whose actions are
+ * wrapped into parent actions.
+ *
+ * Effects:
+ * - `Effect.run(work)`: work(signal) returns an action, a promise of one,
+ *   or an async iterable of actions; each action is sent (undefined is
+ *   skipped). Errors are logged unless the effect was cancelled.
+ * - `Effect.send(action)`: send an action right after this one.
+ * - `Effect.merge(...effects)`, `Effect.none`.
+ * - `effect.cancellable(id, { cancelInFlight })` and `Effect.cancel(id)`:
+ *   cancelling aborts the signal and drops the actions still to come. A
+ *   cancellable merge cancels the run effects in it; sent actions are
+ *   reduced right away, so there is nothing left to cancel.
+ *
+ * @example
+ * const SearchAction = {
+ *   queryChanged: (query) => ({ type: 'queryChanged', query }),
+ *   results: (listings) => ({ type: 'results', listings })
+ * };
+ *
+ * function searchReducer(state, action, { api }) {
+ *   switch (action.type) {
+ *     case 'queryChanged':
+ *       return withEffects({ ...state, query: action.query },
+ *         Effect.run(async (signal) => SearchAction.results(await api.search(action.query, signal)))
+ *           .cancellable('search', { cancelInFlight: true }));
+ *     case 'results':
+ *       return { ...state, listings: action.listings };
+ *     default:
+ *       return state;
+ *   }
+ * }
+ *
+ * const store = Store({ query: '', listings: [] }, searchReducer, { api });
+ *
+ * const SearchScreen = Component(function SearchScreen() {
+ *   return VStack(
+ *     TextField('Where to?', store.binding(state => state.query, SearchAction.queryChanged)),
+ *     List(store.state.listings, listing => Text(listing.title))
+ *   );
+ * });
+ */
+
+import { State } from './State.js';
+import { Binding } from './Binding.js';
+
+/** Marks reducer results carrying effects */
+const REDUCED = Symbol('reduced');
+
+/**
+ * Side effect returned by a reducer. Create them with the static methods.
+ */
+export class Effect {
+  /**
+   * @param {string} kind - 'none', 'run', 'send', 'merge' or 'cancel'
+   * @param {Object} [props]
+   */
+  constructor(kind, props = {}) {
+    this.kind = kind;
+    this.work = props.work ?? null;
+    this.action = props.action;
+    this.effects = props.effects ?? null;
+    this.id = props.id;
+    this.cancelInFlight = props.cancelInFlight ?? false;
+    Object.freeze(this);
+  }
+
+  /**
+   * Run async work and send the actions it produces.
+   * @param {Function} work - (signal) => action | Promise<action> | AsyncIterable<action>
+   * @returns {Effect}
+   */
+  static run(work) {
+    if (typeof work !== 'function') {
+      throw new TypeError('Effect.run() expects a function');
+    }
+    return new Effect('run', { work });
+  }
+
+  /**
+   * Send an action once the current one is reduced.
+   * @param {*} action
+   * @returns {Effect}
+   */
+  static send(action) {
+    return new Effect('send', { action });
+  }
+
+  /**
+   * Run several effects.
+   * @param {...Effect} effects
+   * @returns {Effect}
+   */
+  static merge(...effects) {
+    return new Effect('merge', { effects: effects.filter(Boolean) });
+  }
+
+  /**
+   * Cancel the running effects marked with an id.
+   * @param {*} id
+   * @returns {Effect}
+   */
+  static cancel(id) {
+    return new Effect('cancel', { id });
+  }
+
+  /**
+   * This effect, cancellable with Effect.cancel(id) / store.cancel(id).
+   *
+   * @param {*} id
+   * @param {Object} [options]
+   * @param {boolean} [options.cancelInFlight=false] - Cancel running effects with the id first
+   * @returns {Effect}
+   */
+  cancellable(id, options = {}) {
+    return new Effect(this.kind, { ...this, id, cancelInFlight: options.cancelInFlight });
+  }
+}
+
+/** Effect doing nothing */
+Effect.none = new Effect('none');
+
+/**
+ * Reducer result with effects to run after the state is updated.
+ *
+ * @param {*} state - New state
+ * @param {...Effect} effects
+ * @returns {Object}
+ */
+export function withEffects(state, ...effects) {
+  return { [REDUCED]: true, state, effects: effects.filter(Boolean) };
+}
+
+/**
+ * Split a reducer result into the new state and its effects.
+ * @param {*} result
+ * @returns {{state: *, effects: Effect[]}}
+ */
+function unpack(result) {
+  if (result && result[REDUCED]) return { state: result.state, effects: result.effects };
+  return { state: result, effects: [] };
+}
+
+/**
+ * Read access to a slice of a store's state, and sending its actions.
+ */
+export class StoreScope {
+  /**
+   * @param {Function} getState - () => state, tracked
+   * @param {Function} send - (action) => Promise
+   */
+  constructor(getState, send) {
+    this._getState = getState;
+    this._send = send;
+  }
+
+  /**
+   * The current state. Reads are tracked.
+   * @returns {*}
+   */
+  get state() {
+    return this._getState();
+  }
+
+  /**
+   * Send an action to the reducer.
+   * @param {*} action
+   * @returns {Promise<void>} Settles when the effects it started are done
+   */
+  send(action) {
+    return this._send(action);
+  }
+
+  /**
+   * A store limited to a slice of this one's state.
+   *
+   * @param {Function} toState - (state) => child state
+   * @param {Function} [toAction] - (child action) => action of this store; identity by default
+   * @returns {StoreScope}
+   */
+  scope(toState, toAction = action => action) {
+    return new StoreScope(
+      () => toState(this.state),
+      action => this.send(toAction(action))
+    );
+  }
+
+  /**
+   * A Binding reading part of the state and sending an action on writes
+   * (for controls).
+   *
+   * @param {Function} get - (state) => value
+   * @param {Function} toAction - (value) => action
+   * @returns {Binding}
+   */
+  binding(get, toAction) {
+    return new Binding(() => get(this.state), value => { this.send(toAction(value)); });
+  }
+}
+
+/**
+ * The root store: runs the reducer and the effects.
+ */
+export class ReducerStore extends StoreScope {
+  /**
+   * @param {*} initialState
+   * @param {Function} reducer - (state, action, environment) => state | withEffects(state, ...effects)
+   * @param {*} [environment] - Dependencies passed to the reducer (API clients, clocks)
+   */
+  constructor(initialState, reducer, environment) {
+    super(() => this._state.value, action => this._dispatch(action));
+    if (typeof reducer !== 'function') {
+      throw new TypeError('Store expects a reducer function');
+    }
+    this.reducer = reducer;
+    this.environment = environment;
+
+    this._state = new State(initialState);
+    /** @type {Array} Actions waiting for the reducer */
+    this._queue = [];
+    this._reducing = false;
+    /** @type {Map<*, Set<AbortController>>} Effect id -> running effects */
+    this._cancellables = new Map();
+    /** @type {Set<AbortController>} Running effects without an id */
+    this._uncancellable = new Set();
+    /** @type {Set<Promise>} Running effects */
+    this._running = new Set();
+  }
+
+  /**
+   * Subscribe to state changes.
+   * @param {Function} callback - Called with the new state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    return this._state.subscribe(callback);
+  }
+
+  /**
+   * Cancel the running effects marked with an id.
+   * @param {*} id
+   */
+  cancel(id) {
+    const controllers = this._cancellables.get(id);
+    if (!controllers) return;
+    this._cancellables.delete(id);
+    for (const controller of controllers) controller.abort();
+  }
+
+  /**
+   * Cancel every running effect (e.g. when the screen goes away).
+   */
+  cancelAll() {
+    for (const id of [...this._cancellables.keys()]) this.cancel(id);
+    for (const controller of this._uncancellable) controller.abort();
+  }
+
+  /**
+   * Number of effects still running.
+   * @returns {number}
+   */
+  get runningEffects() {
+    return this._running.size;
+  }
+
+  /**
+   * Wait until no effect is running.
+   * @returns {Promise<void>}
+   */
+  async settled() {
+    while (this._running.size > 0) {
+      await Promise.allSettled([...this._running]);
+    }
+  }
+
+  /**
+   * Reduce an action, then run its effects. Actions sent while reducing
+   * (by Effect.send or synchronous effects) are queued.
+   * @param {*} action
+   * @returns {Promise<void>}
+   * @private
+   */
+  _dispatch(action) {
+    const done = [];
+    this._queue.push({ action, done });
+    if (!this._reducing) this._drain();
+    return Promise.all(done).then(() => {});
+  }
+
+  /**
+   * @private
+   */
+  _drain() {
+    this._reducing = true;
+    try {
+      while (this._queue.length > 0) {
+        const { action, done } = this._queue.shift();
+        const { state, effects } = unpack(this.reducer(this._state._value, action, this.environment));
+        this._state.value = state;
+        this._didReduce(action, state);
+        for (const effect of effects) this._runEffect(effect, done);
+      }
+    } finally {
+      this._reducing = false;
+      this._queue.length = 0;
+    }
+  }
+
+  /**
+   * Hook for TestStore: an action was reduced.
+   * @param {*} action
+   * @param {*} state
+   * @protected
+   */
+  _didReduce(action, state) {}
+
+  /**
+   * @param {Effect} effect
+   * @param {Promise[]} done - Collects the promises of async effects
+   * @param {Array} [ids] - Ids of the cancellable merges the effect is part of
+   * @private
+   */
+  _runEffect(effect, done, ids = []) {
+    switch (effect.kind) {
+      case 'send':
+        this._dispatch(effect.action);
+        break;
+      case 'merge': {
+        // Cancelling a merge cancels the effects in it
+        if (effect.id !== undefined && effect.cancelInFlight) this.cancel(effect.id);
+        const childIds = effect.id !== undefined ? [...ids, effect.id] : ids;
+        for (const child of effect.effects) this._runEffect(child, done, childIds);
+        break;
+      }
+      case 'cancel':
+        this.cancel(effect.id);
+        break;
+      case 'run': {
+        const running = this._run(effect, ids);
+        if (running) done.push(running);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Start a run effect.
+   * @param {Effect} effect
+   * @param {Array} ids - Ids of the cancellable merges it is part of
+   * @returns {Promise|null} Settles when it is done, null if it finished synchronously
+   * @private
+   */
+  _run(effect, ids) {
+    if (effect.id !== undefined && effect.cancelInFlight) this.cancel(effect.id);
+
+    const controller = new AbortController();
+    const { signal } = controller;
+    const untrack = this._trackController(effect.id !== undefined ? [...ids, effect.id] : ids, controller);
+    const send = (action) => {
+      if (!signal.aborted && action !== undefined) this._dispatch(action);
+    };
+    const fail = (error) => {
+      if (!signal.aborted) console.error('Store effect error:', error);
+    };
+
+    let result;
+    try {
+      result = effect.work(signal);
+    } catch (error) {
+      untrack();
+      fail(error);
+      return null;
+    }
+
+    let work;
+    if (result && typeof result[Symbol.asyncIterator] === 'function') {
+      work = (async () => {
+        for await (const action of result) {
+          if (signal.aborted) break;
+          send(action);
+        }
+      })();
+    } else if (result && typeof result.then === 'function') {
+      work = result.then(send);
+    } else {
+      untrack();
+      send(result);
+      return null;
+    }
+
+    // A cancelled effect is done right away, even if its promise never settles
+    let running = null;
+    const finish = () => {
+      untrack();
+      this._running.delete(running);
+    };
+    const aborted = new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+    signal.addEventListener('abort', finish, { once: true });
+    running = Promise.race([work.then(undefined, fail), aborted]).finally(finish);
+    this._running.add(running);
+    return running;
+  }
+
+  /**
+   * Remember a running effect so it can be cancelled.
+   * @param {Array} ids - Ids cancelling it, empty if it has none
+   * @param {AbortController} controller
+   * @returns {Function} Forgets it
+   * @private
+   */
+  _trackController(ids, controller) {
+    if (ids.length === 0) {
+      this._uncancellable.add(controller);
+      return () => this._uncancellable.delete(controller);
+    }
+    const forget = ids.map((id) => {
+      let controllers = this._cancellables.get(id);
+      if (!controllers) {
+        controllers = new Set();
+        this._cancellables.set(id, controllers);
+      }
+      controllers.add(controller);
+      return () => {
+        controllers.delete(controller);
+        if (controllers.size === 0 && this._cancellables.get(id) === controllers) {
+          this._cancellables.delete(id);
+        }
+      };
+    });
+    return () => forget.forEach(untrack => untrack());
+  }
+}
+
+/**
+ * Create a store.
+ *
+ * @param {*} initialState
+ * @param {Function} reducer - (state, action, environment) => state | withEffects(state, ...effects)
+ * @param {*} [environment] - Dependencies passed to the reducer
+ * @returns {ReducerStore}
+ */
+export function Store(initialState, reducer, environment) {
+  return new ReducerStore(initialState, reducer, environment);
+}
+
+/**
+ * Deep equality of plain data (state and actions).
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function format(value) {
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * A store for tests asserting every state change, in order.
+ *
+ * `send(action, expected)` reduces the action and checks the state after
+ * it. Actions sent by effects are reduced as they arrive and queued; each
+ * must be checked with `receive(action, expected)`, in order, before the
+ * next send(). `expected` is the state, or a function from the previous
+ * state to it. Effects returning values settle synchronously; await
+ * `settled()` before receiving the actions of async ones. `finish()`
+ * checks that nothing was left unchecked.
+ *
+ * @example
+ * const store = new TestStore({ query: '', listings: [] }, searchReducer, {
+ *   api: { search: () => [{ title: 'Loft' }] }
+ * });
+ * store.send(SearchAction.queryChanged('Paris'), state => ({ ...state, query: 'Paris' }));
+ * store.receive(SearchAction.results([{ title: 'Loft' }]),
+ *   state => ({ ...state, listings: [{ title: 'Loft' }] }));
+ * store.finish();
+ */
+export class TestStore extends ReducerStore {
+  constructor(initialState, reducer, environment) {
+    super(initialState, reducer, environment);
+    /** @type {Array<{action: *, state: *}>} Every reduced action, in order */
+    this.changes = [];
+    /** @type {Array<{action: *, previous: *, state: *}>} Effect actions not yet received */
+    this._received = [];
+    this._previous = initialState;
+  }
+
+  /**
+   * Send an action and check the state after it.
+   *
+   * @param {*} action
+   * @param {*|Function} [expected] - Expected state, or (previous state) => expected state
+   * @returns {Promise<void>} Settles when the effects it started are done
+   */
+  send(action, expected) {
+    if (this._received.length > 0) {
+      throw new Error(`TestStore: must receive ${format(this._received[0].action)} before sending ${format(action)}`);
+    }
+    const previous = this._state._value;
+    this._current = [];
+    const running = this._dispatch(action);
+    const [own] = this._current.splice(0, 1);
+    this._received.push(...this._current);
+    this._current = null;
+
+    if (arguments.length > 1) this._expectState(action, previous, own.state, expected);
+    return running;
+  }
+
+  /**
+   * Check the next action sent by an effect and the state after it.
+   *
+   * @param {*|Function} action - Expected action, or a predicate
+   * @param {*|Function} [expected] - Expected state, or (previous state) => expected state
+   */
+  receive(action, expected) {
+    const next = this._received[0];
+    if (!next) {
+      throw new Error('TestStore: expected to receive an action, but none was sent' +
+        (this.runningEffects > 0 ? ' yet (await store.settled() first)' : ''));
+    }
+    const matches = typeof action === 'function' ? action(next.action) : isEqual(next.action, action);
+    if (!matches) {
+      throw new Error(`TestStore: received ${format(next.action)}, expected ${format(action)}`);
+    }
+    this._received.shift();
+    if (arguments.length > 1) this._expectState(next.action, next.previous, next.state, expected);
+  }
+
+  /**
+   * Check that every action sent by effects was received, and no effect
+   * is still running.
+   */
+  finish() {
+    if (this._received.length > 0) {
+      throw new Error(`TestStore: ${this._received.length} action(s) not received: ` +
+        this._received.map(entry => format(entry.action)).join(', '));
+    }
+    if (this.runningEffects > 0) {
+      throw new Error(`TestStore: ${this.runningEffects} effect(s) still running`);
+    }
+  }
+
+  /** @protected */
+  _didReduce(action, state) {
+    const entry = { action, previous: this._previous, state };
+    this._previous = state;
+    this.changes.push({ action, state });
+    if (this._current) {
+      this._current.push(entry);
+    } else {
+      this._received.push(entry);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _expectState(action, previous, actual, expected) {
+    const state = typeof expected === 'function' ? expected(previous) : expected;
+    if (!isEqual(actual, state)) {
+      throw new Error(`TestStore: state after ${format(action)} was ${format(actual)}, expected ${format(state)}`);
+    }
+  }
+}
+
+export default {
+  Store,
+  ReducerStore,
+  StoreScope,
+  TestStore,
+  Effect,
+  withEffects
+};
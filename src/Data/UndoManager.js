@@ -0,0 +1,332 @@
+/**
+ * UndoManager - Undo and redo of state changes
+ *
+ * Matches SwiftUI's UndoManager (@Environment(\.undoManager)). The shared
+ * manager is available as `Environment.get(EnvironmentValues.undoManager)`
+ * and records, without extra code:
+ * - values set through a Binding (`binding.value = x`, so every control)
+ * - changes made inside `ObservableObject.batch()`, as one change
+ *
+ * Changes are grouped per user gesture: everything recorded until the end
+ * of the Scheduler flush (event handlers run in one) is undone together.
+ * `perform(name, fn)` groups explicitly and names the action;
+ * `registerUndo(undo, redo)` records anything else.
+ *
+ * `canUndo`, `canRedo`, `undoActionName` and `redoActionName` are
+ * published properties: components reading them re-render when they change.
+ * Apps handle Cmd/Ctrl+Z (undo) and Cmd/Ctrl+Shift+Z or Ctrl+Y (redo) at
+ * their root element, except in text fields.
+ *
+ * @example
+ * const undoManager = Environment.get(EnvironmentValues.undoManager);
+ *
+ * HStack(
+ *   Button(undoManager.undoActionName ? `Undo ${undoManager.undoActionName}` : 'Undo',
+ *     () => undoManager.undo()).disabled(!undoManager.canUndo),
+ *   Button('Redo', () => undoManager.redo()).disabled(!undoManager.canRedo)
+ * )
+ *
+ * @example
+ * // Name the action and group the changes
+ * Button('Clear Completed', () => {
+ *   undoManager.perform('Clear Completed', () => {
+ *     todos.binding.value = todos.value.filter(todo => !todo.done);
+ *   });
+ * })
+ *
+ * @example
+ * // Changes outside Bindings and batch()
+ * const previous = todos.value;
+ * todos.value = [];
+ * undoManager.registerUndo(() => { todos.value = previous; }, () => { todos.value = []; });
+ */
+
+import { ObservableObject } from './ObservableObject.js';
+import { setUndoRegistrar } from './Binding.js';
+import { Environment, EnvironmentValues } from './Environment.js';
+import { scheduleWork, schedulePostFlush } from '../Core/Scheduler.js';
+
+/**
+ * Records undoable changes in groups and undoes / redoes them.
+ */
+export class UndoManager extends ObservableObject {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.levelsOfUndo=100] - Groups kept (0 for no limit)
+   */
+  constructor(options = {}) {
+    super();
+    this.levelsOfUndo = options.levelsOfUndo ?? 100;
+    // Its flags follow the app's changes; StateRecorder doesn't log them
+    this._excludeFromHistory = true;
+
+    this.published('canUndo', false);
+    this.published('canRedo', false);
+    this.published('undoActionName', '');
+    this.published('redoActionName', '');
+
+    /** @type {Array<{name: string, changes: Array}>} */
+    this._undoStack = [];
+    /** @type {Array<{name: string, changes: Array}>} */
+    this._redoStack = [];
+    /** @type {{name: string, changes: Array}|null} Group collecting changes */
+    this._group = null;
+    this._groupingDepth = 0;
+    this._disabledDepth = 0;
+    this._isUndoing = false;
+    this._isRedoing = false;
+
+    // Close the implicit group once the current flush is done
+    this._boundCloseGroup = () => {
+      if (this._groupingDepth === 0) this._closeGroup();
+    };
+    this._boundEndGesture = () => schedulePostFlush(this._boundCloseGroup);
+  }
+
+  /**
+   * Whether an undo is in progress.
+   * @returns {boolean}
+   */
+  get isUndoing() {
+    return this._isUndoing;
+  }
+
+  /**
+   * Whether a redo is in progress.
+   * @returns {boolean}
+   */
+  get isRedoing() {
+    return this._isRedoing;
+  }
+
+  /**
+   * Whether changes are being recorded.
+   * @returns {boolean}
+   */
+  get isUndoRegistrationEnabled() {
+    return this._disabledDepth === 0;
+  }
+
+  /**
+   * Record a change.
+   *
+   * @param {Function} undo - Reverts the change
+   * @param {Function} redo - Applies it again
+   */
+  registerUndo(undo, redo) {
+    if (this._disabledDepth > 0) return;
+    this._currentGroup().changes.push({ undo, redo });
+    this._redoStack.length = 0;
+    this._updateFlags();
+  }
+
+  /**
+   * Name the action of the changes being recorded (shown as "Undo <name>").
+   * @param {string} name
+   */
+  setActionName(name) {
+    this._currentGroup().name = name;
+    this._updateFlags();
+  }
+
+  /**
+   * Record the changes made by `fn` as one named action.
+   *
+   * @param {string} name - Action name
+   * @param {Function} fn - Makes the changes
+   * @returns {*} Whatever fn returns
+   */
+  perform(name, fn) {
+    this.beginUndoGrouping();
+    try {
+      if (name) this.setActionName(name);
+      return fn();
+    } finally {
+      this.endUndoGrouping();
+    }
+  }
+
+  /**
+   * Start a group: changes until the matching endUndoGrouping() are undone
+   * together. Groups nest; the outermost one counts.
+   */
+  beginUndoGrouping() {
+    if (this._groupingDepth === 0) this._closeGroup();
+    this._groupingDepth++;
+  }
+
+  /**
+   * End a group started with beginUndoGrouping().
+   */
+  endUndoGrouping() {
+    if (this._groupingDepth === 0) {
+      throw new Error('endUndoGrouping() called without beginUndoGrouping()');
+    }
+    this._groupingDepth--;
+    if (this._groupingDepth === 0) this._closeGroup();
+  }
+
+  /**
+   * Stop recording changes until enableUndoRegistration().
+   */
+  disableUndoRegistration() {
+    this._disabledDepth++;
+  }
+
+  /**
+   * Record changes again after disableUndoRegistration().
+   */
+  enableUndoRegistration() {
+    if (this._disabledDepth > 0) this._disabledDepth--;
+  }
+
+  /**
+   * Revert the last group of changes.
+   * @returns {boolean} Whether there was something to undo
+   */
+  undo() {
+    this._closeGroup();
+    const group = this._undoStack.pop();
+    if (!group) return false;
+
+    this._isUndoing = true;
+    this._replay(group.changes.slice().reverse(), 'undo');
+    this._isUndoing = false;
+
+    this._redoStack.push(group);
+    this._updateFlags();
+    return true;
+  }
+
+  /**
+   * Apply the last undone group of changes again.
+   * @returns {boolean} Whether there was something to redo
+   */
+  redo() {
+    this._closeGroup();
+    const group = this._redoStack.pop();
+    if (!group) return false;
+
+    this._isRedoing = true;
+    this._replay(group.changes, 'redo');
+    this._isRedoing = false;
+
+    this._undoStack.push(group);
+    this._updateFlags();
+    return true;
+  }
+
+  /**
+   * Forget all recorded changes.
+   */
+  removeAllActions() {
+    this._group = null;
+    this._undoStack.length = 0;
+    this._redoStack.length = 0;
+    this._updateFlags();
+  }
+
+  /**
+   * Run the undo or redo functions of changes without recording them.
+   * @param {Array} changes
+   * @param {string} direction - 'undo' or 'redo'
+   */
+  _replay(changes, direction) {
+    this.disableUndoRegistration();
+    try {
+      for (const change of changes) {
+        try {
+          change[direction]();
+        } catch (error) {
+          console.error(`UndoManager ${direction} error:`, error);
+        }
+      }
+    } finally {
+      this.enableUndoRegistration();
+    }
+  }
+
+  /**
+   * The group collecting changes, opening one that closes with the current
+   * gesture when needed.
+   * @returns {{name: string, changes: Array}}
+   */
+  _currentGroup() {
+    if (!this._group) {
+      this._group = { name: '', changes: [] };
+      if (this._groupingDepth === 0) scheduleWork(this._boundEndGesture);
+    }
+    return this._group;
+  }
+
+  /**
+   * Move the open group, if it has changes, onto the undo stack.
+   */
+  _closeGroup() {
+    const group = this._group;
+    if (!group) return;
+    this._group = null;
+    if (group.changes.length === 0) return;
+
+    this._undoStack.push(group);
+    if (this.levelsOfUndo > 0 && this._undoStack.length > this.levelsOfUndo) {
+      this._undoStack.shift();
+    }
+    this._updateFlags();
+  }
+
+  /**
+   * Update the published flags.
+   */
+  _updateFlags() {
+    const pending = this._group && this._group.changes.length > 0 ? this._group : null;
+    const nextUndo = pending || this._undoStack[this._undoStack.length - 1];
+    const nextRedo = pending ? null : this._redoStack[this._redoStack.length - 1];
+
+    this.canUndo = Boolean(nextUndo);
+    this.canRedo = Boolean(nextRedo);
+    this.undoActionName = nextUndo?.name ?? '';
+    this.redoActionName = nextRedo?.name ?? '';
+  }
+}
+
+/**
+ * Handle the undo / redo keyboard shortcuts with the undo manager in the
+ * Environment. Used by App on its root element. Text fields keep the
+ * browser's own text undo.
+ *
+ * @param {KeyboardEvent} event
+ * @returns {boolean} Whether the event was handled
+ */
+export function handleUndoShortcut(event) {
+  if (!(event.metaKey || event.ctrlKey) || event.altKey) return false;
+  const target = event.target;
+  if (target?.isContentEditable || /^(INPUT|TEXTAREA)$/.test(target?.tagName)) return false;
+
+  const key = event.key.toLowerCase();
+  const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && event.ctrlKey && !event.shiftKey);
+  if (key !== 'z' && !isRedo) return false;
+
+  const manager = Environment.get(EnvironmentValues.undoManager);
+  if (!manager || !(isRedo ? manager.canRedo : manager.canUndo)) return false;
+
+  event.preventDefault();
+  if (isRedo) {
+    manager.redo();
+  } else {
+    manager.undo();
+  }
+  return true;
+}
+
+// Shared manager; changes go to whichever manager the Environment holds.
+// package.json lists this module under sideEffects so bundlers keep it
+Environment.set(EnvironmentValues.undoManager, new UndoManager());
+setUndoRegistrar((undo, redo) => {
+  Environment.get(EnvironmentValues.undoManager)?.registerUndo(undo, redo);
+});
+
+export default {
+  UndoManager,
+  handleUndoShortcut
+};
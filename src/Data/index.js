@@ -3,6 +3,12 @@
  * Contains state management components for the SwiftUI-For-Web framework
  */
 
-export { State, createState } from './State.js';
+export { State, createState, useState } from './State.js';
+export { AppStorage, SceneStorage, StorageCodec, StorageState } from './AppStorage.js';
+export { Computed, ComputedValue } from './Computed.js';
 export { Binding, createBinding } from './Binding.js';
 export { ObservableObject, Published, createObservable } from './ObservableObject.js';
+export { UndoManager } from './UndoManager.js';
+export { StateRecorder } from './StateRecorder.js';
+export { Query, QueryClient, QueryResult, Mutation, MutationResult } from './Query.js';
+export { Store, ReducerStore, StoreScope, TestStore, Effect, withEffects } from './Store.js';
@@ -12,31 +12,8 @@
  * )
  */
 
-import {
-  createDescriptor,
-  addModifier,
-  setKey,
-  createModifier,
-  ModifierType
-} from '../Core/ViewDescriptor.js';
-
-/**
- * Create a chainable descriptor with modifier methods
- */
-function chainable(descriptor) {
-  const chain = Object.create(null);
-  Object.assign(chain, descriptor);
-
-  chain.padding = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.PADDING, value)));
-  chain.frame = (options) => chainable(addModifier(descriptor, createModifier(ModifierType.FRAME, options)));
-  chain.foregroundColor = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.FOREGROUND_COLOR, color)));
-  chain.background = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.BACKGROUND, color)));
-  chain.opacity = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.OPACITY, value)));
-  chain.id = (key) => chainable(setKey(descriptor, key));
-  chain.modifier = (mod) => chainable(addModifier(descriptor, createModifier(ModifierType.CUSTOM, mod)));
-
-  return Object.freeze(chain);
-}
+import { createDescriptor } from '../Core/ViewDescriptor.js';
+import { chainable } from '../Core/Chainable.js';
 
 /**
  * Divider - Visual separator
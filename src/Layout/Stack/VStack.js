@@ -19,50 +19,24 @@
  * )
  */
 
-import {
-  createDescriptor,
-  addModifier,
-  setKey,
-  createModifier,
-  ModifierType
-} from '../../Core/ViewDescriptor.js';
+import { createDescriptor } from '../../Core/ViewDescriptor.js';
+import { chainable } from '../../Core/Chainable.js';
 
 /**
- * Create a chainable descriptor with modifier methods
+ * Add the TabView modifiers of a stack to its chainable descriptor
  */
-function chainable(descriptor) {
-  const chain = Object.create(null);
-  Object.assign(chain, descriptor);
-
-  chain.padding = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.PADDING, value)));
-  chain.frame = (options) => chainable(addModifier(descriptor, createModifier(ModifierType.FRAME, options)));
-  chain.foregroundColor = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.FOREGROUND_COLOR, color)));
-  chain.background = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.BACKGROUND, color)));
-  chain.font = (font) => chainable(addModifier(descriptor, createModifier(ModifierType.FONT, font)));
-  chain.opacity = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.OPACITY, value)));
-  chain.cornerRadius = (radius) => chainable(addModifier(descriptor, createModifier(ModifierType.CORNER_RADIUS, radius)));
-  chain.border = (color, width = 1) => chainable(addModifier(descriptor, createModifier(ModifierType.BORDER, { color, width })));
-  chain.shadow = (options) => chainable(addModifier(descriptor, createModifier(ModifierType.SHADOW, options)));
-  chain.onTapGesture = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_TAP, handler)));
-  chain.onAppear = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_APPEAR, handler)));
-  chain.onDisappear = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_DISAPPEAR, handler)));
-  chain.clipShape = (shape) => chainable(addModifier(descriptor, createModifier(ModifierType.CLIP_SHAPE, shape)));
-  chain.id = (key) => chainable(setKey(descriptor, key));
-  chain.modifier = (mod) => chainable(addModifier(descriptor, createModifier(ModifierType.CUSTOM, mod)));
-
+function addStackModifiers(chain, descriptor, next) {
   // TabView support - store tabItem builder function
   chain.tabItem = (builder) => {
     const newDesc = createDescriptor(descriptor.type, { ...descriptor.props, _tabItem: builder }, descriptor.children, descriptor.key, descriptor.modifiers);
-    return chainable(newDesc);
+    return next(newDesc);
   };
 
   // TabView support - store tag for identification
   chain.tag = (value) => {
     const newDesc = createDescriptor(descriptor.type, { ...descriptor.props, _tag: value }, descriptor.children, descriptor.key, descriptor.modifiers);
-    return chainable(newDesc);
+    return next(newDesc);
   };
-
-  return Object.freeze(chain);
 }
 
 /**
@@ -99,7 +73,7 @@ export function VStack(optionsOrChildren, ...children) {
   return chainable(createDescriptor('VStack', {
     alignment: options.alignment ?? 'center',
     spacing: options.spacing ?? 8
-  }, actualChildren));
+  }, actualChildren), addStackModifiers);
 }
 
 export default VStack;
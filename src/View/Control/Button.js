@@ -14,52 +14,38 @@
  *   .background(Color.blue)
  *   .foregroundColor(Color.white)
  *   .cornerRadius(8)
+ *
+ * // With a role (used by alerts and confirmation dialogs)
+ * Button('Delete', { role: ButtonRole.destructive }, deleteItem)
  */
 
-import {
-  createDescriptor,
-  addModifier,
-  setKey,
-  createModifier,
-  ModifierType
-} from '../../Core/ViewDescriptor.js';
+import { createDescriptor } from '../../Core/ViewDescriptor.js';
+import { chainable } from '../../Core/Chainable.js';
 
 /**
- * Create a chainable descriptor with Button-specific modifier methods
+ * Button roles (matches SwiftUI's ButtonRole)
+ * - cancel: closes without doing anything; last in dialogs, Escape runs it
+ * - destructive: deletes or discards data; shown in red
  */
-function chainable(descriptor) {
-  const chain = Object.create(null);
-  Object.assign(chain, descriptor);
-
-  // Standard modifiers
-  chain.padding = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.PADDING, value)));
-  chain.frame = (options) => chainable(addModifier(descriptor, createModifier(ModifierType.FRAME, options)));
-  chain.foregroundColor = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.FOREGROUND_COLOR, color)));
-  chain.background = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.BACKGROUND, color)));
-  chain.font = (font) => chainable(addModifier(descriptor, createModifier(ModifierType.FONT, font)));
-  chain.opacity = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.OPACITY, value)));
-  chain.cornerRadius = (radius) => chainable(addModifier(descriptor, createModifier(ModifierType.CORNER_RADIUS, radius)));
-  chain.border = (color, width = 1) => chainable(addModifier(descriptor, createModifier(ModifierType.BORDER, { color, width })));
-  chain.shadow = (options) => chainable(addModifier(descriptor, createModifier(ModifierType.SHADOW, options)));
-  chain.onTapGesture = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_TAP, handler)));
-  chain.onAppear = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_APPEAR, handler)));
-  chain.onDisappear = (handler) => chainable(addModifier(descriptor, createModifier(ModifierType.ON_DISAPPEAR, handler)));
-  chain.clipShape = (shape) => chainable(addModifier(descriptor, createModifier(ModifierType.CLIP_SHAPE, shape)));
-  chain.id = (key) => chainable(setKey(descriptor, key));
-  chain.modifier = (mod) => chainable(addModifier(descriptor, createModifier(ModifierType.CUSTOM, mod)));
+export const ButtonRole = Object.freeze({
+  cancel: 'cancel',
+  destructive: 'destructive'
+});
 
+/**
+ * Add the Button-specific modifier methods to a chainable descriptor
+ */
+function addButtonModifiers(chain, descriptor, next) {
   // Button-specific modifiers
   chain.disabled = (isDisabled = true) => {
     const newProps = { ...descriptor.props, isDisabled };
-    return chainable(createDescriptor('Button', newProps, descriptor.children, descriptor.key, descriptor.modifiers));
+    return next(createDescriptor('Button', newProps, descriptor.children, descriptor.key, descriptor.modifiers));
   };
 
   chain.buttonStyle = (style) => {
     const newProps = { ...descriptor.props, buttonStyle: style };
-    return chainable(createDescriptor('Button', newProps, descriptor.children, descriptor.key, descriptor.modifiers));
+    return next(createDescriptor('Button', newProps, descriptor.children, descriptor.key, descriptor.modifiers));
   };
-
-  return Object.freeze(chain);
 }
 
 /**
@@ -68,9 +54,11 @@ function chainable(descriptor) {
  * Supports multiple call signatures:
  * - Button(label, action) - String label with action
  * - Button(action, label) - SwiftUI-style with action first
+ * - Button(label, { role }, action) - With a ButtonRole
  *
  * @param {string|Function|Object} labelOrAction - Button label string, action function, or label view
- * @param {Function|Object} [actionOrLabel] - Action function or label view
+ * @param {Function|Object} [actionOrLabel] - Action function, label view, or { role }
+ * @param {Function} [roleAction] - Action function when options are given
  * @returns {Object} Chainable view descriptor
  *
  * @example
@@ -79,10 +67,17 @@ function chainable(descriptor) {
  *   .buttonStyle('borderedProminent')
  *   .disabled(isLoading)
  */
-export function Button(labelOrAction, actionOrLabel) {
+export function Button(labelOrAction, actionOrLabel, roleAction) {
   let label = null;
   let action = () => {};
   let children = [];
+  let role = null;
+
+  // Button(label, { role }, action)
+  if (actionOrLabel && typeof actionOrLabel === 'object' && !actionOrLabel.type && !actionOrLabel.$$typeof) {
+    role = actionOrLabel.role ?? null;
+    actionOrLabel = roleAction;
+  }
 
   // Parse arguments to support multiple signatures
   if (typeof labelOrAction === 'string') {
@@ -112,8 +107,9 @@ export function Button(labelOrAction, actionOrLabel) {
     label,
     action,
     isDisabled: false,
-    buttonStyle: 'default'
-  }, children));
+    buttonStyle: 'default',
+    role
+  }, children), addButtonModifiers);
 }
 
 export default Button;
@@ -3,7 +3,7 @@
  * Contains interactive control components for the SwiftUI-For-Web framework
  */
 
-export { Button, ButtonView } from './Button.js';
+export { Button, ButtonView, ButtonRole } from './Button.js';
 export { TextField, TextFieldView, SecureField, SecureFieldView } from './TextField.js';
 export { Toggle, ToggleView } from './Toggle.js';
 export { Slider, SliderView } from './Slider.js';
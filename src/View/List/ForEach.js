@@ -4,35 +4,170 @@
  * Iterates over a collection and creates views for each element.
  * Uses immutable view descriptors for efficient rendering.
  *
+ * Given a Binding to an array, each row receives a Binding to its element
+ * instead of the element. Row bindings find their element by id (the `id`
+ * option, 'id' by default), not by index, so a row keeps editing the same
+ * element after others are inserted, removed or moved.
+ *
+ * `.onDelete(action)` and `.onMove(action)` make rows deletable (Delete or
+ * Backspace on a focused row) and reorderable (dragging a row). Over a
+ * Binding the action can be left out: rows are removed or moved in the
+ * bound array.
+ *
  * @example
  * ForEach(items, item => Text(item.name))
  * ForEach(items, { id: 'id' }, item => Text(item.name))
+ *
+ * @example
+ * ForEach(todos.binding, todo =>
+ *   Toggle(todo.value.title, todo.property('done'))
+ * ).onDelete().onMove()
  */
 
 import {
   createDescriptor,
   addModifier,
   setKey,
+  isDescriptor,
   createModifier,
   ModifierType
 } from '../../Core/ViewDescriptor.js';
+import { chainable } from '../../Core/Chainable.js';
+import { Binding } from '../../Data/Binding.js';
 
 /**
- * Create a chainable descriptor with modifier methods
+ * The edit modifiers (onDelete / onMove) of a ForEach
+ * @param {Binding|null} binding - Array binding of a ForEach over a Binding
+ * @returns {Function} Extension for chainable()
  */
-function chainable(descriptor) {
-  const chain = Object.create(null);
-  Object.assign(chain, descriptor);
-
-  chain.padding = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.PADDING, value)));
-  chain.frame = (options) => chainable(addModifier(descriptor, createModifier(ModifierType.FRAME, options)));
-  chain.foregroundColor = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.FOREGROUND_COLOR, color)));
-  chain.background = (color) => chainable(addModifier(descriptor, createModifier(ModifierType.BACKGROUND, color)));
-  chain.opacity = (value) => chainable(addModifier(descriptor, createModifier(ModifierType.OPACITY, value)));
-  chain.id = (key) => chainable(setKey(descriptor, key));
-  chain.modifier = (mod) => chainable(addModifier(descriptor, createModifier(ModifierType.CUSTOM, mod)));
-
-  return Object.freeze(chain);
+function editModifiers(binding) {
+  return (chain, descriptor, next) => {
+    chain.onDelete = (action) => next(withEditAction(descriptor, binding, 'onDelete', action));
+    chain.onMove = (action) => next(withEditAction(descriptor, binding, 'onMove', action));
+  };
+}
+
+/**
+ * Makes a row of a ForEach with onDelete focusable, so keyboard users can
+ * reach it and delete it with the Delete key.
+ */
+const focusableRow = createModifier(ModifierType.CUSTOM, (element) => {
+  if (!element.hasAttribute('tabindex')) element.tabIndex = 0;
+});
+
+/**
+ * The descriptor with an edit action (onDelete / onMove) set. Without an
+ * action, a ForEach over a Binding edits the bound array.
+ *
+ * @param {Object} descriptor - ForEach descriptor
+ * @param {Binding|null} binding - Array binding it iterates, if any
+ * @param {string} name - 'onDelete' or 'onMove'
+ * @param {Function} [action] - onDelete(offsets) / onMove(offsets, destination)
+ * @returns {Object} New descriptor
+ */
+function withEditAction(descriptor, binding, name, action) {
+  let handler = action;
+  if (!handler) {
+    if (!binding) {
+      throw new Error(`ForEach ${name}() needs an action unless it iterates a Binding`);
+    }
+    handler = name === 'onDelete'
+      ? (offsets) => { binding.value = removeOffsets(binding.value, offsets); }
+      : (offsets, destination) => { binding.value = moveOffsets(binding.value, offsets, destination); };
+  }
+  let children = descriptor.children;
+  if (name === 'onDelete') {
+    children = children.map(child => isDescriptor(child) && !child.modifiers.includes(focusableRow)
+      ? addModifier(child, focusableRow)
+      : child);
+  }
+  return createDescriptor(
+    descriptor.type,
+    { ...descriptor.props, [name]: handler },
+    children,
+    descriptor.key,
+    descriptor.modifiers
+  );
+}
+
+/**
+ * A copy of an array without the elements at some offsets.
+ * @param {Array} array
+ * @param {Iterable<number>} offsets
+ * @returns {Array}
+ */
+function removeOffsets(array, offsets) {
+  const removed = new Set(offsets);
+  return array.filter((_, index) => !removed.has(index));
+}
+
+/**
+ * A copy of an array with the elements at some offsets moved before the
+ * element at `destination` (an offset in the original array; its length
+ * moves them to the end), like SwiftUI's move(fromOffsets:toOffset:).
+ *
+ * @param {Array} array
+ * @param {Iterable<number>} offsets
+ * @param {number} destination
+ * @returns {Array}
+ */
+function moveOffsets(array, offsets, destination) {
+  const moving = new Set(offsets);
+  const moved = array.filter((_, index) => moving.has(index));
+  const before = array.slice(0, destination).filter((_, index) => !moving.has(index));
+  const after = array.slice(destination).filter((_, index) => !moving.has(index + destination));
+  return [...before, ...moved, ...after];
+}
+
+/**
+ * The id of an element.
+ * @param {*} item
+ * @param {string|Function|null} idKey
+ * @param {number} index - Used when there is no id key
+ * @returns {*}
+ */
+function idOf(item, idKey, index) {
+  if (!idKey) return index;
+  return typeof idKey === 'function' ? idKey(item) : item[idKey];
+}
+
+/**
+ * A Binding to the element of an array binding with a given id. The
+ * element's last known offset is tried first.
+ *
+ * @param {Binding} binding - Binding to the array
+ * @param {*} id
+ * @param {string|Function} idKey
+ * @param {number} index - Offset of the element when the row was built
+ * @returns {Binding}
+ */
+function elementBinding(binding, id, idKey, index) {
+  let offset = index;
+  const find = (array) => {
+    if (!Array.isArray(array)) return -1;
+    if (offset >= 0 && offset < array.length && Object.is(idOf(array[offset], idKey, offset), id)) return offset;
+    offset = array.findIndex(item => Object.is(idOf(item, idKey), id));
+    return offset;
+  };
+
+  // Writes go through the array binding's setter, like Binding.index():
+  // the element binding registers the undoable change
+  return new Binding(
+    () => {
+      const array = binding._get();
+      const found = find(array);
+      return found === -1 ? undefined : array[found];
+    },
+    (newValue) => {
+      const array = binding._get();
+      const found = find(array);
+      // The element was removed: nothing to write to
+      if (found === -1) return;
+      const copy = [...array];
+      copy[found] = newValue;
+      binding._set(copy);
+    }
+  );
 }
 
 /**
@@ -81,6 +216,10 @@ export function ForEach(data, optionsOrContent, contentFn) {
     throw new Error('ForEach requires a content function');
   }
 
+  if (data instanceof Binding) {
+    return forEachBinding(data, idKey || 'id', builderFn);
+  }
+
   // Handle range syntax
   let actualData = data;
   if (data && typeof data === 'object' && 'start' in data && 'end' in data) {
@@ -95,28 +234,50 @@ export function ForEach(data, optionsOrContent, contentFn) {
     actualData = [];
   }
 
-  // Build children with keys
+  // Build children with keys, remembering each row's offset in the data
+  const offsets = new Map();
   const children = actualData.map((item, index) => {
     const child = builderFn(item, index);
     if (child == null) return null;
 
     // Set key based on idKey or index
-    let key;
-    if (idKey) {
-      if (typeof idKey === 'function') {
-        key = idKey(item);
-      } else {
-        key = item[idKey];
-      }
-    } else {
-      key = index;
-    }
+    const key = idOf(item, idKey, index);
+    offsets.set(key, index);
 
     // Use the id method if available, otherwise use setKey
     return child.id ? child.id(key) : setKey(child, key);
   }).filter(c => c != null);
 
-  return chainable(createDescriptor('ForEach', { idKey }, children));
+  return chainable(
+    createDescriptor('ForEach', { idKey, _offsetOf: (key) => offsets.get(key) }, children),
+    editModifiers(null)
+  );
+}
+
+/**
+ * ForEach over a Binding to an array: rows receive element bindings.
+ *
+ * @param {Binding} binding
+ * @param {string|Function} idKey
+ * @param {Function} builderFn - (elementBinding, index) => view
+ * @returns {Object} Chainable view descriptor
+ */
+function forEachBinding(binding, idKey, builderFn) {
+  const items = Array.isArray(binding.value) ? binding.value : [];
+
+  const offsets = new Map();
+  const children = items.map((item, index) => {
+    const key = idOf(item, idKey, index);
+    const child = builderFn(elementBinding(binding, key, idKey, index), index);
+    if (child == null) return null;
+    offsets.set(key, index);
+    return child.id ? child.id(key) : setKey(child, key);
+  }).filter(c => c != null);
+
+  return chainable(
+    createDescriptor('ForEach', { idKey, _offsetOf: (key) => offsets.get(key) }, children),
+    editModifiers(binding)
+  );
 }
 
 export default ForEach;
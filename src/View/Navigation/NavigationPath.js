@@ -20,18 +20,184 @@
  *
  * // Reset to root
  * path.clear();
+ *
+ * @example
+ * // Save and restore a path holding class instances
+ * registerCodableType('Listing', Listing);
+ * const saved = path.codable.toJSON();
+ * const restored = NavigationPath.fromCodable(CodableRepresentation.fromJSON(saved));
  */
 
 import { ObservableObject, Published } from '../../Data/ObservableObject.js';
+import { registerStateSource, recordStateChange } from '../../Data/StateRecorder.js';
+
+/**
+ * Registry of codable path value types
+ * Maps type tag to { tag, type, encode, decode }
+ * @type {Map<string, Object>}
+ */
+const codableTypes = new Map();
+
+/**
+ * Tag of JSON values (strings, numbers, booleans, null, plain objects and arrays)
+ */
+const JSON_TAG = 'json';
+
+/**
+ * Register a class whose instances can be saved in a NavigationPath.
+ * By default its own properties are saved, and restored onto a new
+ * object with the class prototype (the constructor isn't called).
+ *
+ * @param {string} tag - Stable name stored with each encoded value
+ * @param {Function} type - The class
+ * @param {Object} [codec] - Custom conversion
+ * @param {Function} [codec.encode] - Instance to a JSON value
+ * @param {Function} [codec.decode] - JSON value to an instance
+ */
+export function registerCodableType(tag, type, codec = {}) {
+  if (typeof tag !== 'string' || tag === JSON_TAG) {
+    throw new Error(`registerCodableType: "${tag}" can't be used as a type tag`);
+  }
+  if (typeof type !== 'function') {
+    throw new Error(`registerCodableType: "${tag}" needs a class`);
+  }
+  const existing = codableTypes.get(tag);
+  if (existing && existing.type !== type) {
+    throw new Error(`registerCodableType: "${tag}" is already registered for ${existing.type.name}`);
+  }
+  codableTypes.set(tag, {
+    tag,
+    type,
+    encode: codec.encode ?? (value => ({ ...value })),
+    decode: codec.decode ?? (data => Object.assign(Object.create(type.prototype), data))
+  });
+}
+
+registerCodableType('Date', Date, {
+  encode: date => date.toISOString(),
+  decode: text => new Date(text)
+});
+
+/**
+ * The registered codable type of a class instance
+ * @param {Object} value
+ * @returns {Object} Registry entry
+ * @private
+ */
+function codableFor(value) {
+  const codable = [...codableTypes.values()].find(entry => entry.type === value.constructor);
+  if (!codable) {
+    throw new Error(
+      `NavigationPath: ${value.constructor?.name ?? 'value'} is not a codable type; ` +
+      'register it with registerCodableType(tag, type)'
+    );
+  }
+  return codable;
+}
+
+/**
+ * Encode a value as JSON. Registered class instances, at any depth, become
+ * `{ $type, value }` objects; plain objects that have a `$type` key of their
+ * own are wrapped as `{ $type: 'json', value }` so they read back as they were.
+ *
+ * @param {*} value
+ * @param {string} where - Description for errors
+ * @returns {*}
+ * @private
+ */
+function encodeData(value, where) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value !== 'object') {
+    throw new Error(`NavigationPath: can't encode ${typeof value} in ${where}`);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => encodeData(item, where));
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    const codable = codableFor(value);
+    return { $type: codable.tag, value: encodeData(codable.encode(value), `the encoded ${codable.tag}`) };
+  }
+
+  const data = {};
+  for (const key of Object.keys(value)) data[key] = encodeData(value[key], where);
+  return '$type' in data ? { $type: JSON_TAG, value: data } : data;
+}
+
+/**
+ * Decode a value written by encodeData()
+ * @param {*} data
+ * @returns {*}
+ * @private
+ */
+function decodeData(data) {
+  if (data === null || typeof data !== 'object') return data;
+  if (Array.isArray(data)) return data.map(decodeData);
+  if (!('$type' in data)) return decodeFields(data);
+  if (data.$type === JSON_TAG) return decodeFields(data.value);
+
+  const codable = codableTypes.get(data.$type);
+  if (!codable) {
+    throw new Error(`NavigationPath: no codable type registered for "${data.$type}"`);
+  }
+  return codable.decode(decodeData(data.value));
+}
+
+/**
+ * Decode the values of a plain object
+ * @param {Object} data
+ * @returns {Object}
+ * @private
+ */
+function decodeFields(data) {
+  const value = {};
+  for (const key of Object.keys(data)) value[key] = decodeData(data[key]);
+  return value;
+}
+
+/**
+ * Encode a path value as a tagged entry
+ * @param {*} value
+ * @returns {{ $type: string, value: * }}
+ * @private
+ */
+function encodeValue(value) {
+  const prototype = value !== null && typeof value === 'object' ? Object.getPrototypeOf(value) : null;
+  if (prototype && prototype !== Object.prototype && !Array.isArray(value)) {
+    return encodeData(value, 'a path value');
+  }
+  return { $type: JSON_TAG, value: encodeData(value, 'a path value') };
+}
+
+/**
+ * Decode a tagged entry back into a path value
+ * @param {*} entry
+ * @returns {*}
+ * @private
+ */
+function decodeValue(entry) {
+  // Entries saved before values were tagged are plain JSON
+  if (entry === null || typeof entry !== 'object' || !('$type' in entry)) return entry;
+  if (entry.$type === JSON_TAG) return decodeData(entry.value);
+  return decodeData(entry);
+}
 
 /**
  * NavigationPath - Manages navigation state
  */
 export class NavigationPath {
+  /**
+   * @param {Array|CodableRepresentation} [initialPath] - Values, or a saved path
+   */
   constructor(initialPath = []) {
-    this._path = [...initialPath];
+    this._path = initialPath instanceof CodableRepresentation
+      ? initialPath.path.map(decodeValue)
+      : [...initialPath];
     this._subscribers = new Set();
     this._codable = null;
+    registerStateSource(this);
   }
 
   /**
@@ -63,8 +229,9 @@ export class NavigationPath {
    * @param {*} value - Value to append
    */
   append(value) {
+    const oldPath = this.path;
     this._path.push(value);
-    this._notifySubscribers();
+    this._changed(oldPath);
   }
 
   /**
@@ -73,18 +240,20 @@ export class NavigationPath {
    */
   removeLast(count = 1) {
     const toRemove = Math.min(count, this._path.length);
+    const oldPath = this.path;
     for (let i = 0; i < toRemove; i++) {
       this._path.pop();
     }
-    this._notifySubscribers();
+    this._changed(oldPath);
   }
 
   /**
    * Clear the entire path (return to root)
    */
   clear() {
+    const oldPath = this.path;
     this._path = [];
-    this._notifySubscribers();
+    this._changed(oldPath);
   }
 
   /**
@@ -114,6 +283,37 @@ export class NavigationPath {
     return () => this._subscribers.delete(callback);
   }
 
+  /**
+   * Record a change for StateRecorder and notify subscribers
+   * @param {Array} oldPath - Path before the change
+   * @private
+   */
+  _changed(oldPath) {
+    recordStateChange(this, 'NavigationPath', 'path', oldPath, this.path);
+    this._notifySubscribers();
+  }
+
+  /**
+   * Replace the whole path as one recorded change (Router history navigation)
+   * @param {Array} path
+   * @private
+   */
+  _assign(path) {
+    const oldPath = this.path;
+    this._path = [...path];
+    this._changed(oldPath);
+  }
+
+  /**
+   * Replace the whole path (StateRecorder replay)
+   * @param {Array} path
+   * @private
+   */
+  _replacePath(path) {
+    this._path = [...path];
+    this._notifySubscribers();
+  }
+
   /**
    * Notify subscribers of changes
    * @private
@@ -139,30 +339,37 @@ export class NavigationPath {
    * @returns {NavigationPath}
    */
   static fromCodable(codable) {
-    return new NavigationPath(codable.path);
+    return new NavigationPath(codable);
   }
 }
 
 /**
  * CodableRepresentation - Codable representation of NavigationPath
+ *
+ * Each value is saved as a `{ $type, value }` entry: JSON values are tagged
+ * 'json', class instances with the tag given to registerCodableType().
+ * Class instances inside a value (an array of listings, an object holding
+ * a Date) are tagged the same way, and restored as instances too.
  */
 export class CodableRepresentation {
-  constructor(navigationPath) {
-    this._navigationPath = navigationPath;
+  /**
+   * @param {NavigationPath|Array} source - A path, or already encoded entries
+   */
+  constructor(source) {
+    this._navigationPath = source instanceof NavigationPath ? source : null;
+    this._entries = source instanceof NavigationPath ? null : [...source];
   }
 
   /**
-   * Get path as JSON-serializable array
-   * @returns {Array}
+   * Get path as JSON-serializable array of tagged entries
+   * @returns {Array<{ $type: string, value: * }>}
+   * @throws {Error} When a value's class isn't registered
    */
   get path() {
-    return this._navigationPath.path.map(item => {
-      // Convert to plain objects for serialization
-      if (typeof item === 'object' && item !== null) {
-        return JSON.parse(JSON.stringify(item));
-      }
-      return item;
-    });
+    if (this._entries) {
+      return [...this._entries];
+    }
+    return this._navigationPath.path.map(encodeValue);
   }
 
   /**
@@ -179,8 +386,11 @@ export class CodableRepresentation {
    * @returns {CodableRepresentation}
    */
   static fromJSON(json) {
-    const path = JSON.parse(json);
-    return new CodableRepresentation(new NavigationPath(path));
+    const entries = JSON.parse(json);
+    if (!Array.isArray(entries)) {
+      throw new Error('CodableRepresentation: expected a JSON array of path entries');
+    }
+    return new CodableRepresentation(entries);
   }
 }
 
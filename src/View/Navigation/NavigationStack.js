@@ -11,12 +11,24 @@
  * // Push a new view
  * NavigationLink('View Details', MovieDetailView(movie))
  *
+ * // Or push a value; the view is built on tap by navigationDestination
+ * NavigationLink(movie.title, { value: movie })
+ *
  * // Or programmatically
  * navigator.push(MovieDetailView(movie));
+ *
+ * @example
+ * // Driven by a NavigationPath, with the URL kept in sync by a Router
+ * NavigationStack(HomeView(), { path, router })
+ *   .navigationDestination('listing', (listing) => ListingView(listing.id))
  */
 
 import { View } from '../../Core/View.js';
+import { VIEW_DESCRIPTOR } from '../../Core/ViewDescriptor.js';
+import { render as renderDescriptor } from '../../Core/Renderer.js';
 import { State } from '../../Data/State.js';
+import { onAppear, onDisappear } from '../../Core/LifecycleObserver.js';
+import { NavigationPath, NavigationDestination } from './NavigationPath.js';
 
 /**
  * Global navigation context for nested NavigationLinks
@@ -32,6 +44,23 @@ export function getCurrentNavigationStack() {
   return _currentNavigationStack;
 }
 
+/**
+ * Render a stack view: a View, a descriptor, or a function returning either
+ *
+ * @param {View|Object|Function|null} content - View to render
+ * @returns {Node|null} The rendered node
+ */
+function renderContent(content) {
+  const view = typeof content === 'function' ? content() : content;
+  if (view instanceof View) {
+    return view._render();
+  }
+  if (view && view.$$typeof === VIEW_DESCRIPTOR) {
+    return renderDescriptor(view);
+  }
+  return null;
+}
+
 /**
  * NavigationStackView class
  * @extends View
@@ -44,6 +73,9 @@ class NavigationStackView extends View {
    * @param {Object} [options] - Navigation options
    * @param {string} [options.transitionStyle='slide'] - Transition style: 'slide', 'fade', 'none'
    * @param {number} [options.transitionDuration=300] - Transition duration in ms
+   * @param {NavigationPath} [options.path] - Path whose values are pushed through navigationDestination
+   * @param {Router} [options.router] - Syncs the path with the URL (without a path, the router's
+   *   current path is used, or a new one is created)
    */
   constructor(root, options = {}) {
     super();
@@ -54,11 +86,65 @@ class NavigationStackView extends View {
     this._transitionDuration = options.transitionDuration ?? 300;
     this._container = null;
     this._title = new State('');
+    this._router = options.router ?? null;
+    // A stack rebuilt on re-render keeps following the path its router syncs
+    this._path = options.path ?? this._router?.navigationPath
+      ?? (this._router ? new NavigationPath() : null);
+    this._destinations = [];
+    this._unsubscribePath = null;
+    this._detachRouter = null;
+    this._pathAnimated = true;
 
     // Store reference for NavigationLink access
     this._navigationContext = this;
   }
 
+  /**
+   * The NavigationPath driving this stack, if any
+   *
+   * @returns {NavigationPath|null}
+   */
+  get path() {
+    return this._path;
+  }
+
+  /**
+   * Build the view for path values of a type
+   *
+   * @param {string|Function} dataType - A `type` string or a class
+   * @param {Function} destination - Builds the view from the value
+   * @returns {NavigationStackView} This stack, for chaining
+   */
+  navigationDestination(dataType, destination) {
+    this._destinations.push(new NavigationDestination(dataType, destination));
+    return this;
+  }
+
+  /**
+   * Navigate to a value: append it to the path, or without a path push the
+   * view its navigationDestination builds
+   *
+   * @param {*} value - Value to navigate to
+   * @param {string} [title] - Optional title for the view (without a path)
+   * @returns {boolean} False when no navigationDestination matches the value
+   */
+  navigate(value, title = '') {
+    const destination = this._destinationFor(value);
+    if (!destination) {
+      console.warn('NavigationStack: no navigationDestination matches', value,
+        '- add one with .navigationDestination(type, builder)');
+      return false;
+    }
+    if (this._path) {
+      this._path.append(value);
+      return true;
+    }
+    this._stack.push({ view: destination.build(value), title, value });
+    this._title.value = title;
+    this._animateTransition('push', true);
+    return true;
+  }
+
   /**
    * Push a view onto the navigation stack
    *
@@ -81,6 +167,12 @@ class NavigationStackView extends View {
   pop(animated = true) {
     if (this._stack.length === 0) return null;
 
+    if (this._path) {
+      const popped = this._stack[this._stack.length - 1];
+      this._updatePath(() => this._path.removeLast(), animated);
+      return popped;
+    }
+
     const popped = this._stack.pop();
     const current = this._stack[this._stack.length - 1];
     this._title.value = current ? current.title : '';
@@ -96,6 +188,11 @@ class NavigationStackView extends View {
   popToRoot(animated = true) {
     if (this._stack.length === 0) return;
 
+    if (this._path) {
+      this._updatePath(() => this._path.clear(), animated);
+      return;
+    }
+
     this._stack = [];
     this._title.value = '';
     this._animateTransition('pop', animated);
@@ -119,6 +216,95 @@ class NavigationStackView extends View {
     return this._stack.length > 0;
   }
 
+  /**
+   * Change the path, animating the resulting transition or not
+   *
+   * @param {Function} change - Mutates the path
+   * @param {boolean} animated - Whether to animate
+   * @private
+   */
+  _updatePath(change, animated) {
+    this._pathAnimated = animated;
+    try {
+      change();
+    } finally {
+      this._pathAnimated = true;
+    }
+  }
+
+  /**
+   * Start following the path: restore a deep link through the router,
+   * build the stack from the path and update it when the path changes
+   *
+   * @private
+   */
+  _connectPath() {
+    if (this._unsubscribePath) return;
+    this._detachRouter = this._router?.attach(this._path) ?? null;
+    this._stack = this._entriesFor(this._path.path);
+    this._title.value = this._stack.length > 0 ? this._stack[this._stack.length - 1].title : '';
+    this._unsubscribePath = this._path.subscribe((values) => {
+      const direction = values.length < this._stack.length ? 'pop' : 'push';
+      this._stack = this._entriesFor(values);
+      this._title.value = this._stack.length > 0 ? this._stack[this._stack.length - 1].title : '';
+      this._animateTransition(direction, this._pathAnimated);
+    });
+  }
+
+  /**
+   * Stop following the path and release the router
+   *
+   * @private
+   */
+  _disconnectPath() {
+    this._unsubscribePath?.();
+    this._unsubscribePath = null;
+    this._detachRouter?.();
+    this._detachRouter = null;
+  }
+
+  /**
+   * Stack entries for path values, keeping the entries of unchanged values
+   *
+   * @param {Array} values - Path values
+   * @returns {Array} Stack entries
+   * @private
+   */
+  _entriesFor(values) {
+    return values.map((value, index) => {
+      const existing = this._stack[index];
+      if (existing && existing.value === value) return existing;
+      const destination = this._destinationFor(value);
+      if (!destination) {
+        console.warn('NavigationStack: no navigationDestination for', value);
+      }
+      return { view: destination ? destination.build(value) : null, title: '', value };
+    });
+  }
+
+  /**
+   * The navigationDestination matching a value
+   *
+   * @param {*} value - Path value
+   * @returns {NavigationDestination|undefined}
+   * @private
+   */
+  _destinationFor(value) {
+    return this._destinations.find(candidate => candidate.matches(value));
+  }
+
+  /**
+   * The view on top of the stack, or the root view
+   *
+   * @returns {View|Function|null}
+   * @private
+   */
+  _currentView() {
+    return this._stack.length > 0
+      ? this._stack[this._stack.length - 1].view
+      : this._rootView;
+  }
+
   /**
    * Animate transition between views
    *
@@ -130,9 +316,7 @@ class NavigationStackView extends View {
     if (!this._container) return;
 
     // Get current view
-    const currentView = this._stack.length > 0
-      ? this._stack[this._stack.length - 1].view
-      : this._rootView;
+    const currentView = this._currentView();
 
     // Create new content
     const newContent = document.createElement('div');
@@ -147,13 +331,9 @@ class NavigationStackView extends View {
     _currentNavigationStack = this;
 
     // Render the view
-    if (currentView instanceof View) {
-      newContent.appendChild(currentView._render());
-    } else if (typeof currentView === 'function') {
-      const result = currentView();
-      if (result instanceof View) {
-        newContent.appendChild(result._render());
-      }
+    const rendered = renderContent(currentView);
+    if (rendered) {
+      newContent.appendChild(rendered);
     }
 
     // Restore previous context
@@ -247,18 +427,20 @@ class NavigationStackView extends View {
     this._container.style.width = '100%';
     this._container.style.height = '100%';
 
+    if (this._path) {
+      this._connectPath();
+      // Once shown, leaving the document ends the subscriptions
+      onAppear(wrapper, () => onDisappear(wrapper, () => this._disconnectPath()));
+    }
+
     // Set navigation context
     const previousStack = _currentNavigationStack;
     _currentNavigationStack = this;
 
-    // Render root view
-    if (this._rootView instanceof View) {
-      this._container.appendChild(this._rootView._render());
-    } else if (typeof this._rootView === 'function') {
-      const result = this._rootView();
-      if (result instanceof View) {
-        this._container.appendChild(result._render());
-      }
+    // Render the current view (the root unless a path or deep link pushed views)
+    const rendered = renderContent(this._currentView());
+    if (rendered) {
+      this._container.appendChild(rendered);
     }
 
     // Restore previous context
@@ -279,15 +461,25 @@ class NavigationLinkView extends View {
    * Creates a NavigationLink
    *
    * @param {string|View} label - Label text or view
-   * @param {View|Function} destination - Destination view or view builder
+   * @param {View|Function|Object} destination - Destination view or view builder,
+   *   or the options with a `value` (or `destination`)
    * @param {Object} [options] - Link options
+   * @param {*} [options.value] - Value to navigate to through navigationDestination
+   * @param {string} [options.title] - Title of the destination
    */
   constructor(label, destination, options = {}) {
     super();
+    if (isLinkOptions(destination)) {
+      options = destination;
+      destination = options.destination ?? null;
+    }
     this._label = label;
     this._destination = destination;
+    this._hasValue = 'value' in options;
+    this._value = options.value;
     this._title = options.title ?? '';
     this._isActive = false;
+    this._navigationStack = null;
   }
 
   /**
@@ -296,8 +488,10 @@ class NavigationLinkView extends View {
    * @private
    */
   _navigate() {
-    const navStack = getCurrentNavigationStack();
-    if (navStack) {
+    const navStack = this._navigationStack ?? getCurrentNavigationStack();
+    if (navStack && this._hasValue) {
+      navStack.navigate(this._value, this._title);
+    } else if (navStack) {
       const view = typeof this._destination === 'function'
         ? this._destination()
         : this._destination;
@@ -316,6 +510,9 @@ class NavigationLinkView extends View {
     el.dataset.view = 'NavigationLink';
     el.style.cursor = 'pointer';
 
+    // Clicks happen after rendering, when the stack is no longer current
+    this._navigationStack = getCurrentNavigationStack();
+
     // Render label
     if (this._label instanceof View) {
       el.appendChild(this._label._render());
@@ -330,6 +527,17 @@ class NavigationLinkView extends View {
   }
 }
 
+/**
+ * Check if a NavigationLink argument is its options rather than a destination
+ *
+ * @param {*} value - Second NavigationLink argument
+ * @returns {boolean}
+ */
+function isLinkOptions(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof View)
+    && value.$$typeof !== VIEW_DESCRIPTOR && Object.getPrototypeOf(value) === Object.prototype;
+}
+
 /**
  * BackButton - Standard back navigation button
  * @extends View
@@ -388,7 +596,7 @@ export function NavigationStack(root, options) {
  * Factory function for NavigationLink
  *
  * @param {string|View} label - Link label
- * @param {View|Function} destination - Destination view
+ * @param {View|Function|Object} destination - Destination view, or `{ value }` to navigate to a value
  * @param {Object} [options] - Link options
  * @returns {NavigationLinkView} A new NavigationLink instance
  */
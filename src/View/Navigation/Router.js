@@ -0,0 +1,318 @@
+/**
+ * Router - Keeps a NavigationPath in sync with the browser URL
+ *
+ * Each route describes how one entry of the path appears in the URL; the
+ * URL of a path is its entries' segments joined, so `/listing/42/reviews`
+ * is a listing with its reviews pushed on top. Appending to the path pushes
+ * history entries, popping goes back, and the browser's back and forward
+ * buttons update the path. A deep link rebuilds the whole path on load.
+ *
+ * @example
+ * const router = new Router([
+ *   { path: '/listing/:id', for: 'listing', decode: ({ id }) => ({ type: 'listing', id: Number(id) }) },
+ *   { path: '/reviews', for: 'reviews' }
+ * ]);
+ *
+ * NavigationStack(HomeView(), { router })
+ *   .navigationDestination('listing', (listing) => ListingView(listing.id))
+ *   .navigationDestination('reviews', () => ReviewsView())
+ *
+ * path.append({ type: 'listing', id: 42 }); // URL becomes /listing/42
+ */
+
+import { NavigationDestination } from './NavigationPath.js';
+
+/**
+ * Route - One URL pattern for the path values of a type
+ */
+export class Route {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Pattern such as '/listing/:id'
+   * @param {string|Function} options.for - Value type: a `type` string or a class (as in navigationDestination)
+   * @param {Function} [options.encode] - Value to pattern parameters (default: the value's own properties)
+   * @param {Function} [options.decode] - Pattern parameters to value (default: `{ type, ...params }` or a new instance of the class)
+   */
+  constructor({ path, for: dataType, encode, decode }) {
+    if (typeof path !== 'string') {
+      throw new Error('Route needs a path pattern');
+    }
+    this.path = path;
+    this.segments = path.split('/').filter(Boolean);
+    this._matcher = new NavigationDestination(dataType, null);
+    this._encode = encode ?? (value => value);
+    this._decode = decode ?? (params => typeof dataType === 'function'
+      ? Object.assign(new dataType(), params)
+      : { type: dataType, ...params });
+  }
+
+  /**
+   * Check if this route describes a path value
+   * @param {*} value
+   * @returns {boolean}
+   */
+  matches(value) {
+    return this._matcher.matches(value);
+  }
+
+  /**
+   * URL segments of a value
+   * @param {*} value
+   * @returns {string[]}
+   */
+  format(value) {
+    const params = this._encode(value) ?? {};
+    return this.segments.map(segment => {
+      if (!segment.startsWith(':')) return segment;
+      const name = segment.slice(1);
+      if (params[name] === undefined || params[name] === null) {
+        throw new Error(`Route ${this.path} needs a value for "${name}"`);
+      }
+      return encodeURIComponent(String(params[name]));
+    });
+  }
+
+  /**
+   * Match the pattern against URL segments starting at an index
+   * @param {string[]} segments
+   * @param {number} start
+   * @returns {*|undefined} Decoded value, or undefined when the pattern doesn't match
+   */
+  match(segments, start) {
+    if (start + this.segments.length > segments.length) return undefined;
+    const params = {};
+    for (let i = 0; i < this.segments.length; i++) {
+      const pattern = this.segments[i];
+      const segment = segments[start + i];
+      if (pattern.startsWith(':')) {
+        try {
+          params[pattern.slice(1)] = decodeURIComponent(segment);
+        } catch (error) {
+          // A malformed escape (a mistyped or truncated link) matches nothing
+          if (error instanceof URIError) return undefined;
+          throw error;
+        }
+      } else if (pattern !== segment) {
+        return undefined;
+      }
+    }
+    return this._decode(params);
+  }
+}
+
+/**
+ * Router - Maps a NavigationPath to URLs through the History API
+ */
+export class Router {
+  /**
+   * @param {Array<Route|Object>} routes - Routes, or options for them
+   * @param {Object} [options]
+   * @param {string} [options.base=''] - Path prefix the app is served under
+   */
+  constructor(routes, options = {}) {
+    this.routes = routes.map(route => route instanceof Route ? route : new Route(route));
+    this.base = (options.base ?? '').replace(/\/+$/, '');
+    this._path = null;
+    this._values = [];
+    this._index = 0;
+    this._restoring = false;
+    this._pendingPops = 0;
+    this._attachments = 0;
+    this._unsubscribe = null;
+    this._onPopState = (event) => this._popState(event);
+  }
+
+  /**
+   * The NavigationPath this router is attached to
+   * @returns {NavigationPath|null}
+   */
+  get navigationPath() {
+    return this._path;
+  }
+
+  /**
+   * URL of a list of path values
+   * @param {Array} values
+   * @returns {string}
+   */
+  url(values) {
+    const segments = [];
+    for (const value of values) {
+      const route = this.routes.find(candidate => candidate.matches(value));
+      if (!route) {
+        console.warn('Router: no route for navigation value', value);
+        break;
+      }
+      segments.push(...route.format(value));
+    }
+    return `${this.base}/${segments.join('/')}`;
+  }
+
+  /**
+   * Path values of a URL, as far as the routes match it
+   * @param {string} url - Pathname (the base is removed when present)
+   * @returns {Array}
+   */
+  parse(url) {
+    let pathname = url.split(/[?#]/)[0];
+    if (this.base && (pathname === this.base || pathname.startsWith(`${this.base}/`))) {
+      pathname = pathname.slice(this.base.length);
+    }
+    const segments = pathname.split('/').filter(Boolean);
+    const values = [];
+    let index = 0;
+    while (index < segments.length) {
+      // The longest pattern wins, so '/listing/:id/photos' beats '/listing/:id'
+      let best = null;
+      for (const route of this.routes) {
+        if (best && route.segments.length <= best.route.segments.length) continue;
+        const value = route.match(segments, index);
+        if (value !== undefined) best = { route, value };
+      }
+      if (!best || best.route.segments.length === 0) break;
+      values.push(best.value);
+      index += best.route.segments.length;
+    }
+    return values;
+  }
+
+  /**
+   * Start syncing a NavigationPath with the URL.
+   * A URL with entries replaces the path (deep link), otherwise the URL follows the path.
+   * Attaching the attached path again shares it: syncing stops once every
+   * returned detach function has been called.
+   * @param {NavigationPath} path
+   * @returns {Function} Detach function
+   */
+  attach(path) {
+    if (this._path === path) {
+      this._attachments++;
+      return this._release(path);
+    }
+    if (this._path) {
+      throw new Error('Router is already attached to another NavigationPath');
+    }
+    this._path = path;
+    this._attachments = 1;
+
+    const linked = this.parse(window.location.pathname);
+    if (linked.length > 0) {
+      this._restore(linked);
+    }
+    this._values = path.path;
+    this._index = 0;
+    window.history.replaceState(this._state(), '',
+      this.url(this._values) + window.location.search + window.location.hash);
+
+    this._unsubscribe = path.subscribe(() => this._pathChanged());
+    window.addEventListener('popstate', this._onPopState);
+    return this._release(path);
+  }
+
+  /**
+   * Detach function for one attach() of a path
+   * @private
+   */
+  _release(path) {
+    let released = false;
+    return () => {
+      if (released || this._path !== path) return;
+      released = true;
+      if (--this._attachments === 0) this.detach();
+    };
+  }
+
+  /**
+   * Stop syncing the path with the URL, for every attachment
+   */
+  detach() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    window.removeEventListener('popstate', this._onPopState);
+    this._path = null;
+    this._attachments = 0;
+    this._pendingPops = 0;
+  }
+
+  /**
+   * History state of the current entry
+   * @private
+   */
+  _state() {
+    return { navigationDepth: this._values.length, navigationIndex: this._index };
+  }
+
+  /**
+   * Replace the path without writing history
+   * @private
+   */
+  _restore(values) {
+    this._restoring = true;
+    try {
+      this._path._assign(values);
+    } finally {
+      this._restoring = false;
+    }
+  }
+
+  /**
+   * Write the path change to history: appends push one entry per value,
+   * pops go back over entries this router pushed, anything else replaces
+   * @private
+   */
+  _pathChanged() {
+    if (this._restoring) return;
+    const previous = this._values;
+    const values = this._path.path;
+    this._values = values;
+
+    let shared = 0;
+    while (shared < previous.length && shared < values.length && previous[shared] === values[shared]) {
+      shared++;
+    }
+    const url = this.url(values);
+
+    if (shared === values.length && values.length < previous.length) {
+      const steps = previous.length - values.length;
+      if (this._index >= steps) {
+        this._index -= steps;
+        this._pendingPops++;
+        window.history.go(-steps);
+        return;
+      }
+    }
+
+    if (shared === previous.length && values.length > previous.length) {
+      for (let depth = previous.length + 1; depth <= values.length; depth++) {
+        this._index++;
+        window.history.pushState(
+          { navigationDepth: depth, navigationIndex: this._index }, '', this.url(values.slice(0, depth)));
+      }
+      return;
+    }
+
+    window.history.replaceState(this._state(), '', url);
+  }
+
+  /**
+   * Browser back/forward: rebuild the path from the URL
+   * @private
+   */
+  _popState(event) {
+    if (this._pendingPops > 0) {
+      // Our own history.go() landed; the path is already up to date
+      this._pendingPops--;
+      const url = this.url(this._values);
+      if (this._pendingPops === 0 && window.location.pathname !== url) {
+        window.history.replaceState(this._state(), '', url);
+      }
+      return;
+    }
+    this._index = event.state?.navigationIndex ?? 0;
+    const values = this.parse(window.location.pathname);
+    this._values = values;
+    this._restore(values);
+  }
+}
+
+export default { Router, Route };
@@ -4,5 +4,6 @@
 
 export { NavigationStack, NavigationLink, BackButton } from './NavigationStack.js';
 export { NavigationSplitView, NavigationSplitViewVisibility } from './NavigationSplitView.js';
-export { NavigationPath } from './NavigationPath.js';
+export { NavigationPath, CodableRepresentation, registerCodableType } from './NavigationPath.js';
+export { Router, Route } from './Router.js';
 export { TabView, TabViewView, TabViewStyle } from './TabView.js';
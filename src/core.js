@@ -27,16 +27,30 @@ import {
   AnyView, Any,
   buildView
 } from './Core/ViewBuilder.js';
+import { Component } from './Core/Component.js';
+import { ErrorBoundary } from './Core/ErrorBoundary.js';
+import { AsyncView, Suspense } from './Core/Suspense.js';
+import { Portal } from './Core/Portal.js';
+import { PresentationDetent } from './Core/Presentation.js';
+import { showAlert, showConfirmationDialog } from './Core/Dialog.js';
 
 // =============================================================================
 // Data (State Management)
 // =============================================================================
-import { State, createState } from './Data/State.js';
+import { State, createState, useState } from './Data/State.js';
+import { AppStorage, SceneStorage, StorageCodec, StorageState } from './Data/AppStorage.js';
+import { Computed, ComputedValue } from './Data/Computed.js';
 import { Binding, createBinding } from './Data/Binding.js';
 import { ObservableObject, Published, createObservable } from './Data/ObservableObject.js';
+import { UndoManager } from './Data/UndoManager.js';
+import { StateRecorder } from './Data/StateRecorder.js';
+import { Query, QueryClient, Mutation } from './Data/Query.js';
+import { Store, TestStore, Effect, withEffects } from './Data/Store.js';
 import { StateObject, createStateObject, stateObject } from './Data/StateObject.js';
 import {
   Observable,
+  ObservationIgnored,
+  observeChanges,
   ObservationTracking,
   Bindable,
   withTracking,
@@ -46,6 +60,7 @@ import {
   Environment,
   EnvironmentObject,
   EnvironmentValues,
+  EnvironmentKey,
   ColorScheme,
   LayoutDirection,
   UserInterfaceSizeClass,
@@ -62,7 +77,7 @@ import { Image, ImageView, ContentMode } from './View/Image.js';
 import { Label, LabelView, LabelStyle, SystemIcons } from './View/Label.js';
 
 // Controls
-import { Button, ButtonView } from './View/Control/Button.js';
+import { Button, ButtonView, ButtonRole } from './View/Control/Button.js';
 import { TextField, TextFieldView, SecureField, SecureFieldView } from './View/Control/TextField.js';
 import { Toggle, ToggleView } from './View/Control/Toggle.js';
 import { Slider, SliderView } from './View/Control/Slider.js';
@@ -90,8 +105,10 @@ import {
   NavigationPath,
   CodableRepresentation,
   NavigationDestination,
+  registerCodableType,
   extendNavigationStackWithPath
 } from './View/Navigation/NavigationPath.js';
+import { Router, Route } from './View/Navigation/Router.js';
 
 // =============================================================================
 // Layout
@@ -170,6 +187,8 @@ import {
 // App
 // =============================================================================
 import { App, AppInstance } from './App/App.js';
+import { Inspector } from './App/Inspector.js';
+import { renderToString } from './Core/ServerRenderer.js';
 import {
   WindowGroup, WindowGroupView,
   WindowResizability,
@@ -206,15 +225,34 @@ const SwiftUICore = {
   ConditionalContent,
   AnyView, Any,
   buildView,
+  Component,
+  ErrorBoundary,
+  AsyncView,
+  Suspense,
+  Portal,
+  PresentationDetent,
+  showAlert,
+  showConfirmationDialog,
 
   // State Management
-  State, createState,
+  State, createState, useState,
+  AppStorage, SceneStorage, StorageCodec, StorageState,
+  Computed, ComputedValue,
   Binding, createBinding,
   ObservableObject, Published, createObservable,
+  UndoManager,
+  StateRecorder,
+  Query,
+  QueryClient,
+  Mutation,
+  Store,
+  TestStore,
+  Effect,
+  withEffects,
   StateObject, createStateObject, stateObject,
-  Observable, ObservationTracking, Bindable,
+  Observable, ObservationIgnored, observeChanges, ObservationTracking, Bindable,
   withTracking, withObservationTracking,
-  Environment, EnvironmentObject, EnvironmentValues,
+  Environment, EnvironmentObject, EnvironmentValues, EnvironmentKey,
   ColorScheme, LayoutDirection,
   UserInterfaceSizeClass, UserInterfaceIdiom, currentDeviceIdiom,
 
@@ -224,7 +262,7 @@ const SwiftUICore = {
   Label, LabelView, LabelStyle, SystemIcons,
 
   // Controls
-  Button, ButtonView,
+  Button, ButtonView, ButtonRole,
   TextField, TextFieldView,
   SecureField, SecureFieldView,
   Toggle, ToggleView,
@@ -249,7 +287,8 @@ const SwiftUICore = {
   // Navigation
   NavigationStack, NavigationLink, BackButton,
   NavigationSplitView, NavigationSplitViewVisibility,
-  NavigationPath, CodableRepresentation, NavigationDestination,
+  NavigationPath, CodableRepresentation, NavigationDestination, registerCodableType,
+  Router, Route,
   TabView, TabViewView, TabViewStyle,
 
   // Layout
@@ -301,6 +340,8 @@ const SwiftUICore = {
 
   // App
   App, AppInstance,
+  Inspector,
+  renderToString,
   WindowGroup, WindowGroupView,
   WindowResizability, WindowStyle,
   Scene, Settings, SettingsView,
@@ -324,15 +365,34 @@ export {
   ConditionalContent,
   AnyView, Any,
   buildView,
+  Component,
+  ErrorBoundary,
+  AsyncView,
+  Suspense,
+  Portal,
+  PresentationDetent,
+  showAlert,
+  showConfirmationDialog,
 
   // State Management
-  State, createState,
+  State, createState, useState,
+  AppStorage, SceneStorage, StorageCodec, StorageState,
+  Computed, ComputedValue,
   Binding, createBinding,
   ObservableObject, Published, createObservable,
+  UndoManager,
+  StateRecorder,
+  Query,
+  QueryClient,
+  Mutation,
+  Store,
+  TestStore,
+  Effect,
+  withEffects,
   StateObject, createStateObject, stateObject,
-  Observable, ObservationTracking, Bindable,
+  Observable, ObservationIgnored, observeChanges, ObservationTracking, Bindable,
   withTracking, withObservationTracking,
-  Environment, EnvironmentObject, EnvironmentValues,
+  Environment, EnvironmentObject, EnvironmentValues, EnvironmentKey,
   ColorScheme, LayoutDirection,
   UserInterfaceSizeClass, UserInterfaceIdiom, currentDeviceIdiom,
   extendViewWithEnvironment,
@@ -343,7 +403,7 @@ export {
   Label, LabelView, LabelStyle, SystemIcons,
 
   // Controls
-  Button, ButtonView,
+  Button, ButtonView, ButtonRole,
   TextField, TextFieldView,
   SecureField, SecureFieldView,
   Toggle, ToggleView,
@@ -368,7 +428,8 @@ export {
   // Navigation
   NavigationStack, NavigationLink, BackButton,
   NavigationSplitView, NavigationSplitViewVisibility,
-  NavigationPath, CodableRepresentation, NavigationDestination,
+  NavigationPath, CodableRepresentation, NavigationDestination, registerCodableType,
+  Router, Route,
   extendNavigationStackWithPath,
   TabView, TabViewView, TabViewStyle,
 
@@ -423,6 +484,8 @@ export {
 
   // App
   App, AppInstance,
+  Inspector,
+  renderToString,
   WindowGroup, WindowGroupView,
   WindowResizability, WindowStyle,
   Scene, Settings, SettingsView,
@@ -50,6 +50,8 @@ export class View {
   onAppear(action: () => void): this;
   /** Called when view disappears */
   onDisappear(action: () => void): this;
+  /** Run async work while the view is shown; aborted on disappear, restarted when id changes */
+  task(action: (signal: AbortSignal) => Promise<void> | void, options?: { id?: unknown }): this;
 
   // Gesture Modifiers
   /** Add a gesture recognizer */
@@ -68,15 +70,104 @@ export class View {
   matchedGeometryEffect(id: string, namespace: Namespace): this;
 
   // Environment
-  /** Inject environment value */
+  /** Set an environment value for this view and its descendants */
+  environment<T>(key: EnvironmentKey<T>, value: T): this;
   environment(keyPath: string, value: any): this;
-  /** Inject environment object */
-  environmentObject(object: ObservableObject): this;
+  /** Inject an environment object for this view and its descendants */
+  environmentObject(object: object): this;
+
+  // Presentation Modifiers
+  /** Present a sheet while the binding is true, or while the item is set */
+  sheet(options: SheetOptions | Binding<boolean>, content: () => View): this;
+  sheet<T>(options: PresentationItemOptions<T> & SheetOptions, content: (item: T) => View): this;
+  /** Present content covering the whole window */
+  fullScreenCover(options: PresentationOptions | Binding<boolean>, content: () => View): this;
+  fullScreenCover<T>(options: PresentationItemOptions<T>, content: (item: T) => View): this;
+  /** Present content next to this view (a sheet in compact width) */
+  popover(options: PopoverOptions | Binding<boolean>, content: () => View): this;
+  popover<T>(options: PresentationItemOptions<T> & PopoverOptions, content: (item: T) => View): this;
+  /** Present an alert; buttons default to OK */
+  alert(title: string, isPresented: DialogOptions | Binding<boolean>, actions?: View[] | (() => View[]), message?: string | View | (() => string | View)): this;
+  alert<T>(title: string, options: PresentationItemOptions<T> & DialogOptions, actions?: (item: T) => View[], message?: (item: T) => string | View): this;
+  /** Present a list of choices; a Cancel button is added when none has the cancel role */
+  confirmationDialog(title: string, isPresented: DialogOptions | Binding<boolean>, actions?: View[] | (() => View[]), message?: string | View | (() => string | View)): this;
+  confirmationDialog<T>(title: string, options: PresentationItemOptions<T> & DialogOptions, actions?: (item: T) => View[], message?: (item: T) => string | View): this;
 
   /** Render to DOM element */
   _render(): HTMLElement;
 }
 
+export interface PresentationOptions {
+  isPresented?: Binding<boolean>;
+  /** Called once the presentation has closed */
+  onDismiss?: () => void;
+  /** Ignore Escape, backdrop clicks and drags */
+  interactiveDismissDisabled?: boolean;
+}
+
+export interface PresentationItemOptions<T> extends Omit<PresentationOptions, 'isPresented'> {
+  /** Presented while not null; set to null when dismissed */
+  item: Binding<T | null>;
+}
+
+export interface SheetOptions extends PresentationOptions {
+  /** Heights the sheet rests at (default: large) */
+  detents?: PresentationDetent[];
+}
+
+export interface PopoverOptions extends PresentationOptions {
+  /** Edge of the popover pointing at its view (default 'top') */
+  arrowEdge?: 'top' | 'bottom' | 'leading' | 'trailing';
+}
+
+export interface DialogOptions extends Omit<PresentationOptions, 'interactiveDismissDisabled'> {
+  /** Whether the title shows (default 'visible') */
+  titleVisibility?: 'visible' | 'hidden';
+}
+
+/** An action of a dialog presented with showAlert or showConfirmationDialog */
+export interface DialogAction<T = string> {
+  label: string;
+  role?: ButtonRole;
+  /** What the dialog resolves with (default the label) */
+  value?: T;
+  action?: () => void;
+}
+
+export interface DialogRequest<T = string> {
+  message?: string;
+  actions?: DialogAction<T>[];
+  titleVisibility?: 'visible' | 'hidden';
+}
+
+/**
+ * Show an alert outside the view tree. Resolves with the chosen action's
+ * value; Escape gives the cancel action's, or null without one.
+ */
+export function showAlert<T = string>(title: string, options?: DialogRequest<T>): Promise<T | null>;
+
+/**
+ * Show a confirmation dialog outside the view tree. Resolves with the
+ * chosen action's value, or the cancel action's when cancelled.
+ */
+export function showConfirmationDialog<T = string>(title: string, options?: DialogRequest<T>): Promise<T | null>;
+
+export interface PresentationDetent {
+  readonly id: string;
+  readonly fraction?: number;
+  readonly height?: number;
+}
+
+/**
+ * Heights a sheet can rest at
+ */
+export const PresentationDetent: {
+  readonly medium: PresentationDetent;
+  readonly large: PresentationDetent;
+  fraction(value: number): PresentationDetent;
+  height(value: number): PresentationDetent;
+};
+
 export interface ViewModifier {
   apply(element: HTMLElement): void;
 }
@@ -126,11 +217,80 @@ export class State<T> {
 
   /** Subscribe to value changes */
   subscribe(callback: (newValue: T) => void): () => void;
+
+  /** Local state of the calling Component body, kept across refreshes */
+  static local<T>(initialValue: T): State<T>;
 }
 
 /** Creates a new State instance */
 export function createState<T>(initialValue: T): State<T>;
 
+/** Hook-style alias for State.local() */
+export function useState<T>(initialValue: T): State<T>;
+
+/** Turns stored values into strings and back */
+export interface StorageCodecType<T> {
+  encode(value: T): string;
+  decode(text: string): T;
+}
+
+/** Built-in storage codecs (JSON is the default) */
+export const StorageCodec: {
+  json: StorageCodecType<any>;
+  date: StorageCodecType<Date>;
+  map: StorageCodecType<Map<any, any>>;
+  set: StorageCodecType<Set<any>>;
+};
+
+export interface StorageOptions<T> {
+  codec?: StorageCodecType<T>;
+}
+
+/** State saved to localStorage or sessionStorage */
+export class StorageState<T> extends State<T> {
+  readonly key: string;
+  readonly defaultValue: T;
+  /** Remove the stored value and go back to the default */
+  reset(): void;
+}
+
+/** State persisted in localStorage and synced across tabs */
+export function AppStorage<T>(key: string, defaultValue: T, options?: StorageOptions<T>): StorageState<T>;
+
+/** State persisted in sessionStorage (this tab only) */
+export function SceneStorage<T>(key: string, defaultValue: T, options?: StorageOptions<T>): StorageState<T>;
+
+export interface ComputedOptions {
+  /** Name used in cycle errors (default: the function's name) */
+  name?: string;
+}
+
+/** Value derived from other state, recomputed lazily when what it read changes */
+export class ComputedValue<T> {
+  constructor(compute: () => T, options?: ComputedOptions);
+
+  readonly name: string;
+
+  /** Current value - memoized while observed; computed on every read while nothing observes it */
+  readonly value: T;
+  readonly wrappedValue: T;
+
+  /** Whether a dependency changed since the value was last computed (always true while unobserved) */
+  readonly isStale: boolean;
+
+  /** Read-only Binding to the value (setting it throws) */
+  get binding(): Binding<T>;
+
+  /** Subscribe to value changes (batched, only when the value changed) */
+  subscribe(callback: (newValue: T) => void): () => void;
+
+  /** Stop following dependencies until the value is read again */
+  dispose(): void;
+}
+
+/** Derive a value from State, ObservableObject and Observable reads */
+export function Computed<T>(compute: () => T, options?: ComputedOptions): ComputedValue<T>;
+
 /** Two-way binding to a value */
 export class Binding<T> {
   constructor(get: () => T, set: (value: T) => void);
@@ -160,11 +320,243 @@ export function Published<T>(target: any, propertyKey: string): void;
 /** Creates an observable object with automatic change tracking */
 export function createObservable<T extends object>(target: T): T & ObservableObject;
 
+export interface UndoManagerOptions {
+  /** Groups kept (0 for no limit, default 100) */
+  levelsOfUndo?: number;
+}
+
+/** Records Binding and ObservableObject.batch changes, grouped per gesture */
+export class UndoManager extends ObservableObject {
+  constructor(options?: UndoManagerOptions);
+
+  levelsOfUndo: number;
+
+  /** Published flags and names of the next undo / redo */
+  readonly canUndo: boolean;
+  readonly canRedo: boolean;
+  readonly undoActionName: string;
+  readonly redoActionName: string;
+
+  readonly isUndoing: boolean;
+  readonly isRedoing: boolean;
+  readonly isUndoRegistrationEnabled: boolean;
+
+  /** Record a change */
+  registerUndo(undo: () => void, redo: () => void): void;
+  /** Name the action of the changes being recorded */
+  setActionName(name: string): void;
+  /** Record the changes made by fn as one named action */
+  perform<T>(name: string, fn: () => T): T;
+  beginUndoGrouping(): void;
+  endUndoGrouping(): void;
+  disableUndoRegistration(): void;
+  enableUndoRegistration(): void;
+  undo(): boolean;
+  redo(): boolean;
+  removeAllActions(): void;
+}
+
+export interface StateChangeEntry {
+  timestamp: number;
+  /** Class name and creation order, e.g. 'State#3' */
+  source: string;
+  kind: 'State' | 'ObservableObject' | 'NavigationPath';
+  property: string;
+  oldValue: unknown;
+  newValue: unknown;
+}
+
+/** Development recorder of State, ObservableObject and NavigationPath changes with time travel */
+export class StateRecorder {
+  constructor(options?: { maxEntries?: number });
+
+  maxEntries: number;
+  readonly isRecording: boolean;
+  readonly entries: StateChangeEntry[];
+  readonly count: number;
+  /** Changes in effect, 0 to count */
+  readonly cursor: number;
+  readonly canStepBackward: boolean;
+  readonly canStepForward: boolean;
+
+  start(): this;
+  stop(): this;
+  stepBackward(): boolean;
+  stepForward(): boolean;
+  /** Restore the values after the first index changes */
+  goTo(index: number): void;
+  clear(): void;
+  exportJSON(): string;
+  importJSON(json: string | { version: number; entries: StateChangeEntry[] }): void;
+  subscribe(callback: (recorder: StateRecorder) => void): () => void;
+}
+
+export type QueryKey = string | readonly unknown[];
+export type QueryFetcher<T> = (key: unknown[], signal: AbortSignal) => T | Promise<T>;
+
+export interface QueryClientOptions {
+  /** Fetcher of Queries without one */
+  fetcher?: QueryFetcher<any>;
+  /** Milliseconds fetched data stays fresh (default 0) */
+  staleTime?: number;
+  /** Retries of a failed fetch (default 3) */
+  retry?: number | boolean | ((failureCount: number, error: unknown) => boolean);
+  /** Delay before a retry (default 1s doubling up to 30s; 0 retries at once) */
+  retryDelay?: (attempt: number, error: unknown) => number;
+  /** Refetch stale data in use when the window regains focus (default true) */
+  refetchOnWindowFocus?: boolean;
+}
+
+export interface QueryOptions<T> extends Omit<QueryClientOptions, 'fetcher'> {
+  client?: QueryClient;
+  /** false to not fetch yet */
+  enabled?: boolean;
+  /** Data shown until the first fetch */
+  initialData?: T;
+}
+
+/** Cached result of a key; published properties re-render the views reading them */
+export class QueryResult<T = any> extends ObservableObject {
+  readonly key: unknown[];
+  readonly data: T | undefined;
+  readonly error: unknown;
+  readonly status: 'loading' | 'success' | 'error';
+  readonly isFetching: boolean;
+  readonly updatedAt: number;
+  readonly failureCount: number;
+  readonly isLoading: boolean;
+  readonly isError: boolean;
+  readonly isSuccess: boolean;
+  readonly isStale: boolean;
+
+  refetch(): Promise<T | undefined>;
+  invalidate(): void;
+  cancel(): void;
+  setData(updater: T | ((previous: T | undefined) => T)): T | undefined;
+}
+
+/** Cache of query results */
+export class QueryClient {
+  constructor(options?: QueryClientOptions);
+
+  /** Client of Queries and Mutations without a client option */
+  static readonly shared: QueryClient;
+
+  fetcher: QueryFetcher<any> | null;
+  getQuery<T = any>(key: QueryKey): QueryResult<T>;
+  findQueries(prefix?: QueryKey): QueryResult[];
+  getData<T = any>(key: QueryKey): T | undefined;
+  setData<T = any>(key: QueryKey, updater: T | ((previous: T | undefined) => T)): T | undefined;
+  /** Mark results under a key prefix stale, refetching the ones in use */
+  invalidate(prefix?: QueryKey): void;
+  cancel(prefix?: QueryKey): void;
+  remove(prefix?: QueryKey): void;
+  refetchStale(): void;
+}
+
+/** Cached, deduplicated fetch of a key, refetched in the background when stale */
+export function Query<T = any>(key: QueryKey, fetcher?: QueryFetcher<T>, options?: QueryOptions<T>): QueryResult<T>;
+export function Query<T = any>(key: QueryKey, options?: QueryOptions<T>): QueryResult<T>;
+
+export interface MutationOptions<T, V, C = unknown> {
+  client?: QueryClient;
+  /** Update a key's data right away; restored if the mutation fails */
+  optimistic?: { key: QueryKey; update: (data: any, variables: V) => any };
+  /** Key prefixes to refetch once it settles */
+  invalidates?: QueryKey[];
+  onMutate?: (variables: V) => C;
+  onSuccess?: (data: T, variables: V, context: C) => void;
+  onError?: (error: unknown, variables: V, context: C) => void;
+  onSettled?: (data: T | undefined, error: unknown, variables: V, context: C) => void;
+}
+
+/** State of a change sent to the server */
+export class MutationResult<T = any, V = any> extends ObservableObject {
+  readonly status: 'idle' | 'pending' | 'success' | 'error';
+  readonly data: T | undefined;
+  readonly error: unknown;
+  readonly isPending: boolean;
+  readonly isError: boolean;
+  readonly isSuccess: boolean;
+
+  /** Run the mutation; resolves with undefined if it failed */
+  mutate(variables?: V): Promise<T | undefined>;
+  reset(): void;
+}
+
+export function Mutation<T = any, V = any, C = unknown>(
+  mutationFn: (variables: V) => T | Promise<T>,
+  options?: MutationOptions<T, V, C>
+): MutationResult<T, V>;
+
+/** Side effect returned by a reducer; sends the actions it produces */
+export class Effect<A = any> {
+  static readonly none: Effect<never>;
+  /** work returns an action, a promise of one, or an async iterable of actions */
+  static run<A>(work: (signal: AbortSignal) => A | void | Promise<A | void> | AsyncIterable<A>): Effect<A>;
+  static send<A>(action: A): Effect<A>;
+  static merge<A>(...effects: Effect<A>[]): Effect<A>;
+  static cancel(id: unknown): Effect<never>;
+  /** Cancellable with Effect.cancel(id); cancelInFlight cancels running effects with the id first */
+  cancellable(id: unknown, options?: { cancelInFlight?: boolean }): Effect<A>;
+}
+
+export interface Reduced<S, A> {
+  readonly state: S;
+  readonly effects: Effect<A>[];
+}
+
+/** Reducer result with effects to run after the state is updated */
+export function withEffects<S, A>(state: S, ...effects: Effect<A>[]): Reduced<S, A>;
+
+export type Reducer<S, A, E = unknown> = (state: S, action: A, environment: E) => S | Reduced<S, A>;
+
+/** A slice of a store's state and its actions */
+export class StoreScope<S, A> {
+  /** Tracked like a State value */
+  readonly state: S;
+  send(action: A): Promise<void>;
+  scope<CS, CA = A>(toState: (state: S) => CS, toAction?: (action: CA) => A): StoreScope<CS, CA>;
+  binding<T>(get: (state: S) => T, toAction: (value: T) => A): Binding<T>;
+}
+
+export class ReducerStore<S, A, E = unknown> extends StoreScope<S, A> {
+  constructor(initialState: S, reducer: Reducer<S, A, E>, environment?: E);
+  readonly reducer: Reducer<S, A, E>;
+  readonly environment: E;
+  readonly runningEffects: number;
+  subscribe(callback: (state: S) => void): () => void;
+  cancel(id: unknown): void;
+  cancelAll(): void;
+  /** Resolves once no effect is running */
+  settled(): Promise<void>;
+}
+
+/** Unidirectional store: send(action) runs the reducer, then its effects */
+export function Store<S, A, E = unknown>(initialState: S, reducer: Reducer<S, A, E>, environment?: E): ReducerStore<S, A, E>;
+
+/** Store for tests asserting every state change in order */
+export class TestStore<S, A, E = unknown> extends ReducerStore<S, A, E> {
+  constructor(initialState: S, reducer: Reducer<S, A, E>, environment?: E);
+  readonly changes: Array<{ action: A; state: S }>;
+  send(action: A, expected?: S | ((previous: S) => S)): Promise<void>;
+  /** Check the next action sent by an effect, and the state after it */
+  receive(action: A | ((action: A) => boolean), expected?: S | ((previous: S) => S)): void;
+  /** Throws if an effect action wasn't received or an effect is still running */
+  finish(): void;
+}
+
 /** iOS 17+ style Observable macro equivalent */
 export class Observable {
   static create<T extends object>(target: T): T;
 }
 
+/** Keep a value raw inside an Observable: changes inside it don't notify */
+export function ObservationIgnored<T>(value: T): T;
+
+/** Follow every change made through an Observable, nested ones included. Returns an unsubscribe function */
+export function observeChanges(observable: object, callback: (path: string, value: any, oldValue: any) => void): () => void;
+
 /** StateObject - owned observable that persists across re-renders */
 export class StateObject<T extends ObservableObject> {
   constructor(wrappedValue: () => T);
@@ -187,6 +579,7 @@ export const EnvironmentValues: {
   timeZone: string;
   dismiss: string;
   openURL: string;
+  undoManager: string;
   isEnabled: string;
   font: string;
   lineLimit: string;
@@ -222,11 +615,24 @@ export const UserInterfaceIdiom: {
   vision: string;
 };
 
+/** Key for a custom environment value, with its default */
+export class EnvironmentKey<T> {
+  constructor(name: string, defaultValue?: T);
+  readonly name: string;
+  readonly defaultValue: T;
+}
+
 /** Environment container for injecting values */
 export class Environment {
+  /** Set a global value */
+  static set<T>(key: EnvironmentKey<T>, value: T): void;
   static set(key: string, value: any): void;
+  /** Value set by the nearest view above, else the global value, else the key's default */
+  static get<T>(key: EnvironmentKey<T>): T;
   static get(key: string): any;
-  static subscribe(key: string, callback: (value: any) => void): () => void;
+  static subscribe(key: string | EnvironmentKey<any>, callback: (value: any) => void): () => void;
+  static object<T>(type: new (...args: any[]) => T): T | null;
+  static setObject<T>(type: new (...args: any[]) => T, object: T): void;
 }
 
 /** Environment object for sharing observable objects */
@@ -294,7 +700,19 @@ export function Label(title: string, options: { systemImage?: string; image?: st
 // Controls
 // =============================================================================
 
+export type ButtonRole = 'cancel' | 'destructive';
+
+/** Button roles: cancel buttons close dialogs, destructive ones show in red */
+export const ButtonRole: {
+  readonly cancel: 'cancel';
+  readonly destructive: 'destructive';
+};
+
 /** Interactive button */
+export function Button(label: string | View, options: { role?: ButtonRole }, action: () => void): View & {
+  buttonStyle(style: ButtonStyle): View;
+  disabled(isDisabled: boolean): View;
+};
 export function Button(label: string | View, action: () => void): View & {
   /** Set button style */
   buttonStyle(style: ButtonStyle): View;
@@ -515,16 +933,34 @@ export const ListStyle: {
   sidebar: string;
 };
 
+/** ForEach rows, deletable and movable */
+export interface ForEachContent extends View {
+  /** Delete rows (Delete/Backspace on a focused row); over a Binding the action defaults to removing them */
+  onDelete(action?: (offsets: number[]) => void): this;
+  /** Reorder rows by dragging; over a Binding the action defaults to moving them */
+  onMove(action?: (offsets: number[], destination: number) => void): this;
+}
+
 /** Iterate over a collection */
 export function ForEach<T>(
   data: T[],
   content: (item: T, index: number) => View
-): View;
+): ForEachContent;
 export function ForEach<T>(
   data: T[],
   options: { id: keyof T | ((item: T) => any) },
   content: (item: T, index: number) => View
-): View;
+): ForEachContent;
+/** Iterate over a Binding to an array; rows get bindings resolved by id ('id' by default) */
+export function ForEach<T>(
+  data: Binding<T[]>,
+  content: (item: Binding<T>, index: number) => View
+): ForEachContent;
+export function ForEach<T>(
+  data: Binding<T[]>,
+  options: { id: keyof T | ((item: T) => any) },
+  content: (item: Binding<T>, index: number) => View
+): ForEachContent;
 
 /** Create a range of numbers */
 export function Range(start: number, end: number): number[];
@@ -573,7 +1009,27 @@ export function DisclosureGroup(
 // Navigation
 // =============================================================================
 
+export interface NavigationStackOptions {
+  /** Path whose values are shown through navigationDestination */
+  path?: NavigationPath;
+  /** Keeps the path in sync with the URL (creates a path if none is given) */
+  router?: Router;
+  transitionStyle?: 'slide' | 'fade' | 'none';
+  transitionDuration?: number;
+}
+
 /** Navigation container with push/pop stack */
+export function NavigationStack(
+  root: View | (() => View),
+  options?: NavigationStackOptions
+): View & {
+  /** The path driving the stack, if any */
+  readonly path: NavigationPath | null;
+  /** Navigate to a value through navigationDestination; false (with a warning) when none matches */
+  navigate(value: any, title?: string): boolean;
+  /** Define navigation destinations for path values (a `type` string or a class) */
+  navigationDestination<T>(for: string | (new (...args: any[]) => T), destination: (value: T) => View): View;
+};
 export function NavigationStack(
   options?: { path?: NavigationPath },
   ...children: View[]
@@ -591,12 +1047,18 @@ export function NavigationStack(
 /** Trigger navigation to a destination */
 export function NavigationLink(
   label: string | View,
-  options: { destination?: View; value?: any }
+  destination: View | (() => View),
+  options?: { title?: string }
+): View;
+/** Navigate to a value (built lazily by the stack's navigationDestination) or a destination */
+export function NavigationLink(
+  label: string | View,
+  options: { destination?: View | (() => View); value?: any; title?: string }
 ): View;
 
 /** Navigation path for programmatic navigation */
 export class NavigationPath {
-  constructor(path?: any[]);
+  constructor(path?: any[] | CodableRepresentation);
 
   /** Number of items in path */
   count: number;
@@ -612,6 +1074,68 @@ export class NavigationPath {
 
   /** Clear the path */
   clear(): void;
+
+  /** Saveable form of the path (class instances need registerCodableType) */
+  readonly codable: CodableRepresentation;
+
+  /** Restore a saved path, decoding class instances */
+  static fromCodable(codable: CodableRepresentation): NavigationPath;
+}
+
+/** A saved path value: JSON values are tagged 'json', class instances with their registered tag */
+export interface CodableEntry {
+  $type: string;
+  value: any;
+}
+
+/** Saveable form of a NavigationPath */
+export class CodableRepresentation {
+  constructor(source: NavigationPath | CodableEntry[]);
+  /** Tagged entries; throws for values of unregistered classes */
+  readonly path: CodableEntry[];
+  /** Entries as a JSON string */
+  toJSON(): string;
+  static fromJSON(json: string): CodableRepresentation;
+}
+
+/** Register a class whose instances can be saved in a NavigationPath (default: own properties) */
+export function registerCodableType<T>(
+  tag: string,
+  type: new (...args: any[]) => T,
+  codec?: { encode?: (value: T) => any; decode?: (data: any) => T }
+): void;
+
+export interface RouteOptions<T = any> {
+  /** Pattern such as '/listing/:id' */
+  path: string;
+  /** Value type: a `type` string or a class, as in navigationDestination */
+  for: string | (new (...args: any[]) => T);
+  /** Value to pattern parameters (default: the value's own properties) */
+  encode?: (value: T) => Record<string, string | number>;
+  /** Pattern parameters to value (default: `{ type, ...params }` or a new instance of the class) */
+  decode?: (params: Record<string, string>) => T;
+}
+
+/** One URL pattern for the path values of a type */
+export class Route<T = any> {
+  constructor(options: RouteOptions<T>);
+  readonly path: string;
+  matches(value: any): boolean;
+}
+
+/** Keeps a NavigationPath in sync with the URL through the History API */
+export class Router {
+  constructor(routes: Array<Route | RouteOptions>, options?: { base?: string });
+  readonly routes: Route[];
+  readonly base: string;
+  readonly navigationPath: NavigationPath | null;
+  /** URL of a list of path values */
+  url(values: any[]): string;
+  /** Path values of a URL, as far as the routes match it */
+  parse(url: string): any[];
+  /** Sync a path with the URL; a deep link replaces the path. Returns a detach function (attaching the same path again shares it) */
+  attach(path: NavigationPath): () => void;
+  detach(): void;
 }
 
 /** Multi-column navigation (iPad/Mac style) */
@@ -963,13 +1487,53 @@ export function RotationGesture(): Gesture & {
 // App Lifecycle
 // =============================================================================
 
-/** Create and mount an app */
-export function App(content: () => View): {
+/** Details passed to error handlers */
+export interface ViewErrorInfo {
+  /** Where the error was thrown */
+  phase: 'build' | 'render' | 'update' | 'lifecycle';
+  /** The boundary that caught it, or null */
+  boundary: object | null;
+}
+
+/** A mountable app */
+export interface AppInstance {
   /** Mount to a DOM element */
-  mount(selector: string | HTMLElement): void;
+  mount(selector: string | HTMLElement): AppInstance;
+  /** Adopt server-rendered markup in a DOM element */
+  hydrate(selector: string | HTMLElement): AppInstance;
   /** Refresh the UI */
+  refresh(): AppInstance;
+  /** Receive errors caught by ErrorBoundary views or thrown while refreshing */
+  onError(handler: (error: Error, info: ViewErrorInfo) => void): AppInstance;
+  /** Log renders and show the inspector overlay while mounted */
+  debug(): AppInstance;
+  /** Inspector overlay shown in debug mode */
+  readonly inspector: Inspector | null;
+}
+
+/** In-page overlay showing the live view tree of a mounted container */
+export class Inspector {
+  constructor(container: HTMLElement);
+  readonly container: HTMLElement;
+  /** Identity of the selected view */
+  selected: string | null;
+  /** Identity -> why the view last changed */
+  readonly reasons: Map<string, string[]>;
+  /** Identities patched by the last commit */
+  readonly patched: Set<string>;
+  /** Show the overlay and follow commits */
+  attach(): Inspector;
+  /** Remove the overlay */
+  detach(): void;
   refresh(): void;
-};
+  select(identity: string | null): void;
+}
+
+/** Create and mount an app */
+export function App(content: () => View): AppInstance;
+
+/** Render a view to an HTML string (no DOM required) */
+export function renderToString(content: View | (() => View)): string;
 
 /** Window group scene container */
 export function WindowGroup(
@@ -1011,6 +1575,76 @@ export function buildView(...views: (View | View[] | null | undefined)[]): View;
 /** Logical grouping */
 export function Group(...children: View[]): View;
 
+/**
+ * Show `fallback` instead of `content` when building, rendering, patching
+ * or a lifecycle callback below it throws. `reset` retries the content.
+ */
+export function ErrorBoundary(
+  fallback: View | ((error: Error, reset: () => void) => View),
+  content: View | (() => View)
+): View;
+
+/** Options for AsyncView */
+export interface AsyncViewOptions<T> {
+  /** Shown while the promise is pending (not used below a Suspense) */
+  fallback?: View | (() => View);
+  /** Shown when the promise rejects; without it the error reaches the nearest ErrorBoundary */
+  error?: View | ((error: Error, retry: () => void) => View);
+  /** Builds the view from the resolved value; defaults to the value itself */
+  content?: (value: T) => View;
+  /** Values that make it load again when they change */
+  deps?: any[];
+}
+
+/**
+ * Load a view asynchronously. Values read by `load` before its first
+ * `await` are followed and trigger a reload when they change.
+ */
+export function AsyncView<T = View>(
+  load: () => Promise<T> | T,
+  options?: AsyncViewOptions<T>
+): View;
+
+/**
+ * Show one fallback while any AsyncView below is pending, then reveal all
+ * results together.
+ */
+export function Suspense(
+  fallback: View | (() => View),
+  content: View | (() => View)
+): View;
+
+/**
+ * Render content into another DOM node (default document.body) while it
+ * stays part of the view tree where the Portal is declared.
+ */
+export function Portal(
+  target: HTMLElement | string,
+  content: View | View[] | (() => View | View[])
+): View;
+export function Portal(content: View | View[] | (() => View | View[])): View;
+
+/**
+ * Run state changes as a non-urgent transition: the resulting renders are
+ * time-sliced on the Transition lane and interrupted by urgent updates.
+ */
+export function startTransition(fn: () => void): void;
+
+/**
+ * Whether transition work is still waiting to be committed. Components
+ * reading it re-render when it changes.
+ */
+export function isTransitionPending(): boolean;
+
+/**
+ * Wrap a view function as a component. Its body runs in a scope tied to its
+ * position in the tree, so useState() values survive refreshes.
+ */
+export function Component<A extends any[]>(
+  body: (...args: A) => View,
+  name?: string
+): (...args: A) => View;
+
 // =============================================================================
 // Default Export
 // =============================================================================
@@ -1023,6 +1657,7 @@ declare const SwiftUI: {
   Image: typeof Image;
   Label: typeof Label;
   Button: typeof Button;
+  ButtonRole: typeof ButtonRole;
   TextField: typeof TextField;
   SecureField: typeof SecureField;
   Toggle: typeof Toggle;
@@ -1057,6 +1692,10 @@ declare const SwiftUI: {
   NavigationStack: typeof NavigationStack;
   NavigationLink: typeof NavigationLink;
   NavigationPath: typeof NavigationPath;
+  CodableRepresentation: typeof CodableRepresentation;
+  registerCodableType: typeof registerCodableType;
+  Router: typeof Router;
+  Route: typeof Route;
   NavigationSplitView: typeof NavigationSplitView;
   TabView: typeof TabView;
   Rectangle: typeof Rectangle;
@@ -1080,15 +1719,45 @@ declare const SwiftUI: {
   MagnificationGesture: typeof MagnificationGesture;
   RotationGesture: typeof RotationGesture;
   State: typeof State;
+  AppStorage: typeof AppStorage;
+  SceneStorage: typeof SceneStorage;
+  StorageCodec: typeof StorageCodec;
+  StorageState: typeof StorageState;
+  Computed: typeof Computed;
+  ComputedValue: typeof ComputedValue;
+  useState: typeof useState;
+  Component: typeof Component;
+  ErrorBoundary: typeof ErrorBoundary;
+  AsyncView: typeof AsyncView;
+  Suspense: typeof Suspense;
+  Portal: typeof Portal;
+  PresentationDetent: typeof PresentationDetent;
+  showAlert: typeof showAlert;
+  showConfirmationDialog: typeof showConfirmationDialog;
+  startTransition: typeof startTransition;
+  isTransitionPending: typeof isTransitionPending;
   Binding: typeof Binding;
   ObservableObject: typeof ObservableObject;
+  UndoManager: typeof UndoManager;
+  StateRecorder: typeof StateRecorder;
+  Query: typeof Query;
+  QueryClient: typeof QueryClient;
+  Mutation: typeof Mutation;
+  Store: typeof Store;
+  TestStore: typeof TestStore;
+  Effect: typeof Effect;
+  withEffects: typeof withEffects;
   Published: typeof Published;
   StateObject: typeof StateObject;
   Observable: typeof Observable;
+  ObservationIgnored: typeof ObservationIgnored;
+  observeChanges: typeof observeChanges;
   Environment: typeof Environment;
   EnvironmentObject: typeof EnvironmentObject;
   EnvironmentValues: typeof EnvironmentValues;
+  EnvironmentKey: typeof EnvironmentKey;
   App: typeof App;
+  Inspector: typeof Inspector;
   WindowGroup: typeof WindowGroup;
   Settings: typeof Settings;
   // Style constants